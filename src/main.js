@@ -18,15 +18,293 @@ const fsPromises = require('fs').promises;
 const fsP   = fs.promises;
 const fsSync = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
 const ExcelJS = require('exceljs');
-// Used for identifying which imported stations are in what province
-const { point, booleanPointInPolygon } = require('@turf/turf');
+// Used for identifying which imported stations are in what province (and how
+// far a photo was taken from its station)
+const {
+  point, booleanPointInPolygon, bbox, simplify,
+  polygonToLine, flattenEach, pointToLineDistance, distance
+} = require('@turf/turf');
+
+// ─── Application Settings ────────────────────────────────────────────────────
+
+/**
+ * Per-user settings, kept in <userData>/settings.json so each team member can
+ * point the app at their own synced folders
+ *    - dataDir: folder holding lookups.xlsx and the asset-type workbooks
+ *      (read once at startup, so changing it relaunches the app)
+ *    - stationsPath: folder holding the <SITE_NAME>_<ID> station folders
+ *    - editPasswordHash: sha256 of the password that unlocks editing and deleting
+ *    - statusOptions: station statuses; the first one counts as in service
+ *    - rankingScale: repair rankings run from 1 to this number
+ *    - tileProviders: [{ name, url, attribution, maxNativeZoom }] cycled by the basemap button
+ *    - boundaryTolerance: extra simplification (degrees) of the bundled province
+ *      boundaries used to infer provinces; 0 keeps the shipped detail
+ *    - priorityWeights: weight of each PRIORITY_FACTORS entry in the repair
+ *      priority score, plus fields: { "Section - Field": weight } for numeric fields
+ *    - A missing or invalid value falls back to DEFAULT_SETTINGS
+ */
+const SETTINGS_PATH = path.join(app.getPath('userData'), 'settings.json');
+
+// Factors of the repair priority score (see computePriorityScores)
+const PRIORITY_FACTORS = ['ranking', 'cost', 'frequency', 'status', 'inspectionAge', 'condition'];
+
+function hashPassword(pwd) {
+  return crypto.createHash('sha256').update(String(pwd)).digest('hex');
+}
+
+const DEFAULT_SETTINGS = {
+  dataDir: path.join(__dirname, '..', 'data'),
+  stationsPath: 'C:\\Users\\nitsu\\OneDrive\\Documents\\Stations',
+  editPasswordHash: hashPassword('1234'),
+  statusOptions: ['Active', 'Inactive', 'Mothballed', 'Unknown'],
+  rankingScale: 5,
+  tileProviders: [
+    {
+      name: 'OSM',
+      url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+      attribution: '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+    },
+    {
+      name: 'Esri World Imagery',
+      url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+      attribution: 'Tiles © Esri — Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community',
+      maxNativeZoom: 19
+    }
+  ],
+  boundaryTolerance: 0,
+  priorityWeights: {
+    ranking: 50,
+    cost: 30,
+    frequency: 20,
+    status: 0,
+    inspectionAge: 0,
+    condition: 0,
+    fields: {}
+  }
+};
+
+/**
+ * Checks one setting → { value } (normalised) or { error }
+ *    - checkFolders: also require folder paths to exist (skipped at startup, so
+ *      an offline synced drive doesn't silently reset the setting)
+ */
+function validateSetting(key, value, { checkFolders = true } = {}) {
+  switch (key) {
+    case 'dataDir':
+    case 'stationsPath': {
+      const dir = String(value ?? '').trim();
+      if (!dir || !path.isAbsolute(dir)) return { error: 'must be a full folder path' };
+      if (checkFolders) {
+        try {
+          if (!fs.statSync(dir).isDirectory()) return { error: 'is not a folder' };
+        } catch {
+          return { error: 'does not exist' };
+        }
+      }
+      return { value: dir };
+    }
+    case 'editPasswordHash':
+      return /^[0-9a-f]{64}$/.test(String(value)) ? { value } : { error: 'is not a valid password hash' };
+    case 'statusOptions': {
+      if (!Array.isArray(value)) return { error: 'must be a list' };
+      const seen = new Set();
+      const list = value.map(v => String(v ?? '').trim()).filter(v => {
+        if (!v || seen.has(v.toLowerCase())) return false;
+        seen.add(v.toLowerCase());
+        return true;
+      });
+      return list.length ? { value: list } : { error: 'needs at least one status' };
+    }
+    case 'rankingScale': {
+      const n = Number(value);
+      return Number.isInteger(n) && n >= 2 && n <= 10
+        ? { value: n }
+        : { error: 'must be a whole number from 2 to 10' };
+    }
+    case 'tileProviders': {
+      if (!Array.isArray(value) || !value.length) return { error: 'needs at least one map' };
+      const list = [];
+      for (const tp of value) {
+        const name = String(tp?.name ?? '').trim();
+        const url = String(tp?.url ?? '').trim();
+        if (!name) return { error: 'every map needs a name' };
+        if (!/^https?:\/\//.test(url) || !['{z}', '{x}', '{y}'].every(p => url.includes(p))) {
+          return { error: `“${name}” needs an http(s) tile URL with {z}, {x} and {y}` };
+        }
+        const entry = { name, url, attribution: String(tp.attribution ?? '').trim() };
+        const zoom = Number(tp.maxNativeZoom);
+        if (tp.maxNativeZoom !== undefined && tp.maxNativeZoom !== '' && Number.isInteger(zoom)) {
+          entry.maxNativeZoom = zoom;
+        }
+        list.push(entry);
+      }
+      return { value: list };
+    }
+    case 'boundaryTolerance': {
+      const n = Number(value);
+      return value !== '' && n >= 0 && n <= 0.5
+        ? { value: n }
+        : { error: 'must be between 0 and 0.5 degrees' };
+    }
+    case 'priorityWeights': {
+      if (!value || typeof value !== 'object') return { error: 'must be a list of weights' };
+      const weights = {};
+      const readWeight = (raw, name) => {
+        const n = Number(raw ?? 0);
+        return raw !== '' && n >= 0 ? n : { error: `for “${name}” must be a number of 0 or more` };
+      };
+      for (const factor of PRIORITY_FACTORS) {
+        const n = readWeight(value[factor], factor);
+        if (n.error) return n;
+        weights[factor] = n;
+      }
+      weights.fields = {};
+      for (const [rawKey, raw] of Object.entries(value.fields || {})) {
+        const key = String(rawKey).trim();
+        if (!key.includes(' - ')) return { error: `“${key}” is not a “Section - Field” name` };
+        const n = readWeight(raw, key);
+        if (n.error) return n;
+        if (n > 0) weights.fields[key] = n;
+      }
+      const total = PRIORITY_FACTORS.reduce((sum, f) => sum + weights[f], 0) +
+        Object.values(weights.fields).reduce((sum, n) => sum + n, 0);
+      return total > 0 ? { value: weights } : { error: 'needs at least one weight above 0' };
+    }
+    default:
+      return { error: 'is not a known setting' };
+  }
+}
+
+/**
+ * Reads settings.json over the defaults (invalid or unknown values are ignored)
+ */
+function loadSettings() {
+  const settings = { ...DEFAULT_SETTINGS };
+  let saved = {};
+  try {
+    saved = JSON.parse(fs.readFileSync(SETTINGS_PATH, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('settings read error:', err);
+  }
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (saved[key] === undefined) continue;
+    const res = validateSetting(key, saved[key], { checkFolders: false });
+    if (res.error) console.error(`settings: ${key} ${res.error}; using the default`);
+    else settings[key] = res.value;
+  }
+  return settings;
+}
+
+/**
+ * Writes settings.json (temp file + rename, like the workbooks)
+ *    - Only values that differ from the defaults are stored, so a moved
+ *      install or a new default still applies to everything left alone
+ */
+async function writeSettings(settings) {
+  const changed = {};
+  for (const [key, value] of Object.entries(settings)) {
+    if (JSON.stringify(value) !== JSON.stringify(DEFAULT_SETTINGS[key])) changed[key] = value;
+  }
+  await fsP.mkdir(path.dirname(SETTINGS_PATH), { recursive: true });
+  const tmpPath = `${SETTINGS_PATH}.${process.pid}.${++tmpWriteCounter}.tmp`;
+  await fsP.writeFile(tmpPath, JSON.stringify(changed, null, 2), 'utf8');
+  await fsP.rename(tmpPath, SETTINGS_PATH);
+}
+
+const appSettings = loadSettings();
+
+/**
+ * Folder holding the station folders (can change while the app runs)
+ */
+function stationsBasePath() {
+  return appSettings.stationsPath;
+}
+
+/**
+ * Settings as the renderer sees them (no password hash)
+ */
+function publicSettings() {
+  const { editPasswordHash, ...rest } = appSettings;
+  return { ...rest, settingsPath: SETTINGS_PATH };
+}
+
+/**
+ * IPC handler: get-settings → { success, data, defaults }
+ */
+ipcMain.handle('get-settings', async () => {
+  const { editPasswordHash, ...defaults } = DEFAULT_SETTINGS;
+  return { success: true, data: publicSettings(), defaults };
+});
+
+/**
+ * IPC handler: save-settings
+ *    - changes: any subset of the settings, plus { currentPassword, newPassword }
+ *      to change the edit password
+ *    - Nothing is saved unless every value is valid; returns
+ *      { success, message, fieldErrors: [{ field, message }] } otherwise
+ *    - A new data folder relaunches the app once saved
+ */
+ipcMain.handle('save-settings', async (_e, changes = {}) => {
+  try {
+    const { currentPassword, newPassword, ...values } = changes;
+    const next = { ...appSettings };
+    const fieldErrors = [];
+
+    for (const [key, value] of Object.entries(values)) {
+      if (key === 'editPasswordHash' || !(key in DEFAULT_SETTINGS)) continue;
+      // unchanged values aren't re-checked (e.g. a synced folder that is offline right now)
+      if (JSON.stringify(value) === JSON.stringify(appSettings[key])) continue;
+      const res = validateSetting(key, value);
+      if (res.error) fieldErrors.push({ field: key, message: res.error });
+      else next[key] = res.value;
+    }
+    if (newPassword) {
+      if (hashPassword(currentPassword ?? '') !== appSettings.editPasswordHash) {
+        fieldErrors.push({ field: 'currentPassword', message: 'is incorrect' });
+      } else {
+        next.editPasswordHash = hashPassword(newPassword);
+      }
+    }
+    if (fieldErrors.length) {
+      return {
+        success: false,
+        message: fieldErrors.map(e => `${e.field} ${e.message}`).join('; '),
+        fieldErrors
+      };
+    }
+
+    await writeSettings(next);
+    const restart = next.dataDir !== appSettings.dataDir;
+    const reloadBoundaries = next.boundaryTolerance !== appSettings.boundaryTolerance;
+    Object.assign(appSettings, next);
+    if (reloadBoundaries) loadProvinceBoundaries();
+    if (restart) {
+      resetStationRepo();
+      clearUndoHistory();
+      app.relaunch();
+      app.exit(0);
+    }
+    return { success: true, message: 'Settings saved.', data: publicSettings() };
+  } catch (err) {
+    console.error('save-settings error:', err);
+    return { success: false, message: err.message };
+  }
+});
+
+/**
+ * IPC handler: check-edit-password → true if `pwd` is the edit password
+ */
+ipcMain.handle('check-edit-password', async (_e, pwd) =>
+  hashPassword(pwd ?? '') === appSettings.editPasswordHash);
 
 /** 
  * Define the locations/paths where the data infrastructure informaton be stored
- *    .. because main.js is within src, which is on the same level in the project directory as data
+ *    .. defaults to the data folder next to src (see the dataDir setting)
 */
-const DATA_DIR = path.join(__dirname, '..', 'data');
+const DATA_DIR = appSettings.dataDir;
 const LOOKUPS_PATH = path.join(DATA_DIR, 'lookups.xlsx');
 
 // Used for deleting an inspection
@@ -40,6 +318,215 @@ if (!fs.existsSync(DATA_DIR)) {
 }
 
 
+// ─── Safe Workbook Writes & Backups ──────────────────────────────────────────
+
+/**
+ * Rolling backups of every workbook we overwrite
+ *    - data/backups/<workbook path relative to data, without .xlsx>/<timestamp>.xlsx
+ *      e.g. data/backups/lookups/2025-06-01T14-03-22-120Z.xlsx
+ *           data/backups/repairs/07EA007_repairs/2025-06-01T14-05-10-004Z.xlsx
+ *    - Only the newest MAX_BACKUPS_PER_WORKBOOK copies of each workbook are kept
+ */
+const BACKUPS_DIR = path.join(DATA_DIR, 'backups');
+const MAX_BACKUPS_PER_WORKBOOK = 10;
+let tmpWriteCounter = 0;
+
+/**
+ * Returns a filesystem-safe timestamp, e.g. 2025-06-01T14-03-22-120Z
+ */
+function fileTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Returns the backup folder that holds the copies of `filePath`
+ */
+function backupDirFor(filePath) {
+  const rel = path.relative(DATA_DIR, filePath).replace(/\.xlsx$/i, '');
+  return path.join(BACKUPS_DIR, rel);
+}
+
+/**
+ * Copies the current version of `filePath` into its backup folder, then prunes old copies
+ */
+async function backupWorkbook(filePath) {
+  const dir = backupDirFor(filePath);
+  await fsP.mkdir(dir, { recursive: true });
+  await fsP.copyFile(filePath, path.join(dir, `${fileTimestamp()}.xlsx`));
+
+  const copies = (await fsP.readdir(dir))
+    .filter(f => f.toLowerCase().endsWith('.xlsx'))
+    .sort();
+  for (const old of copies.slice(0, Math.max(0, copies.length - MAX_BACKUPS_PER_WORKBOOK))) {
+    await fsP.unlink(path.join(dir, old)).catch(() => {});
+  }
+}
+
+/**
+ * Lists the backups of one workbook, newest first
+ *    - Returns [{ name, path, mtime }]
+ */
+async function listWorkbookBackups(filePath) {
+  const dir = backupDirFor(filePath);
+  let names;
+  try {
+    names = await fsP.readdir(dir);
+  } catch {
+    return [];
+  }
+  const backups = [];
+  for (const name of names.filter(n => n.toLowerCase().endsWith('.xlsx')).sort().reverse()) {
+    const full = path.join(dir, name);
+    const stats = await fsP.stat(full);
+    backups.push({ name, path: full, mtime: stats.mtimeMs });
+  }
+  return backups;
+}
+
+/**
+ * Crash-safe replacement for wb.xlsx.writeFile(filePath)
+ *    1) Writes the workbook to a temp file beside the target and flushes it to disk
+ *    2) Copies the current version (if any) into the rolling backups
+ *    3) Renames the temp file over the target, so the live file is never half-written
+ */
+async function writeWorkbookAtomic(wb, filePath) {
+  const tmpPath = `${filePath}.${process.pid}.${++tmpWriteCounter}.tmp`;
+  try {
+    await wb.xlsx.writeFile(tmpPath);
+    const fh = await fsP.open(tmpPath, 'r+');
+    try {
+      await fh.sync();
+    } finally {
+      await fh.close();
+    }
+
+    if (fs.existsSync(filePath)) {
+      await backupWorkbook(filePath);
+    }
+    await fsP.rename(tmpPath, filePath);
+  } catch (err) {
+    await fsP.unlink(tmpPath).catch(() => {});
+    if (err.code === 'EPERM' || err.code === 'EBUSY') {
+      throw new Error(`${path.basename(filePath)} is locked (is it open in Excel?). Close it and try again.`);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Replaces `filePath` with a backup copy, after checking the copy can be parsed
+ *    - The file being replaced is renamed to <name>.corrupt-<timestamp> if it
+ *      can't be read, otherwise it goes into the rolling backups like any write
+ */
+async function restoreWorkbookBackup(filePath, backupPath) {
+  const check = new ExcelJS.Workbook();
+  await check.xlsx.readFile(backupPath);
+
+  const tmpPath = `${filePath}.${process.pid}.${++tmpWriteCounter}.tmp`;
+  await fsP.copyFile(backupPath, tmpPath);
+  if (fs.existsSync(filePath)) {
+    const current = new ExcelJS.Workbook();
+    const readable = await current.xlsx.readFile(filePath).then(() => true, () => false);
+    if (readable) await backupWorkbook(filePath);
+    else await fsP.rename(filePath, `${filePath}.corrupt-${fileTimestamp()}`);
+  }
+  await fsP.rename(tmpPath, filePath);
+}
+
+/**
+ * Asks the user how to recover a workbook that failed to parse
+ *    - Offers the newest readable backup, a backup picked by hand, or
+ *      (when allowEmpty) a fresh empty workbook; the damaged file is kept
+ *      as <name>.corrupt-<timestamp> either way
+ *    - Throws if the user cancels or nothing could be restored
+ */
+async function promptWorkbookRecovery(filePath, allowEmpty) {
+  const name = path.basename(filePath);
+
+  // find the newest backup that actually parses
+  let latestGood = null;
+  for (const b of await listWorkbookBackups(filePath)) {
+    const wb = new ExcelJS.Workbook();
+    if (await wb.xlsx.readFile(b.path).then(() => true, () => false)) {
+      latestGood = b;
+      break;
+    }
+  }
+
+  const choices = [];
+  if (latestGood) {
+    choices.push({ label: `Restore backup from ${new Date(latestGood.mtime).toLocaleString()}`, action: 'latest' });
+  }
+  choices.push({ label: 'Choose a backup…', action: 'choose' });
+  if (allowEmpty) choices.push({ label: 'Start with an empty file', action: 'empty' });
+  choices.push({ label: 'Cancel', action: 'cancel' });
+
+  const opts = {
+    type: 'error',
+    title: 'Workbook could not be opened',
+    message: `${name} could not be read and may be damaged.`,
+    detail: latestGood
+      ? 'You can restore the most recent readable backup, pick an older one, or cancel and fix the file by hand.'
+      : 'No readable backup was found for this file.',
+    buttons: choices.map(c => c.label),
+    cancelId: choices.length - 1,
+    noLink: true
+  };
+  const win = BrowserWindow.getFocusedWindow();
+  const { response } = win
+    ? await dialog.showMessageBox(win, opts)
+    : await dialog.showMessageBox(opts);
+  const action = choices[response].action;
+
+  if (action === 'latest') {
+    await restoreWorkbookBackup(filePath, latestGood.path);
+  } else if (action === 'choose') {
+    const { canceled, filePaths } = await dialog.showOpenDialog({
+      title: `Restore ${name} from backup`,
+      defaultPath: backupDirFor(filePath),
+      filters: [{ name: 'Excel', extensions: ['xlsx'] }],
+      properties: ['openFile']
+    });
+    if (canceled || !filePaths.length) {
+      throw new Error(`${name} is damaged; restore it from data/backups before continuing.`);
+    }
+    await restoreWorkbookBackup(filePath, filePaths[0]);
+  } else if (action === 'empty') {
+    await fsP.rename(filePath, `${filePath}.corrupt-${fileTimestamp()}`);
+    await writeWorkbookAtomic(new ExcelJS.Workbook(), filePath);
+  } else {
+    throw new Error(`${name} is damaged; restore it from data/backups before continuing.`);
+  }
+}
+
+/**
+ * Reads a workbook, falling back to the recovery prompt if it can't be parsed
+ *    - Concurrent readers of the same damaged file share a single prompt
+ */
+const recoveryPrompts = new Map();
+async function readWorkbookOrRecover(filePath, { allowEmpty = false } = {}) {
+  const wb = new ExcelJS.Workbook();
+  try {
+    await wb.xlsx.readFile(filePath);
+    return wb;
+  } catch (err) {
+    console.error(`${path.basename(filePath)} could not be read:`, err);
+  }
+
+  if (!recoveryPrompts.has(filePath)) {
+    recoveryPrompts.set(
+      filePath,
+      promptWorkbookRecovery(filePath, allowEmpty).finally(() => recoveryPrompts.delete(filePath))
+    );
+  }
+  await recoveryPrompts.get(filePath);
+
+  const recovered = new ExcelJS.Workbook();
+  await recovered.xlsx.readFile(filePath);
+  return recovered;
+}
+
+
 /** 
  * Asset-Type Locking (Prevents concurrent writes to the same asset-type xlsx file)
  *    - All operations for a specific asset-type will queue up
@@ -53,60 +540,100 @@ function withAssetTypeLock(assetType, fn) {
 }
 
 /** 
- * List of the provinces used in this program
+ * List of the provinces and territories used in this program
  */
 const PROVINCES = [
   { code: 'BC', name: 'British Columbia' },
   { code: 'AB', name: 'Alberta' },
+  { code: 'SK', name: 'Saskatchewan' },
+  { code: 'MB', name: 'Manitoba' },
+  { code: 'ON', name: 'Ontario' },
+  { code: 'QC', name: 'Quebec' },
+  { code: 'NB', name: 'New Brunswick' },
+  { code: 'NS', name: 'Nova Scotia' },
+  { code: 'PE', name: 'Prince Edward Island' },
+  { code: 'NL', name: 'Newfoundland and Labrador' },
   { code: 'YT', name: 'Yukon' },
   { code: 'NT', name: 'Northwest Territories' },
   { code: 'NU', name: 'Nunavut' }
 ];
-const provinceGeo = {};
+
+/**
+ * Province/territory boundaries shipped with the app (Natural Earth admin-1,
+ * public domain, pre-simplified to ~500 m), so inference works offline
+ *    - One Feature per line, properties { code, name }
+ *    - Points outside every polygon (shorelines, islands, lakes on a border)
+ *      take the nearest boundary within NEAREST_PROVINCE_MAX_KM
+ */
+const PROVINCE_BOUNDARIES_PATH = path.join(__dirname, 'assets', 'canada-provinces.geojson');
+const NEAREST_PROVINCE_MAX_KM = 50;
+const provinceGeo = {};     // code → { feature, bbox, lines: [{ line, bbox }] }
 
 /** 
- * Fetches the boundary (geojson) from Nominatim for each province
-*/
-async function loadProvinceBoundaries() {
-  await Promise.all(
-    PROVINCES.map(async ({ code, name }) => {
-      const url = new URL('https://nominatim.openstreetmap.org/search.php');
-      url.search = new URLSearchParams({
-        q: `${name}, Canada`,
-        polygon_geojson: '1',
-        format: 'jsonv2'
-      });
-      const res = await fetch(url, {
-        headers: { 'User-Agent': 'YourApp/1.0' }
-      });
-      const results = await res.json();
-      if (results.length) provinceGeo[code] = results[0].geojson;
-      else console.warn(`No boundary for ${name}`);
-    })
-  );
+ * Loads the bundled boundaries (no network access)
+ *    - tolerance: optional extra simplification in degrees (boundaryTolerance
+ *      setting); 0 keeps the shipped detail
+ */
+function loadProvinceBoundaries(tolerance = appSettings.boundaryTolerance) {
+  const fc = JSON.parse(fs.readFileSync(PROVINCE_BOUNDARIES_PATH, 'utf8'));
+  for (const f of fc.features) {
+    const feature = tolerance > 0 ? simplify(f, { tolerance }) : f;
+    const lines = [];
+    flattenEach(polygonToLine(feature), line => lines.push({ line, bbox: bbox(line) }));
+    provinceGeo[f.properties.code] = { feature, bbox: bbox(feature), lines };
+  }
+}
+
+/**
+ * True if [lon, lat] lies within `box` grown by `pad` degrees
+ */
+function inBbox([lon, lat], [minX, minY, maxX, maxY], pad = 0) {
+  return lon >= minX - pad && lon <= maxX + pad && lat >= minY - pad && lat <= maxY + pad;
 }
 
 /**
  * @param lat (the latitude) 
  * @param lon (the longitude)
- * @returns the first province whose polygon contains [lon,lat]
+ * @returns the province whose polygon contains [lon,lat], else the one with the
+ *          nearest boundary within NEAREST_PROVINCE_MAX_KM, else ''
  */
 function inferProvinceByCoordinates(lat, lon) {
-  const pt = point([lon, lat]);
+  if (isNaN(lat) || isNaN(lon)) return '';
+  if (!Object.keys(provinceGeo).length) loadProvinceBoundaries();
+  const coords = [lon, lat];
+  const pt = point(coords);
+
   for (const { code } of PROVINCES) {
-    if (provinceGeo[code] &&
-        booleanPointInPolygon(pt, provinceGeo[code])) {
+    const geo = provinceGeo[code];
+    if (geo && inBbox(coords, geo.bbox) && booleanPointInPolygon(pt, geo.feature)) {
       return code;
     }
   }
-  return '';
+
+  // nearest-boundary fallback (bbox checks skip most of the far-away coastline)
+  const pad = NEAREST_PROVINCE_MAX_KM / 111 / Math.max(Math.cos(lat * Math.PI / 180), 0.05);
+  let best = '';
+  let bestKm = NEAREST_PROVINCE_MAX_KM;
+  for (const { code } of PROVINCES) {
+    const geo = provinceGeo[code];
+    if (!geo || !inBbox(coords, geo.bbox, pad)) continue;
+    for (const { line, bbox: lineBox } of geo.lines) {
+      if (!inBbox(coords, lineBox, pad)) continue;
+      const km = pointToLineDistance(pt, line, { units: 'kilometers' });
+      if (km < bestKm) {
+        bestKm = km;
+        best = code;
+      }
+    }
+  }
+  return best;
 }
 
 /** 
  * Pre-load province data
 */
-app.whenReady().then(async () => {
-  await loadProvinceBoundaries();
+app.whenReady().then(() => {
+  loadProvinceBoundaries();
  // console.log(inferProvinceByCoordinates(53.5, -128.6)); // → "BC" centering
 });
 
@@ -118,25 +645,15 @@ app.whenReady().then(async () => {
 
 /**
  * Creates lookups.xlsx if missing, then reads it.
+ *    - If the file can't be parsed, the user is offered a backup to restore
+ *      (or an empty file) instead of silently losing every lookup
  */
 async function loadLookupWorkbook() {
-  const wb = new ExcelJS.Workbook();
-  const exists = fs.existsSync(LOOKUPS_PATH);
-
   // First time: create a brand-new file
-  if (!exists) {
-    await wb.xlsx.writeFile(LOOKUPS_PATH);
-  }
-
-  try {
-    await wb.xlsx.readFile(LOOKUPS_PATH);
-  } catch (err) {
-    console.warn('⚠️ lookups.xlsx is corrupted; recreating fresh copy.', err);
-    // Overwrite with a clean workbook if corrupted
-    await wb.xlsx.writeFile(LOOKUPS_PATH);
-    await wb.xlsx.readFile(LOOKUPS_PATH);
+  if (!fs.existsSync(LOOKUPS_PATH)) {
+    await writeWorkbookAtomic(new ExcelJS.Workbook(), LOOKUPS_PATH);
   }
-  return wb;
+  return readWorkbookOrRecover(LOOKUPS_PATH, { allowEmpty: true });
 }
 
 /**
@@ -150,7 +667,7 @@ async function readLookupList(sheetName) {
     sheet = wb.addWorksheet(sheetName);
     sheet.getCell('A1').value =
       sheetName === 'Locations' ? 'LocationName' : 'AssetTypeName';
-    await wb.xlsx.writeFile(LOOKUPS_PATH);
+    await writeWorkbookAtomic(wb, LOOKUPS_PATH);
     return [];
   }
   const list = [];
@@ -181,7 +698,7 @@ async function appendToLookup(sheetName, entryValue) {
     .some(v => typeof v === 'string' && v.trim().toLowerCase() === entryValue.trim().toLowerCase());
   if (!exists) {
     sheet.addRow([ entryValue.trim() ]);
-    await wb.xlsx.writeFile(LOOKUPS_PATH);
+    await writeWorkbookAtomic(wb, LOOKUPS_PATH);
     return true;
   }
   return false;
@@ -242,7 +759,8 @@ async function addNewAssetTypeInternal(newAssetType) {
           c.alignment = { horizontal:'left', vertical:'middle' };
         });
       }
-      await dataWb.xlsx.writeFile(dataPath);
+      await writeWorkbookAtomic(dataWb, dataPath);
+      await stationRepoIndexWorkbook(dataWb, newAssetType);
       return { success: true, added: true };
     } catch (err) {
       return { success: false, message: err.message };
@@ -250,960 +768,3953 @@ async function addNewAssetTypeInternal(newAssetType) {
   });
 }
 
+// ─── Asset-Type Schema ───────────────────────────────────────────────────────
+
 /**
- * Inserts a new station into its asset‐type workbook and province sheet.
- *   - Verifies global uniqueness across all asset-type files.
- *   - Loads or creates the target workbook and province sheet.
- *   - Adds any missing “Section – Field” columns to every sheet.
- *   - Appends the station’s core fields and extra-section values.
- *   - Returns { success, message }.
+ * Typed "Section - Field" definitions per asset type, kept in the “Schema”
+ * sheet of lookups.xlsx (one row per field):
+ *    Asset Type | Section | Field | Type | Required | Allowed Values | Units
+ *    - Type: text | number | date | enum | boolean | url (blank = text)
+ *    - Required: Yes / No
+ *    - Allowed Values: “;”-separated list, only used by enum fields
+ *    - Fields with no schema row stay free text
  */
-async function createNewStationInternal(stationObject) {
-  try {
-    // 1) Check uniqueness: scan every asset-type file for duplicates
-    const lookupWb = await loadLookupWorkbook();
-    const assetSh = lookupWb.getWorksheet('AssetTypes');
-    const assetTypes = [];
-    assetSh.eachRow((row, rn) => {
-      const v = row.getCell(1).text;
-      if (rn >= 2 && v && v.trim()) assetTypes.push(v.trim());
+const SCHEMA_SHEET = 'Schema';
+const SCHEMA_COLUMNS = ['Asset Type', 'Section', 'Field', 'Type', 'Required', 'Allowed Values', 'Units'];
+const FIELD_TYPES = ['text', 'number', 'date', 'enum', 'boolean', 'url'];
+
+const TRUE_WORDS  = new Set(['yes', 'y', 'true', '1']);
+const FALSE_WORDS = new Set(['no', 'n', 'false', '0']);
+
+/**
+ * Reads the field definitions of one asset type (case-insensitive match)
+ *    - Creates the Schema sheet with its header row the first time
+ *    - Returns [{ section, field, key, type, required, allowedValues, units }]
+ */
+async function readAssetTypeSchema(assetType) {
+  const wb = await loadLookupWorkbook();
+  let sheet = wb.getWorksheet(SCHEMA_SHEET);
+  if (!sheet) {
+    sheet = wb.addWorksheet(SCHEMA_SHEET);
+    sheet.addRow(SCHEMA_COLUMNS);
+    sheet.getRow(1).font = { bold: true };
+    await writeWorkbookAtomic(wb, LOOKUPS_PATH);
+    return [];
+  }
+
+  const wanted = String(assetType || '').trim().toLowerCase();
+  const fields = [];
+  sheet.eachRow((row, rn) => {
+    if (rn < 2) return; // skip header
+    const [at, section, field, type, required, allowed, units] =
+      SCHEMA_COLUMNS.map((_, i) => row.getCell(i + 1).text.trim());
+    if (!section || !field || at.toLowerCase() !== wanted) return;
+
+    const t = type.toLowerCase() || 'text';
+    fields.push({
+      section,
+      field,
+      key: `${section} - ${field}`,
+      type: FIELD_TYPES.includes(t) ? t : 'text',
+      required: TRUE_WORDS.has(required.toLowerCase()),
+      allowedValues: allowed.split(';').map(v => v.trim()).filter(Boolean),
+      units
     });
+  });
+  return fields;
+}
 
-    for (const at of assetTypes) {
-      const atPath = path.join(DATA_DIR, `${at}.xlsx`);
-      if (!fs.existsSync(atPath)) continue;
-      const wb = new ExcelJS.Workbook();
-      await wb.xlsx.readFile(atPath);
-      for (const ws of wb.worksheets) {
-        // find the Station ID column
-        const headerRow = ws.getRow(2);
-        let idCol = -1;
-        headerRow.eachCell((cell, idx) => {
-          if (cell.value === 'Station ID') idCol = idx;
-        });
-        if (idCol < 1) continue;
-        // scan rows 3+
-        for (let r = 3; r <= ws.rowCount; r++) {
-          const val = ws.getRow(r).getCell(idCol).value;
-          if (val && String(val).trim() === String(stationObject.generalInfo.stationId).trim()) {
-            return { success: false, message: `Station ID "${stationObject.generalInfo.stationId}" already exists in ${at}` };
-          }
-        }
+/**
+ * Checks one raw value against its definition
+ *    - Returns { value } with the normalised value to store, or { error }
+ *    - number → Number, date → YYYY-MM-DD, boolean → Yes/No,
+ *      enum → the allowed value as spelled in the schema
+ */
+function validateFieldValue(def, raw) {
+  const text = raw instanceof Date ? '' : auditValue(raw).trim();
+  if (!(raw instanceof Date) && text === '') {
+    return def.required ? { error: 'is required' } : { value: '' };
+  }
+
+  switch (def.type) {
+    case 'number': {
+      const n = typeof raw === 'number' ? raw : Number(text.replace(/,/g, ''));
+      return isNaN(n) ? { error: 'must be a number' } : { value: n };
+    }
+    case 'date': {
+      const d = raw instanceof Date ? raw : new Date(`${text}T00:00:00Z`);
+      if (isNaN(d.getTime()) || (!(raw instanceof Date) && !/^\d{4}-\d{2}-\d{2}$/.test(text))) {
+        return { error: 'must be a date (YYYY-MM-DD)' };
+      }
+      return { value: d.toISOString().slice(0, 10) };
+    }
+    case 'enum': {
+      if (!def.allowedValues.length) return { value: text };
+      const match = def.allowedValues.find(v => v.toLowerCase() === text.toLowerCase());
+      return match !== undefined
+        ? { value: match }
+        : { error: `must be one of: ${def.allowedValues.join(', ')}` };
+    }
+    case 'boolean': {
+      const w = text.toLowerCase();
+      if (TRUE_WORDS.has(w))  return { value: 'Yes' };
+      if (FALSE_WORDS.has(w)) return { value: 'No' };
+      return { error: 'must be Yes or No' };
+    }
+    case 'url': {
+      try {
+        const u = new URL(text);
+        if (u.protocol === 'http:' || u.protocol === 'https:') return { value: text };
+      } catch {
+        // fall through
       }
+      return { error: 'must be a web address starting with http:// or https://' };
     }
+    default:
+      return { value: text };
+  }
+}
 
-    // 2) Load the workbook for this station’s assetType
-    const dataPath = path.join(DATA_DIR, `${stationObject.assetType}.xlsx`);
-    const wb2 = new ExcelJS.Workbook();
-    if (!fs.existsSync(dataPath)) {
-      return { success:false, message:`Workbook for asset type "${stationObject.assetType}" was not found.` };
+/**
+ * Validates a "Section - Field" → value map against a schema
+ *    - Values are normalised in place; fields without a definition are left alone
+ *    - Returns [{ field, message }] (empty when everything is valid)
+ */
+function validateStationFields(schema, values) {
+  const errors = [];
+  for (const def of schema) {
+    // keys are matched case-insensitively, like the asset type
+    const key = Object.keys(values).find(k => k.trim().toLowerCase() === def.key.toLowerCase());
+    if (key === undefined) {
+      if (def.required) errors.push({ field: def.key, message: `${def.field} is required` });
+      continue;
     }
-    await wb2.xlsx.readFile(dataPath);
+    const res = validateFieldValue(def, values[key]);
+    if (res.error) errors.push({ field: key, message: `${def.field} ${res.error}` });
+    else values[key] = res.value;
+  }
+  return errors;
+}
 
-    // 3) Ensure the province sheet exists (create if missing)
-    const province = stationObject.generalInfo.province;
-    // Try exact match, otherwise do a case‐insensitive lookup
-    let ws =
-      wb2.getWorksheet(province) ||
-      wb2.worksheets.find(sheet => sheet.name.toLowerCase() === province.toLowerCase());
+/**
+ * IPC handler: get-asset-type-schema
+ *    - Returns { success, data: [field definitions] } for the Add Infrastructure
+ *      modal and the Overview editor
+ */
+ipcMain.handle('get-asset-type-schema', async (_e, assetType) => {
+  try {
+    return { success: true, data: await readAssetTypeSchema(assetType) };
+  } catch (err) {
+    console.error('get-asset-type-schema error:', err);
+    return { success: false, message: err.message };
+  }
+});
 
-    if (!ws) {
-      ws = wb2.addWorksheet(province);
+// ─── Station Repository (in-memory cache) ────────────────────────────────────
 
-      // Header row 1: merged title
-      ws.mergeCells('A1:H1');
-      ws.getCell('A1').value = 'General Information';
-      ws.getCell('A1').alignment = { horizontal: 'center', vertical: 'middle' };
-      ws.getCell('A1').font = { bold: true };
+/**
+ * In-memory copy of every station row, so reads don't re-open every workbook
+ *    - Loaded once on first use, then updated by each create/save/delete/repair handler
+ *    - stationsByType: assetType → station objects (every data row with a Station ID)
+ *    - repairs: stationId → its repairs (as read by readStationRepairs)
+ *    - inspectionDates: stationId → YYYY-MM-DD of its latest inspection folder
+ *    - conditions: stationId → overall condition (1…5) of its latest rated inspection
+ *    - workbookMtimes: assetType → mtime of the workbook when it was last indexed,
+ *      so a workbook edited by hand in Excel is re-read on the next request
+ *    - repairMtimes: stationId → mtime of its repairs file when it was last read (0 if none),
+ *      for the same reason
+ */
+const stationRepo = {
+  loading: null,
+  stationsByType: new Map(),
+  repairs: new Map(),
+  inspectionDates: new Map(),
+  conditions: new Map(),
+  workbookMtimes: new Map(),
+  repairMtimes: new Map()
+};
 
-      // Header row 2: core column names
-      const cols = [
-        'Station ID', 'Asset Type', 'Site Name',
-        'Province', 'Latitude', 'Longitude',
-        'Status', 'Repair Ranking'
-      ];
-      cols.forEach((hdr, i) => {
-        const cell = ws.getRow(2).getCell(i + 1);
-        cell.value = hdr;
-        cell.font = { bold: true };
-        cell.alignment = { horizontal: 'left', vertical: 'middle' };
-      });
+/**
+ * Returns a file's mtime in ms, or 0 if it doesn't exist
+ */
+async function fileMtime(filePath) {
+  try {
+    return (await fsP.stat(filePath)).mtimeMs;
+  } catch {
+    return 0;
+  }
+}
 
-      // persist new sheet/page
-      await wb2.xlsx.writeFile(dataPath);
+/**
+ * Parses every data row of an asset-type workbook into station objects
+ *    - Header row is row 2 (falls back to row 1 for older sheets)
+ *    - Rich-text cells are flattened to plain strings
+ *    - Rows without a Station ID are skipped; bad coordinates are kept
+ *      (as NaN) so uniqueness checks still see them
+ */
+function readStationsFromWorkbook(wb, assetType) {
+  const stations = [];
+  for (const ws of wb.worksheets) {
+    // Determine header row (prefer row 2, else row 1)
+    let headerRow = ws.getRow(2);
+    let firstDataRow = 3;
+    if (!headerRow.hasValues) {
+      headerRow = ws.getRow(1);
+      firstDataRow = 2;
     }
+    // Map column indices → header names
+    const headers = [];
+    headerRow.eachCell((cell, idx) => {
+      headers[idx - 1] = cell.value ? String(cell.value).trim() : null;
+    });
+    if (!headers.some(h => h)) continue; // skip empty sheets
 
-    // 4) Determine any new dynamic columns from extraSections
-    const newFullCols = [];
-    for (const [secName, fieldsObj] of Object.entries(stationObject.extraSections || {})) {
-      for (const fn of Object.keys(fieldsObj)) {
-        const fullCol = `${secName} - ${fn}`;
-        if (!ws.getRow(2).values.includes(fullCol)) {
-          newFullCols.push(fullCol);
+    for (let r = firstDataRow; r <= ws.rowCount; r++) {
+      const row = ws.getRow(r);
+      if (!row.hasValues) continue;
+      const rowData = {};
+      row.eachCell({ includeEmpty: true }, (cell, idx) => {
+        const key = headers[idx - 1];
+        if (!key) return;
+        let val = cell.value;
+        // normalize richText cells
+        if (val === null || val === undefined) {
+          val = '';
+        } else if (typeof val === 'object' && val.richText) {
+          val = val.richText.map(rt => rt.text).join('');
         }
-      }
-    }
+        rowData[key] = val;
+      });
 
-    // 5) Inject each new column into every worksheet
-    wb2.worksheets.forEach(sheet => {
-      const existing = sheet.getRow(2).values.slice(1).map(v => String(v));
-      newFullCols.forEach(colName => {
-        if (!existing.includes(colName)) {
-          const newIdx = existing.length + 1;
-          // insert blank column
-          sheet.spliceColumns(newIdx, 0, []);
-          const cell = sheet.getRow(2).getCell(newIdx);
-          // set header
-          cell.value = colName;
-          cell.font = { bold:true };
-          cell.alignment = { horizontal:'left', vertical:'middle' };
-          existing.push(colName);
-        }
+      const sid = String(rowData['Station ID'] || '').trim();
+      if (!sid) continue;
+
+      stations.push({
+        stationId: sid,
+        stationName: String(rowData['Site Name'] || '').trim(),
+        latitude: parseFloat(rowData['Latitude']),
+        longitude: parseFloat(rowData['Longitude']),
+        category: assetType,
+        Status: String(rowData['Status'] || 'Unknown').trim(),
+        ...rowData
       });
-    });
+    }
+  }
+  return stations;
+}
 
+/**
+ * Summarises a station's repairs by its highest-ranked one
+ *    - Completed repairs no longer count
+ *    - Returns { ranking, cost, freq } or null if there are no ranked repairs
+ */
+function summariseRepairs(repairs) {
+  const open = repairs.filter(r => r.status !== 'Completed' && r.ranking);
+  if (!open.length) return null;
 
-    // 6) Build a header→column index map from row 2
-    const headerRow2 = ws.getRow(2);
-    const headers = [];
-    headerRow2.eachCell((cell, idx) => {
-      headers[idx - 1] = cell.value ? String(cell.value).trim() : null;
-    });
-    const headerMap = {};
-    headers.forEach((h, i) => {
-      if (h) headerMap[h] = i + 1;
-    });
+  // the first repair with the highest ranking gives the cost & frequency
+  const top = open.reduce((best, r) => (r.ranking > best.ranking ? r : best));
+  return { ranking: top.ranking, cost: top.cost, freq: top.freq };
+}
 
-    // 7) Add any new “Section – Field” columns
-    for (const [secName, fieldsObj] of Object.entries(stationObject.extraSections || {})) {
-      for (const [fn, val] of Object.entries(fieldsObj)) {
-        const fullCol = `${secName} - ${fn}`;
-        if (!headerMap[fullCol]) {
-          const lastIdx = headers.length;
-          ws.spliceColumns(lastIdx + 1, 0, []);
-          ws.getRow(2).getCell(lastIdx + 1).value = fullCol;
-          ws.getRow(2).getCell(lastIdx + 1).font = { bold: true };
-          ws.getRow(2).getCell(lastIdx + 1).alignment = { horizontal:'left', vertical:'middle' };
-          headers.push(fullCol);
-          headerMap[fullCol] = lastIdx + 1;
-        }
-      }
+/**
+ * Replaces the cached rows of one asset type with the contents of `wb`
+ *    - Call right after writing the workbook so the recorded mtime matches disk
+ */
+async function stationRepoIndexWorkbook(wb, assetType) {
+  stationRepo.stationsByType.set(assetType, readStationsFromWorkbook(wb, assetType));
+  stationRepo.workbookMtimes.set(
+    assetType,
+    await fileMtime(path.join(DATA_DIR, `${assetType}.xlsx`))
+  );
+}
+
+/**
+ * Re-reads one asset-type workbook from disk into the cache
+ */
+async function stationRepoIndexFromDisk(assetType) {
+  const dataPath = path.join(DATA_DIR, `${assetType}.xlsx`);
+  if (!fs.existsSync(dataPath)) {
+    stationRepo.stationsByType.set(assetType, []);
+    stationRepo.workbookMtimes.set(assetType, 0);
+    return;
+  }
+  const wb = await readWorkbookOrRecover(dataPath);
+  await stationRepoIndexWorkbook(wb, assetType);
+}
+
+/**
+ * Refreshes the cached repairs of one station
+ */
+async function stationRepoRefreshRepairs(stationId) {
+  stationRepo.repairMtimes.set(
+    stationId,
+    await fileMtime(path.join(REPAIRS_DIR, `${stationId}_repairs.xlsx`))
+  );
+  const repairs = await readStationRepairs(stationId);
+  if (repairs.length) stationRepo.repairs.set(stationId, repairs);
+  else stationRepo.repairs.delete(stationId);
+}
+
+/**
+ * Date of an inspection folder from its name, or '' if it doesn't start with one
+ *    - “2024-05-17_Jane_Doe” → 2024-05-17; older “2019 Inspection” folders → 2019-01-01
+ */
+function inspectionFolderDate(name) {
+  const m = String(name).match(/^(\d{4})(?:[-_ ]?(\d{2})(?:[-_ ]?(\d{2}))?)?(?!\d)/);
+  if (!m) return '';
+  const [, y, mo = '01', d = '01'] = m;
+  const date = new Date(`${y}-${mo}-${d}T00:00:00Z`);
+  return isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Inspection folders of one station folder → [{ name, path, date }]
+ *    - The dated folders in “Inspection History”, and those at the top of the station folder
+ *      that have an inspection.json or are named like one (INSPECTION_FOLDER_NAME)
+ *    - Folders with a construction.json never count; other top-level folders are construction
+ *      / project folders (see readConstructionRecords)
+ */
+async function listInspectionFolders(stationFolder) {
+  const folders = [];
+  for (const parent of [stationFolder, path.join(stationFolder, 'Inspection History')]) {
+    const dirs = await fsP.readdir(parent, { withFileTypes: true }).catch(() => []);
+    for (const d of dirs) {
+      const date = d.isDirectory() ? inspectionFolderDate(d.name) : '';
+      if (!date) continue;
+      const folderPath = path.join(parent, d.name);
+      if (fs.existsSync(path.join(folderPath, CONSTRUCTION_RECORD_FILE))) continue;
+      if (parent === stationFolder && !INSPECTION_FOLDER_NAME.test(d.name) &&
+          !fs.existsSync(path.join(folderPath, INSPECTION_RECORD_FILE))) continue;
+      folders.push({ name: d.name, path: folderPath, date });
     }
+  }
+  return folders;
+}
 
-    // 8) Append the new station row
-    const newRowIdx = ws.rowCount + 1;
-    const newRow = ws.getRow(newRowIdx);
+/**
+ * Re-reads the latest inspection date and condition of every station from the stations folder
+ *    - Inspections are the folders listInspectionFolders finds in <SITE_NAME>_<ID>
+ *    - An unreachable stations folder just leaves every station uninspected
+ */
+async function stationRepoRefreshInspections() {
+  stationRepo.inspectionDates.clear();
+  stationRepo.conditions.clear();
+  const conditionDates = new Map();
+  const ids = new Map();
+  for (const list of stationRepo.stationsByType.values()) {
+    for (const st of list) ids.set(st.stationId.toUpperCase(), st.stationId);
+  }
 
-    // Core fields
-    newRow.getCell(headerMap['Station ID']).value = stationObject.generalInfo.stationId;
-    newRow.getCell(headerMap['Asset Type']).value = stationObject.assetType;
-    newRow.getCell(headerMap['Site Name']).value = stationObject.generalInfo.siteName;
-    newRow.getCell(headerMap['Province']).value = stationObject.generalInfo.province;
-    newRow.getCell(headerMap['Latitude']).value = Number(stationObject.generalInfo.latitude);
-    newRow.getCell(headerMap['Longitude']).value = Number(stationObject.generalInfo.longitude);
-    newRow.getCell(headerMap['Status']).value = stationObject.generalInfo.status;
-    if (headerMap['Repair Ranking']) {
-      newRow.getCell(headerMap['Repair Ranking']).value = stationObject.generalInfo.repairRanking;
+  let dirs;
+  try {
+    dirs = await fsP.readdir(stationsBasePath(), { withFileTypes: true });
+  } catch {
+    return;
+  }
+  for (const dir of dirs) {
+    if (!dir.isDirectory()) continue;
+    const upper = dir.name.toUpperCase();
+    let stationId;
+    for (let i = upper.indexOf('_'); i !== -1 && !stationId; i = upper.indexOf('_', i + 1)) {
+      stationId = ids.get(upper.slice(i + 1));
     }
+    if (!stationId) continue;
 
-    // Extra section fields
-    for (const [secName, fieldsObj] of Object.entries(stationObject.extraSections || {})) {
-      for (const [fn, val] of Object.entries(fieldsObj)) {
-        const fullCol = `${secName} - ${fn}`;
-        if (headerMap[fullCol]) {
-          newRow.getCell(headerMap[fullCol]).value = val;
-        }
-      }
+    const latest = await readLatestInspectionDate(path.join(stationsBasePath(), dir.name));
+    if (latest > (stationRepo.inspectionDates.get(stationId) || '')) {
+      stationRepo.inspectionDates.set(stationId, latest);
     }
-    newRow.commit();
+    const rated = await readLatestCondition(path.join(stationsBasePath(), dir.name));
+    if (rated && rated.date > (conditionDates.get(stationId) || '')) {
+      conditionDates.set(stationId, rated.date);
+      stationRepo.conditions.set(stationId, rated.condition);
+    }
+  }
+}
 
-    // 9) Save the updated workbook
-    await wb2.xlsx.writeFile(dataPath);
+/**
+ * Station folder of a station, or null
+ */
+async function stationFolderOf(stationId) {
+  const entries = await fsP.readdir(stationsBasePath(), { withFileTypes: true }).catch(() => []);
+  const match = entries.find(d =>
+    d.isDirectory() && d.name.toUpperCase().endsWith(`_${String(stationId).trim().toUpperCase()}`)
+  );
+  return match ? path.join(stationsBasePath(), match.name) : null;
+}
 
-    // ─── 10) Create the station’s folder on disk ─────────────────────────────
-    // e.g. AKIE_RIVER_NEAR_THE_760_M_CONTOUR_07EA007
-    const folderName = `${stationObject.generalInfo.siteName
-      .toUpperCase()
-      .replace(/[^A-Z0-9]+/g, '_')}_${stationObject.generalInfo.stationId}`;
-    const stationFolderPath = path.join(BASE_STATIONS_PATH, folderName);
-    try {
-      await fsPromises.mkdir(stationFolderPath, { recursive: true });
-    } catch (err) {
-      console.warn(`Could not create station folder "${stationFolderPath}":`, err);
+/**
+ * Latest inspection folder date in one station folder (see listInspectionFolders), or ''
+ */
+async function readLatestInspectionDate(stationFolder) {
+  let latest = '';
+  for (const { date } of await listInspectionFolders(stationFolder)) {
+    if (date > latest) latest = date;
+  }
+  return latest;
+}
+
+/**
+ * Loads the repository on first call, then re-indexes any workbook or
+ * repairs file whose mtime changed since we last read or wrote it
+ *    - Concurrent first calls share the same load promise
+ */
+async function loadStationRepo() {
+  if (!stationRepo.loading) {
+    stationRepo.loading = (async () => {
+      const assetTypes = await readLookupList('AssetTypes');
+      for (const at of assetTypes) {
+        await stationRepoIndexFromDisk(at);
+      }
+      for (const list of stationRepo.stationsByType.values()) {
+        for (const s of list) await stationRepoRefreshRepairs(s.stationId);
+      }
+      await stationRepoRefreshInspections();
+    })();
+    // allow a retry if the first load fails
+    stationRepo.loading.catch(() => { stationRepo.loading = null; });
+  }
+  await stationRepo.loading;
+
+  for (const [at, mtime] of stationRepo.workbookMtimes) {
+    if (await fileMtime(path.join(DATA_DIR, `${at}.xlsx`)) !== mtime) {
+      await stationRepoIndexFromDisk(at);
+      for (const s of stationRepo.stationsByType.get(at)) {
+        await stationRepoRefreshRepairs(s.stationId);
+      }
+    }
+  }
+  const ids = new Set([...stationRepo.stationsByType.values()].flat().map(s => s.stationId));
+  for (const stationId of stationRepo.repairMtimes.keys()) {
+    if (ids.has(stationId)) continue;
+    // the station itself is gone
+    stationRepo.repairMtimes.delete(stationId);
+    stationRepo.repairs.delete(stationId);
+  }
+  for (const stationId of ids) {
+    const mtime = await fileMtime(path.join(REPAIRS_DIR, `${stationId}_repairs.xlsx`));
+    if (mtime !== (stationRepo.repairMtimes.get(stationId) ?? 0)) {
+      await stationRepoRefreshRepairs(stationId);
     }
+  }
+}
 
-    return { success: true, message: 'New station created successfully.' };
+// Keys getAllStations computes for each station; they are never columns of a workbook
+const COMPUTED_STATION_KEYS = ['Frequency Days', 'Priority Score', 'Latest Condition'];
 
-  } catch (err) {
-    console.error('create-new-station error:', err);
-    return { success: false, message: err.message };
+/**
+ * Returns every cached station with valid coordinates, with the repair
+ * summary (Repair Ranking / Repair Cost / Frequency), its Priority Score and
+ * its Latest Condition (1…5, '' if never rated) overlaid
+ *    - Frequency Days: the Frequency in days (see frequencyToDays), or null if it can't be read
+ */
+async function getAllStations() {
+  await loadStationRepo();
+  const scores = computePriorityScores();
+  const out = [];
+  for (const list of stationRepo.stationsByType.values()) {
+    for (const s of list) {
+      if (isNaN(s.latitude) || isNaN(s.longitude)) continue;
+      const rep = summariseRepairs(stationRepo.repairs.get(s.stationId) || []);
+      const score = scores.stations.get(s.stationId);
+      const condition = stationRepo.conditions.get(s.stationId) ?? '';
+      const frequencyDays = frequencyToDays(rep ? rep.freq : s['Frequency']) || null;
+      out.push(rep
+        ? { ...s, 'Repair Ranking': rep.ranking, 'Repair Cost': rep.cost, 'Frequency': rep.freq, 'Frequency Days': frequencyDays, 'Priority Score': score, 'Latest Condition': condition }
+        : { ...s, 'Frequency Days': frequencyDays, 'Priority Score': score, 'Latest Condition': condition });
+    }
   }
+  return out;
 }
 
-ipcMain.handle('delete-station', async (_evt, stationId) => {
-  try {
-    // 1) Load list of all asset types
-    const lookupWb = await loadLookupWorkbook();
-    const atSh     = lookupWb.getWorksheet('AssetTypes');
-    const assetTypes = [];
-    atSh.eachRow((row, rn) => {
-      if (rn >= 2) {
-        const v = row.getCell(1).text?.trim();
-        if (v) assetTypes.push(v);
-      }
-    });
+/**
+ * Returns the asset type that already holds `stationId`, or null
+ */
+async function findStationAssetType(stationId) {
+  await loadStationRepo();
+  const id = String(stationId).trim();
+  for (const [at, list] of stationRepo.stationsByType) {
+    if (list.some(s => s.stationId === id)) return at;
+  }
+  return null;
+}
 
-    // 2) For each asset-type workbook, remove any row with Station ID === stationId
-    for (const at of assetTypes) {
-      const file = path.join(DATA_DIR, `${at}.xlsx`);
-      if (!fs.existsSync(file)) continue;
-      const wb = new ExcelJS.Workbook();
-      await wb.xlsx.readFile(file);
-      let dirty = false;
+/**
+ * Drops everything cached (used when the data folder is replaced wholesale)
+ */
+function resetStationRepo() {
+  stationRepo.loading = null;
+  stationRepo.stationsByType.clear();
+  stationRepo.repairs.clear();
+  stationRepo.inspectionDates.clear();
+  stationRepo.conditions.clear();
+  stationRepo.workbookMtimes.clear();
+  stationRepo.repairMtimes.clear();
+}
 
-      for (const ws of wb.worksheets) {
-        // find column index of “Station ID”
-        let idCol = -1;
-        ws.getRow(2).eachCell((cell, idx) => {
-          if (String(cell.value).trim() === 'Station ID') idCol = idx;
-        });
-        if (idCol < 1) continue;
+// ─── Repair Priority Score ───────────────────────────────────────────────────
+
+// Length of each Frequency unit in days
+const FREQUENCY_UNIT_DAYS = { day: 1, week: 7, month: 30.44, year: 365.25 };
+
+// Ways each Frequency unit gets written after a number (“6 mos”, “1 yr”)
+const FREQUENCY_UNIT_WORDS = {
+  day:   ['d', 'day', 'days'],
+  week:  ['w', 'wk', 'wks', 'week', 'weeks'],
+  month: ['m', 'mo', 'mos', 'mth', 'mths', 'month', 'months'],
+  year:  ['y', 'yr', 'yrs', 'year', 'years']
+};
+
+// Words that are a whole frequency on their own (hyphens and spaces dropped)
+const FREQUENCY_WORDS = {
+  daily:        { n: 1, unit: 'day' },
+  weekly:       { n: 1, unit: 'week' },
+  fortnightly:  { n: 2, unit: 'week' },
+  monthly:      { n: 1, unit: 'month' },
+  quarterly:    { n: 3, unit: 'month' },
+  semiannual:   { n: 6, unit: 'month' },
+  semiannually: { n: 6, unit: 'month' },
+  annual:       { n: 1, unit: 'year' },
+  annually:     { n: 1, unit: 'year' },
+  yearly:       { n: 1, unit: 'year' },
+  biennial:     { n: 2, unit: 'year' },
+  biennially:   { n: 2, unit: 'year' }
+};
 
-        // scan rows 3+
-        for (let r = 3; r <= ws.rowCount; r++) {
-          const val = ws.getRow(r).getCell(idCol).value;
-          if (String(val).trim() === stationId) {
-            ws.spliceRows(r, 1);
-            dirty = true;
-            break;  // if you only expect one per sheet
-          }
-        }
-      }
+/**
+ * Reads a free-form frequency → { n, unit } (unit: day | week | month | year), or null
+ *    - “3 months”, “3months”, “6 mos”, “1.5 yrs”, “every 2 years”, “every other year”,
+ *      “once a year”, “annually”, “semi-annually”, “quarterly”, …
+ *    - The one parser behind repair and inspection frequencies
+ */
+function parseFrequency(freq) {
+  const text = auditValue(freq).trim().toLowerCase()
+    .replace(/^(?:once\s+)?(?:every|each|per|an?)\s+/, '')
+    .replace(/^other\s+/, '2 ')
+    .replace(/[.\s]+$/, '');
+  const word = FREQUENCY_WORDS[text.replace(/[-\s]/g, '')];
+  if (word) return { ...word };
+
+  const m = text.match(/^(\d+(?:\.\d+)?)?\s*([a-z]+)$/);
+  if (!m) return null;
+  const unit = Object.keys(FREQUENCY_UNIT_WORDS).find(u => FREQUENCY_UNIT_WORDS[u].includes(m[2]));
+  const n = m[1] === undefined ? 1 : parseFloat(m[1]);
+  return unit && n > 0 ? { n, unit } : null;
+}
 
-      if (dirty) {
-        await wb.xlsx.writeFile(file);
-      }
+/**
+ * “3 months” → 91.32 (days), or 0 if the frequency can't be read (see parseFrequency)
+ */
+function frequencyToDays(freq) {
+  const parsed = parseFrequency(freq);
+  return parsed ? parsed.n * FREQUENCY_UNIT_DAYS[parsed.unit] : 0;
+}
+
+/**
+ * Scores every open repair and station from 0 to 100 with the priorityWeights setting
+ *    - Each factor is scaled to 0…1 before weighting:
+ *        ranking        1 → 1, rankingScale → 1/rankingScale, none → 0
+ *        cost           repair cost / the highest open repair cost
+ *        frequency      occurrences per year / the highest of any open repair
+ *        status         1 if the station is in service (first status), else 0
+ *        inspectionAge  days since the latest inspection / the longest gap; never inspected → 1
+ *        condition      latest overall condition 1 (Very Poor) → 1 … 5 (Very Good) → 0; never rated → 0
+ *        fields         (value − lowest) / (highest − lowest) over stations with a number there
+ *    - score = 100 × Σ weight × factor / Σ weight, rounded to one decimal
+ *    - A station scores like its highest open repair, or on its own factors alone
+ *      when it has no open repairs
+ *    - Recomputed from the cache on every request, so it always follows the current weights
+ *    - Returns { stations: Map stationId → score, repairs: Map stationId → Map index → score },
+ *      index being the repair's position in stationRepo.repairs (= its row order in the file),
+ *      as repairs saved before repairs had IDs all share the ID ''
+ */
+function computePriorityScores() {
+  const weights = appSettings.priorityWeights;
+  const scale = appSettings.rankingScale;
+  const stations = [...stationRepo.stationsByType.values()].flat();
+  const openRepairs = id => (stationRepo.repairs.get(id) || []).filter(r => r.status !== 'Completed');
+  const perYear = r => {
+    const days = frequencyToDays(r.freq);
+    return days ? 365.25 / days : 0;
+  };
+  const daysSince = date => (date ? Math.max(0, (Date.now() - Date.parse(`${date}T00:00:00Z`)) / 86400000) : null);
+
+  // 1) ranges used to scale each factor
+  let maxCost = 0;
+  let maxPerYear = 0;
+  let maxAge = 0;
+  for (const st of stations) {
+    for (const r of openRepairs(st.stationId)) {
+      maxCost = Math.max(maxCost, r.cost || 0);
+      maxPerYear = Math.max(maxPerYear, perYear(r));
     }
+    maxAge = Math.max(maxAge, daysSince(stationRepo.inspectionDates.get(st.stationId)) || 0);
+  }
+  const fieldRanges = {};
+  for (const key of Object.keys(weights.fields)) {
+    const nums = stations.map(st => parseFloat(st[key])).filter(Number.isFinite);
+    fieldRanges[key] = nums.length ? [Math.min(...nums), Math.max(...nums)] : [0, 0];
+  }
 
-    // 3) Delete repairs file if it exists
-    const repFile = path.join(REPAIRS_DIR, `${stationId}_repairs.xlsx`);
-    if (fs.existsSync(repFile)) {
-      await fsP.unlink(repFile);
+  const totalWeight = PRIORITY_FACTORS.reduce((sum, f) => sum + weights[f], 0) +
+    Object.values(weights.fields).reduce((sum, n) => sum + n, 0);
+  const weigh = factors => {
+    let sum = 0;
+    for (const f of PRIORITY_FACTORS) sum += weights[f] * (factors[f] || 0);
+    for (const [key, w] of Object.entries(weights.fields)) sum += w * (factors.fields[key] || 0);
+    return Math.round((totalWeight ? sum / totalWeight : 0) * 1000) / 10;
+  };
+
+  // 2) station factors, then each open repair on top of them
+  const out = { stations: new Map(), repairs: new Map() };
+  for (const st of stations) {
+    const age = daysSince(stationRepo.inspectionDates.get(st.stationId));
+    const stationFactors = {
+      status: String(st.Status || '').trim().toLowerCase() === appSettings.statusOptions[0].toLowerCase() ? 1 : 0,
+      inspectionAge: age === null ? 1 : (maxAge ? age / maxAge : 0),
+      condition: stationRepo.conditions.has(st.stationId)
+        ? (INSPECTION_CONDITIONS.length - stationRepo.conditions.get(st.stationId)) / (INSPECTION_CONDITIONS.length - 1)
+        : 0,
+      fields: {}
+    };
+    for (const [key, [lo, hi]] of Object.entries(fieldRanges)) {
+      const n = parseFloat(st[key]);
+      stationFactors.fields[key] = Number.isFinite(n) && hi > lo ? (n - lo) / (hi - lo) : 0;
     }
 
-    // 4) Delete station folder (match folder ending in _<ID>)
-    const entries = await fsP.readdir(BASE_STATIONS_PATH, { withFileTypes: true });
-    for (const e of entries) {
-      if (e.isDirectory() && e.name.toUpperCase().endsWith(`_${stationId.toUpperCase()}`)) {
-        await fsP.rm(path.join(BASE_STATIONS_PATH, e.name), { recursive: true, force: true });
-        break;
-      }
+    const repairScores = new Map();
+    for (const [i, r] of (stationRepo.repairs.get(st.stationId) || []).entries()) {
+      if (r.status === 'Completed') continue;
+      const rank = r.ranking >= 1 && r.ranking <= scale ? (scale - r.ranking + 1) / scale : 0;
+      repairScores.set(i, weigh({
+        ...stationFactors,
+        ranking: rank,
+        cost: maxCost ? (r.cost || 0) / maxCost : 0,
+        frequency: maxPerYear ? perYear(r) / maxPerYear : 0
+      }));
     }
+    out.repairs.set(st.stationId, repairScores);
+    out.stations.set(st.stationId, repairScores.size
+      ? Math.max(...repairScores.values())
+      : weigh(stationFactors));
+  }
+  return out;
+}
+
+// ─── Audit Log ───────────────────────────────────────────────────────────────
+
+/**
+ * Append-only change history, one JSON object per line:
+ *    { timestamp, user, action, stationId, field, oldValue, newValue }
+ *    - action: create | update | delete | repair | upload
+ *    - Lives in data/audit/ and is never captured in or overwritten by snapshots
+ */
+const AUDIT_DIR = path.join(DATA_DIR, 'audit');
+const AUDIT_LOG_PATH = path.join(AUDIT_DIR, 'audit-log.jsonl');
+let auditQueue = Promise.resolve();
+
+// Keys that get-station-data derives from the real columns (not audited twice),
+// plus the computed ones getAllStations adds
+const DERIVED_STATION_KEYS = new Set([
+  'stationId', 'stationName', 'latitude', 'longitude', 'category', ...COMPUTED_STATION_KEYS
+]);
+
+/**
+ * Returns the OS account name recorded against each change
+ */
+function currentUserName() {
+  try {
+    return os.userInfo().username;
+  } catch {
+    return process.env.USERNAME || process.env.USER || 'unknown';
+  }
+}
+
+/**
+ * Flattens a cell value (dates, rich text, hyperlinks, formulas) to a plain string
+ */
+function auditValue(v) {
+  if (v === null || v === undefined) return '';
+  if (v instanceof Date) return v.toISOString();
+  if (typeof v === 'object') {
+    if (v.richText) return v.richText.map(rt => rt.text).join('');
+    if (v.text !== undefined) return String(v.text);
+    if (v.result !== undefined) return String(v.result);
+    return JSON.stringify(v);
+  }
+  return String(v);
+}
+
+/**
+ * Appends one or more entries to the audit log
+ *    - Writes are queued so entries land in call order
+ *    - A failed write is logged but never fails the change being audited
+ */
+function appendAudit(entries) {
+  const list = Array.isArray(entries) ? entries : [entries];
+  if (!list.length) return auditQueue;
+
+  const timestamp = new Date().toISOString();
+  const user = currentUserName();
+  const lines = list.map(e => JSON.stringify({
+    timestamp,
+    user,
+    action:    e.action,
+    stationId: String(e.stationId ?? ''),
+    field:     e.field || '',
+    oldValue:  auditValue(e.oldValue),
+    newValue:  auditValue(e.newValue)
+  })).join('\n') + '\n';
+
+  auditQueue = auditQueue
+    .then(() => fsP.mkdir(AUDIT_DIR, { recursive: true }))
+    .then(() => fsP.appendFile(AUDIT_LOG_PATH, lines, 'utf8'))
+    .catch(err => console.error('audit log error:', err));
+  return auditQueue;
+}
+
+/**
+ * Returns the cached rows of the given asset types as a Map of stationId → station
+ */
+function cachedStationsFor(assetTypes) {
+  const out = new Map();
+  for (const at of assetTypes) {
+    for (const st of stationRepo.stationsByType.get(at) || []) out.set(st.stationId, st);
+  }
+  return out;
+}
+
+/**
+ * Field-by-field audit entries between two stationId → station maps
+ *    - New IDs produce a "create" entry per non-empty field
+ *    - Missing IDs produce a single "delete" entry
+ *    - Everything else produces an "update" entry per changed field
+ */
+function diffStationsForAudit(before, after) {
+  const entries = [];
+  for (const [sid, cur] of after) {
+    const old = before.get(sid);
+    for (const k of Object.keys(cur)) {
+      if (DERIVED_STATION_KEYS.has(k)) continue;
+      const newVal = auditValue(cur[k]);
+      if (!old) {
+        if (newVal !== '') entries.push({ action: 'create', stationId: sid, field: k, newValue: newVal });
+      } else if (auditValue(old[k]) !== newVal) {
+        entries.push({ action: 'update', stationId: sid, field: k, oldValue: old[k], newValue: newVal });
+      }
+    }
+    if (old) {
+      // columns that disappeared from this row entirely
+      for (const k of Object.keys(old)) {
+        if (DERIVED_STATION_KEYS.has(k) || k in cur) continue;
+        if (auditValue(old[k]) !== '') {
+          entries.push({ action: 'update', stationId: sid, field: k, oldValue: old[k], newValue: '' });
+        }
+      }
+    }
+  }
+  for (const [sid, old] of before) {
+    if (!after.has(sid)) {
+      entries.push({ action: 'delete', stationId: sid, field: '', oldValue: `${old.stationName} (${old.category})` });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Audit entries between two repair lists
+ *    - Matched by repair ID; repairs without one (older files) by name
+ */
+function diffRepairsForAudit(stationId, before, after) {
+  const entries = [];
+  const describe = r => `ranking ${r.ranking || '–'}, cost ${r.cost || 0}, frequency ${auditValue(r.freq) || '–'}`;
+  const byId = new Map(before.filter(r => r.id).map(r => [r.id, r]));
+  const byTitle = new Map(before.filter(r => !r.id).map(r => [auditValue(r.title), r]));
+  const seen = new Set();
+  for (const r of after) {
+    const title = auditValue(r.title);
+    const old = byId.get(r.id) || byTitle.get(title);
+    if (!old || seen.has(old)) {
+      entries.push({ action: 'repair', stationId, field: `Repair "${title}"`, newValue: describe(r) });
+      continue;
+    }
+    seen.add(old);
+    const oldTitle = auditValue(old.title);
+    if (oldTitle !== title) {
+      entries.push({ action: 'repair', stationId, field: `Repair "${title}" – Name`, oldValue: oldTitle, newValue: title });
+    }
+    [
+      ['ranking', 'Ranking'], ['cost', 'Cost'], ['freq', 'Frequency'], ['status', 'Status'],
+      ['dateScheduled', 'Scheduled Date'], ['dateCompleted', 'Date Completed'], ['actualCost', 'Actual Cost'], ['notes', 'Notes']
+    ].forEach(([key, label]) => {
+      if (auditValue(old[key]) !== auditValue(r[key])) {
+        entries.push({ action: 'repair', stationId, field: `Repair "${title}" – ${label}`, oldValue: old[key], newValue: r[key] });
+      }
+    });
+  }
+  for (const old of before) {
+    if (!seen.has(old)) {
+      entries.push({ action: 'repair', stationId, field: `Repair "${auditValue(old.title)}"`, oldValue: describe(old), newValue: '' });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Works out which station a file path under the stations folder belongs to
+ *    - Station folders are named <SITE_NAME>_<ID>; falls back to the folder name
+ */
+async function stationIdForPath(filePath) {
+  const rel = path.relative(stationsBasePath(), filePath);
+  const folder = rel.split(/[\\/]/)[0] || '';
+  await loadStationRepo().catch(() => {});
+  for (const list of stationRepo.stationsByType.values()) {
+    for (const st of list) {
+      if (folder.toUpperCase().endsWith(`_${st.stationId.toUpperCase()}`)) return st.stationId;
+    }
+  }
+  return folder;
+}
+
+// ─── Undo / Redo ─────────────────────────────────────────────────────────────
+
+/**
+ * Session-level undo/redo for station creates, saves, deletions and repair changes
+ *    - Before an undoable write, every file it may touch is copied into UNDO_DIR
+ *      (a file that doesn't exist yet is remembered as absent)
+ *    - Undo copies the current versions aside (for redo), then puts the old ones back
+ *    - A deleted station's folder is moved into UNDO_DIR instead of being removed,
+ *      and a new station's folder is moved there when its creation is undone
+ *    - Only the last MAX_UNDO_STEPS steps are kept; UNDO_DIR is wiped on quit
+ *    - lookups.xlsx is only captured by schema migrations (its Schema rows follow the
+ *      columns), so undo doesn't roll back colours or locations
+ */
+const UNDO_DIR = path.join(os.tmpdir(), `nhs-infra-undo-${process.pid}`);
+const MAX_UNDO_STEPS = 50;
+const undoStack = [];
+const redoStack = [];
+let undoStepCounter = 0;
+
+/**
+ * Copies each of `files` into `dir` and returns [{ target, copy }]
+ *    - copy is null for files that don't exist
+ */
+async function captureFiles(dir, files) {
+  await fsP.rm(dir, { recursive: true, force: true });
+  await fsP.mkdir(dir, { recursive: true });
+  const state = [];
+  for (const [i, target] of files.entries()) {
+    if (fs.existsSync(target)) {
+      const copy = path.join(dir, `${i}${path.extname(target)}`);
+      await fsP.copyFile(target, copy);
+      state.push({ target, copy });
+    } else {
+      state.push({ target, copy: null });
+    }
+  }
+  return state;
+}
+
+/**
+ * Puts a captured state back on disk (copy → temp file → rename, like every write)
+ *    - Files that were absent are deleted
+ *    - Whatever gets replaced still goes into the rolling backups
+ */
+async function applyFiles(state) {
+  for (const { target, copy } of state) {
+    if (fs.existsSync(target)) await backupWorkbook(target);
+    if (!copy) {
+      await fsP.rm(target, { force: true });
+      continue;
+    }
+    await fsP.mkdir(path.dirname(target), { recursive: true });
+    const tmpPath = `${target}.${process.pid}.${++tmpWriteCounter}.tmp`;
+    await fsP.copyFile(copy, tmpPath);
+    await fsP.rename(tmpPath, target);
+  }
+}
+
+/**
+ * Moves a folder, falling back to copy + remove across drives
+ */
+async function moveFolder(from, to) {
+  await fsP.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fsP.rename(from, to);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    await fsP.cp(from, to, { recursive: true });
+    await fsP.rm(from, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Captures `files` before an undoable write and returns the step
+ *    - Call commitUndoStep(step) once the write succeeded
+ */
+async function beginUndoStep(label, stationIds, files) {
+  const id = String(++undoStepCounter);
+  const dir = path.join(UNDO_DIR, id);
+  return {
+    id,
+    label,
+    dir,
+    stationIds: stationIds.map(s => String(s).trim()),
+    before: await captureFiles(path.join(dir, 'before'), files),
+    after: null,
+    folders: []      // [{ target, stash, created }] station folders moved out of the way
+  };
+}
+
+/**
+ * Stashes a station folder in the step instead of deleting it
+ */
+async function stashFolderInUndoStep(step, folderPath) {
+  const stash = path.join(step.dir, 'folders', String(step.folders.length));
+  await moveFolder(folderPath, stash);
+  step.folders.push({ target: folderPath, stash });
+}
+
+/**
+ * Remembers a station folder the step created, so undo can move it out of the way
+ */
+function addCreatedFolderToUndoStep(step, folderPath) {
+  const stash = path.join(step.dir, 'folders', String(step.folders.length));
+  step.folders.push({ target: folderPath, stash, created: true });
+}
+
+function discardUndoSteps(steps) {
+  for (const step of steps) {
+    fs.rmSync(step.dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Drops a step whose write failed before it was committed (there is nothing to undo)
+ */
+function abandonUndoStep(step) {
+  if (step && !undoStack.includes(step)) discardUndoSteps([step]);
+}
+
+/**
+ * Pushes a finished step; any redo history is dropped, as in every editor
+ */
+function commitUndoStep(step) {
+  undoStack.push(step);
+  discardUndoSteps(redoStack.splice(0));
+  if (undoStack.length > MAX_UNDO_STEPS) {
+    discardUndoSteps(undoStack.splice(0, undoStack.length - MAX_UNDO_STEPS));
+  }
+}
+
+/**
+ * Forgets every step (the data folder was replaced, so the copies no longer apply)
+ */
+function clearUndoHistory() {
+  undoStack.length = 0;
+  redoStack.length = 0;
+  fs.rmSync(UNDO_DIR, { recursive: true, force: true });
+}
+
+/**
+ * Snapshot of what the audit log compares across an undo/redo
+ */
+async function auditStateFor(stationIds) {
+  await loadStationRepo();
+  const repairs = new Map();
+  for (const id of stationIds) repairs.set(id, await readStationRepairs(id));
+  return { rows: cachedStationsFor([...stationRepo.stationsByType.keys()]), repairs };
+}
+
+/**
+ * Applies one side of a step, reloads the station cache and audits the result
+ *    - direction 'undo' restores step.before (capturing step.after first)
+ *    - direction 'redo' restores step.after
+ */
+async function applyUndoStep(step, direction) {
+  const before = await auditStateFor(step.stationIds);
+
+  if (direction === 'undo') {
+    step.after = await captureFiles(path.join(step.dir, 'after'), step.before.map(f => f.target));
+    await applyFiles(step.before);
+  } else {
+    await applyFiles(step.after);
+  }
+  // a deleted folder is back after undo, a created one after redo
+  for (const f of step.folders) {
+    const present = f.created ? direction === 'redo' : direction === 'undo';
+    if (present && !fs.existsSync(f.target) && fs.existsSync(f.stash)) await moveFolder(f.stash, f.target);
+    if (!present && fs.existsSync(f.target)) await moveFolder(f.target, f.stash);
+  }
+
+  resetStationRepo();
+  const after = await auditStateFor(step.stationIds);
+  appendAudit([
+    ...diffStationsForAudit(before.rows, after.rows),
+    ...step.stationIds.flatMap(id =>
+      diffRepairsForAudit(id, before.repairs.get(id), after.repairs.get(id)))
+  ]);
+}
+
+function undoState() {
+  return {
+    undoLabel: undoStack.at(-1)?.label || null,
+    redoLabel: redoStack.at(-1)?.label || null
+  };
+}
+
+/**
+ * IPC handler: undo-change
+ *    - Reverts the most recent undoable change and moves it onto the redo stack
+ *    - Returns { success, label, stationIds, undoLabel, redoLabel }
+ */
+ipcMain.handle('undo-change', async () => {
+  const step = undoStack.pop();
+  if (!step) return { success: false, message: 'Nothing to undo.', ...undoState() };
+  try {
+    await applyUndoStep(step, 'undo');
+    redoStack.push(step);
+    return { success: true, label: step.label, stationIds: step.stationIds, ...undoState() };
+  } catch (err) {
+    console.error('undo-change error:', err);
+    undoStack.push(step);
+    return { success: false, message: err.message, ...undoState() };
+  }
+});
+
+/**
+ * IPC handler: redo-change
+ *    - Re-applies the most recently undone change
+ */
+ipcMain.handle('redo-change', async () => {
+  const step = redoStack.pop();
+  if (!step) return { success: false, message: 'Nothing to redo.', ...undoState() };
+  try {
+    await applyUndoStep(step, 'redo');
+    undoStack.push(step);
+    return { success: true, label: step.label, stationIds: step.stationIds, ...undoState() };
+  } catch (err) {
+    console.error('redo-change error:', err);
+    redoStack.push(step);
+    return { success: false, message: err.message, ...undoState() };
+  }
+});
+
+/**
+ * IPC handler: get-undo-state → { undoLabel, redoLabel } (null when empty)
+ */
+ipcMain.handle('get-undo-state', async () => undoState());
+
+/**
+ * Name of a station's folder under the stations folder, e.g. AKIE_RIVER_07EA007
+ */
+function stationFolderName(siteName, stationId) {
+  return `${String(siteName || '').toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_${stationId}`;
+}
+
+/**
+ * Inserts a new station into its asset‐type workbook and province sheet.
+ *   - Verifies global uniqueness across all asset-type files.
+ *   - Loads or creates the target workbook and province sheet.
+ *   - Adds any missing “Section – Field” columns to every sheet.
+ *   - Appends the station’s core fields and extra-section values.
+ *   - options.step: undo step that should also remove the new station folder
+ *   - options.schema: the asset type's schema, if the caller already read it
+ *     (bulk import reads it once for every row)
+ *   - Returns { success, message }.
+ */
+async function createNewStationInternal(stationObject, options = {}) {
+  try {
+    // 1) Check uniqueness against the station repository (covers every asset-type file)
+    const existingAt = await findStationAssetType(stationObject.generalInfo.stationId);
+    if (existingAt) {
+      return { success: false, message: `Station ID "${stationObject.generalInfo.stationId}" already exists in ${existingAt}` };
+    }
+
+    // 1b) Check the extra-section values against the asset type's schema
+    const fieldValues = {};
+    for (const [secName, fieldsObj] of Object.entries(stationObject.extraSections || {})) {
+      for (const [fn, val] of Object.entries(fieldsObj)) fieldValues[`${secName} - ${fn}`] = val;
+    }
+    const schema = options.schema || await readAssetTypeSchema(stationObject.assetType);
+    const fieldErrors = validateStationFields(schema, fieldValues);
+    if (fieldErrors.length) {
+      return {
+        success: false,
+        message: fieldErrors.map(e => e.message).join('; '),
+        fieldErrors
+      };
+    }
+    for (const [secName, fieldsObj] of Object.entries(stationObject.extraSections || {})) {
+      for (const fn of Object.keys(fieldsObj)) fieldsObj[fn] = fieldValues[`${secName} - ${fn}`];
+    }
+
+    // 2) Load the workbook for this station’s assetType
+    const dataPath = path.join(DATA_DIR, `${stationObject.assetType}.xlsx`);
+    const wb2 = new ExcelJS.Workbook();
+    if (!fs.existsSync(dataPath)) {
+      return { success:false, message:`Workbook for asset type "${stationObject.assetType}" was not found.` };
+    }
+    await wb2.xlsx.readFile(dataPath);
+
+    // 3) Ensure the province sheet exists (create if missing)
+    const province = stationObject.generalInfo.province;
+    // Try exact match, otherwise do a case‐insensitive lookup
+    let ws =
+      wb2.getWorksheet(province) ||
+      wb2.worksheets.find(sheet => sheet.name.toLowerCase() === province.toLowerCase());
+
+    if (!ws) {
+      ws = wb2.addWorksheet(province);
+
+      // Header row 1: merged title
+      ws.mergeCells('A1:H1');
+      ws.getCell('A1').value = 'General Information';
+      ws.getCell('A1').alignment = { horizontal: 'center', vertical: 'middle' };
+      ws.getCell('A1').font = { bold: true };
+
+      // Header row 2: core column names
+      const cols = [
+        'Station ID', 'Asset Type', 'Site Name',
+        'Province', 'Latitude', 'Longitude',
+        'Status', 'Repair Ranking'
+      ];
+      cols.forEach((hdr, i) => {
+        const cell = ws.getRow(2).getCell(i + 1);
+        cell.value = hdr;
+        cell.font = { bold: true };
+        cell.alignment = { horizontal: 'left', vertical: 'middle' };
+      });
+
+      // persist new sheet/page
+      await writeWorkbookAtomic(wb2, dataPath);
+    }
+
+    // 4) Determine any new dynamic columns from extraSections
+    const newFullCols = [];
+    for (const [secName, fieldsObj] of Object.entries(stationObject.extraSections || {})) {
+      for (const fn of Object.keys(fieldsObj)) {
+        const fullCol = `${secName} - ${fn}`;
+        if (!ws.getRow(2).values.includes(fullCol)) {
+          newFullCols.push(fullCol);
+        }
+      }
+    }
+
+    // 5) Inject each new column into every worksheet
+    wb2.worksheets.forEach(sheet => {
+      const existing = sheet.getRow(2).values.slice(1).map(v => String(v));
+      newFullCols.forEach(colName => {
+        if (!existing.includes(colName)) {
+          const newIdx = existing.length + 1;
+          // insert blank column
+          sheet.spliceColumns(newIdx, 0, []);
+          const cell = sheet.getRow(2).getCell(newIdx);
+          // set header
+          cell.value = colName;
+          cell.font = { bold:true };
+          cell.alignment = { horizontal:'left', vertical:'middle' };
+          existing.push(colName);
+        }
+      });
+    });
+
+
+    // 6) Build a header→column index map from row 2
+    const headerRow2 = ws.getRow(2);
+    const headers = [];
+    headerRow2.eachCell((cell, idx) => {
+      headers[idx - 1] = cell.value ? String(cell.value).trim() : null;
+    });
+    const headerMap = {};
+    headers.forEach((h, i) => {
+      if (h) headerMap[h] = i + 1;
+    });
+
+    // 7) Add any new “Section – Field” columns
+    for (const [secName, fieldsObj] of Object.entries(stationObject.extraSections || {})) {
+      for (const [fn, val] of Object.entries(fieldsObj)) {
+        const fullCol = `${secName} - ${fn}`;
+        if (!headerMap[fullCol]) {
+          const lastIdx = headers.length;
+          ws.spliceColumns(lastIdx + 1, 0, []);
+          ws.getRow(2).getCell(lastIdx + 1).value = fullCol;
+          ws.getRow(2).getCell(lastIdx + 1).font = { bold: true };
+          ws.getRow(2).getCell(lastIdx + 1).alignment = { horizontal:'left', vertical:'middle' };
+          headers.push(fullCol);
+          headerMap[fullCol] = lastIdx + 1;
+        }
+      }
+    }
+
+    // 8) Append the new station row
+    const newRowIdx = ws.rowCount + 1;
+    const newRow = ws.getRow(newRowIdx);
+
+    // Core fields
+    newRow.getCell(headerMap['Station ID']).value = stationObject.generalInfo.stationId;
+    newRow.getCell(headerMap['Asset Type']).value = stationObject.assetType;
+    newRow.getCell(headerMap['Site Name']).value = stationObject.generalInfo.siteName;
+    newRow.getCell(headerMap['Province']).value = stationObject.generalInfo.province;
+    newRow.getCell(headerMap['Latitude']).value = Number(stationObject.generalInfo.latitude);
+    newRow.getCell(headerMap['Longitude']).value = Number(stationObject.generalInfo.longitude);
+    newRow.getCell(headerMap['Status']).value = stationObject.generalInfo.status;
+    if (headerMap['Repair Ranking']) {
+      newRow.getCell(headerMap['Repair Ranking']).value = stationObject.generalInfo.repairRanking;
+    }
+
+    // Extra section fields
+    for (const [secName, fieldsObj] of Object.entries(stationObject.extraSections || {})) {
+      for (const [fn, val] of Object.entries(fieldsObj)) {
+        const fullCol = `${secName} - ${fn}`;
+        if (headerMap[fullCol]) {
+          newRow.getCell(headerMap[fullCol]).value = val;
+        }
+      }
+    }
+    newRow.commit();
+
+    // 9) Save the updated workbook (new columns touch every row, so re-index the whole file)
+    const beforeRows = cachedStationsFor([stationObject.assetType]);
+    await writeWorkbookAtomic(wb2, dataPath);
+    await stationRepoIndexWorkbook(wb2, stationObject.assetType);
+    appendAudit(diffStationsForAudit(beforeRows, cachedStationsFor([stationObject.assetType])));
+
+    // ─── 10) Create the station’s folder on disk ─────────────────────────────
+    // e.g. AKIE_RIVER_NEAR_THE_760_M_CONTOUR_07EA007
+    const stationFolderPath = path.join(
+      stationsBasePath(),
+      stationFolderName(stationObject.generalInfo.siteName, stationObject.generalInfo.stationId)
+    );
+    try {
+      if (!fs.existsSync(stationFolderPath)) {
+        await fsPromises.mkdir(stationFolderPath, { recursive: true });
+        if (options.step) addCreatedFolderToUndoStep(options.step, stationFolderPath);
+      }
+    } catch (err) {
+      console.warn(`Could not create station folder "${stationFolderPath}":`, err);
+    }
+
+    return { success: true, message: 'New station created successfully.' };
+
+  } catch (err) {
+    console.error('create-new-station error:', err);
+    return { success: false, message: err.message };
+  }
+}
+
+ipcMain.handle('delete-station', async (_evt, stationId) => {
+  let step;
+  try {
+    await loadStationRepo();
+    step = await beginUndoStep(`Delete station ${stationId}`, [stationId], [
+      ...[...stationRepo.stationsByType]
+        .filter(([, list]) => list.some(s => s.stationId === String(stationId).trim()))
+        .map(([at]) => path.join(DATA_DIR, `${at}.xlsx`)),
+      path.join(REPAIRS_DIR, `${stationId}_repairs.xlsx`)
+    ]);
+
+    // 1) Load list of all asset types
+    const lookupWb = await loadLookupWorkbook();
+    const atSh     = lookupWb.getWorksheet('AssetTypes');
+    const assetTypes = [];
+    atSh.eachRow((row, rn) => {
+      if (rn >= 2) {
+        const v = row.getCell(1).text?.trim();
+        if (v) assetTypes.push(v);
+      }
+    });
+
+    // 2) For each asset-type workbook, remove any row with Station ID === stationId
+    for (const at of assetTypes) {
+      const file = path.join(DATA_DIR, `${at}.xlsx`);
+      if (!fs.existsSync(file)) continue;
+      const wb = new ExcelJS.Workbook();
+      await wb.xlsx.readFile(file);
+      let dirty = false;
+
+      for (const ws of wb.worksheets) {
+        // find column index of “Station ID”
+        let idCol = -1;
+        ws.getRow(2).eachCell((cell, idx) => {
+          if (String(cell.value).trim() === 'Station ID') idCol = idx;
+        });
+        if (idCol < 1) continue;
+
+        // scan rows 3+
+        for (let r = 3; r <= ws.rowCount; r++) {
+          const val = ws.getRow(r).getCell(idCol).value;
+          if (String(val).trim() === stationId) {
+            ws.spliceRows(r, 1);
+            dirty = true;
+            break;  // if you only expect one per sheet
+          }
+        }
+      }
+
+      if (dirty) {
+        const beforeRows = cachedStationsFor([at]);
+        await writeWorkbookAtomic(wb, file);
+        await stationRepoIndexWorkbook(wb, at);
+        appendAudit(diffStationsForAudit(beforeRows, cachedStationsFor([at])));
+      }
+    }
+
+    // 3) Delete repairs file if it exists
+    const repFile = path.join(REPAIRS_DIR, `${stationId}_repairs.xlsx`);
+    if (fs.existsSync(repFile)) {
+      await fsP.unlink(repFile);
+    }
+    await stationRepoRefreshRepairs(stationId);
+
+    // 4) Move the station folder (ending in _<ID>) into the undo step, so undo can bring it back
+    const entries = await fsP.readdir(stationsBasePath(), { withFileTypes: true }).catch(() => []);
+    for (const e of entries) {
+      if (e.isDirectory() && e.name.toUpperCase().endsWith(`_${stationId.toUpperCase()}`)) {
+        await stashFolderInUndoStep(step, path.join(stationsBasePath(), e.name));
+        break;
+      }
+    }
+
+    commitUndoStep(step);
+    return { success: true, undoLabel: step.label };
+  } catch (err) {
+    console.error('delete-station error:', err);
+    abandonUndoStep(step);
+    return { success: false, message: err.message };
+  }
+});
+
+
+
+
+
+// ─── IPC: Lookups ────────────────────────────────────────────────────────────
+
+/**
+ * IPC handler: gets all saved locations for the “Add Infrastructure” dropdown
+ *    - Calls readLookupList('Locations')
+ *    - Returns { success: true, data: [...] } on success
+ *    - Catches errors and responds { success: false, message }
+ */
+ipcMain.handle('get-locations', async () => {
+  try {
+    const data = await readLookupList('Locations');
+    return { success: true, data };
+  } catch (err) {
+    console.error('get-locations error:', err);
+    return { success: false, message: err.message };
+  }
+});
+
+/**
+ * IPC handler: gets all asset types for the “Add Infrastructure” dropdown
+ *    - Calls readLookupList('AssetTypes')
+ *    - Returns { success: true, data: [...] } on success
+ *    - Logs and returns { success: false, message } on error
+ */
+ipcMain.handle('get-asset-types', async () => {
+  try {
+    const data = await readLookupList('AssetTypes');
+    return { success: true, data };
+  } catch (err) {
+    console.error('get-asset-types error:', err);
+    return { success: false, message: err.message };
+  }
+});
+
+/**
+ * IPC handler: saves a new location to lookups.xlsx
+ *    - Validates input is a nonempty string
+ *    - Calls appendToLookup('Locations', newLocation)
+ *    - Returns { success: true, added: boolean }
+ *    - On error logs and returns { success: false, message }
+ */
+ipcMain.handle('add-new-location', async (event, newLocation) => {
+  // reject invalid inputs
+  if (!newLocation || typeof newLocation !== 'string') {
+    return { success: false, message: 'Invalid location string.' };
+  }
+  try {
+    const added = await appendToLookup('Locations', newLocation);
+    return { success: true, added };
+  } catch (err) {
+    console.error('add-new-location error:', err);
+    return { success: false, message: err.message };
+  }
+});
+
+// Add a new asset type & create its own workbook
+ipcMain.handle('add-new-asset-type', (e, at) => { 
+  return addNewAssetTypeInternal(at);
+});
+
+// ─── IPC: Station CRUD ───────────────────────────────────────────────────────
+
+/**
+ * Create a new station in its asset-type workbook & province sheet.
+ * stationObject = {
+ *   location, assetType,
+ *   generalInfo: { stationId, siteName, province, latitude, longitude, status, repairRanking },
+ *   extraSections: { [sectionName]: { [fieldName]: value, … }, … }
+ * }
+ */
+ipcMain.handle('create-new-station', async (e, station) => {
+  let step;
+  try {
+    const stationId = station.generalInfo.stationId;
+    step = await beginUndoStep(
+      `Create station ${stationId}`,
+      [stationId],
+      [path.join(DATA_DIR, `${station.assetType}.xlsx`)]
+    );
+    const res = await createNewStationInternal(station, { step });
+    if (res.success) {
+      commitUndoStep(step);
+      res.undoLabel = step.label;
+    } else {
+      abandonUndoStep(step);
+    }
+    return res;
+  } catch (err) {
+    console.error('create-new-station error:', err);
+    abandonUndoStep(step);
+    return { success: false, message: err.message };
+  }
+});
+
+/**
+ * IPC handler: retrieves all station records across every asset type and province
+ *    - Served from the in-memory station repository (loaded once, kept in sync by writes)
+ *    - Only stations with a valid ID/latitude/longitude are returned
+ *    - Repair Ranking / Repair Cost / Frequency come from each station's repairs file
+ *    - Returns an array of { stationId, stationName, latitude, longitude, category, Status, …extraFields }
+ */
+ipcMain.handle('get-station-data', async () => {
+  try {
+    return await getAllStations();
+  } catch (err) {
+    console.error('get-station-data error:', err);
+    return [];
+  }
+});
+
+/**
+ * Writes `value` into `cell` only if it differs from what the cell shows now,
+ * so unchanged cells keep their formulas, comments and formatting
+ */
+function setCellIfChanged(cell, value) {
+  const current = auditValue(cell.value);
+  if (current === auditValue(value)) return false;
+  // a real Excel date the schema normalised to YYYY-MM-DD is still the same date
+  if (cell.value instanceof Date && current.slice(0, 10) === auditValue(value)) return false;
+  cell.value = value;
+  return true;
+}
+
+/**
+ * IPC handler: updates an existing station record
+ *    - Same category & province: updates the changed cells of its existing row in place
+ *    - Otherwise removes its row from the old category workbook
+ *      and appends it to the new category’s province sheet (created if needed)
+ *    - Syncs core + dynamic headers across all sheets
+ *    - COMPUTED_STATION_KEYS the renderer sends back with the station are dropped first,
+ *      so they never become columns
+ */
+ipcMain.handle('save-station-data', async (_event, updatedStation) => {
+  let step;
+  try {
+    COMPUTED_STATION_KEYS.forEach(k => delete updatedStation[k]);
+
+    // 1) Identify station ID, old vs. new category, and new province
+    const stationId = String(
+      updatedStation.stationId ||
+      updatedStation['Station ID']
+    ).trim();
+    const oldAt = String(updatedStation.category || '').trim();
+    const newAt = String(
+      updatedStation['Category'] ||
+      updatedStation.category ||
+      ''
+    ).trim();
+    if (!newAt) return { success: false, message: 'No category specified.' };
+    const newProv = String(
+      updatedStation['General Information – Province'] ||
+      updatedStation.Province ||
+      updatedStation.province ||
+      ''
+    ).trim();
+    if (!newProv) return { success: false, message: 'No province specified.' };
+
+    // Check the "Section - Field" values against the new category's schema
+    const fieldValues = {};
+    Object.keys(updatedStation)
+      .filter(k => k.includes(' - '))
+      .forEach(k => { fieldValues[k] = updatedStation[k]; });
+    const fieldErrors = validateStationFields(await readAssetTypeSchema(newAt), fieldValues);
+    if (fieldErrors.length) {
+      return {
+        success: false,
+        message: fieldErrors.map(e => e.message).join('; '),
+        fieldErrors
+      };
+    }
+    Object.assign(updatedStation, fieldValues);
+
+    // Add new province to lookup list if needed
+    await appendToLookup('Locations', newProv);
+
+    // Remember the affected rows as they are now, for the audit log
+    await loadStationRepo();
+    const auditTypes = [...new Set([oldAt, newAt].filter(Boolean))];
+    const beforeRows = cachedStationsFor(auditTypes);
+    step = await beginUndoStep(
+      `Save station ${stationId}`,
+      [stationId],
+      auditTypes.map(at => path.join(DATA_DIR, `${at}.xlsx`))
+    );
+
+    // 2) Find the station's current row
+    //    - Same category & province sheet → keep it and update it in place below
+    //      (row order, formatting, comments and formulas stay as they are)
+    //    - Otherwise remove it from the previous category file
+    let inPlace = null;   // { sheetName, rowNumber }
+    if (oldAt) {
+      const oldPath = path.join(DATA_DIR, `${oldAt}.xlsx`);
+      if (fs.existsSync(oldPath)) {
+        const wbOld = new ExcelJS.Workbook();
+        await wbOld.xlsx.readFile(oldPath);
+        let removed = false;
+        wbOld.worksheets.forEach(ws => {
+          // locate Station ID column in row 2
+          const hdrs = [];
+          ws.getRow(2).eachCell((c, i) => hdrs[i - 1] = String(c.value || '').trim());
+          const idCol = hdrs.indexOf('Station ID') + 1;
+          if (!idCol) return;
+          // keep or splice out the matching row
+          for (let r = 3; r <= ws.rowCount; r++) {
+            if (String(ws.getRow(r).getCell(idCol).value || '').trim() === stationId) {
+              if (!inPlace && oldAt === newAt && ws.name.toLowerCase() === newProv.toLowerCase()) {
+                inPlace = { sheetName: ws.name, rowNumber: r };
+              } else {
+                ws.spliceRows(r, 1);
+                removed = true;
+              }
+              break;
+            }
+          }
+        });
+
+        if (removed) {
+          await writeWorkbookAtomic(wbOld, oldPath);
+          await stationRepoIndexWorkbook(wbOld, oldAt);
+        }
+      }
+    }
+
+    // 3) Load (or create) the new category workbook
+    await addNewAssetTypeInternal(newAt);
+    const newPath = path.join(DATA_DIR, `${newAt}.xlsx`);
+    const wbNew = new ExcelJS.Workbook();
+    await wbNew.xlsx.readFile(newPath);
+
+    // 4) Figure out exactly which dynamic headers existed before we make any changes
+    const sheet0 = wbNew.worksheets[0];
+    const beforeHeaders = sheet0.getRow(2)
+                          .values
+                          .slice(1)            // drop the dummy 0-index
+                          .map(v => String(v).trim())
+                          .filter(v => v);
+    const CORE = new Set([
+      'Station ID','Asset Type','Site Name',
+      'Province','Latitude','Longitude',
+      'Status','Repair Ranking'
+    ]);
+    // everything not in CORE is “dynamic”
+    const beforeDynamic = beforeHeaders.filter(h => !CORE.has(h));
+    
+
+    const allKeys = Object.keys(updatedStation).filter(k =>
+      ![
+        'stationId', 'stationName', 'latitude', 'longitude',
+        'category', 'Category'
+      ].includes(k)
+    );
+    const targetHeaders = Array.from(new Set([ ...CORE, ...allKeys ]));
+
+       // 5) Sync headers across every sheet: drop extras, then add missing
+    {
+      // Define your 8 core columns
+      const CORE = new Set([
+        'Station ID','Asset Type','Site Name',
+        'Province','Latitude','Longitude',
+        'Status','Repair Ranking'
+      ]);
+
+      // Read the “before” dynamic headers from the first sheet
+      const before = wbNew.worksheets[0].getRow(2).values
+        .slice(1)                        // drop dummy 0 index
+        .map(v => String(v||'').trim())
+        .filter(h => h && !CORE.has(h));
+
+      // Compute the “after” headers you actually want
+      const after = Object.keys(updatedStation)
+        .filter(k => !['stationId','stationName','latitude','longitude','category'].includes(k));
+      const targetHeaders = [ ...CORE, ...after ];
+
+      // Now for each sheet: 1) remove any column in `before` that isn’t in `after`, 2) add any missing
+      wbNew.worksheets.forEach(ws => {
+        // — 1) DROP removed columns —
+        before.forEach(hdr => {
+          if (!targetHeaders.includes(hdr)) {
+            // find its column index in row 2
+            let colToRemove = null;
+            ws.getRow(2).eachCell((cell, idx) => {
+              if (String(cell.value||'').trim() === hdr) {
+                colToRemove = idx;
+              }
+            });
+            if (colToRemove !== null) {
+              ws.spliceColumns(colToRemove, 1);
+            }
+          }
+        });
+
+        // — 2) RE-READ headers now that we’ve dropped some —
+        const current = ws.getRow(2).values
+          .slice(1)
+          .map(v => String(v||'').trim());
+
+        // — 3) APPEND any that are still missing —
+        targetHeaders.forEach(hdr => {
+          if (!current.includes(hdr)) {
+            const newCol = current.length + 1;
+            ws.spliceColumns(newCol, 0, []);
+            const cell = ws.getRow(2).getCell(newCol);
+            cell.value     = hdr;
+            cell.font      = { bold: true };
+            cell.alignment = { horizontal: 'left', vertical: 'middle' };
+            current.push(hdr);
+          }
+        });
+      });
+    }
+
+
+
+
+    // 6) Ensure the province sheet exists (create if missing)
+    // Try exact match first, else case-insensitive
+    let wsTarget = inPlace
+      ? wbNew.getWorksheet(inPlace.sheetName)
+      : wbNew.getWorksheet(newProv) ||
+        wbNew.worksheets.find(sheet => sheet.name.toLowerCase() === newProv.toLowerCase());
+
+    if (!wsTarget) {
+      wsTarget = wbNew.addWorksheet(newProv);
+
+      // Header row 1: merged title
+      wsTarget.mergeCells('A1:H1');
+      wsTarget.getCell('A1').value     = 'General Information';
+      wsTarget.getCell('A1').alignment = { horizontal: 'center', vertical: 'middle' };
+      wsTarget.getCell('A1').font      = { bold: true };
+
+      // Header row 2: core column names
+      const coreCols = [
+        'Station ID', 'Asset Type', 'Site Name',
+        'Province', 'Latitude', 'Longitude',
+        'Status', 'Repair Ranking'
+      ];
+      coreCols.forEach((hdr, i) => {
+        const cell = wsTarget.getRow(2).getCell(i + 1);
+        cell.value     = hdr;
+        cell.font      = { bold: true };
+        cell.alignment = { horizontal: 'left', vertical: 'middle' };
+      });
+
+      // inject dynamic headers too
+      const post = [];
+      wsTarget.getRow(2).eachCell((c, i) => {
+        const v = String(c.value || '').trim();
+        post[i - 1] = v || null;
+      });
+      targetHeaders.forEach(hdr => {
+        if (!post.includes(hdr)) {
+          const col = post.length + 1;
+          wsTarget.spliceColumns(col, 0, []);
+          const cell = wsTarget.getRow(2).getCell(col);
+          cell.value     = hdr;
+          cell.font      = { bold: true };
+          cell.alignment = { horizontal: 'left', vertical: 'middle' };
+          post.push(hdr);
+        }
+      });
+    }
+
+    // 7) Build header→column index map
+    const headerMap = {};
+    wsTarget.getRow(2).eachCell((c, i) => {
+      const v = String(c.value || '').trim();
+      if (v) headerMap[v] = i;
+    });
+
+    // 8) Collect the station's values (core columns first, then every other key)
+    const values = {
+      'Station ID':     stationId,
+      'Asset Type':     newAt,
+      'Site Name':      updatedStation['Site Name'] || updatedStation.stationName,
+      'Province':       newProv,
+      'Latitude':       Number(updatedStation.Latitude  || updatedStation.latitude),
+      'Longitude':      Number(updatedStation.Longitude || updatedStation.longitude),
+      'Status':         updatedStation.Status,
+      'Repair Ranking': updatedStation['Repair Ranking']
+    };
+    allKeys.forEach(key => {
+      values[key] = updatedStation[key] ?? '';
+    });
+
+    // 9) Update the existing row cell by cell, or append a new row after a move
+    const row = inPlace
+      ? wsTarget.getRow(inPlace.rowNumber)
+      : wsTarget.getRow(wsTarget.rowCount + 1);
+    Object.entries(values).forEach(([key, val]) => {
+      const idx = headerMap[key];
+      if (!idx) return;
+      if (inPlace) setCellIfChanged(row.getCell(idx), val);
+      else row.getCell(idx).value = val;
+    });
+    row.commit();
+
+    // Save the changes
+    await writeWorkbookAtomic(wbNew, newPath);
+    await stationRepoIndexWorkbook(wbNew, newAt);
+    appendAudit(diffStationsForAudit(beforeRows, cachedStationsFor(auditTypes)));
+    commitUndoStep(step);
+    return {
+      success: true,
+      message: inPlace ? 'Station saved.' : 'Station moved and saved.',
+      undoLabel: step.label
+    };
+
+  } catch (err) {
+    console.error('save-station-data error:', err);
+    abandonUndoStep(step);
+    return { success: false, message: err.message };
+  }
+});
+
+
+
+
+/**
+ * Reads a directory and returns its contents, optionally filtering by file extension
+ *    - dirPath: absolute path to the folder
+ *    - fileTypes: array of lowercase extensions (e.g. ['.jpg','.png']) or null to include all
+ * Returns an array of { name, path, isDirectory }
+ */
+async function listDirectoryContents(dirPath, fileTypes = null) {
+  try {
+    // ensure the directory exists & is readable
+    await fsPromises.access(dirPath);
+    // read all entries with metadata
+    const items = await fsPromises.readdir(dirPath, { withFileTypes: true });
+    return items
+      .filter(item => {
+        // include everything if no filter or always include subfolders
+        if (!fileTypes) return true;
+        if (item.isDirectory()) return true;
+        // check file extension against allowed list
+        const ext = path.extname(item.name).toLowerCase();
+        return fileTypes.includes(ext);
+      })
+      .map(item => ({
+        name: item.name,
+        path: path.join(dirPath, item.name),
+        isDirectory: item.isDirectory()
+      }));
+  } catch {
+    // directory missing or inaccessible → return empty list
+    return [];
+  }
+}
+
+/**
+ * Recursively lists all files and directories under `dirPath`.
+ * If `fileTypes` is provided, only files with those extensions are included.
+ * Always includes directories.
+ */
+async function listDirectoryContentsRecursive(dirPath, fileTypes = null) {
+  const results = [];
+  try {
+    const entries = await fsPromises.readdir(dirPath, { withFileTypes: true });
+    for (const entry of entries) {
+      const fullPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory()) {
+        // include the folder itself
+        results.push({ name: entry.name, path: fullPath, isDirectory: true });
+        // then recurse into it
+        const nested = await listDirectoryContentsRecursive(fullPath, fileTypes);
+        results.push(...nested);
+      } else {
+        const ext = path.extname(entry.name).toLowerCase();
+        if (!fileTypes || fileTypes.includes(ext)) {
+          results.push({ name: entry.name, path: fullPath, isDirectory: false });
+        }
+      }
+    }
+  } catch {
+    // ignore directories we can't read
+  }
+  return results;
+}
+
+
+/**
+ * IPC handler: gathers file/folder details for a given station
+ *    - Validates stationId & stationsPath setting
+ *    - Builds a details object with:
+ *        • overview: station data from Excel
+ *        • inspectionHistory, highPriorityRepairs, documents arrays
+ *    - Uses listDirectoryContents() to read each subfolder; photos aren't
+ *      walked here (the Photos tab lists them and asks for thumbnails)
+ *    - Returns { success: true, data } or partial data with a warning message
+ */
+ipcMain.handle('get-station-file-details', async (event, stationId, stationDataFromExcel) => {
+  if (!stationId) {
+    return { success: false, message: "Station ID is required." };
+  }
+
+  // 1) Locate the station’s folder as before
+  let dirEntries;
+  try {
+    dirEntries = await fsPromises.readdir(stationsBasePath(), { withFileTypes: true });
+  } catch (err) {
+    return { success: false, message: `Cannot read Stations directory: ${err.message}` };
+  }
+  const match = dirEntries.find(d =>
+    d.isDirectory() &&
+    d.name.toUpperCase().endsWith(`_${stationId.toUpperCase()}`)
+  );
+  if (!match) {
+    return { success: false, message: `No folder matching "*_${stationId}" found.` };
+  }
+  const stationFolder = path.join(stationsBasePath(), match.name);
+
+  // 2) Read *all* root entries
+  const rootEntries = await listDirectoryContents(stationFolder);
+
+  // 3) Build inspectionHistory either from a real subfolder… or fallback to year-prefixed folders
+  let inspectionHistory = await listDirectoryContents(path.join(stationFolder, 'Inspection History'));
+  if (inspectionHistory.length === 0) {
+    // exclude any other “named” categories you have
+    const exclude = new Set([
+      'High Priority Repairs',
+      'Documents',
+      'Photos',
+      'Thumbs',         // DB file folder
+      'STATION_INFO'
+    ]);
+    inspectionHistory = rootEntries
+      .filter(e => e.isDirectory && !exclude.has(e.name))
+      // sort by the leading 4-digit year, ascending
+      .sort((a, b) => {
+        const yA = parseInt((a.name.match(/^(\d{4})/)||[])[1] || '0', 10);
+        const yB = parseInt((b.name.match(/^(\d{4})/)||[])[1] || '0', 10);
+        return yA - yB;
+      });
+  }
+
+  // 4) Continue to pick up the other sections from their usual subfolders
+  //    (photos are listed by the Photos tab itself, only when it is opened)
+  const highPriorityRepairs = await listDirectoryContents(path.join(stationFolder, 'High Priority Repairs'));
+  const documents = await listDirectoryContents(path.join(stationFolder, 'Documents'));
+
+  // 5) Return
+  return {
+    success: true,
+    data: {
+      stationId,
+      stationFolder,
+      overview: stationDataFromExcel,
+      inspectionHistory,
+      highPriorityRepairs,
+      documents
+    }
+  };
+});
+
+// ─── Column Migrations ───────────────────────────────────────────────────────
+
+/**
+ * Bulk edits of one asset type's "Section - Field" columns, applied to every
+ * province sheet of its workbook and to its rows in the lookups Schema sheet:
+ *    { type: 'rename-section', from, to }           section names
+ *    { type: 'rename-field',   from, to }           full "Section - Field" keys
+ *    { type: 'merge',          from, into, policy } policy: see MERGE_POLICIES
+ *    { type: 'reorder',        order }              every dynamic key, in the new order
+ *    { type: 'drop',           field }
+ *    - Each op can be previewed (affected stations, old → new values) before it is applied
+ *    - Applying is one undo step and is audited like any other save
+ */
+const CORE_STATION_COLUMNS = [
+  'Station ID', 'Asset Type', 'Site Name',
+  'Province', 'Latitude', 'Longitude',
+  'Status', 'Repair Ranking'
+];
+
+// How a merge resolves a station that has a value in both fields
+//    keep-target: keep the target's value · keep-source: take the source's value
+//    concatenate: "target; source"
+const MERGE_POLICIES = ['keep-target', 'keep-source', 'concatenate'];
+
+/**
+ * Splits "Section - Field" at its first " - "
+ */
+function splitColumnKey(key) {
+  const i = key.indexOf(' - ');
+  return i === -1
+    ? { section: '', field: key }
+    : { section: key.slice(0, i), field: key.slice(i + 3) };
+}
+
+/**
+ * Maps header text → column index for row 2 of a sheet
+ */
+function sheetHeaderColumns(ws) {
+  const cols = {};
+  ws.getRow(2).eachCell((c, i) => {
+    const v = String(c.value || '').trim();
+    if (v && !cols[v]) cols[v] = i;
+  });
+  return cols;
+}
+
+/**
+ * Every dynamic (non-core) header of a workbook, in sheet/column order
+ */
+function workbookDynamicHeaders(wb) {
+  const seen = new Set();
+  for (const ws of wb.worksheets) {
+    Object.entries(sheetHeaderColumns(ws))
+      .sort((a, b) => a[1] - b[1])
+      .forEach(([h]) => { if (!CORE_STATION_COLUMNS.includes(h)) seen.add(h); });
+  }
+  return [...seen];
+}
+
+/**
+ * Old key → new key for the renaming ops (empty for the others)
+ */
+function migrationRenames(headers, op) {
+  const renames = new Map();
+  if (op.type === 'rename-section') {
+    headers.forEach(h => {
+      const { section, field } = splitColumnKey(h);
+      if (section === op.from) renames.set(h, `${op.to} - ${field}`);
+    });
+  } else if (op.type === 'rename-field') {
+    renames.set(op.from, op.to);
+  }
+  return renames;
+}
+
+/**
+ * Checks an op against the current headers → error message, or null if it can be applied
+ */
+function checkMigration(headers, op) {
+  const has = new Set(headers);
+  switch (op.type) {
+    case 'rename-section':
+      if (!headers.some(h => splitColumnKey(h).section === op.from)) return `There is no section "${op.from}".`;
+      if (!op.to) return 'Enter the new section name.';
+      if (op.to.includes(' - ')) return 'Section names cannot contain " - ".';
+      if (op.to === op.from) return 'The new name is the same as the old one.';
+      break;
+    case 'rename-field':
+      if (!has.has(op.from)) return `There is no field "${op.from}".`;
+      if (!splitColumnKey(op.to).section || !splitColumnKey(op.to).field) return 'Enter the new field name.';
+      if (op.to === op.from) return 'The new name is the same as the old one.';
+      break;
+    case 'merge':
+      if (!has.has(op.from)) return `There is no field "${op.from}".`;
+      if (!has.has(op.into)) return `There is no field "${op.into}".`;
+      if (op.from === op.into) return 'Choose two different fields to merge.';
+      if (!MERGE_POLICIES.includes(op.policy)) return 'Choose how to resolve conflicting values.';
+      return null;
+    case 'reorder':
+      if (!Array.isArray(op.order) || op.order.length !== headers.length ||
+          !op.order.every(k => has.has(k)) || new Set(op.order).size !== headers.length) {
+        return 'The new order must list every field exactly once.';
+      }
+      return null;
+    case 'drop':
+      return has.has(op.field) ? null : `There is no field "${op.field}".`;
+    default:
+      return 'Unknown schema change.';
+  }
+
+  // renames must not land on a column that stays
+  const renames = migrationRenames(headers, op);
+  const clash = [...renames.values()].find(to => has.has(to) && !renames.has(to));
+  return clash ? `"${clash}" already exists – merge the fields instead.` : null;
+}
+
+/**
+ * The value a merge leaves in the target field
+ */
+function mergeValues(target, source, policy) {
+  const t = auditValue(target).trim();
+  const s = auditValue(source).trim();
+  if (!s) return target ?? '';
+  if (!t) return source;
+  if (policy === 'keep-source') return source;
+  if (policy === 'concatenate' && t !== s) return `${t}; ${s}`;
+  return target;
+}
+
+/**
+ * A cached station row as it will read after the op
+ */
+function migrateStationValues(st, op, renames) {
+  const out = { ...st };
+  const move = (from, to) => {
+    if (!(from in out)) return;
+    out[to] = out[from];
+    delete out[from];
+  };
+  switch (op.type) {
+    case 'rename-section':
+    case 'rename-field':
+      renames.forEach((to, from) => move(from, to));
+      break;
+    case 'merge':
+      if (op.from in out) {
+        out[op.into] = mergeValues(out[op.into], out[op.from], op.policy);
+        delete out[op.from];
+      }
+      break;
+    case 'drop':
+      delete out[op.field];
+      break;
+  }
+  return out;
+}
+
+/**
+ * Rewrites the dynamic columns of one sheet so they follow `order`
+ *    - Only swaps the slots the sheet's dynamic columns already use;
+ *      values, styles, comments and widths move with their column
+ */
+function reorderSheetColumns(ws, cols, order) {
+  const keys = order.filter(k => cols[k]);
+  const slots = keys.map(k => cols[k]).sort((a, b) => a - b);
+  const moved = keys.map(k => {
+    const cells = [];
+    for (let r = 2; r <= ws.rowCount; r++) {
+      const c = ws.getRow(r).getCell(cols[k]);
+      cells.push({ value: c.value, style: JSON.parse(JSON.stringify(c.style || {})), note: c.note });
+    }
+    return { width: ws.getColumn(cols[k]).width, cells };
+  });
+  moved.forEach((m, i) => {
+    ws.getColumn(slots[i]).width = m.width;
+    m.cells.forEach((c, j) => {
+      const cell = ws.getRow(j + 2).getCell(slots[i]);
+      cell.value = c.value;
+      cell.style = c.style;
+      if (c.note) cell.note = c.note;
+    });
+  });
+}
+
+/**
+ * Applies an op to one province sheet
+ */
+function migrateSheet(ws, op, renames) {
+  const cols = sheetHeaderColumns(ws);
+  switch (op.type) {
+    case 'rename-section':
+    case 'rename-field':
+      renames.forEach((to, from) => {
+        if (cols[from]) ws.getRow(2).getCell(cols[from]).value = to;
+      });
+      break;
+    case 'merge': {
+      const src = cols[op.from];
+      const dst = cols[op.into];
+      if (!src) break;
+      if (!dst) {
+        // this sheet only has the source column, so it simply becomes the target
+        ws.getRow(2).getCell(src).value = op.into;
+        break;
+      }
+      for (let r = 3; r <= ws.rowCount; r++) {
+        const row = ws.getRow(r);
+        setCellIfChanged(
+          row.getCell(dst),
+          mergeValues(row.getCell(dst).value, row.getCell(src).value, op.policy)
+        );
+      }
+      ws.spliceColumns(src, 1);
+      break;
+    }
+    case 'reorder':
+      reorderSheetColumns(ws, cols, op.order);
+      break;
+    case 'drop':
+      if (cols[op.field]) ws.spliceColumns(cols[op.field], 1);
+      break;
+  }
+}
+
+/**
+ * Applies an op to the asset type's rows of the lookups Schema sheet
+ *    - Returns the lookups workbook if anything changed (still to be written), else null
+ */
+async function migrateSchemaRows(assetType, op, renames) {
+  const wb = await loadLookupWorkbook();
+  const sheet = wb.getWorksheet(SCHEMA_SHEET);
+  if (!sheet) return null;
+
+  const wanted = assetType.toLowerCase();
+  const toDelete = [];
+  let changed = false;
+  sheet.eachRow((row, rn) => {
+    if (rn < 2 || row.getCell(1).text.trim().toLowerCase() !== wanted) return;
+    const key = `${row.getCell(2).text.trim()} - ${row.getCell(3).text.trim()}`;
+    if (renames.has(key)) {
+      const { section, field } = splitColumnKey(renames.get(key));
+      row.getCell(2).value = section;
+      row.getCell(3).value = field;
+      changed = true;
+    } else if ((op.type === 'merge' && key === op.from) || (op.type === 'drop' && key === op.field)) {
+      toDelete.push(rn);
+    }
+  });
+  // bottom-up so row numbers stay valid
+  toDelete.reverse().forEach(rn => sheet.spliceRows(rn, 1));
+  return changed || toDelete.length ? wb : null;
+}
+
+/**
+ * Loads what a preview or an apply needs → { wb, dataPath, headers, renames }
+ *    - Throws with a readable message when the op can't be applied
+ */
+async function prepareMigration(assetType, op) {
+  const dataPath = path.join(DATA_DIR, `${assetType}.xlsx`);
+  if (!fs.existsSync(dataPath)) throw new Error(`No workbook for "${assetType}".`);
+  const wb = await readWorkbookOrRecover(dataPath);
+  const headers = workbookDynamicHeaders(wb);
+  const error = checkMigration(headers, op);
+  if (error) throw new Error(error);
+  return { wb, dataPath, headers, renames: migrationRenames(headers, op) };
+}
+
+/**
+ * Normalises the op coming from the renderer (trims names)
+ */
+function cleanMigrationOp(op = {}) {
+  const clean = { ...op };
+  ['from', 'to', 'into', 'field'].forEach(k => {
+    if (typeof clean[k] === 'string') clean[k] = clean[k].trim().replace(/\s+/g, ' ');
+  });
+  return clean;
+}
+
+/**
+ * IPC handler: get-asset-type-columns
+ *    - Returns { success, data: [{ key, section, field, filled }] } in column order,
+ *      where filled is the number of stations with a value in that column
+ */
+ipcMain.handle('get-asset-type-columns', async (_e, assetType) => {
+  try {
+    const dataPath = path.join(DATA_DIR, `${assetType}.xlsx`);
+    if (!fs.existsSync(dataPath)) return { success: true, data: [] };
+    await loadStationRepo();
+    const headers = workbookDynamicHeaders(await readWorkbookOrRecover(dataPath));
+    const stations = stationRepo.stationsByType.get(assetType) || [];
+    return {
+      success: true,
+      data: headers.map(key => ({
+        key,
+        ...splitColumnKey(key),
+        filled: stations.filter(st => auditValue(st[key]).trim() !== '').length
+      }))
+    };
+  } catch (err) {
+    console.error('get-asset-type-columns error:', err);
+    return { success: false, message: err.message };
+  }
+});
+
+/**
+ * IPC handler: preview-schema-migration
+ *    - Nothing is written
+ *    - Returns { success, headersBefore, headersAfter, sheets,
+ *      affected: [{ stationId, stationName, province, changes: [{ field, oldValue, newValue }] }] }
+ */
+ipcMain.handle('preview-schema-migration', async (_e, assetType, rawOp) => {
+  try {
+    const op = cleanMigrationOp(rawOp);
+    const { wb, headers, renames } = await prepareMigration(assetType, op);
+    await loadStationRepo();
+
+    const before = cachedStationsFor([assetType]);
+    const after = new Map(
+      [...before].map(([sid, st]) => [sid, migrateStationValues(st, op, renames)])
+    );
+    const affected = new Map();
+    for (const e of diffStationsForAudit(before, after)) {
+      const st = before.get(e.stationId);
+      if (!affected.has(e.stationId)) {
+        affected.set(e.stationId, {
+          stationId: e.stationId,
+          stationName: st.stationName,
+          province: auditValue(st.Province),
+          changes: []
+        });
+      }
+      affected.get(e.stationId).changes.push({
+        field: e.field,
+        oldValue: auditValue(e.oldValue),
+        newValue: auditValue(e.newValue)
+      });
+    }
+
+    let headersAfter;
+    if (op.type === 'reorder') headersAfter = op.order;
+    else if (op.type === 'merge') headersAfter = headers.filter(h => h !== op.from);
+    else if (op.type === 'drop') headersAfter = headers.filter(h => h !== op.field);
+    else headersAfter = headers.map(h => renames.get(h) || h);
+
+    return {
+      success: true,
+      headersBefore: headers,
+      headersAfter,
+      sheets: wb.worksheets.length,
+      affected: [...affected.values()]
+    };
+  } catch (err) {
+    console.error('preview-schema-migration error:', err);
+    return { success: false, message: err.message };
+  }
+});
+
+/**
+ * IPC handler: apply-schema-migration
+ *    - Rewrites every province sheet of the asset type's workbook, then its Schema rows
+ *    - Both files are captured for undo; every changed value is audited
+ *    - Returns { success, message, stationIds, undoLabel }
+ */
+ipcMain.handle('apply-schema-migration', async (_e, assetType, rawOp) => {
+  let step;
+  try {
+    const op = cleanMigrationOp(rawOp);
+    const { wb, dataPath, renames } = await prepareMigration(assetType, op);
+
+    await loadStationRepo();
+    const beforeRows = cachedStationsFor([assetType]);
+    const labels = {
+      'rename-section': `Rename section ${op.from} → ${op.to}`,
+      'rename-field':   `Rename field ${op.from} → ${op.to}`,
+      'merge':          `Merge ${op.from} into ${op.into}`,
+      'reorder':        `Reorder ${assetType} fields`,
+      'drop':           `Drop field ${op.field}`
+    };
+    step = await beginUndoStep(labels[op.type], [], [dataPath, LOOKUPS_PATH]);
+
+    wb.worksheets.forEach(ws => migrateSheet(ws, op, renames));
+    await writeWorkbookAtomic(wb, dataPath);
+    await stationRepoIndexWorkbook(wb, assetType);
+
+    const lookupsWb = await migrateSchemaRows(assetType, op, renames);
+    if (lookupsWb) await writeWorkbookAtomic(lookupsWb, LOOKUPS_PATH);
+
+    const entries = diffStationsForAudit(beforeRows, cachedStationsFor([assetType]));
+    appendAudit(entries);
+    step.stationIds = [...new Set(entries.map(e => e.stationId))];
+    commitUndoStep(step);
+    return {
+      success: true,
+      message: `${step.label}: ${step.stationIds.length} station(s) changed.`,
+      stationIds: step.stationIds,
+      undoLabel: step.label
+    };
+  } catch (err) {
+    console.error('apply-schema-migration error:', err);
+    abandonUndoStep(step);
+    return { success: false, message: err.message };
+  }
+});
+
+// ─── IPC: Open paths & files ─────────────────────────────────────────────────
+
+/**
+ * IPC listener: reveals a file or folder in the OS file explorer
+ *    - Triggered by renderer via 'open-path-in-explorer'
+ *    - Checks that the path exists, then calls shell.showItemInFolder()
+ */
+ipcMain.on('open-path-in-explorer', (event, filePath) => {
+  if (filePath && fs.existsSync(filePath)) {
+    shell.showItemInFolder(filePath);
+  }
+});
+
+/**
+ * IPC listener: opens a file with the system default application
+ *    - Invoked by the renderer via 'open-file'
+ *    - Checks that the file path exists
+ *    - Calls shell.openPath(); on failure shows an error dialog
+ */
+ipcMain.on('open-file', (event, filePath) => {
+  if (filePath && fs.existsSync(filePath)) {
+    shell.openPath(filePath).catch(err => {
+      dialog.showErrorBox("Open File Error", `Could not open the file:\n${err.message}`);
+    });
+  }
+});
+
+// ─── Photo Thumbnails ────────────────────────────────────────────────────────
+
+/**
+ * Downscaled JPEG copies of station photos for the thumbnail grids, so a
+ * folder of full-resolution field photos isn't decoded by the renderer
+ *    - Kept in <userData>/thumbnails as <sha1 of the path>.jpg, stamped with the
+ *      photo's mtime; an edited or replaced photo no longer matches and is redone
+ *    - The full-size file is only loaded when a photo is opened
+ */
+const THUMBNAIL_DIR = path.join(app.getPath('userData'), 'thumbnails');
+
+// Longest edge of a thumbnail in px (twice the 120px grid cells, for high-DPI screens)
+const THUMBNAIL_SIZE = 240;
+
+// Thumbnails being generated: cache file → promise, so one photo is only decoded once
+const thumbnailJobs = new Map();
+
+/**
+ * Cached thumbnail of one photo → path of the .jpg, generating it first if needed
+ *    - Uses the OS thumbnail (Windows / macOS) when there is one, else decodes
+ *      the photo with nativeImage and resizes it
+ *    - Throws if the file isn't an image nativeImage can read
+ */
+async function photoThumbnail(filePath) {
+  const stat = await fsP.stat(filePath);
+  const key = crypto.createHash('sha1').update(path.resolve(filePath)).digest('hex');
+  const file = path.join(THUMBNAIL_DIR, `${key}.jpg`);
+  const cached = await fsP.stat(file).catch(() => null);
+  // (within a second: some file systems store mtimes that coarsely)
+  if (cached && Math.abs(cached.mtimeMs - stat.mtimeMs) < 1000) return file;
+  if (thumbnailJobs.has(file)) return thumbnailJobs.get(file);
+
+  const job = (async () => {
+    // OS thumbnails come out already upright; ours are rotated by the renderer
+    // from the EXIF orientation, so rotated photos are always decoded here
+    const exif = await photoExif(filePath);
+    let image = null;
+    if (process.platform !== 'linux' && !(exif && exif.orientation > 1)) {
+      image = await nativeImage
+        .createThumbnailFromPath(filePath, { width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE })
+        .catch(() => null);
+    }
+    if (!image || image.isEmpty()) image = nativeImage.createFromPath(filePath);
+    if (image.isEmpty()) throw new Error(`Cannot read ${path.basename(filePath)} as an image`);
+
+    const { width, height } = image.getSize();
+    if (Math.max(width, height) > THUMBNAIL_SIZE) {
+      image = image.resize(width >= height
+        ? { width: THUMBNAIL_SIZE, quality: 'good' }
+        : { height: THUMBNAIL_SIZE, quality: 'good' });
+    }
+
+    await fsP.mkdir(THUMBNAIL_DIR, { recursive: true });
+    const tmpPath = `${file}.${process.pid}.${++tmpWriteCounter}.tmp`;
+    await fsP.writeFile(tmpPath, image.toJPEG(80));
+    await fsP.utimes(tmpPath, new Date(), stat.mtime);
+    await fsP.rename(tmpPath, file);
+    return file;
+  })().finally(() => thumbnailJobs.delete(file));
+  thumbnailJobs.set(file, job);
+  return job;
+}
+
+/**
+ * IPC handler: get-photo-thumbnail → { success, thumbnailPath, version, orientation } or { success: false, message }
+ *    - version: the photo's mtime, for the renderer to put in the URL (the
+ *      thumbnail keeps its path when it is redone)
+ *    - orientation: EXIF orientation (1…8) the thumbnail still has to be turned by
+ */
+ipcMain.handle('get-photo-thumbnail', async (_e, filePath) => {
+  try {
+    const thumbnailPath = await photoThumbnail(filePath);
+    const exif = await photoExif(filePath);
+    return {
+      success: true,
+      thumbnailPath,
+      version: Math.round((await fsP.stat(thumbnailPath)).mtimeMs),
+      orientation: exif ? exif.orientation : 1
+    };
+  } catch (err) {
+    console.warn('get-photo-thumbnail:', err.message);
+    return { success: false, message: err.message };
+  }
+});
+
+// ─── Photo Metadata (EXIF) ───────────────────────────────────────────────────
+
+/**
+ * Capture date, GPS position, orientation and camera of JPEG photos, read from
+ * their EXIF block (APP1 segment) without decoding the image
+ *    - Only the marker headers and the APP1 segment are read from disk
+ *    - Results are kept in memory by path + mtime
+ */
+
+// Photos whose GPS position is further than this from their station are flagged
+const PHOTO_GPS_TOLERANCE_KM = 1;
+
+// Most photos remembered by photoExif before the oldest are forgotten
+const MAX_EXIF_CACHE = 5000;
+
+// path → { mtimeMs, exif }
+const exifCache = new Map();
+
+// Byte size of each TIFF field type (BYTE, ASCII, SHORT, LONG, RATIONAL, …, SRATIONAL)
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * Parses a TIFF-structured EXIF block → { dateTaken, latitude, longitude, orientation, camera }
+ *    - dateTaken: 'YYYY-MM-DDTHH:MM:SS' (camera local time) or ''
+ *    - latitude / longitude: decimal degrees, or null without a GPS fix
+ *    - orientation: 1…8 as in the EXIF spec (1 = upright)
+ *    - Returns null if the block is malformed
+ */
+function parseExifTiff(buf) {
+  try {
+    const order = buf.toString('latin1', 0, 2);
+    if (order !== 'II' && order !== 'MM') return null;
+    const le = order === 'II';
+    const u16 = o => (le ? buf.readUInt16LE(o) : buf.readUInt16BE(o));
+    const u32 = o => (le ? buf.readUInt32LE(o) : buf.readUInt32BE(o));
+    const i32 = o => (le ? buf.readInt32LE(o) : buf.readInt32BE(o));
+
+    // one IFD → Map tag → value
+    const readIfd = offset => {
+      const tags = new Map();
+      if (!offset || offset + 2 > buf.length) return tags;
+      const count = u16(offset);
+      for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        if (entry + 12 > buf.length) break;
+        const tag = u16(entry);
+        const type = u16(entry + 2);
+        const n = u32(entry + 4);
+        const size = (TIFF_TYPE_SIZES[type] || 0) * n;
+        if (!size) continue;
+        const at = size <= 4 ? entry + 8 : u32(entry + 8);
+        if (at + size > buf.length) continue;
+
+        if (type === 2) tags.set(tag, buf.toString('latin1', at, at + n).replace(/\0[\s\S]*$/, '').trim());
+        else if (type === 3) tags.set(tag, u16(at));
+        else if (type === 4) tags.set(tag, u32(at));
+        else if (type === 5 || type === 10) {
+          const read = type === 5 ? u32 : i32;
+          tags.set(tag, Array.from({ length: n }, (_, k) => read(at + k * 8) / read(at + k * 8 + 4)));
+        }
+      }
+      return tags;
+    };
+
+    const ifd0 = readIfd(u32(4));
+    const exifIfd = readIfd(ifd0.get(0x8769));
+    const gpsIfd = readIfd(ifd0.get(0x8825));
+
+    // “2024:05:17 14:03:22” → 2024-05-17T14:03:22
+    const dm = String(exifIfd.get(0x9003) || exifIfd.get(0x9004) || ifd0.get(0x0132) || '')
+      .match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    const dateTaken = dm && dm[1] !== '0000' ? `${dm[1]}-${dm[2]}-${dm[3]}T${dm[4]}:${dm[5]}:${dm[6]}` : '';
+
+    // degrees, minutes, seconds + N/S/E/W → signed decimal degrees
+    const coord = (dms, ref, max) => {
+      if (!Array.isArray(dms) || dms.length < 3) return null;
+      const deg = dms[0] + dms[1] / 60 + dms[2] / 3600;
+      if (!Number.isFinite(deg) || deg > max) return null;
+      return /^[SW]/i.test(String(ref || '')) ? -deg : deg;
+    };
+    let latitude = coord(gpsIfd.get(2), gpsIfd.get(1), 90);
+    let longitude = coord(gpsIfd.get(4), gpsIfd.get(3), 180);
+    if (latitude === null || longitude === null || (latitude === 0 && longitude === 0)) {
+      latitude = longitude = null;
+    }
+
+    const orientation = ifd0.get(0x0112);
+    const make = String(ifd0.get(0x010f) || '');
+    const model = String(ifd0.get(0x0110) || '');
+    return {
+      dateTaken,
+      latitude,
+      longitude,
+      orientation: orientation >= 1 && orientation <= 8 ? orientation : 1,
+      // most models already start with the make (“Canon Canon EOS R6”)
+      camera: model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`.trim()
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads the EXIF block of a JPEG → the TIFF part of its APP1 segment, or null
+ *    - Walks the segment headers from the start of the file until the image data
+ */
+async function readJpegExifBlock(filePath) {
+  const fh = await fsP.open(filePath, 'r');
+  try {
+    const head = Buffer.alloc(4);
+    await fh.read(head, 0, 2, 0);
+    if (head[0] !== 0xFF || head[1] !== 0xD8) return null;
+
+    let pos = 2;
+    for (let i = 0; i < 64; i++) {
+      const { bytesRead } = await fh.read(head, 0, 4, pos);
+      if (bytesRead < 4 || head[0] !== 0xFF) return null;
+      const marker = head[1];
+      // start of scan / end of image: no EXIF before the image data
+      if (marker === 0xDA || marker === 0xD9) return null;
+      const length = head.readUInt16BE(2);
+      if (marker === 0xE1 && length > 8) {
+        const seg = Buffer.alloc(length - 2);
+        await fh.read(seg, 0, seg.length, pos + 4);
+        if (seg.toString('latin1', 0, 6) === 'Exif\0\0') return seg.subarray(6);
+      }
+      pos += 2 + length;
+    }
+    return null;
+  } finally {
+    await fh.close();
+  }
+}
+
+/**
+ * EXIF of one photo (see parseExifTiff), or null if it isn't a JPEG or has none
+ */
+async function photoExif(filePath) {
+  if (!/\.jpe?g$/i.test(filePath)) return null;
+  const stat = await fsP.stat(filePath).catch(() => null);
+  if (!stat) return null;
+  const cached = exifCache.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs) return cached.exif;
+
+  const block = await readJpegExifBlock(filePath).catch(() => null);
+  const exif = block ? parseExifTiff(block) : null;
+  exifCache.delete(filePath);
+  exifCache.set(filePath, { mtimeMs: stat.mtimeMs, exif });
+  if (exifCache.size > MAX_EXIF_CACHE) exifCache.delete(exifCache.keys().next().value);
+  return exif;
+}
+
+/**
+ * Station whose folder holds `filePath`, or null
+ */
+async function stationOfPath(filePath) {
+  const stationId = await stationIdForPath(filePath);
+  return [...stationRepo.stationsByType.values()].flat().find(st => st.stationId === stationId) || null;
+}
+
+/**
+ * EXIF of one photo plus how far its GPS position is from the station
+ *    → { ...parseExifTiff, distanceKm, farFromStation } or null
+ *    - distanceKm is null without a GPS fix or station coordinates
+ */
+function photoMetadataFor(exif, station) {
+  if (!exif) return null;
+  let distanceKm = null;
+  if (exif.latitude !== null && station && !isNaN(station.latitude) && !isNaN(station.longitude)) {
+    const km = distance(point([exif.longitude, exif.latitude]), point([station.longitude, station.latitude]),
+      { units: 'kilometers' });
+    distanceKm = Math.round(km * 100) / 100;
+  }
+  return { ...exif, distanceKm, farFromStation: distanceKm !== null && distanceKm > PHOTO_GPS_TOLERANCE_KM };
+}
+
+/**
+ * Adds `exif` (photoMetadataFor, or null) to every JPEG of a directory listing
+ */
+async function withPhotoMetadata(items, dirPath) {
+  const station = await stationOfPath(dirPath);
+  for (const item of items) {
+    if (!item.isDirectory && /\.jpe?g$/i.test(item.name)) {
+      item.exif = photoMetadataFor(await photoExif(item.path), station);
+    }
+  }
+  return items;
+}
+
+/**
+ * IPC handler: get-photo-metadata → { success, data: photoMetadataFor(…) or null, toleranceKm }
+ */
+ipcMain.handle('get-photo-metadata', async (_e, filePath) => {
+  try {
+    const data = photoMetadataFor(await photoExif(filePath), await stationOfPath(filePath));
+    return { success: true, data, toleranceKm: PHOTO_GPS_TOLERANCE_KM };
+  } catch (err) {
+    console.error('get-photo-metadata error:', err);
+    return { success: false, message: err.message };
+  }
+});
+
+/**
+ * IPC handler: get-photo-locations(stationIds) → { success, data, photos }
+ *    - data: one entry per geotagged JPEG in those stations' folders
+ *      { stationId, name, path, latitude, longitude, dateTaken, camera, distanceKm, farFromStation }
+ *    - photos: how many JPEGs were looked at (with or without a GPS position)
+ */
+ipcMain.handle('get-photo-locations', async (_e, stationIds = []) => {
+  try {
+    await loadStationRepo();
+    const wanted = new Set(stationIds.map(id => String(id).trim().toUpperCase()));
+    const stations = [...stationRepo.stationsByType.values()].flat()
+      .filter(st => wanted.has(st.stationId.toUpperCase()));
+    const dirs = await fsP.readdir(stationsBasePath(), { withFileTypes: true }).catch(() => []);
+
+    const data = [];
+    let photos = 0;
+    for (const st of stations) {
+      const dir = dirs.find(d => d.isDirectory() && d.name.toUpperCase().endsWith(`_${st.stationId.toUpperCase()}`));
+      if (!dir) continue;
+      const files = await listDirectoryContentsRecursive(path.join(stationsBasePath(), dir.name), ['.jpg', '.jpeg']);
+      for (const f of files.filter(f => !f.isDirectory)) {
+        photos++;
+        const meta = photoMetadataFor(await photoExif(f.path), st);
+        if (meta && meta.latitude !== null) {
+          data.push({
+            stationId: st.stationId,
+            name: f.name,
+            path: f.path,
+            latitude: meta.latitude,
+            longitude: meta.longitude,
+            dateTaken: meta.dateTaken,
+            camera: meta.camera,
+            distanceKm: meta.distanceKm,
+            farFromStation: meta.farFromStation
+          });
+        }
+      }
+    }
+    return { success: true, data, photos };
+  } catch (err) {
+    console.error('get-photo-locations error:', err);
+    return { success: false, message: err.message };
+  }
+});
+
+// ─── IPC: Download window as PDF ────────────────────────────────────────────
+
+/**
+ * Captures a Windows screen snip and saves it as a PDF
+ *    - Launches the ms-screenclip tool and polls the clipboard for an image
+ *    - Prompts the user for a PDF save path
+ *    - Renders the image in an offscreen BrowserWindow and prints to PDF
+ */
+ipcMain.handle('download-window-pdf', async () => {
+  // trigger the Windows screen clip overlay
+  exec('start ms-screenclip:');
+
+  // poll the clipboard for up to 30 seconds
+  let img;
+  for (let i = 0; i < 60; i++) {
+    await new Promise(r => setTimeout(r, 500));
+    const candidate = clipboard.readImage();
+    if (!candidate.isEmpty()) {
+      img = candidate;
+      break;
+    }
+  }
+  if (!img) {
+    return { success: false, message: 'No screenshot detected.' };
+  }
+
+  // ask the user where to save the PDF
+  const { canceled, filePath } = await dialog.showSaveDialog({
+    title: 'Save snip as PDF…',
+    defaultPath: `snippet-${Date.now()}.pdf`,
+    filters: [{ name: 'PDF Files', extensions: ['pdf'] }]
+  });
+  if (canceled || !filePath) {
+    return { success: false, message: 'Save cancelled.' };
+  }
+
+  // render the captured image in an offscreen window
+  const pdfWin = new BrowserWindow({ show: false, webPreferences: { offscreen: true } });
+  const html = `
+    <html><body style="margin:0">
+      <img src="${img.toDataURL()}" style="width:100%;height:100%;object-fit:contain"/>
+    </body></html>`;
+  await pdfWin.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(html));
+
+  // print the offscreen window to PDF and save
+  const pdfBuffer = await pdfWin.webContents.printToPDF({
+    marginsType: 0, printBackground: true, pageSize: 'A4', landscape: false
+  });
+  fs.writeFileSync(filePath, pdfBuffer);
 
-    return { success: true };
-  } catch (err) {
-    console.error('delete-station error:', err);
-    return { success: false, message: err.message };
-  }
+  return { success: true, message: filePath };
 });
 
 
 
+// ─── Data Snapshots ──────────────────────────────────────────────────────────
 
+/**
+ * Named point-in-time copies of the whole data folder
+ *    - data/snapshots/<id>/manifest.json  → { id, name, createdAt, stationCount, files: [...] }
+ *    - data/snapshots/<id>/files/…        → copy of data/ (minus the folders below)
+ *    - backups/, snapshots/ and audit/ are never copied or overwritten
+ */
+const SNAPSHOTS_DIR = path.join(DATA_DIR, 'snapshots');
+const SNAPSHOT_EXCLUDE = new Set([BACKUPS_DIR, SNAPSHOTS_DIR, AUDIT_DIR]);
 
-// ─── IPC: Lookups ────────────────────────────────────────────────────────────
+/**
+ * True for files that should be captured in / restored from a snapshot
+ */
+function isSnapshotPath(fullPath) {
+  if (SNAPSHOT_EXCLUDE.has(fullPath)) return false;
+  return !/\.tmp$|\.corrupt-[^\\/]*$/i.test(fullPath);
+}
 
 /**
- * IPC handler: gets all saved locations for the “Add Infrastructure” dropdown
- *    - Calls readLookupList('Locations')
- *    - Returns { success: true, data: [...] } on success
- *    - Catches errors and responds { success: false, message }
+ * Recursively lists the files under `dir` as paths relative to `dir`
  */
-ipcMain.handle('get-locations', async () => {
+async function listFilesRelative(dir, filter = () => true, prefix = '') {
+  const out = [];
+  let entries;
   try {
-    const data = await readLookupList('Locations');
-    return { success: true, data };
-  } catch (err) {
-    console.error('get-locations error:', err);
-    return { success: false, message: err.message };
+    entries = await fsP.readdir(path.join(dir, prefix), { withFileTypes: true });
+  } catch {
+    return out;
   }
-});
+  for (const e of entries) {
+    const rel = path.join(prefix, e.name);
+    if (!filter(path.join(dir, rel))) continue;
+    if (e.isDirectory()) out.push(...await listFilesRelative(dir, filter, rel));
+    else out.push(rel);
+  }
+  return out;
+}
 
 /**
- * IPC handler: gets all asset types for the “Add Infrastructure” dropdown
- *    - Calls readLookupList('AssetTypes')
- *    - Returns { success: true, data: [...] } on success
- *    - Logs and returns { success: false, message } on error
+ * SHA-1 of a file's contents (used to tell which files changed since a snapshot)
  */
-ipcMain.handle('get-asset-types', async () => {
-  try {
-    const data = await readLookupList('AssetTypes');
-    return { success: true, data };
-  } catch (err) {
-    console.error('get-asset-types error:', err);
-    return { success: false, message: err.message };
+async function hashFile(filePath) {
+  return crypto.createHash('sha1').update(await fsP.readFile(filePath)).digest('hex');
+}
+
+/**
+ * Reads every station row from a data folder laid out like data/
+ *    - Asset types come from that folder's own lookups.xlsx
+ *    - Returns a Map of stationId → station object
+ */
+async function readStationsFromDataDir(dir) {
+  const stations = new Map();
+  const lookupsPath = path.join(dir, 'lookups.xlsx');
+  if (!fs.existsSync(lookupsPath)) return stations;
+
+  const lookupWb = new ExcelJS.Workbook();
+  await lookupWb.xlsx.readFile(lookupsPath);
+  const assetSh = lookupWb.getWorksheet('AssetTypes');
+  if (!assetSh) return stations;
+  const assetTypes = [];
+  assetSh.eachRow((row, rn) => {
+    const v = row.getCell(1).text;
+    if (rn >= 2 && v && v.trim()) assetTypes.push(v.trim());
+  });
+
+  for (const at of assetTypes) {
+    const file = path.join(dir, `${at}.xlsx`);
+    if (!fs.existsSync(file)) continue;
+    const wb = new ExcelJS.Workbook();
+    await wb.xlsx.readFile(file);
+    for (const st of readStationsFromWorkbook(wb, at)) {
+      stations.set(st.stationId, st);
+    }
   }
-});
+  return stations;
+}
 
 /**
- * IPC handler: saves a new location to lookups.xlsx
- *    - Validates input is a nonempty string
- *    - Calls appendToLookup('Locations', newLocation)
- *    - Returns { success: true, added: boolean }
- *    - On error logs and returns { success: false, message }
+ * Copies data/ into a new snapshot folder and writes its manifest
+ *    - name: label shown in the Snapshots dialog
+ *    - Returns the manifest object
  */
-ipcMain.handle('add-new-location', async (event, newLocation) => {
-  // reject invalid inputs
-  if (!newLocation || typeof newLocation !== 'string') {
-    return { success: false, message: 'Invalid location string.' };
+async function createSnapshot(name) {
+  let id = fileTimestamp();
+  for (let n = 2; fs.existsSync(path.join(SNAPSHOTS_DIR, id)); n++) {
+    id = `${fileTimestamp()}-${n}`;
   }
-  try {
-    const added = await appendToLookup('Locations', newLocation);
-    return { success: true, added };
-  } catch (err) {
-    console.error('add-new-location error:', err);
-    return { success: false, message: err.message };
+  const snapDir  = path.join(SNAPSHOTS_DIR, id);
+  const filesDir = path.join(snapDir, 'files');
+  await fsP.mkdir(filesDir, { recursive: true });
+
+  // copy file by file (snapshots live inside data/, so a plain recursive cp would recurse into itself)
+  const files = [];
+  for (const rel of await listFilesRelative(DATA_DIR, isSnapshotPath)) {
+    await fsP.mkdir(path.dirname(path.join(filesDir, rel)), { recursive: true });
+    await fsP.copyFile(path.join(DATA_DIR, rel), path.join(filesDir, rel));
+    const stats = await fsP.stat(path.join(filesDir, rel));
+    files.push({ path: rel, size: stats.size });
   }
-});
+  const manifest = {
+    id,
+    name: String(name || '').trim() || 'Snapshot',
+    createdAt: new Date().toISOString(),
+    stationCount: (await readStationsFromDataDir(filesDir)).size,
+    files
+  };
+  await fsP.writeFile(path.join(snapDir, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf8');
+  return manifest;
+}
 
-// Add a new asset type & create its own workbook
-ipcMain.handle('add-new-asset-type', (e, at) => { 
-  return addNewAssetTypeInternal(at);
-});
+/**
+ * Returns the manifest of snapshot `id`, or throws if it doesn't exist
+ */
+async function readSnapshotManifest(id) {
+  const snapDir = path.join(SNAPSHOTS_DIR, path.basename(String(id)));
+  const txt = await fsP.readFile(path.join(snapDir, 'manifest.json'), 'utf8')
+    .catch(() => { throw new Error(`Snapshot "${id}" was not found.`); });
+  return { ...JSON.parse(txt), dir: snapDir, filesDir: path.join(snapDir, 'files') };
+}
 
-// ─── IPC: Station CRUD ───────────────────────────────────────────────────────
+/**
+ * Deletes every snapshot-able file in data/ (backups, snapshots & the audit log are kept)
+ */
+async function clearDataFiles() {
+  for (const rel of await listFilesRelative(DATA_DIR, isSnapshotPath)) {
+    if (path.basename(rel) === 'placeholder.txt') continue;
+    await fsP.unlink(path.join(DATA_DIR, rel));
+  }
+}
 
 /**
- * Create a new station in its asset-type workbook & province sheet.
- * stationObject = {
- *   location, assetType,
- *   generalInfo: { stationId, siteName, province, latitude, longitude, status, repairRanking },
- *   extraSections: { [sectionName]: { [fieldName]: value, … }, … }
- * }
+ * IPC handler: takes a snapshot of data/ on demand
+ *    - Returns { success, snapshot } with the new manifest
  */
-ipcMain.handle('create-new-station', async (e, station) => {
-  return await createNewStationInternal(station);
+ipcMain.handle('create-snapshot', async (_evt, name) => {
+  try {
+    const snapshot = await createSnapshot(name);
+    return { success: true, snapshot };
+  } catch (err) {
+    console.error('create-snapshot error:', err);
+    return { success: false, message: err.message };
+  }
 });
 
 /**
- * IPC handler: retrieves all station records across every asset type and province
- *    - Reads “AssetTypes” from lookups.xlsx
- *    - For each asset-type workbook (*.xlsx), loads every sheet
- *    - Parses the header row (row 2 or fallback to row 1) and data rows
- *    - Builds station objects only for valid ID/latitude/longitude
- *    - Returns an array of { stationId, stationName, latitude, longitude, category, Status, …extraFields }
+ * IPC handler: lists every snapshot, newest first
+ *    - Returns { success, data: [{ id, name, createdAt, stationCount, fileCount }] }
  */
-ipcMain.handle('get-station-data', async () => {
+ipcMain.handle('list-snapshots', async () => {
   try {
-    // 1) Load asset types from lookups.xlsx
-    const lookupWb = await loadLookupWorkbook();
-    const assetSh = lookupWb.getWorksheet('AssetTypes');
-    const assetTypes = [];
-    assetSh.eachRow((row, rn) => {
-      const v = row.getCell(1).text;
-      if (rn >= 2 && v && v.trim()) assetTypes.push(v.trim());
-    });
-
-    const allStations = [];
-    // 2) Iterate each asset-type workbook
-    for (const at of assetTypes) {
-      const dataPath = path.join(DATA_DIR, `${at}.xlsx`);
-      if (!fs.existsSync(dataPath)) continue;
-      const wb = new ExcelJS.Workbook();
-      await wb.xlsx.readFile(dataPath);
-      // 3) For each sheet (province) in the workbook
-      for (const ws of wb.worksheets) {
-        // Determine header row (prefer row 2, else row 1)
-        let headerRow = ws.getRow(2);
-        let firstDataRow = 3;
-        if (!headerRow.hasValues) {
-          headerRow = ws.getRow(1);
-          firstDataRow = 2;
-        }
-        // Map column indices → header names
-        const headers = [];
-        headerRow.eachCell((cell, idx) => {
-          headers[idx - 1] = cell.value ? String(cell.value).trim() : null;
+    const data = [];
+    const ids = fs.existsSync(SNAPSHOTS_DIR) ? await fsP.readdir(SNAPSHOTS_DIR) : [];
+    for (const id of ids) {
+      try {
+        const m = await readSnapshotManifest(id);
+        data.push({
+          id: m.id,
+          name: m.name,
+          createdAt: m.createdAt,
+          stationCount: m.stationCount,
+          fileCount: m.files.length
         });
-        if (!headers.some(h => h)) continue; // skip empty sheets
-
-        // 4) Read each data row into an object
-        for (let r = firstDataRow; r <= ws.rowCount; r++) {
-          const row = ws.getRow(r);
-          if (!row.hasValues) continue;
-          const rowData = {};
-          row.eachCell({ includeEmpty: true }, (cell, idx) => {
-            const key = headers[idx - 1];
-            if (!key) return;
-            let val = cell.value;
-            // normalize richText cells
-            if (val === null || val === undefined) {
-              val = '';
-            } else if (typeof val === 'object' && val.richText) {
-              val = val.richText.map(rt => rt.text).join('');
-            }
-            rowData[key] = val;
-          });
-
-          // 5) Validate stationId and coordinates
-          const sid = String(rowData['Station ID'] || '').trim();
-          const lat = parseFloat(rowData['Latitude']);
-          const lon = parseFloat(rowData['Longitude']);
-          if (!sid || isNaN(lat) || isNaN(lon)) continue;
-
-          // 6) Build and collect the station object
-          allStations.push({
-            stationId: sid,
-            stationName: String(rowData['Site Name'] || '').trim(),
-            latitude: lat,
-            longitude: lon,
-            category: at,
-            Status: String(rowData['Status'] || 'Unknown').trim(),
-            ...rowData
-          });
-        }
-      }
-    }
-
-
-    // Before returning the list
-    // ─── inject overall repair summary from per-station repairs file ───
-    for (const station of allStations) {
-      const repairsFile = path.join(REPAIRS_DIR, `${station.stationId}_repairs.xlsx`);
-      if (!fs.existsSync(repairsFile)) continue;
-
-      const wb = new ExcelJS.Workbook();
-      await wb.xlsx.readFile(repairsFile);
-      const ws = wb.worksheets[0];
-
-      // collect every “Repair Ranking” value (column B)
-      const ranks = [];
-      ws.getColumn(2).values.slice(2).forEach(v => {
-        const n = parseInt(v, 10);
-        if (!isNaN(n)) ranks.push(n);
-      });
-
-      if (ranks.length) {
-        const maxRank = Math.max(...ranks);
-        station['Repair Ranking'] = maxRank;
-
-        // find the row with that maxRank and inject cost (col C) & freq (col D)
-        for (let r = 2; r <= ws.rowCount; r++) {
-          if (parseInt(ws.getRow(r).getCell(2).value, 10) === maxRank) {
-            station['Repair Cost'] = parseFloat(ws.getRow(r).getCell(3).value) || 0;
-            station['Frequency']   = ws.getRow(r).getCell(4).value     || '';
-            break;
-          }
-        }
+      } catch {
+        // not a snapshot folder (or a half-written one) → skip
       }
     }
-
-    // 7) Return the compiled list
-    return allStations;
-
+    data.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return { success: true, data };
   } catch (err) {
-    console.error('get-station-data error:', err);
-    return [];
+    console.error('list-snapshots error:', err);
+    return { success: false, message: err.message };
   }
 });
 
 /**
- * IPC handler: updates an existing station record
- *    - Removes its row from the old category workbook (if changed)
- *    - Ensures the new category’s workbook & province sheet exist
- *    - Syncs core + dynamic headers across all sheets
- *    - Appends the updated station data as a new row
+ * IPC handler: compares a snapshot against the current data
+ *    - files:    { added, removed, changed } relative paths (added = only in current data)
+ *    - stations: { added, removed, changed } where changed entries list
+ *                every { field, before, after } that differs
  */
-ipcMain.handle('save-station-data', async (_event, updatedStation) => {
+ipcMain.handle('diff-snapshot', async (_evt, id) => {
   try {
-    // 1) Identify station ID, old vs. new category, and new province
-    const stationId = String(
-      updatedStation.stationId ||
-      updatedStation['Station ID']
-    ).trim();
-    const oldAt = String(updatedStation.category || '').trim();
-    const newAt = String(
-      updatedStation['Category'] ||
-      updatedStation.category ||
-      ''
-    ).trim();
-    if (!newAt) return { success: false, message: 'No category specified.' };
-    const newProv = String(
-      updatedStation['General Information – Province'] ||
-      updatedStation.Province ||
-      updatedStation.province ||
-      ''
-    ).trim();
-    if (!newProv) return { success: false, message: 'No province specified.' };
-
-    // Add new province to lookup list if needed
-    await appendToLookup('Locations', newProv);
-
-    // 2) Remove old row from the previous category file
-    if (oldAt) {
-      const oldPath = path.join(DATA_DIR, `${oldAt}.xlsx`);
-      if (fs.existsSync(oldPath)) {
-        const wbOld = new ExcelJS.Workbook();
-        await wbOld.xlsx.readFile(oldPath);
-        let removed = false;
-        wbOld.worksheets.forEach(ws => {
-          // locate Station ID column in row 2
-          const hdrs = [];
-          ws.getRow(2).eachCell((c, i) => hdrs[i - 1] = String(c.value || '').trim());
-          const idCol = hdrs.indexOf('Station ID') + 1;
-          if (!idCol) return;
-          // splice out the matching row
-          for (let r = 3; r <= ws.rowCount; r++) {
-            if (String(ws.getRow(r).getCell(idCol).value || '').trim() === stationId) {
-              ws.spliceRows(r, 1);
-              removed = true;
-              break;
-            }
-          }
-        });
-
-        if (removed) {
-          await wbOld.xlsx.writeFile(oldPath);
-        }
+    const snap = await readSnapshotManifest(id);
+
+    // 1) File-level comparison by content hash
+    const snapFiles = new Set(await listFilesRelative(snap.filesDir));
+    const liveFiles = new Set(await listFilesRelative(DATA_DIR, isSnapshotPath));
+    const files = { added: [], removed: [], changed: [] };
+    for (const rel of liveFiles) {
+      if (!snapFiles.has(rel)) files.added.push(rel);
+      else if (await hashFile(path.join(DATA_DIR, rel)) !== await hashFile(path.join(snap.filesDir, rel))) {
+        files.changed.push(rel);
       }
     }
+    for (const rel of snapFiles) {
+      if (!liveFiles.has(rel)) files.removed.push(rel);
+    }
 
-    // 3) Load (or create) the new category workbook
-    await addNewAssetTypeInternal(newAt);
-    const newPath = path.join(DATA_DIR, `${newAt}.xlsx`);
-    const wbNew = new ExcelJS.Workbook();
-    await wbNew.xlsx.readFile(newPath);
+    // 2) Station-level comparison, field by field
+    const before = await readStationsFromDataDir(snap.filesDir);
+    const after  = await readStationsFromDataDir(DATA_DIR);
+    const brief  = st => ({ stationId: st.stationId, stationName: st.stationName, category: st.category });
+    const stations = { added: [], removed: [], changed: [] };
+    for (const [sid, cur] of after) {
+      const old = before.get(sid);
+      if (!old) {
+        stations.added.push(brief(cur));
+        continue;
+      }
+      const fields = [];
+      const keys = new Set([...Object.keys(old), ...Object.keys(cur)]);
+      for (const k of keys) {
+        // the raw Station ID / Site Name / Latitude / Longitude / Asset Type columns cover these
+        if (DERIVED_STATION_KEYS.has(k)) continue;
+        const b = old[k] == null ? '' : String(old[k]);
+        const a = cur[k] == null ? '' : String(cur[k]);
+        if (a !== b) fields.push({ field: k, before: b, after: a });
+      }
+      if (fields.length) stations.changed.push({ ...brief(cur), fields });
+    }
+    for (const [sid, old] of before) {
+      if (!after.has(sid)) stations.removed.push(brief(old));
+    }
 
-    // 4) Figure out exactly which dynamic headers existed before we make any changes
-    const sheet0 = wbNew.worksheets[0];
-    const beforeHeaders = sheet0.getRow(2)
-                          .values
-                          .slice(1)            // drop the dummy 0-index
-                          .map(v => String(v).trim())
-                          .filter(v => v);
-    const CORE = new Set([
-      'Station ID','Asset Type','Site Name',
-      'Province','Latitude','Longitude',
-      'Status','Repair Ranking'
-    ]);
-    // everything not in CORE is “dynamic”
-    const beforeDynamic = beforeHeaders.filter(h => !CORE.has(h));
-    
+    return { success: true, snapshot: { id: snap.id, name: snap.name, createdAt: snap.createdAt }, files, stations };
+  } catch (err) {
+    console.error('diff-snapshot error:', err);
+    return { success: false, message: err.message };
+  }
+});
 
-    const allKeys = Object.keys(updatedStation).filter(k =>
-      ![
-        'stationId', 'stationName', 'latitude', 'longitude',
-        'category', 'Category'
-      ].includes(k)
-    );
-    const targetHeaders = Array.from(new Set([ ...CORE, ...allKeys ]));
+/**
+ * IPC handler: replaces data/ with the contents of a snapshot
+ *    1) Archives the current data as an automatic "Before restoring …" snapshot
+ *    2) Removes the current data files and copies the snapshot's files back
+ *    3) Drops the station cache so the next read comes from the restored files
+ */
+ipcMain.handle('restore-snapshot', async (_evt, id) => {
+  try {
+    const snap = await readSnapshotManifest(id);
+    const archived = await createSnapshot(`Before restoring "${snap.name}"`);
 
-       // 5) Sync headers across every sheet: drop extras, then add missing
-    {
-      // Define your 8 core columns
-      const CORE = new Set([
-        'Station ID','Asset Type','Site Name',
-        'Province','Latitude','Longitude',
-        'Status','Repair Ranking'
-      ]);
+    await clearDataFiles();
+    await fsP.cp(snap.filesDir, DATA_DIR, { recursive: true });
+    await fsP.mkdir(REPAIRS_DIR, { recursive: true });
+    resetStationRepo();
+    clearUndoHistory();
 
-      // Read the “before” dynamic headers from the first sheet
-      const before = wbNew.worksheets[0].getRow(2).values
-        .slice(1)                        // drop dummy 0 index
-        .map(v => String(v||'').trim())
-        .filter(h => h && !CORE.has(h));
+    return { success: true, archived };
+  } catch (err) {
+    console.error('restore-snapshot error:', err);
+    return { success: false, message: err.message };
+  }
+});
 
-      // Compute the “after” headers you actually want
-      const after = Object.keys(updatedStation)
-        .filter(k => !['stationId','stationName','latitude','longitude','category'].includes(k));
-      const targetHeaders = [ ...CORE, ...after ];
+/**
+ * IPC handler: permanently deletes one snapshot folder
+ */
+ipcMain.handle('delete-snapshot', async (_evt, id) => {
+  try {
+    const snap = await readSnapshotManifest(id);
+    await fsP.rm(snap.dir, { recursive: true, force: true });
+    return { success: true };
+  } catch (err) {
+    console.error('delete-snapshot error:', err);
+    return { success: false, message: err.message };
+  }
+});
 
-      // Now for each sheet: 1) remove any column in `before` that isn’t in `after`, 2) add any missing
-      wbNew.worksheets.forEach(ws => {
-        // — 1) DROP removed columns —
-        before.forEach(hdr => {
-          if (!targetHeaders.includes(hdr)) {
-            // find its column index in row 2
-            let colToRemove = null;
-            ws.getRow(2).eachCell((cell, idx) => {
-              if (String(cell.value||'').trim() === hdr) {
-                colToRemove = idx;
-              }
-            });
-            if (colToRemove !== null) {
-              ws.spliceColumns(colToRemove, 1);
-            }
-          }
-        });
+/** 
+ * RESET TO EMPTY
+ * IPC handler: archives a snapshot, deletes every data file, then restarts the app
+ *    - The "Before reset" snapshot can be restored from the Snapshots dialog
+ *    - Backups and snapshots are left untouched
+ *    - Calls app.relaunch() and app.exit(0) to restart cleanly
+ *    - Returns an error result if the snapshot or deletion fails
+ */
+ipcMain.handle('delete-all-data-files', async () => {
+  try {
+    // 1) Archive everything first
+    await createSnapshot('Before reset to empty');
 
-        // — 2) RE-READ headers now that we’ve dropped some —
-        const current = ws.getRow(2).values
-          .slice(1)
-          .map(v => String(v||'').trim());
+    // 2) Delete the workbooks (data folder + repairs sub-folder)
+    await clearDataFiles();
 
-        // — 3) APPEND any that are still missing —
-        targetHeaders.forEach(hdr => {
-          if (!current.includes(hdr)) {
-            const newCol = current.length + 1;
-            ws.spliceColumns(newCol, 0, []);
-            const cell = ws.getRow(2).getCell(newCol);
-            cell.value     = hdr;
-            cell.font      = { bold: true };
-            cell.alignment = { horizontal: 'left', vertical: 'middle' };
-            current.push(hdr);
-          }
-        });
-      });
-    }
+    // 3) Relaunch the app with a clean slate
+    resetStationRepo();
+    clearUndoHistory();
+    app.relaunch();
+    app.exit(0);
+  } catch (err) {
+    console.error('delete-all-data-files error:', err);
+    return { success: false, message: err.message };
+  }
+});
 
+// ─── Data Doctor (integrity checks) ──────────────────────────────────────────
 
+/**
+ * Scans the workbooks, repairs files and station folders for problems the
+ * normal handlers never notice:
+ *    - duplicate-id:      the same Station ID on more than one row (any workbook)
+ *    - bad-coordinates:   rows whose latitude/longitude don't parse (hidden from the map)
+ *    - orphan-repairs:    data/repairs/<id>_repairs.xlsx with no matching station
+ *    - orphan-folder:     station folders with no matching row
+ *    - missing-folder:    rows with no station folder
+ *    - stations-path:     the stations folder itself can't be read
+ *    - legacy-inspections: inspection folders without an inspection.json yet
+ *    - invalid-inspections: inspection.json files that can't be read (fixed by hand)
+ *    - repairs-without-ids: repairs saved before repairs had IDs
+ * Each issue is { id, check, severity, message, stationId, assetType, sheet, row, path, fixes }
+ *    - id: the check plus where the problem is, so fix-data-issue can find it again
+ *    - severity: error | warning | info
+ *    - fixes: any of open-row, create-folder, link-folder, delete-orphan, migrate-inspections,
+ *      assign-repair-ids
+ */
+const DOCTOR_SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
 
+/**
+ * Every data row of an asset-type workbook, with where it lives
+ *    - Same header rules as readStationsFromWorkbook, but nothing is skipped
+ *      except fully empty rows
+ */
+function scanWorkbookRows(wb, assetType) {
+  const rows = [];
+  for (const ws of wb.worksheets) {
+    let headerRow = ws.getRow(2);
+    let firstDataRow = 3;
+    if (!headerRow.hasValues) {
+      headerRow = ws.getRow(1);
+      firstDataRow = 2;
+    }
+    const cols = {};
+    headerRow.eachCell((c, i) => {
+      const v = String(c.value || '').trim();
+      if (v && !cols[v]) cols[v] = i;
+    });
+    if (!cols['Station ID']) continue;
 
-    // 6) Ensure the province sheet exists (create if missing)
-    // Try exact match first, else case-insensitive
-    let wsTarget =
-      wbNew.getWorksheet(newProv) ||
-      wbNew.worksheets.find(sheet => sheet.name.toLowerCase() === newProv.toLowerCase());
+    for (let r = firstDataRow; r <= ws.rowCount; r++) {
+      const row = ws.getRow(r);
+      if (!row.hasValues) continue;
+      const text = key => cols[key] ? auditValue(row.getCell(cols[key]).value).trim() : '';
+      rows.push({
+        assetType,
+        sheet: ws.name,
+        row: r,
+        stationId: text('Station ID'),
+        siteName: text('Site Name'),
+        latitude: text('Latitude'),
+        longitude: text('Longitude')
+      });
+    }
+  }
+  return rows;
+}
 
-    if (!wsTarget) {
-      wsTarget = wbNew.addWorksheet(newProv);
+/**
+ * Runs every check → { issues, summary: { error, warning, info }, scannedAt }
+ */
+async function runDataDoctor() {
+  const issues = [];
+  const add = issue => {
+    const full = { stationId: '', assetType: '', sheet: '', row: null, path: '', fixes: [], ...issue };
+    // built from what the issue is about, so it stays the same across checks
+    full.id = [full.check, full.assetType, full.sheet, full.row ?? '', full.stationId, full.path].join('|');
+    issues.push(full);
+  };
 
-      // Header row 1: merged title
-      wsTarget.mergeCells('A1:H1');
-      wsTarget.getCell('A1').value     = 'General Information';
-      wsTarget.getCell('A1').alignment = { horizontal: 'center', vertical: 'middle' };
-      wsTarget.getCell('A1').font      = { bold: true };
+  // 1) Every row of every asset-type workbook
+  const rows = [];
+  for (const at of await readLookupList('AssetTypes')) {
+    const dataPath = path.join(DATA_DIR, `${at}.xlsx`);
+    if (!fs.existsSync(dataPath)) continue;
+    rows.push(...scanWorkbookRows(await readWorkbookOrRecover(dataPath), at));
+  }
 
-      // Header row 2: core column names
-      const coreCols = [
-        'Station ID', 'Asset Type', 'Site Name',
-        'Province', 'Latitude', 'Longitude',
-        'Status', 'Repair Ranking'
-      ];
-      coreCols.forEach((hdr, i) => {
-        const cell = wsTarget.getRow(2).getCell(i + 1);
-        cell.value     = hdr;
-        cell.font      = { bold: true };
-        cell.alignment = { horizontal: 'left', vertical: 'middle' };
-      });
+  // 2) Duplicate IDs
+  const byId = new Map();
+  rows.filter(r => r.stationId).forEach(r => {
+    const key = r.stationId.toUpperCase();
+    if (!byId.has(key)) byId.set(key, []);
+    byId.get(key).push(r);
+  });
+  for (const list of byId.values()) {
+    if (list.length < 2) continue;
+    const where = r => `${r.assetType} / ${r.sheet} row ${r.row}`;
+    list.forEach(r => add({
+      check: 'duplicate-id',
+      severity: 'error',
+      message: `Station ID ${r.stationId} (${where(r)}) is also used by ` +
+               `${list.filter(o => o !== r).map(where).join(', ')}.`,
+      stationId: r.stationId, assetType: r.assetType, sheet: r.sheet, row: r.row,
+      fixes: ['open-row']
+    }));
+  }
 
-      // inject dynamic headers too
-      const post = [];
-      wsTarget.getRow(2).eachCell((c, i) => {
-        const v = String(c.value || '').trim();
-        post[i - 1] = v || null;
+  // 3) Rows without usable coordinates (or without an ID at all)
+  for (const r of rows) {
+    if (!r.stationId) {
+      add({
+        check: 'bad-coordinates',
+        severity: 'warning',
+        message: `Row ${r.row} of ${r.assetType} / ${r.sheet} has no Station ID and is ignored.`,
+        assetType: r.assetType, sheet: r.sheet, row: r.row,
+        fixes: ['open-row']
       });
-      targetHeaders.forEach(hdr => {
-        if (!post.includes(hdr)) {
-          const col = post.length + 1;
-          wsTarget.spliceColumns(col, 0, []);
-          const cell = wsTarget.getRow(2).getCell(col);
-          cell.value     = hdr;
-          cell.font      = { bold: true };
-          cell.alignment = { horizontal: 'left', vertical: 'middle' };
-          post.push(hdr);
-        }
+      continue;
+    }
+    const lat = Number(r.latitude);
+    const lon = Number(r.longitude);
+    if (r.latitude === '' || r.longitude === '' || isNaN(lat) || isNaN(lon) ||
+        Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      add({
+        check: 'bad-coordinates',
+        severity: 'warning',
+        message: `${r.stationId} has unusable coordinates (“${r.latitude}”, “${r.longitude}”) and is hidden from the map.`,
+        stationId: r.stationId, assetType: r.assetType, sheet: r.sheet, row: r.row,
+        fixes: ['open-row']
       });
     }
+  }
 
-    // 7) Build header→column index map
-    const headerMap = {};
-    wsTarget.getRow(2).eachCell((c, i) => {
-      const v = String(c.value || '').trim();
-      if (v) headerMap[v] = i;
+  // 4) Repairs files with no station
+  const knownIds = new Set([...byId.keys()]);
+  const repairFiles = await fsP.readdir(REPAIRS_DIR).catch(() => []);
+  for (const name of repairFiles) {
+    const m = name.match(/^(.+)_repairs\.xlsx$/i);
+    if (!m || knownIds.has(m[1].toUpperCase())) continue;
+    add({
+      check: 'orphan-repairs',
+      severity: 'warning',
+      message: `${name} belongs to no station.`,
+      stationId: m[1],
+      path: path.join(REPAIRS_DIR, name),
+      fixes: ['delete-orphan']
     });
+  }
 
-    // 8) Append the updated station row
-    const row = wsTarget.getRow(wsTarget.rowCount + 1);
-    row.getCell(headerMap['Station ID']).value     = stationId;
-    row.getCell(headerMap['Asset Type']).value     = newAt;
-    row.getCell(headerMap['Site Name']).value      = updatedStation['Site Name'] || updatedStation.stationName;
-    row.getCell(headerMap['Province']).value       = newProv;
-    row.getCell(headerMap['Latitude']).value       = Number(updatedStation.Latitude  || updatedStation.latitude);
-    row.getCell(headerMap['Longitude']).value      = Number(updatedStation.Longitude || updatedStation.longitude);
-    row.getCell(headerMap['Status']).value         = updatedStation.Status;
-    row.getCell(headerMap['Repair Ranking']).value = updatedStation['Repair Ranking'];
+  // 4b) Repairs from before repairs had IDs (only the whole list can be saved)
+  await loadStationRepo();
+  for (const [id, list] of stationRepo.repairs) {
+    const missing = list.filter(r => !r.id).length;
+    if (!missing) continue;
+    add({
+      check: 'repairs-without-ids',
+      severity: 'info',
+      message: `${id} has ${missing} repair(s) without an ID; their status can't be changed one by one.`,
+      stationId: id,
+      path: path.join(REPAIRS_DIR, `${id}_repairs.xlsx`),
+      fixes: ['assign-repair-ids']
+    });
+  }
 
-    allKeys.forEach(key => {
-      const idx = headerMap[key];
-      if (idx) row.getCell(idx).value = updatedStation[key] || '';
+  // 5) Station folders vs. rows
+  let folders = null;
+  try {
+    folders = (await fsP.readdir(stationsBasePath(), { withFileTypes: true }))
+      .filter(d => d.isDirectory())
+      .map(d => d.name);
+  } catch (err) {
+    add({
+      check: 'stations-path',
+      severity: 'error',
+      message: `Cannot read the stations folder ${stationsBasePath()} (${err.message}). Check it in Settings.`,
+      path: stationsBasePath()
     });
-    row.commit();
+  }
+  if (folders) {
+    const folderIdOf = name => [...knownIds].find(id => name.toUpperCase().endsWith(`_${id}`));
+    const linked = new Set();
+    for (const name of folders) {
+      const id = folderIdOf(name);
+      if (id) {
+        linked.add(id);
+        continue;
+      }
+      add({
+        check: 'orphan-folder',
+        severity: 'info',
+        message: `Folder ${name} matches no station.`,
+        path: path.join(stationsBasePath(), name),
+        fixes: ['link-folder']
+      });
+    }
+    for (const [id, list] of byId) {
+      if (linked.has(id)) continue;
+      const r = list[0];
+      add({
+        check: 'missing-folder',
+        severity: 'info',
+        message: `${r.stationId} (${r.siteName || 'no name'}) has no station folder.`,
+        stationId: r.stationId, assetType: r.assetType, sheet: r.sheet, row: r.row,
+        path: path.join(stationsBasePath(), stationFolderName(r.siteName, r.stationId)),
+        fixes: ['create-folder']
+      });
+    }
+  }
 
-    // Save the changes
-    await wbNew.xlsx.writeFile(newPath);
-    return { success: true, message: 'Station moved and saved.' };
+  // 6) Inspection folders still described only by description.txt, or with an unreadable record
+  if (folders) {
+    for (const [id, count] of await stationsWithLegacyInspections()) {
+      add({
+        check: 'legacy-inspections',
+        severity: 'info',
+        message: `${id} has ${count} inspection folder(s) without structured records.`,
+        stationId: id,
+        fixes: ['migrate-inspections']
+      });
+    }
+    for (const f of await stationsWithInvalidInspections()) {
+      add({
+        check: 'invalid-inspections',
+        severity: 'warning',
+        message: `${f.stationId}: ${path.basename(f.path)}/${INSPECTION_RECORD_FILE} can't be read: ${f.invalid}`,
+        stationId: f.stationId,
+        path: path.join(f.path, INSPECTION_RECORD_FILE)
+      });
+    }
+  }
+
+  issues.sort((a, b) => DOCTOR_SEVERITY_ORDER[a.severity] - DOCTOR_SEVERITY_ORDER[b.severity]);
+  const summary = { error: 0, warning: 0, info: 0 };
+  issues.forEach(i => summary[i.severity]++);
+  return { issues, summary, scannedAt: new Date().toISOString() };
+}
 
+/**
+ * IPC handler: run-data-doctor → { success, issues, summary, scannedAt }
+ */
+ipcMain.handle('run-data-doctor', async () => {
+  try {
+    return { success: true, ...(await runDataDoctor()) };
   } catch (err) {
-    console.error('save-station-data error:', err);
+    console.error('run-data-doctor error:', err);
     return { success: false, message: err.message };
   }
 });
 
+/**
+ * IPC handler: fix-data-issue
+ *    - open-row:      opens the workbook in Excel (the message says which sheet/row)
+ *    - create-folder: creates the station's <SITE_NAME>_<ID> folder
+ *    - link-folder:   renames an orphan folder to belong to `stationId`
+ *    - delete-orphan: deletes an orphan repairs file (undoable)
+ *    - migrate-inspections: writes inspection.json records for a station's legacy folders (undoable)
+ *    - assign-repair-ids: gives a station's repairs without an ID one (undoable)
+ *    - The issue is looked up again by its id, so every path comes from main, never
+ *      from the renderer; a problem that no longer shows up is refused
+ *    - Returns { success, message }
+ */
+ipcMain.handle('fix-data-issue', async (_e, issueRef, fix, stationId) => {
+  let step;
+  try {
+    const { issues } = await runDataDoctor();
+    const issue = issues.find(i => i.id === String(issueRef?.id));
+    if (!issue) {
+      return { success: false, message: 'This problem is no longer found. Run the check again.' };
+    }
+    if (!issue.fixes.includes(fix)) {
+      return { success: false, message: `"${fix}" is not a fix for this problem.` };
+    }
 
+    switch (fix) {
+      case 'open-row': {
+        const dataPath = path.join(DATA_DIR, `${issue.assetType}.xlsx`);
+        const err = await shell.openPath(dataPath);
+        if (err) return { success: false, message: err };
+        return { success: true, message: `Opened ${issue.assetType}.xlsx – sheet “${issue.sheet}”, row ${issue.row}.` };
+      }
+      case 'create-folder': {
+        await fsP.mkdir(issue.path, { recursive: true });
+        return { success: true, message: `Created ${path.basename(issue.path)}.` };
+      }
+      case 'link-folder': {
+        await loadStationRepo();
+        const id = String(stationId || '').trim();
+        const st = [...cachedStationsFor([...stationRepo.stationsByType.keys()]).values()]
+          .find(s => s.stationId === id);
+        if (!st) return { success: false, message: `No station ${id}.` };
+        const target = path.join(stationsBasePath(), stationFolderName(st.stationName, st.stationId));
+        if (fs.existsSync(target)) return { success: false, message: `${path.basename(target)} already exists.` };
+        await fsP.rename(issue.path, target);
+        return { success: true, message: `Renamed ${path.basename(issue.path)} to ${path.basename(target)}.` };
+      }
+      case 'delete-orphan': {
+        step = await beginUndoStep(`Delete ${path.basename(issue.path)}`, [], [issue.path]);
+        await backupWorkbook(issue.path);
+        await fsP.rm(issue.path, { force: true });
+        commitUndoStep(step);
+        return { success: true, message: `Deleted ${path.basename(issue.path)}.`, undoLabel: step.label };
+      }
+      case 'assign-repair-ids': {
+        const res = await assignRepairIds([issue.stationId]);
+        return { success: true, message: `Gave ${res.assigned} repair(s) of ${issue.stationId} an ID.`, undoLabel: res.undoLabel };
+      }
+      case 'migrate-inspections': {
+        const res = await migrateInspectionRecords([issue.stationId]);
+        return { success: true, message: `Converted ${res.migrated} inspection record(s) of ${issue.stationId}.`, undoLabel: res.undoLabel };
+      }
+      default:
+        return { success: false, message: `Unknown fix "${fix}".` };
+    }
+  } catch (err) {
+    console.error('fix-data-issue error:', err);
+    abandonUndoStep(step);
+    return { success: false, message: err.message };
+  }
+});
 
 /**
- * get-station-file-details:
- *   - Reads inspectionHistory, highPriorityRepairs, documents, photos from disk.
+ * IPC handler: export-data-doctor-report
+ *    - Runs the checks again and saves them as an .xlsx chosen by the user
+ *    - Returns { success, message, filePath } (success false if cancelled)
  */
-const BASE_STATIONS_PATH = 'C:\\Users\\nitsu\\OneDrive\\Documents\\Stations';
+ipcMain.handle('export-data-doctor-report', async () => {
+  try {
+    const { issues, scannedAt } = await runDataDoctor();
+    const { canceled, filePath } = await dialog.showSaveDialog({
+      title: 'Save data check report',
+      defaultPath: `data-check-${fileTimestamp()}.xlsx`,
+      filters: [{ name: 'Excel Workbook', extensions: ['xlsx'] }]
+    });
+    if (canceled || !filePath) return { success: false, message: 'Cancelled.' };
+
+    const wb = new ExcelJS.Workbook();
+    const ws = wb.addWorksheet('Data Check');
+    ws.addRow([`Data check – ${new Date(scannedAt).toLocaleString()}`]);
+    ws.getRow(1).font = { bold: true };
+    ws.addRow(['Severity', 'Check', 'Station ID', 'Asset Type', 'Sheet', 'Row', 'Path', 'Details']);
+    ws.getRow(2).font = { bold: true };
+    issues.forEach(i => ws.addRow([
+      i.severity, i.check, i.stationId, i.assetType, i.sheet, i.row ?? '', i.path, i.message
+    ]));
+    [10, 16, 14, 16, 12, 6, 50, 80].forEach((w, i) => { ws.getColumn(i + 1).width = w; });
+    await wb.xlsx.writeFile(filePath);
+    return { success: true, message: `Report saved (${issues.length} issue(s)).`, filePath };
+  } catch (err) {
+    console.error('export-data-doctor-report error:', err);
+    return { success: false, message: err.message };
+  }
+});
+
+// ─── Maintenance Plan (budget optimizer) ─────────────────────────────────────
+
+// Budget steps of the knapsack search; repair costs are rounded up to a whole step,
+// so a year never goes over budget but may leave up to one step per repair unspent
+const PLAN_BUDGET_STEPS = 1000;
 
 /**
- * Reads a directory and returns its contents, optionally filtering by file extension
- *    - dirPath: absolute path to the folder
- *    - fileTypes: array of lowercase extensions (e.g. ['.jpg','.png']) or null to include all
- * Returns an array of { name, path, isDirectory }
+ * Checks the planner options → { options } or { error }
+ *    - annualBudget > 0; years 1…30; startYear defaults to this year
+ *    - provinceCaps / categoryCaps: { name: most to spend there per year }; blank caps are dropped
  */
-async function listDirectoryContents(dirPath, fileTypes = null) {
-  try {
-    // ensure the directory exists & is readable
-    await fsPromises.access(dirPath);
-    // read all entries with metadata
-    const items = await fsPromises.readdir(dirPath, { withFileTypes: true });
-    return items
-      .filter(item => {
-        // include everything if no filter or always include subfolders
-        if (!fileTypes) return true;
-        if (item.isDirectory()) return true;
-        // check file extension against allowed list
-        const ext = path.extname(item.name).toLowerCase();
-        return fileTypes.includes(ext);
-      })
-      .map(item => ({
-        name: item.name,
-        path: path.join(dirPath, item.name),
-        isDirectory: item.isDirectory()
-      }));
-  } catch {
-    // directory missing or inaccessible → return empty list
-    return [];
+function readPlanOptions(raw = {}) {
+  const annualBudget = Number(raw.annualBudget);
+  if (!(annualBudget > 0)) return { error: 'The annual budget must be a number above 0.' };
+  const years = Number(raw.years ?? 5);
+  if (!Number.isInteger(years) || years < 1 || years > 30) {
+    return { error: 'The number of years must be a whole number from 1 to 30.' };
   }
+  const startYear = Number(raw.startYear || new Date().getFullYear());
+  if (!Number.isInteger(startYear)) return { error: 'The first year must be a year, e.g. 2026.' };
+
+  const readCaps = (caps, kind) => {
+    const out = {};
+    for (const [name, value] of Object.entries(caps || {})) {
+      if (value === '' || value === null || value === undefined) continue;
+      const n = Number(value);
+      if (!(n >= 0)) return { error: `The ${kind} cap for “${name}” must be a number of 0 or more.` };
+      out[name] = n;
+    }
+    return out;
+  };
+  const provinceCaps = readCaps(raw.provinceCaps, 'province');
+  if (provinceCaps.error) return provinceCaps;
+  const categoryCaps = readCaps(raw.categoryCaps, 'category');
+  if (categoryCaps.error) return categoryCaps;
+
+  return { options: { annualBudget, years, startYear, provinceCaps, categoryCaps } };
 }
 
 /**
- * Recursively lists all files and directories under `dirPath`.
- * If `fileTypes` is provided, only files with those extensions are included.
- * Always includes directories.
+ * 0/1 knapsack: the subset of `items` with the highest summed score whose
+ * cost fits in `capacity` (costs rounded up to PLAN_BUDGET_STEPS steps)
  */
-async function listDirectoryContentsRecursive(dirPath, fileTypes = null) {
-  const results = [];
-  try {
-    const entries = await fsPromises.readdir(dirPath, { withFileTypes: true });
-    for (const entry of entries) {
-      const fullPath = path.join(dirPath, entry.name);
-      if (entry.isDirectory()) {
-        // include the folder itself
-        results.push({ name: entry.name, path: fullPath, isDirectory: true });
-        // then recurse into it
-        const nested = await listDirectoryContentsRecursive(fullPath, fileTypes);
-        results.push(...nested);
-      } else {
-        const ext = path.extname(entry.name).toLowerCase();
-        if (!fileTypes || fileTypes.includes(ext)) {
-          results.push({ name: entry.name, path: fullPath, isDirectory: false });
-        }
+function bestRepairSubset(items, capacity) {
+  if (!(capacity > 0)) return items.filter(it => it.cost <= 0);
+  const step = capacity / PLAN_BUDGET_STEPS;
+  const weight = it => Math.max(0, Math.ceil(it.cost / step - 1e-9));
+  const candidates = items.filter(it => it.cost <= capacity);
+
+  // best[c] = highest score using c steps; took[i][c] = item i is part of it
+  const n = candidates.length;
+  const best = new Float64Array(PLAN_BUDGET_STEPS + 1);
+  const took = new Uint8Array(n * (PLAN_BUDGET_STEPS + 1));
+  candidates.forEach((it, i) => {
+    const w = weight(it);
+    for (let c = PLAN_BUDGET_STEPS; c >= w; c--) {
+      if (best[c - w] + it.score > best[c]) {
+        best[c] = best[c - w] + it.score;
+        took[i * (PLAN_BUDGET_STEPS + 1) + c] = 1;
       }
     }
-  } catch {
-    // ignore directories we can't read
+  });
+  const chosen = [];
+  for (let i = n - 1, c = PLAN_BUDGET_STEPS; i >= 0; i--) {
+    if (took[i * (PLAN_BUDGET_STEPS + 1) + c]) {
+      chosen.push(candidates[i]);
+      c -= weight(candidates[i]);
+    }
   }
-  return results;
+  return chosen.reverse();
 }
 
-
 /**
- * IPC handler: gathers file/folder details for a given station
- *    - Validates stationId & BASE_STATIONS_PATH configuration
- *    - Builds a details object with:
- *        • overview: station data from Excel
- *        • inspectionHistory, highPriorityRepairs, documents, photos arrays
- *    - Uses listDirectoryContents() to read each subfolder,
- *      filtering images by extension under “Photos”
- *    - Returns { success: true, data } or partial data with a warning message
+ * Picks the repairs to fund in one year → the chosen items
+ *    - The knapsack over the whole budget maximises the summed priority score
+ *    - While a province or category goes over its cap, only that group's best
+ *      subset within the cap stays in play and the year is solved again
+ *    - Money left over goes to the best remaining repairs that still fit
  */
-ipcMain.handle('get-station-file-details', async (event, stationId, stationDataFromExcel) => {
-  if (!stationId) {
-    return { success: false, message: "Station ID is required." };
+function planOneYear(items, budget, { provinceCaps, categoryCaps }) {
+  const capped = [['province', provinceCaps], ['category', categoryCaps]];
+  const spentIn = (list, key, name) => list
+    .filter(it => it[key] === name)
+    .reduce((sum, it) => sum + it.cost, 0);
+
+  // 1) solve, narrowing over-cap groups until every cap holds
+  let pool = items;
+  let chosen;
+  for (;;) {
+    chosen = bestRepairSubset(pool, budget);
+    let over = null;
+    for (const [key, caps] of capped) {
+      const name = Object.keys(caps).find(n => spentIn(chosen, key, n) > caps[n]);
+      if (name !== undefined) over = { key, name, cap: caps[name] };
+      if (over) break;
+    }
+    if (!over) break;
+    const keep = new Set(bestRepairSubset(pool.filter(it => it[over.key] === over.name), over.cap));
+    pool = pool.filter(it => it[over.key] !== over.name || keep.has(it));
   }
 
-  // 1) Locate the station’s folder as before
-  let dirEntries;
-  try {
-    dirEntries = await fsPromises.readdir(BASE_STATIONS_PATH, { withFileTypes: true });
-  } catch (err) {
-    return { success: false, message: `Cannot read Stations directory: ${err.message}` };
-  }
-  const match = dirEntries.find(d =>
-    d.isDirectory() &&
-    d.name.toUpperCase().endsWith(`_${stationId.toUpperCase()}`)
-  );
-  if (!match) {
-    return { success: false, message: `No folder matching "*_${stationId}" found.` };
-  }
-  const stationFolder = path.join(BASE_STATIONS_PATH, match.name);
+  // 2) fill what's left, best score first
+  const chosenSet = new Set(chosen);
+  let spent = chosen.reduce((sum, it) => sum + it.cost, 0);
+  const fits = it => spent + it.cost <= budget &&
+    capped.every(([key, caps]) =>
+      caps[it[key]] === undefined || spentIn(chosen, key, it[key]) + it.cost <= caps[it[key]]);
+  items
+    .filter(it => !chosenSet.has(it))
+    .sort((a, b) => b.score - a.score || a.cost - b.cost)
+    .forEach(it => {
+      if (fits(it)) {
+        chosen.push(it);
+        chosenSet.add(it);
+        spent += it.cost;
+      }
+    });
 
-  // 2) Read *all* root entries
-  const rootEntries = await listDirectoryContents(stationFolder);
+  return items.filter(it => chosenSet.has(it));
+}
 
-  // 3) Build inspectionHistory either from a real subfolder… or fallback to year-prefixed folders
-  let inspectionHistory = await listDirectoryContents(path.join(stationFolder, 'Inspection History'));
-  if (inspectionHistory.length === 0) {
-    // exclude any other “named” categories you have
-    const exclude = new Set([
-      'High Priority Repairs',
-      'Documents',
-      'Photos',
-      'Thumbs',         // DB file folder
-      'STATION_INFO'
-    ]);
-    inspectionHistory = rootEntries
-      .filter(e => e.isDirectory && !exclude.has(e.name))
-      // sort by the leading 4-digit year, ascending
-      .sort((a, b) => {
-        const yA = parseInt((a.name.match(/^(\d{4})/)||[])[1] || '0', 10);
-        const yB = parseInt((b.name.match(/^(\d{4})/)||[])[1] || '0', 10);
-        return yA - yB;
+/**
+ * Builds a multi-year plan from every open (not Completed) repair
+ *    - Repairs are valued by their priority score (see computePriorityScores)
+ *    - Each year funds the best set within the budget and caps; the rest carries over
+ *    - Returns { options, years: [{ year, budget, spent, items }], backlog, totals }
+ *      (backlog items carry a note when they can never be funded)
+ */
+async function buildMaintenancePlan(rawOptions) {
+  const { options, error } = readPlanOptions(rawOptions);
+  if (error) throw new Error(error);
+
+  await loadStationRepo();
+  const scores = computePriorityScores().repairs;
+  const stations = new Map();
+  for (const list of stationRepo.stationsByType.values()) {
+    for (const st of list) stations.set(st.stationId, st);
+  }
+
+  let backlog = [];
+  for (const [stationId, repairs] of stationRepo.repairs) {
+    const st = stations.get(stationId);
+    if (!st) continue;
+    for (const [i, r] of repairs.entries()) {
+      if (r.status === 'Completed') continue;
+      backlog.push({
+        stationId,
+        stationName: st.stationName,
+        province: String(st['General Information – Province'] || st.Province || 'Unknown'),
+        category: st.category,
+        repairId: r.id,
+        title: auditValue(r.title),
+        status: r.status,
+        ranking: r.ranking,
+        freq: auditValue(r.freq),
+        cost: r.cost || 0,
+        score: scores.get(stationId)?.get(i) || 0
       });
+    }
   }
 
-  // 4) Continue to pick up the other sections from their usual subfolders
-  const highPriorityRepairs = await listDirectoryContents(path.join(stationFolder, 'High Priority Repairs'));
-  const documents = await listDirectoryContents(path.join(stationFolder, 'Documents'));
-  const photos = await listDirectoryContentsRecursive(
-    stationFolder,
-    ['.jpg', '.jpeg', '.png', '.gif']
-  );
+  const years = [];
+  for (let y = 0; y < options.years; y++) {
+    const funded = planOneYear(backlog, options.annualBudget, options);
+    const fundedSet = new Set(funded);
+    backlog = backlog.filter(it => !fundedSet.has(it));
+    years.push({
+      year: options.startYear + y,
+      budget: options.annualBudget,
+      spent: funded.reduce((sum, it) => sum + it.cost, 0),
+      items: funded
+    });
+  }
 
-  // 5) Return
+  backlog.sort((a, b) => b.score - a.score);
+  const sum = (list, key) => list.reduce((total, it) => total + it[key], 0);
   return {
-    success: true,
-    data: {
-      stationId,
-      stationFolder,
-      overview: stationDataFromExcel,
-      inspectionHistory,
-      highPriorityRepairs,
-      documents,
-      photos
+    options,
+    years,
+    // repairs that can never be funded under these limits say why
+    backlog: backlog.map(it => ({
+      ...it,
+      note: it.cost > options.annualBudget ? 'Costs more than the annual budget'
+        : it.cost > (options.provinceCaps[it.province] ?? Infinity) ? `Costs more than the ${it.province} cap`
+        : it.cost > (options.categoryCaps[it.category] ?? Infinity) ? `Costs more than the ${it.category} cap`
+        : ''
+    })),
+    totals: {
+      funded: years.reduce((n, y) => n + y.items.length, 0),
+      spent: sum(years, 'spent'),
+      backlog: backlog.length,
+      backlogCost: sum(backlog, 'cost')
     }
   };
-});
-
-// ─── IPC: Open paths & files ─────────────────────────────────────────────────
+}
 
 /**
- * IPC listener: reveals a file or folder in the OS file explorer
- *    - Triggered by renderer via 'open-path-in-explorer'
- *    - Checks that the path exists, then calls shell.showItemInFolder()
+ * IPC handler: plan-maintenance
+ *    - options: { annualBudget, years, startYear, provinceCaps, categoryCaps }
+ *    - Returns { success, data: plan } (see buildMaintenancePlan)
  */
-ipcMain.on('open-path-in-explorer', (event, filePath) => {
-  if (filePath && fs.existsSync(filePath)) {
-    shell.showItemInFolder(filePath);
+ipcMain.handle('plan-maintenance', async (_e, options) => {
+  try {
+    return { success: true, data: await buildMaintenancePlan(options) };
+  } catch (err) {
+    console.error('plan-maintenance error:', err);
+    return { success: false, message: err.message };
   }
 });
 
 /**
- * IPC listener: opens a file with the system default application
- *    - Invoked by the renderer via 'open-file'
- *    - Checks that the file path exists
- *    - Calls shell.openPath(); on failure shows an error dialog
+ * IPC handler: export-maintenance-plan
+ *    - Rebuilds the plan for `options` and saves it as an .xlsx chosen by the user:
+ *      a Summary sheet, one Plan sheet (repairs by year) and the remaining Backlog
+ *    - Returns { success, message, filePath } (success false if cancelled)
  */
-ipcMain.on('open-file', (event, filePath) => {
-  if (filePath && fs.existsSync(filePath)) {
-    shell.openPath(filePath).catch(err => {
-      dialog.showErrorBox("Open File Error", `Could not open the file:\n${err.message}`);
+ipcMain.handle('export-maintenance-plan', async (_e, options) => {
+  try {
+    const plan = await buildMaintenancePlan(options);
+    const { canceled, filePath } = await dialog.showSaveDialog({
+      title: 'Save maintenance plan',
+      defaultPath: `maintenance-plan-${plan.options.startYear}-${fileTimestamp()}.xlsx`,
+      filters: [{ name: 'Excel Workbook', extensions: ['xlsx'] }]
     });
+    if (canceled || !filePath) return { success: false, message: 'Cancelled.' };
+
+    const wb = new ExcelJS.Workbook();
+    const summary = wb.addWorksheet('Summary');
+    summary.addRow([`Maintenance plan – ${new Date().toLocaleString()}`]).font = { bold: true };
+    summary.addRow(['Annual budget', plan.options.annualBudget]);
+    Object.entries(plan.options.provinceCaps).forEach(([name, cap]) => summary.addRow([`Cap: ${name}`, cap]));
+    Object.entries(plan.options.categoryCaps).forEach(([name, cap]) => summary.addRow([`Cap: ${name}`, cap]));
+    summary.addRow([]);
+    summary.addRow(['Year', 'Repairs', 'Spent', 'Unspent']).font = { bold: true };
+    plan.years.forEach(y => summary.addRow([y.year, y.items.length, y.spent, y.budget - y.spent]));
+    summary.addRow(['Backlog', plan.totals.backlog, plan.totals.backlogCost]).font = { bold: true };
+    [24, 10, 14, 14].forEach((w, i) => { summary.getColumn(i + 1).width = w; });
+
+    const columns = ['Station ID', 'Station', 'Province', 'Category', 'Repair', 'Status', 'Ranking', 'Frequency', 'Priority Score', 'Cost'];
+    const repairRow = it => [
+      it.stationId, it.stationName, it.province, it.category, it.title,
+      it.status, it.ranking || '', it.freq, it.score, it.cost
+    ];
+    const widths = [12, 24, 10, 14, 30, 12, 8, 12, 13, 12];
+
+    const planWs = wb.addWorksheet('Plan');
+    planWs.addRow(['Year', ...columns]).font = { bold: true };
+    plan.years.forEach(y => y.items.forEach(it => planWs.addRow([y.year, ...repairRow(it)])));
+    [6, ...widths].forEach((w, i) => { planWs.getColumn(i + 1).width = w; });
+
+    const backlogWs = wb.addWorksheet('Backlog');
+    backlogWs.addRow([...columns, 'Note']).font = { bold: true };
+    plan.backlog.forEach(it => backlogWs.addRow([
+      ...repairRow(it), it.note
+    ]));
+    [...widths, 34].forEach((w, i) => { backlogWs.getColumn(i + 1).width = w; });
+
+    await wb.xlsx.writeFile(filePath);
+    return { success: true, message: `Plan saved (${plan.totals.funded} repair(s) over ${plan.years.length} year(s)).`, filePath };
+  } catch (err) {
+    console.error('export-maintenance-plan error:', err);
+    return { success: false, message: err.message };
   }
 });
 
+// ─── Inspection Schedule ─────────────────────────────────────────────────────
 
-// ─── IPC: Download window as PDF ────────────────────────────────────────────
+// “Due soon” windows of the inspection schedule, in days
+const INSPECTION_DUE_WINDOWS = [30, 60, 90];
 
 /**
- * Captures a Windows screen snip and saves it as a PDF
- *    - Launches the ms-screenclip tool and polls the clipboard for an image
- *    - Prompts the user for a PDF save path
- *    - Renders the image in an offscreen BrowserWindow and prints to PDF
+ * YYYY-MM-DD + a frequency parsed by parseFrequency → YYYY-MM-DD
+ *    - Whole months and years follow the calendar; fractions (“1.5 years”) are added in days
  */
-ipcMain.handle('download-window-pdf', async () => {
-  // trigger the Windows screen clip overlay
-  exec('start ms-screenclip:');
+function addInspectionFrequency(dateIso, { n, unit }) {
+  const d = new Date(`${dateIso}T00:00:00Z`);
+  if (!Number.isInteger(n)) {
+    d.setUTCDate(d.getUTCDate() + Math.round(n * FREQUENCY_UNIT_DAYS[unit]));
+    return d.toISOString().slice(0, 10);
+  }
+  if (unit === 'day')   d.setUTCDate(d.getUTCDate() + n);
+  if (unit === 'week')  d.setUTCDate(d.getUTCDate() + 7 * n);
+  if (unit === 'month') d.setUTCMonth(d.getUTCMonth() + n);
+  if (unit === 'year')  d.setUTCFullYear(d.getUTCFullYear() + n);
+  return d.toISOString().slice(0, 10);
+}
 
-  // poll the clipboard for up to 30 seconds
-  let img;
-  for (let i = 0; i < 60; i++) {
-    await new Promise(r => setTimeout(r, 500));
-    const candidate = clipboard.readImage();
-    if (!candidate.isEmpty()) {
-      img = candidate;
-      break;
-    }
+/**
+ * Default inspection frequency of each asset type → Map lower-case asset type → text
+ *    - Column B (“InspectionFrequency”) of the AssetTypes sheet in lookups.xlsx
+ */
+async function readAssetTypeInspectionFrequencies() {
+  const wb = await loadLookupWorkbook();
+  const sheet = wb.getWorksheet('AssetTypes');
+  const out = new Map();
+  if (!sheet) return out;
+  sheet.eachRow((row, rn) => {
+    const name = row.getCell(1).text.trim();
+    const freq = row.getCell(2).text.trim();
+    if (rn >= 2 && name && freq) out.set(name.toLowerCase(), freq);
+  });
+  return out;
+}
+
+/**
+ * Next inspection of one station → { lastInspection, frequency, frequencySource, nextDue, daysUntilDue, bucket }
+ *    - The station's own “… Inspection Frequency” field wins over its asset type's default
+ *    - bucket: 'never' (no inspection folder), 'no-frequency', 'overdue',
+ *      'due-30' / 'due-60' / 'due-90' (first window it falls in) or 'ok'
+ */
+function inspectionStatus(st, lastInspection, typeFrequencies) {
+  const freqKey = Object.keys(st).find(k => /inspection frequency$/i.test(k));
+  const own = freqKey ? auditValue(st[freqKey]).trim() : '';
+  const frequency = parseFrequency(own) ? own : (typeFrequencies.get(String(st.category).toLowerCase()) || '');
+  const frequencySource = !frequency ? '' : frequency === own ? 'station' : 'asset type';
+  const parsed = parseFrequency(frequency);
+
+  const out = { lastInspection, frequency, frequencySource, nextDue: '', daysUntilDue: null, bucket: 'ok' };
+  if (!lastInspection) {
+    out.bucket = 'never';
+    return out;
   }
-  if (!img) {
-    return { success: false, message: 'No screenshot detected.' };
+  if (!parsed) {
+    out.bucket = 'no-frequency';
+    return out;
   }
+  out.nextDue = addInspectionFrequency(lastInspection, parsed);
+  const today = new Date(`${new Date().toISOString().slice(0, 10)}T00:00:00Z`);
+  out.daysUntilDue = Math.round((Date.parse(`${out.nextDue}T00:00:00Z`) - today) / 86400000);
+  if (out.daysUntilDue < 0) out.bucket = 'overdue';
+  else {
+    const window = INSPECTION_DUE_WINDOWS.find(days => out.daysUntilDue <= days);
+    if (window) out.bucket = `due-${window}`;
+  }
+  return out;
+}
 
-  // ask the user where to save the PDF
-  const { canceled, filePath } = await dialog.showSaveDialog({
-    title: 'Save snip as PDF…',
-    defaultPath: `snippet-${Date.now()}.pdf`,
-    filters: [{ name: 'PDF Files', extensions: ['pdf'] }]
-  });
-  if (canceled || !filePath) {
-    return { success: false, message: 'Save cancelled.' };
+/**
+ * One schedule row per station { stationId, stationName, category, province, latitude, longitude, ...inspectionStatus }
+ *    - No stationId: re-reads every station folder first
+ *    - With a stationId: just that station, from its folder (the Inspection History tab)
+ */
+async function buildInspectionSchedule(stationId) {
+  await loadStationRepo();
+  const typeFrequencies = await readAssetTypeInspectionFrequencies();
+  const stations = [...stationRepo.stationsByType.values()].flat()
+    .filter(st => !stationId || st.stationId === String(stationId).trim());
+
+  let lastOf;
+  if (stationId) {
+    const folder = await stationFolderOf(stationId);
+    const latest = folder ? await readLatestInspectionDate(folder) : '';
+    lastOf = () => latest;
+  } else {
+    await stationRepoRefreshInspections();
+    lastOf = id => stationRepo.inspectionDates.get(id) || '';
   }
 
-  // render the captured image in an offscreen window
-  const pdfWin = new BrowserWindow({ show: false, webPreferences: { offscreen: true } });
-  const html = `
-    <html><body style="margin:0">
-      <img src="${img.toDataURL()}" style="width:100%;height:100%;object-fit:contain"/>
-    </body></html>`;
-  await pdfWin.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(html));
+  return stations.map(st => ({
+    stationId: st.stationId,
+    stationName: st.stationName,
+    category: st.category,
+    province: String(st['General Information – Province'] || st.Province || 'Unknown'),
+    latitude: st.latitude,
+    longitude: st.longitude,
+    ...inspectionStatus(st, lastOf(st.stationId), typeFrequencies)
+  }));
+}
 
-  // print the offscreen window to PDF and save
-  const pdfBuffer = await pdfWin.webContents.printToPDF({
-    marginsType: 0, printBackground: true, pageSize: 'A4', landscape: false
-  });
-  fs.writeFileSync(filePath, pdfBuffer);
+/**
+ * IPC handler: get-inspection-schedule → { success, data: buildInspectionSchedule rows, windows }
+ */
+ipcMain.handle('get-inspection-schedule', async (_e, stationId) => {
+  try {
+    const data = await buildInspectionSchedule(stationId);
+    return { success: true, data, windows: INSPECTION_DUE_WINDOWS };
+  } catch (err) {
+    console.error('get-inspection-schedule error:', err);
+    return { success: false, message: err.message };
+  }
+});
 
-  return { success: true, message: filePath };
+/**
+ * IPC handler: get-inspection-frequencies → { success, data: [{ assetType, frequency }] }
+ */
+ipcMain.handle('get-inspection-frequencies', async () => {
+  try {
+    const frequencies = await readAssetTypeInspectionFrequencies();
+    const data = (await readLookupList('AssetTypes')).map(assetType => ({
+      assetType,
+      frequency: frequencies.get(assetType.toLowerCase()) || ''
+    }));
+    return { success: true, data };
+  } catch (err) {
+    console.error('get-inspection-frequencies error:', err);
+    return { success: false, message: err.message };
+  }
+});
+
+/**
+ * IPC handler: set-inspection-frequencies
+ *    - changes: { assetType: 'N days|weeks|months|years' or '' to clear }
+ *    - Writes column B of the AssetTypes sheet in one go
+ */
+ipcMain.handle('set-inspection-frequencies', async (_e, changes = {}) => {
+  try {
+    const fieldErrors = Object.entries(changes)
+      .filter(([, freq]) => String(freq).trim() && !parseFrequency(freq))
+      .map(([assetType]) => ({ field: assetType, message: 'must look like “5 years” or “6 months”' }));
+    if (fieldErrors.length) return { success: false, message: 'Some frequencies could not be read.', fieldErrors };
+
+    const wb = await loadLookupWorkbook();
+    const sheet = wb.getWorksheet('AssetTypes');
+    if (!sheet) return { success: false, message: 'No asset types yet.' };
+    sheet.getCell('B1').value = 'InspectionFrequency';
+    const wanted = new Map(Object.entries(changes).map(([k, v]) => [k.toLowerCase(), String(v).trim()]));
+    sheet.eachRow((row, rn) => {
+      const key = row.getCell(1).text.trim().toLowerCase();
+      if (rn >= 2 && wanted.has(key)) row.getCell(2).value = wanted.get(key) || null;
+    });
+    await writeWorkbookAtomic(wb, LOOKUPS_PATH);
+    return { success: true, message: 'Inspection frequencies saved.' };
+  } catch (err) {
+    console.error('set-inspection-frequencies error:', err);
+    return { success: false, message: err.message };
+  }
 });
 
+// ─── Calendar Export (iCalendar, RFC 5545) ───────────────────────────────────
 
+// Domain part of every event UID; with the station / repair ID it keeps a UID
+// the same across exports, so calendar apps update the event instead of duplicating it
+const CALENDAR_UID_DOMAIN = 'nhs-infrastructure-map';
 
-/** 
- * NUKE BUTTON
- * IPC handler: deletes every .xlsx in DATA_DIR, then restarts the app
- *    - Synchronously removes all Excel files in the data folder
- *    - Calls app.relaunch() and app.exit(0) to restart cleanly
- *    - Returns an error result if deletion fails
+/**
+ * Escapes TEXT values: backslash, ';', ',' and newlines
  */
-ipcMain.handle('delete-all-data-files', async () => {
-  try {
-    // 1) Delete all .xlsx in the main data folder
-    const files = fsSync.readdirSync(DATA_DIR);
-    for (const f of files) {
-      if (f.toLowerCase().endsWith('.xlsx')) {
-        fsSync.unlinkSync(path.join(DATA_DIR, f));
-      }
+function icsText(v) {
+  return String(v ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line at 75 octets (continuation lines start with a space),
+ * without splitting a UTF-8 character
+ */
+function icsFold(line) {
+  const out = [];
+  let current = '';
+  let octets = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (octets + size > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += ch;
+    octets += size;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+// YYYY-MM-DD → YYYYMMDD, plus the day after (all-day events end the next day)
+function icsDate(iso) {
+  return iso.replace(/-/g, '');
+}
+function icsNextDay(iso) {
+  return icsDate(addInspectionFrequency(iso, { n: 1, unit: 'day' }));
+}
+
+/**
+ * One all-day VEVENT
+ *    - SEQUENCE is the export time in seconds, so each re-export counts as a newer
+ *      revision of the same UID
+ */
+function icsEvent({ uid, date, summary, description, station, stamp, sequence }) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}@${CALENDAR_UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTART;VALUE=DATE:${icsDate(date)}`,
+    `DTEND;VALUE=DATE:${icsNextDay(date)}`,
+    `SUMMARY:${icsText(summary)}`,
+    `DESCRIPTION:${icsText(description)}`,
+    `LOCATION:${icsText(`${station.stationName || station.stationId}, ${station.province}`)}`
+  ];
+  if (Number.isFinite(station.latitude) && Number.isFinite(station.longitude)) {
+    lines.push(`GEO:${station.latitude};${station.longitude}`);
+  }
+  lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  return lines;
+}
+
+/**
+ * Builds the .ics text for the given stations (all stations if none are given)
+ *    - An event on each next inspection due date (UID “inspection-<Station ID>”)
+ *    - An event on the Scheduled Date of each repair that isn't Completed (UID “repair-<Repair ID>”)
+ *    - A Scheduled Date typed by hand that isn't YYYY-MM-DD (“TBD”, “Spring 2026”) gets no event
+ *    - Returns { text, inspections, repairs, unscheduled }
+ *      (unscheduled: “Scheduled” repairs with no date, plus repairs whose date can't be read)
+ */
+async function buildInspectionCalendar(stationIds) {
+  const wanted = Array.isArray(stationIds) ? new Set(stationIds.map(String)) : null;
+  const schedule = (await buildInspectionSchedule())
+    .filter(row => !wanted || wanted.has(row.stationId));
+
+  const now = new Date();
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const sequence = Math.floor(now.getTime() / 1000);
+  const describe = (row, extra) => [
+    `Station ID: ${row.stationId}`,
+    `Site name: ${row.stationName}`,
+    `Category: ${row.category}`,
+    `Coordinates: ${row.latitude}, ${row.longitude}`,
+    ...extra
+  ].join('\n');
+
+  const events = [];
+  let inspections = 0;
+  let repairs = 0;
+  let unscheduled = 0;
+  for (const row of schedule) {
+    if (row.nextDue) {
+      inspections++;
+      events.push(...icsEvent({
+        uid: `inspection-${row.stationId}`,
+        date: row.nextDue,
+        summary: `Inspection due – ${row.stationName || row.stationId} (${row.stationId})`,
+        description: describe(row, [
+          `Last inspection: ${row.lastInspection}`,
+          `Frequency: ${row.frequency}${row.frequencySource === 'asset type' ? ' (asset type default)' : ''}`,
+          `Reference: inspection-${row.stationId}`
+        ]),
+        station: row, stamp, sequence
+      }));
     }
 
-    // 2) Delete all .xlsx in the repairs sub-folder (if it exists)
-    if (fsSync.existsSync(REPAIRS_DIR)) {
-      const repairs = fsSync.readdirSync(REPAIRS_DIR);
-      for (const f of repairs) {
-        if (f.toLowerCase().endsWith('.xlsx')) {
-          fsSync.unlinkSync(path.join(REPAIRS_DIR, f));
-        }
+    for (const rep of stationRepo.repairs.get(row.stationId) || []) {
+      if (rep.status === 'Completed') continue;
+      if (!rep.dateScheduled) {
+        if (rep.status === 'Scheduled') unscheduled++;
+        continue;
       }
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(rep.dateScheduled)) {
+        unscheduled++;
+        continue;
+      }
+      repairs++;
+      const uid = `repair-${rep.id || `${row.stationId}-${rep.title}`.replace(/\W+/g, '-')}`;
+      events.push(...icsEvent({
+        uid,
+        date: rep.dateScheduled,
+        summary: `Repair – ${rep.title} – ${row.stationName || row.stationId} (${row.stationId})`,
+        description: describe(row, [
+          `Repair: ${rep.title}`,
+          `Status: ${rep.status}`,
+          `Ranking: ${rep.ranking || ''}`,
+          `Estimated cost: ${rep.cost}`,
+          ...(rep.notes ? [`Notes: ${rep.notes}`] : []),
+          `Reference: ${uid} (station ${row.stationId})`
+        ]),
+        station: row, stamp, sequence
+      }));
     }
+  }
 
-    // 3) Relaunch the app with a clean slate
-    app.relaunch();
-    app.exit(0);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${CALENDAR_UID_DOMAIN}//Inspections and Repairs//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Inspections & Repairs',
+    ...events,
+    'END:VCALENDAR'
+  ];
+  return { text: lines.map(icsFold).join('\r\n') + '\r\n', inspections, repairs, unscheduled };
+}
+
+/**
+ * IPC handler: export-calendar
+ *    - stationIds: the stations currently shown (left filter panel)
+ *    - Asks where to save the .ics, then writes it
+ */
+ipcMain.handle('export-calendar', async (_e, stationIds) => {
+  try {
+    const cal = await buildInspectionCalendar(stationIds);
+    if (!cal.inspections && !cal.repairs) {
+      return { success: false, message: 'Nothing to export: no inspection due dates or scheduled repairs.' };
+    }
+    const { canceled, filePath } = await dialog.showSaveDialog({
+      title: 'Export calendar',
+      defaultPath: `inspections-and-repairs-${fileTimestamp()}.ics`,
+      filters: [{ name: 'iCalendar', extensions: ['ics'] }]
+    });
+    if (canceled || !filePath) return { success: false, message: 'Cancelled.' };
+
+    await fsP.writeFile(filePath, cal.text, 'utf8');
+    let message = `Exported ${cal.inspections} inspection(s) and ${cal.repairs} repair(s).`;
+    if (cal.unscheduled) message += ` ${cal.unscheduled} repair(s) with no Scheduled Date (or one that isn't a date) were left out.`;
+    return { success: true, message, filePath };
   } catch (err) {
-    console.error('delete-all-data-files error:', err);
+    console.error('export-calendar error:', err);
     return { success: false, message: err.message };
   }
 });
@@ -1254,6 +4765,7 @@ ipcMain.handle('get-excel-sheet-names', async (e, filePath) => {
 // Replace your existing handler with this:
 ipcMain.handle('import-stations-from-excel', async (e, filePath, sheetName) => {
   const summary = { imported: 0, duplicates: [], errors: [] };
+  let step;
   try {
     // 1) Load source workbook + sheet
     const sourceWb  = new ExcelJS.Workbook();
@@ -1294,6 +4806,7 @@ ipcMain.handle('import-stations-from-excel', async (e, filePath, sheetName) => {
 
     // 5) Ensure data workbook exists (auto-creates new category file)
     const dataPath = path.join(DATA_DIR, `${assetType}.xlsx`);
+    step = await beginUndoStep(`Import "${sheetName}"`, [], [dataPath]);
     await addNewAssetTypeInternal(assetType);
     if (!fsSync.existsSync(dataPath)) {
       const wbNew    = new ExcelJS.Workbook();
@@ -1322,7 +4835,8 @@ ipcMain.handle('import-stations-from-excel', async (e, filePath, sheetName) => {
           c.alignment = { horizontal:'left', vertical:'middle' };
         });
       }
-      await wbNew.xlsx.writeFile(dataPath);
+      await writeWorkbookAtomic(wbNew, dataPath);
+      await stationRepoIndexWorkbook(wbNew, assetType);
     }
 
     // 6) Helper to fetch cell text
@@ -1333,6 +4847,8 @@ ipcMain.handle('import-stations-from-excel', async (e, filePath, sheetName) => {
 
     // 7) Track provinces we've added to lookups this run
     const appendedProvinces = new Set();
+    // every row is checked against the same schema, so read it once
+    const schema = await readAssetTypeSchema(assetType);
 
     // 8) Iterate data rows
     for (let r = headerRowIdx + 1; r <= wsSource.rowCount; r++) {
@@ -1377,25 +4893,33 @@ ipcMain.handle('import-stations-from-excel', async (e, filePath, sheetName) => {
         if (hdr.includes(' - ')) {
           const [sec, fld] = hdr.split(' - ').map(s => s.trim());
           stationObj.extraSections[sec] ||= {};
-          stationObj.extraSections[sec][fld] = get(row, hdr);
+          // keep real Excel dates as Date objects so date fields validate
+          const raw = row.getCell(hdrMap[hdr]).value;
+          stationObj.extraSections[sec][fld] = raw instanceof Date ? raw : get(row, hdr);
         }
       });
 
-      // Create or skip duplicates
-      const res = await createNewStationInternal(stationObj);
+      // Create or skip duplicates (rows failing the schema are reported per field)
+      const res = await createNewStationInternal(stationObj, { step, schema });
       if (res.success) {
         summary.imported++;
       } else if (res.message?.includes('already exists')) {
         summary.duplicates.push(stationId);
       } else {
-        summary.errors.push({ row: r, message: res.message });
+        summary.errors.push({ row: r, stationId, message: res.message, fieldErrors: res.fieldErrors || [] });
       }
     }
 
-    // 9) Return summary
-    return { success: summary.imported > 0, ...summary };
+    // 9) Return summary (nothing imported → nothing to undo)
+    if (!summary.imported) {
+      abandonUndoStep(step);
+      return { success: false, ...summary };
+    }
+    commitUndoStep(step);
+    return { success: true, ...summary, undoLabel: step.label };
   } catch (err) {
     console.error('import-stations-from-excel error:', err);
+    abandonUndoStep(step);
     return { success: false, message: err.message };
   }
 });
@@ -1417,7 +4941,7 @@ ipcMain.handle('get-saved-colors', async () => {
     // first time: create sheet and header row
     sheet = wb.addWorksheet('Colors');
     sheet.addRow(['Category','Province','Color']);
-    await wb.xlsx.writeFile(LOOKUPS_PATH);
+    await writeWorkbookAtomic(wb, LOOKUPS_PATH);
   }
   const map = {};
   sheet.eachRow((row, rn) => {
@@ -1468,7 +4992,7 @@ ipcMain.handle('save-color', async (_e, category, province, color) => {
   }
 
   // write back to disk
-  await wb.xlsx.writeFile(LOOKUPS_PATH);
+  await writeWorkbookAtomic(wb, LOOKUPS_PATH);
   return { success: true };
 });
 
@@ -1479,18 +5003,123 @@ if (!fs.existsSync(REPAIRS_DIR)) {
   fs.mkdirSync(REPAIRS_DIR, { recursive: true });
 }
 
+// Column layout of every data/repairs/<id>_repairs.xlsx
+//    - The lifecycle columns come last so the first four keep their positions
+const REPAIR_COLUMNS = [
+  'Repair Name',
+  'Repair Ranking',
+  'Repair Cost',
+  'Frequency',
+  'Inspection Date',
+  'Inspection Name',
+  'Repair ID',
+  'Status',
+  'Date Opened',
+  'Date Completed',
+  'Actual Cost',
+  'Notes',
+  'Scheduled Date'
+];
+
+// Lifecycle of a repair; the first one is what new repairs start as
+const REPAIR_STATUSES = ['Open', 'Scheduled', 'In Progress', 'Completed', 'Deferred'];
+
+// Fields a single repair may be updated with (see update-station-repair)
+const REPAIR_EDITABLE_FIELDS = [
+  'title', 'ranking', 'cost', 'freq', 'status',
+  'dateOpened', 'dateScheduled', 'dateCompleted', 'actualCost', 'notes'
+];
+
+function newRepairId() {
+  return crypto.randomUUID().slice(0, 8);
+}
+
+function todayIso() {
+  return new Date().toISOString().slice(0, 10);
+}
+
 /**
- * IPC handler: get-station-repairs
- *   Reads data/repairs/[stationId]_repairs.xlsx (or returns [] if missing)
- *   Expects columns: Repair Ranking, Repair Cost, Frequency
+ * Fills in the lifecycle of one repair before it is written
+ *    - Missing ID → a new one; unknown status → Open; no open date → today
+ *    - Completed stamps today as the completion date if none was given,
+ *      any other status clears it
+ *    - stored: the repair as it is in the file now, if it is there; a date or actual
+ *      cost that doesn't parse but is unchanged from it is kept as typed, so one odd
+ *      cell edited in Excel doesn't block saving the station's other repairs
+ *    - Returns { repair } or { error } naming the bad field
  */
-ipcMain.handle('get-station-repairs', async (_e, stationId) => {
+function normaliseRepair(rep, stored) {
+  const status = REPAIR_STATUSES.find(s =>
+    s.toLowerCase() === auditValue(rep.status).trim().toLowerCase()
+  ) || REPAIR_STATUSES[0];
+  const unchanged = key => stored && auditValue(rep[key]) === auditValue(stored[key]);
+
+  const dates = {};
+  for (const [key, label] of [['dateOpened', 'Date Opened'], ['dateScheduled', 'Scheduled Date'], ['dateCompleted', 'Date Completed']]) {
+    const res = validateFieldValue({ type: 'date' }, rep[key] || '');
+    if (res.error && !unchanged(key)) return { error: `${label} ${res.error}` };
+    dates[key] = res.error ? auditValue(rep[key]) : res.value;
+  }
+
+  let actualCost = '';
+  if (auditValue(rep.actualCost).trim() !== '') {
+    const res = validateFieldValue({ type: 'number' }, rep.actualCost);
+    if (res.error && !unchanged('actualCost')) return { error: `Actual Cost ${res.error}` };
+    actualCost = res.error ? auditValue(rep.actualCost) : res.value;
+  }
+
+  return {
+    repair: {
+      id:             auditValue(rep.id).trim() || newRepairId(),
+      title:          rep.title || '',
+      ranking:        parseInt(rep.ranking, 10) || 0,
+      cost:           parseFloat(rep.cost)      || 0,
+      freq:           rep.freq || '',
+      inspectionDate: rep.inspectionDate || '',
+      inspectionName: rep.inspectionName || '',
+      status,
+      dateOpened:     dates.dateOpened || todayIso(),
+      dateScheduled:  dates.dateScheduled,
+      dateCompleted:  status === 'Completed' ? (dates.dateCompleted || todayIso()) : '',
+      actualCost,
+      notes:          auditValue(rep.notes),
+      extra:          rep.extra || (stored && stored.extra) || {}
+    }
+  };
+}
+
+/**
+ * The stored version of each repair about to be written (undefined for new ones)
+ *    - Matched by ID; repairs without one (older files) by name and inspection date
+ */
+function matchStoredRepairs(repairs, stored) {
+  const used = new Set();
+  return repairs.map(rep => {
+    const id = auditValue(rep.id).trim();
+    const match = stored.find(s => !used.has(s) && (id
+      ? s.id === id
+      : !s.id && auditValue(s.title) === auditValue(rep.title) &&
+        auditValue(s.inspectionDate) === auditValue(rep.inspectionDate)));
+    if (match) used.add(match);
+    return match;
+  });
+}
+
+/**
+ * Reads data/repairs/[stationId]_repairs.xlsx → { repairs, extraColumns }
+ *    - Columns are looked up by header name, so older files with fewer columns still load
+ *    - extraColumns: headers added by hand in Excel; each repair keeps its cells
+ *      there in repair.extra, and writeStationRepairs writes them back
+ *    - Rows saved before repairs had IDs come back with id '' (see assignRepairIds)
+ */
+async function readRepairsFile(stationId) {
   const file = path.join(REPAIRS_DIR, `${stationId}_repairs.xlsx`);
-  if (!fs.existsSync(file)) return [];
+  if (!fs.existsSync(file)) return { repairs: [], extraColumns: [] };
 
   const wb = new ExcelJS.Workbook();
   await wb.xlsx.readFile(file);
   const ws = wb.worksheets[0];
+  if (!ws) return { repairs: [], extraColumns: [] };
 
   // build a map of header name → column index
   const hdrs = {};
@@ -1504,117 +5133,371 @@ ipcMain.handle('get-station-repairs', async (_e, stationId) => {
     const col = hdrs[name];
     return col ? row.getCell(col).value || '' : '';
   };
+  // dates typed into Excel come back as Date objects
+  const getDate = (row, name) => {
+    const v = getSafe(row, name);
+    return v instanceof Date ? v.toISOString().slice(0, 10) : auditValue(v);
+  };
+
+  const extraColumns = Object.keys(hdrs).filter(h => !REPAIR_COLUMNS.includes(h));
 
   const repairs = [];
   for (let r = 2; r <= ws.rowCount; r++) {
     const row = ws.getRow(r);
     if (!row.hasValues) continue;
+    const actualCost = getSafe(row, 'Actual Cost');
+    const extra = {};
+    for (const h of extraColumns) extra[h] = row.getCell(hdrs[h]).value ?? '';
     repairs.push({
+      id:              auditValue(getSafe(row, 'Repair ID')),
       title:           getSafe(row, 'Repair Name'),
       ranking:         parseInt(getSafe(row, 'Repair Ranking'), 10) || 0,
       cost:            parseFloat(getSafe(row, 'Repair Cost'))       || 0,
       freq:            getSafe(row, 'Frequency'),
       inspectionDate:  getSafe(row, 'Inspection Date'),
-      inspectionName:  getSafe(row, 'Inspection Name')
+      inspectionName:  getSafe(row, 'Inspection Name'),
+      status:          getSafe(row, 'Status') || REPAIR_STATUSES[0],
+      dateOpened:      getDate(row, 'Date Opened'),
+      dateScheduled:   getDate(row, 'Scheduled Date'),
+      dateCompleted:   getDate(row, 'Date Completed'),
+      actualCost:      actualCost === '' || isNaN(parseFloat(actualCost)) ? auditValue(actualCost) : parseFloat(actualCost),
+      notes:           auditValue(getSafe(row, 'Notes')),
+      extra
     });
   }
-  return repairs;
+  return { repairs, extraColumns };
+}
+
+/**
+ * The repairs of one station (see readRepairsFile), or [] if it has none
+ */
+async function readStationRepairs(stationId) {
+  return (await readRepairsFile(stationId)).repairs;
+}
+
+/**
+ * Rewrites data/repairs/[stationId]_repairs.xlsx with exactly `repairs`
+ *    - One atomic write, so a failure part-way never leaves the list half-saved
+ *    - Every repair goes through normaliseRepair first; throws on a bad date / cost
+ *    - Columns added by hand in Excel are kept after the app's own, with each repair's cells
+ *    - Returns the repairs as written (with their IDs)
+ */
+async function writeStationRepairs(stationId, repairs) {
+  const file = path.join(REPAIRS_DIR, `${stationId}_repairs.xlsx`);
+  const stored = await readRepairsFile(stationId);
+  const storedOf = matchStoredRepairs(repairs, stored.repairs);
+  const written = repairs.map((rep, i) => {
+    const res = normaliseRepair(rep, storedOf[i]);
+    if (res.error) throw new Error(`Repair "${auditValue(rep.title)}": ${res.error}`);
+    return res.repair;
+  });
+  const extraColumns = [...new Set([...stored.extraColumns, ...written.flatMap(r => Object.keys(r.extra))])]
+    .filter(h => !REPAIR_COLUMNS.includes(h));
+
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet('Repairs');
+  ws.addRow([...REPAIR_COLUMNS, ...extraColumns]);
+  ws.getRow(1).font = { bold: true };
+  for (const rep of written) {
+    ws.addRow([
+      rep.title,
+      rep.ranking,
+      rep.cost,
+      rep.freq,
+      rep.inspectionDate,
+      rep.inspectionName,
+      rep.id,
+      rep.status,
+      rep.dateOpened,
+      rep.dateCompleted,
+      rep.actualCost,
+      rep.notes,
+      rep.dateScheduled,
+      ...extraColumns.map(h => rep.extra[h] ?? '')
+    ]);
+  }
+  await writeWorkbookAtomic(wb, file);
+  await stationRepoRefreshRepairs(stationId);
+  return written;
+}
+
+/**
+ * Gives the repairs of one station that were saved before repairs had IDs a new ID
+ *    - Rewrites the file only if some are missing; adds one audit entry
+ *    - Returns how many repairs got an ID
+ */
+async function writeMissingRepairIds(stationId) {
+  const repairs = await readStationRepairs(stationId);
+  const missing = repairs.filter(r => !r.id).length;
+  if (!missing) return 0;
+  await writeStationRepairs(stationId, repairs);
+  appendAudit({ action: 'repair', stationId, field: 'Repair IDs', oldValue: '', newValue: `${missing} repair(s) given an ID` });
+  return missing;
+}
+
+/**
+ * Gives every repair without an ID (files from before repairs had IDs) a new one
+ *    - Only ever run on request (Check Data or “Assign IDs” in the repairs tab);
+ *      reading repairs never writes
+ *    - One undo step covers every file it rewrites
+ *    - Returns { assigned, undoLabel }
+ */
+async function assignRepairIds(stationIds) {
+  const ids = [];
+  for (const id of stationIds.map(s => String(s).trim())) {
+    if ((await readStationRepairs(id)).some(r => !r.id)) ids.push(id);
+  }
+  if (!ids.length) return { assigned: 0 };
+
+  const step = await beginUndoStep(`Assign repair IDs (${ids.join(', ')})`, ids,
+    ids.map(id => path.join(REPAIRS_DIR, `${id}_repairs.xlsx`)));
+  try {
+    let assigned = 0;
+    for (const id of ids) assigned += await writeMissingRepairIds(id);
+    commitUndoStep(step);
+    return { assigned, undoLabel: step.label };
+  } catch (err) {
+    abandonUndoStep(step);
+    throw err;
+  }
+}
+
+/**
+ * IPC handler: get-station-repairs
+ *   Reads data/repairs/[stationId]_repairs.xlsx (or returns [] if missing); never writes
+ *   Repairs from before IDs existed come back with id '' until assignRepairIds runs
+ */
+ipcMain.handle('get-station-repairs', async (_e, stationId) => {
+  // the repository is brought up to date first, so its scores line up with the rows read here
+  await loadStationRepo();
+  const repairs = await readStationRepairs(stationId);
+
+  // attach each open repair's priority score (Completed repairs have none)
+  const scores = computePriorityScores().repairs.get(stationId) || new Map();
+  return repairs.map((r, i) => ({ ...r, score: scores.has(i) ? scores.get(i) : '' }));
+});
+
+/**
+ * IPC handler: get-all-repairs
+ *   Every repair of every station, from the station repository, for the
+ *   one-row-per-repair Priority View → { success, data: [{ stationId, ...repair, score }] }
+ */
+ipcMain.handle('get-all-repairs', async () => {
+  try {
+    await loadStationRepo();
+    const scores = computePriorityScores().repairs;
+    const data = [];
+    for (const [stationId, repairs] of stationRepo.repairs) {
+      const stationScores = scores.get(stationId) || new Map();
+      for (const [i, r] of repairs.entries()) {
+        data.push({ ...r, stationId, score: stationScores.has(i) ? stationScores.get(i) : '' });
+      }
+    }
+    return { success: true, data };
+  } catch (err) {
+    console.error('get-all-repairs error:', err);
+    return { success: false, message: err.message };
+  }
+});
+
+/**
+ * IPC handler: assign-repair-ids(stationId) → { success, message, assigned, undoLabel }
+ */
+ipcMain.handle('assign-repair-ids', async (_e, stationId) => {
+  try {
+    const res = await assignRepairIds([stationId]);
+    return { success: true, message: `Gave ${res.assigned} repair(s) an ID.`, ...res };
+  } catch (err) {
+    console.error('assign-repair-ids error:', err);
+    return { success: false, message: err.message };
+  }
+});
+
+/**
+ * IPC handler: replace-station-repairs
+ *   Saves the whole repair list of a station in one write (used by “Save Repairs”)
+ *   and records only the repairs that actually changed in the audit log
+ */
+ipcMain.handle('replace-station-repairs', async (_e, stationId, repairs) => {
+  let step;
+  try {
+    const before = await readStationRepairs(stationId);
+    step = await beginUndoStep(`Save repairs of ${stationId}`, [stationId], [
+      path.join(REPAIRS_DIR, `${stationId}_repairs.xlsx`)
+    ]);
+    const written = await writeStationRepairs(stationId, repairs || []);
+    appendAudit(diffRepairsForAudit(stationId, before, written));
+    commitUndoStep(step);
+    return { success: true, undoLabel: step.label };
+  } catch (err) {
+    console.error('replace-station-repairs error:', err);
+    abandonUndoStep(step);
+    return { success: false, message: err.message };
+  }
+});
+
+
+/**
+ * IPC handler: get-station-audit
+ *   Returns every audit-log entry for one station, newest first
+ */
+ipcMain.handle('get-station-audit', async (_e, stationId) => {
+  try {
+    await auditQueue;
+    const txt = await fsP.readFile(AUDIT_LOG_PATH, 'utf8').catch(() => '');
+    const id = String(stationId).trim();
+    const data = [];
+    for (const line of txt.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.stationId === id) data.push(entry);
+      } catch {
+        // skip a partially written line
+      }
+    }
+    data.reverse();
+    return { success: true, data };
+  } catch (err) {
+    console.error('get-station-audit error:', err);
+    return { success: false, message: err.message };
+  }
 });
 
-
 /**
  * IPC handler: add-station-repair
  *   Appends one repair to [stationId]_repairs.xlsx (creating it if necessary)
+ *   The new repair starts as Open, opened today
  */
-ipcMain.handle('add-station-repair', async (_e, stationId, {
-  title,
-  ranking,
-  cost,
-  freq,
-  inspectionDate,
-  inspectionName
-}) => {
+ipcMain.handle('add-station-repair', async (_e, stationId, repair) => {
   const file = path.join(REPAIRS_DIR, `${stationId}_repairs.xlsx`);
-  const wb   = new ExcelJS.Workbook();
-  let ws;
-
-  if (fs.existsSync(file)) {
-    await wb.xlsx.readFile(file);
-    ws = wb.worksheets[0];
-
-    // 1) Make sure header row has all six columns
-    const required = [
-      'Repair Name',
-      'Repair Ranking',
-      'Repair Cost',
-      'Frequency',
-      'Inspection Date',
-      'Inspection Name'
-    ];
-    const header = ws.getRow(1);
-    required.forEach((h, i) => {
-      const cell = header.getCell(i + 1);
-      if (cell.value !== h) {
-        cell.value = h;
-        cell.font  = { bold: true };
-      }
-    });
-    header.commit();
-  } else {
-    // first‐time: create the sheet with all six headers
-    ws = wb.addWorksheet('Repairs');
-    ws.addRow([
-      'Repair Name',
-      'Repair Ranking',
-      'Repair Cost',
-      'Frequency',
-      'Inspection Date',
-      'Inspection Name'
-    ]);
+  let step;
+  try {
+    const before = await readStationRepairs(stationId);
+    step = await beginUndoStep(`Add repair "${repair.title || ''}" to ${stationId}`, [stationId], [file]);
+    const written = await writeStationRepairs(stationId, [...before, { ...repair, id: '' }]);
+    const added = written[written.length - 1];
+    appendAudit(diffRepairsForAudit(stationId, before, written));
+    commitUndoStep(step);
+    return { success: true, repair: added, undoLabel: step.label };
+  } catch (err) {
+    console.error('add-station-repair error:', err);
+    abandonUndoStep(step);
+    return { success: false, message: err.message };
   }
+});
 
-  // 2) Append the new repair row, with real date & name
-  ws.addRow([
-    title,
-    ranking,
-    cost,
-    freq,
-    inspectionDate || '',
-    inspectionName || ''
-  ]);
+/**
+ * IPC handler: update-station-repair
+ *   Changes some fields (REPAIR_EDITABLE_FIELDS) of one repair, found by its ID
+ *   Returns { success, repair, undoLabel } with the repair as saved
+ */
+ipcMain.handle('update-station-repair', async (_e, stationId, repairId, changes = {}) => {
+  const file = path.join(REPAIRS_DIR, `${stationId}_repairs.xlsx`);
+  let step;
+  try {
+    if (!repairId) return { success: false, message: 'This repair has no ID yet. Assign IDs first.' };
+    const before = await readStationRepairs(stationId);
+    const idx = before.findIndex(r => r.id === repairId);
+    if (idx === -1) {
+      return { success: false, message: `Repair ${repairId} not found for station ${stationId}.` };
+    }
+    if (changes.status !== undefined && !REPAIR_STATUSES.includes(changes.status)) {
+      return { success: false, message: `Status must be one of: ${REPAIR_STATUSES.join(', ')}.` };
+    }
 
-  await wb.xlsx.writeFile(file);
-  return { success: true };
+    const updated = { ...before[idx] };
+    for (const key of REPAIR_EDITABLE_FIELDS) {
+      if (changes[key] !== undefined) updated[key] = changes[key];
+    }
+    const checked = normaliseRepair(updated, before[idx]);
+    if (checked.error) return { success: false, message: checked.error };
+    const after = before.map((r, i) => (i === idx ? updated : r));
+
+    const title = auditValue(before[idx].title);
+    const label = changes.status !== undefined && changes.status !== before[idx].status
+      ? `Mark repair "${title}" ${changes.status}`
+      : `Edit repair "${title}"`;
+    step = await beginUndoStep(`${label} (${stationId})`, [stationId], [file]);
+    const written = await writeStationRepairs(stationId, after);
+    appendAudit(diffRepairsForAudit(stationId, before, written));
+    commitUndoStep(step);
+    return { success: true, repair: written[idx], undoLabel: step.label };
+  } catch (err) {
+    console.error('update-station-repair error:', err);
+    abandonUndoStep(step);
+    return { success: false, message: err.message };
+  }
+});
+
+/**
+ * IPC handler: delete-station-repair
+ *   Removes one repair, found by its ID, and keeps the rest of the file
+ */
+ipcMain.handle('delete-station-repair', async (_e, stationId, repairId) => {
+  const file = path.join(REPAIRS_DIR, `${stationId}_repairs.xlsx`);
+  let step;
+  try {
+    if (!repairId) return { success: false, message: 'This repair has no ID yet. Assign IDs first.' };
+    const before = await readStationRepairs(stationId);
+    const old = before.find(r => r.id === repairId);
+    if (!old) {
+      return { success: false, message: `Repair ${repairId} not found for station ${stationId}.` };
+    }
+    step = await beginUndoStep(`Delete repair "${auditValue(old.title)}" of ${stationId}`, [stationId], [file]);
+    const written = await writeStationRepairs(stationId, before.filter(r => r !== old));
+    appendAudit(diffRepairsForAudit(stationId, before, written));
+    commitUndoStep(step);
+    return { success: true, undoLabel: step.label };
+  } catch (err) {
+    console.error('delete-station-repair error:', err);
+    abandonUndoStep(step);
+    return { success: false, message: err.message };
+  }
 });
 
 // Delete repair
 ipcMain.handle('delete-station-repairs', async (_evt, stationId) => {
   const file = path.join(REPAIRS_DIR, `${stationId}_repairs.xlsx`);
+  let step;
   try {
+    let undoLabel;
     if (await fsPromises.stat(file).then(() => true).catch(() => false)) {
+      const before = await readStationRepairs(stationId);
+      step = await beginUndoStep(`Delete repairs of ${stationId}`, [stationId], [file]);
+      await backupWorkbook(file);
       await fsPromises.unlink(file);
+      appendAudit(diffRepairsForAudit(stationId, before, []));
+      commitUndoStep(step);
+      undoLabel = step.label;
     }
-    return { success: true };
+    await stationRepoRefreshRepairs(stationId);
+    return { success: true, undoLabel };
   } catch (err) {
+    abandonUndoStep(step);
     return { success: false, message: err.message };
   }
 });
 
 /**
  * IPC handler: list immediate image files + subfolders in any directory
+ *    - options.exif: add each JPEG's EXIF metadata (see withPhotoMetadata)
  */
-ipcMain.handle('list-directory-contents', async (_evt, dirPath) => {
+ipcMain.handle('list-directory-contents', async (_evt, dirPath, options = {}) => {
   // only images + all folders
   const fileTypes = ['.jpg','.jpeg','.png','.gif'];
-  return await listDirectoryContents(dirPath, fileTypes);
+  const items = await listDirectoryContents(dirPath, fileTypes);
+  return options.exif ? withPhotoMetadata(items, dirPath) : items;
 });
 
 /**
  * IPC handler: recursively list all image files + subfolders under dirPath
+ *    - options.exif: add each JPEG's EXIF metadata (see withPhotoMetadata)
  */
-ipcMain.handle('list-directory-contents-recursive', async (_evt, dirPath) => {
+ipcMain.handle('list-directory-contents-recursive', async (_evt, dirPath, options = {}) => {
   const fileTypes = ['.jpg', '.jpeg', '.png', '.gif'];
-  return await listDirectoryContentsRecursive(dirPath, fileTypes);
+  const items = await listDirectoryContentsRecursive(dirPath, fileTypes);
+  return options.exif ? withPhotoMetadata(items, dirPath) : items;
 });
 
 /**
@@ -1639,6 +5522,12 @@ ipcMain.handle('add-photos', async (_evt, destFolder, filePaths) => {
       const name = path.basename(src);
       await fsPromises.copyFile(src, path.join(destFolder, name));
     }
+    appendAudit({
+      action: 'upload',
+      stationId: await stationIdForPath(destFolder),
+      field: `Photos (${path.relative(stationsBasePath(), destFolder)})`,
+      newValue: filePaths.map(f => path.basename(f)).join(', ')
+    });
     return { success: true };
   } catch (err) {
     console.error('add-photos error:', err);
@@ -1671,6 +5560,12 @@ ipcMain.handle('add-documents', async (_evt, destFolder, filePaths) => {
       const name = path.basename(src);
       await fsPromises.copyFile(src, path.join(destFolder, name));
     }
+    appendAudit({
+      action: 'upload',
+      stationId: await stationIdForPath(destFolder),
+      field: `Documents (${path.relative(stationsBasePath(), destFolder)})`,
+      newValue: filePaths.map(f => path.basename(f)).join(', ')
+    });
     return { success: true };
   } catch (err) {
     console.error('add-documents error:', err);
@@ -1678,24 +5573,436 @@ ipcMain.handle('add-documents', async (_evt, destFolder, filePaths) => {
   }
 });
 
+// ─── Inspection Records ──────────────────────────────────────────────────────
+
+// Sidecar file in every inspection folder holding its structured record
+const INSPECTION_RECORD_FILE = 'inspection.json';
+
+// Dated folders at the top of a station folder that are inspections even without
+// an inspection.json; the other ones there are construction / project folders
+const INSPECTION_FOLDER_NAME = /inspection|assessment/i;
+
+// Overall condition ratings 1…5 (index + 1)
+const INSPECTION_CONDITIONS = ['Very Poor', 'Poor', 'Fair', 'Good', 'Very Good'];
+
+// Components rated on each inspection when an asset type doesn't list its own
+const DEFAULT_INSPECTION_COMPONENTS = ['Gauge House', 'Cableway', 'Well', 'Benchmark'];
+
+/**
+ * Validates one inspection record before it is written
+ *    - date: YYYY-MM-DD (a bare YYYY is kept for folders that only ever had a year)
+ *    - type is required; inspectors is a list (a comma-separated string is split)
+ *    - condition: 1…5 or null
+ *    - componentRatings: { component: 1…5 }; blank ratings are dropped
+ *    - Returns { record } or { error } naming the bad field
+ */
+function normaliseInspectionRecord(raw = {}) {
+  const dateText = auditValue(raw.date).trim();
+  let date = dateText;
+  if (!/^\d{4}$/.test(dateText)) {
+    const res = validateFieldValue({ type: 'date', required: true }, dateText);
+    if (res.error) return { error: `Date ${res.error}` };
+    date = res.value;
+  }
+
+  const type = auditValue(raw.type).trim();
+  if (!type) return { error: 'Inspection type is required' };
+
+  const inspectors = (Array.isArray(raw.inspectors) ? raw.inspectors : String(raw.inspectors || '').split(','))
+    .map(n => auditValue(n).trim())
+    .filter(Boolean);
+
+  let condition = null;
+  if (auditValue(raw.condition).trim() !== '') {
+    condition = Number(raw.condition);
+    if (!Number.isInteger(condition) || condition < 1 || condition > INSPECTION_CONDITIONS.length) {
+      return { error: `Condition must be a rating from 1 to ${INSPECTION_CONDITIONS.length}` };
+    }
+  }
+
+  const componentRatings = {};
+  for (const [rawName, rawRating] of Object.entries(raw.componentRatings || {})) {
+    const name = auditValue(rawName).trim();
+    if (!name || auditValue(rawRating).trim() === '') continue;
+    const rating = Number(rawRating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > INSPECTION_CONDITIONS.length) {
+      return { error: `${name} must be a rating from 1 to ${INSPECTION_CONDITIONS.length}` };
+    }
+    componentRatings[name] = rating;
+  }
+
+  return {
+    record: {
+      version:    1,
+      date,
+      type,
+      inspectors,
+      weather:    auditValue(raw.weather).trim(),
+      condition,
+      componentRatings,
+      comment:    auditValue(raw.comment).trim(),
+      repairIds:  (raw.repairIds || []).map(String).filter(Boolean)
+    }
+  };
+}
+
+/**
+ * Record of a folder from before inspection.json existed
+ *    - Date and type come from the folder name (“2024-05-01_Cableway_Inspection”)
+ *    - Comment and inspector from description.txt (“Description:” / “Inspector:” headings)
+ *    - Repairs are linked by the Inspection Date / Inspection Name they were saved with
+ */
+function legacyInspectionRecord(folderName, descriptionText, repairs) {
+  const dm = folderName.match(/^(\d{4}(?:-\d{2}-\d{2})?)(?:[_-]*(.*))?$/);
+  const date = dm ? dm[1] : '';
+  const type = (dm ? dm[2] || '' : folderName)
+    .replace(/[_-]+/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(w => w[0].toUpperCase() + w.slice(1).toLowerCase())
+    .join(' ') || 'Inspection';
+
+  let section = null;
+  const comment = [];
+  const inspectors = [];
+  for (let line of String(descriptionText || '').split(/\r?\n/)) {
+    line = line.trim();
+    if (/^Description:/i.test(line)) { section = 'desc'; continue; }
+    if (/^Inspector:/i.test(line))   { section = 'insp'; continue; }
+    if (section === 'desc' && line) comment.push(line);
+    if (section === 'insp' && line) inspectors.push(line);
+  }
+
+  return {
+    version:    1,
+    date,
+    type,
+    inspectors,
+    weather:    '',
+    condition:  null,
+    componentRatings: {},
+    comment:    comment.join('\n'),
+    repairIds:  repairs
+      .filter(r => r.id && String(r.inspectionDate) === date &&
+                   String(r.inspectionName).trim().toLowerCase() === type.toLowerCase())
+      .map(r => r.id)
+  };
+}
+
+/**
+ * Overall condition of one record → 1…5, or null if nothing was rated
+ *    - The overall rating when given, else the mean of its component ratings (one decimal)
+ */
+function overallCondition(record) {
+  if (record.condition) return record.condition;
+  const ratings = Object.values(record.componentRatings || {});
+  if (!ratings.length) return null;
+  return Math.round(ratings.reduce((sum, n) => sum + n, 0) / ratings.length * 10) / 10;
+}
+
+/**
+ * Newest rated inspection in a station folder → { date, condition }, or null
+ *    - Reads inspection.json of the dated folders newest first; legacy folders are never rated
+ */
+async function readLatestCondition(stationFolder) {
+  const folders = await listInspectionFolders(stationFolder);
+  folders.sort((a, b) => b.date.localeCompare(a.date));
+
+  for (const folder of folders) {
+    let res;
+    try {
+      res = normaliseInspectionRecord(
+        JSON.parse(await fsP.readFile(path.join(folder.path, INSPECTION_RECORD_FILE), 'utf8'))
+      );
+    } catch {
+      continue;
+    }
+    const condition = res.record ? overallCondition(res.record) : null;
+    if (condition !== null) return { date: folder.date, condition };
+  }
+  return null;
+}
+
+/**
+ * Components rated on inspections of each asset type → Map lower-case asset type → [names]
+ *    - Column C (“InspectionComponents”) of the AssetTypes sheet, comma-separated
+ *    - Types with nothing listed are left out (they use DEFAULT_INSPECTION_COMPONENTS)
+ */
+async function readAssetTypeInspectionComponents() {
+  const wb = await loadLookupWorkbook();
+  const sheet = wb.getWorksheet('AssetTypes');
+  const out = new Map();
+  if (!sheet) return out;
+  sheet.eachRow((row, rn) => {
+    const name = row.getCell(1).text.trim();
+    const list = splitComponentList(row.getCell(3).text);
+    if (rn >= 2 && name && list.length) out.set(name.toLowerCase(), list);
+  });
+  return out;
+}
+
+/**
+ * “Gauge House, Well, well” → ['Gauge House', 'Well'] (trimmed, case-insensitive duplicates dropped)
+ */
+function splitComponentList(text) {
+  const seen = new Set();
+  return String(text || '').split(',')
+    .map(n => n.trim())
+    .filter(n => n && !seen.has(n.toLowerCase()) && seen.add(n.toLowerCase()));
+}
+
+/**
+ * Components rated on inspections of one asset type
+ */
+async function inspectionComponentsOf(assetType) {
+  const configured = await readAssetTypeInspectionComponents();
+  return configured.get(String(assetType || '').trim().toLowerCase()) || DEFAULT_INSPECTION_COMPONENTS;
+}
+
+/**
+ * Every dated inspection folder of a station, newest first
+ *    → [{ name, path, legacy, invalid, record }]
+ *    - Inspections: the folders listInspectionFolders finds
+ *    - legacy: no inspection.json yet; the record is rebuilt from the folder
+ *    - invalid: why an existing inspection.json couldn't be read ('' if it could); the record
+ *      is rebuilt from the folder for display, but the file is never migrated over
+ */
+async function readInspectionRecords(stationId) {
+  const stationFolder = await stationFolderOf(stationId);
+  if (!stationFolder) return [];
+
+  const folders = await listInspectionFolders(stationFolder);
+  const repairs = await readStationRepairs(stationId);
+  const out = [];
+  for (const { date, ...folder } of folders) {
+    let record = null;
+    let invalid = '';
+    try {
+      const res = normaliseInspectionRecord(
+        JSON.parse(await fsP.readFile(path.join(folder.path, INSPECTION_RECORD_FILE), 'utf8'))
+      );
+      if (res.error) invalid = res.error;
+      record = res.record || null;
+    } catch (err) {
+      if (err.code !== 'ENOENT') invalid = err.message;
+    }
+    if (!record) {
+      if (invalid) console.warn(`${path.join(folder.path, INSPECTION_RECORD_FILE)}: ${invalid}`);
+      const text = await fsP.readFile(path.join(folder.path, 'description.txt'), 'utf8').catch(() => '');
+      out.push({ ...folder, legacy: !invalid, invalid, record: legacyInspectionRecord(folder.name, text, repairs) });
+    } else {
+      out.push({ ...folder, legacy: false, invalid: '', record });
+    }
+  }
+  return out.sort((a, b) =>
+    inspectionFolderDate(b.record.date).localeCompare(inspectionFolderDate(a.record.date)) ||
+    b.name.localeCompare(a.name)
+  );
+}
+
+/**
+ * Writes inspection.json (temp file + rename, like every other write)
+ */
+async function writeInspectionRecord(folderPath, record) {
+  const file = path.join(folderPath, INSPECTION_RECORD_FILE);
+  const tmpPath = `${file}.${process.pid}.${++tmpWriteCounter}.tmp`;
+  await fsP.writeFile(tmpPath, JSON.stringify(record, null, 2), 'utf8');
+  await fsP.rename(tmpPath, file);
+}
+
+/**
+ * Stations that still have legacy inspection folders → Map stationId → folder count
+ *    - Folders whose inspection.json can't be read don't count; see stationsWithInvalidInspections
+ */
+async function stationsWithLegacyInspections() {
+  await loadStationRepo();
+  const out = new Map();
+  for (const st of [...stationRepo.stationsByType.values()].flat()) {
+    const legacy = (await readInspectionRecords(st.stationId)).filter(f => f.legacy).length;
+    if (legacy) out.set(st.stationId, legacy);
+  }
+  return out;
+}
+
+/**
+ * Inspection folders whose inspection.json can't be read → [{ stationId, path, invalid }]
+ */
+async function stationsWithInvalidInspections() {
+  await loadStationRepo();
+  const out = [];
+  for (const st of [...stationRepo.stationsByType.values()].flat()) {
+    (await readInspectionRecords(st.stationId))
+      .filter(f => f.invalid)
+      .forEach(f => out.push({ stationId: st.stationId, path: f.path, invalid: f.invalid }));
+  }
+  return out;
+}
+
+/**
+ * Writes an inspection.json into every legacy inspection folder of the given
+ * stations (all stations if none are given)
+ *    - description.txt is left in place; it is simply no longer read
+ *    - Folders with an unreadable inspection.json are not legacy, so they are never overwritten
+ *    - Repairs without IDs get them first, so the records can link them
+ *    - One undo step removes every file it wrote (and restores the repairs files)
+ *    - Returns { migrated, undoLabel }
+ */
+async function migrateInspectionRecords(stationIds) {
+  const ids = stationIds && stationIds.length
+    ? stationIds.map(id => String(id).trim())
+    : [...(await stationsWithLegacyInspections()).keys()];
+
+  const todo = [];
+  for (const id of ids) {
+    todo.push(...(await readInspectionRecords(id)).filter(f => f.legacy).map(f => ({ ...f, stationId: id })));
+  }
+  if (!todo.length) return { migrated: 0 };
+
+  const stations = [...new Set(todo.map(f => f.stationId))];
+  const needIds = [];
+  for (const id of stations) {
+    if ((await readStationRepairs(id)).some(r => !r.id)) needIds.push(id);
+  }
+  const step = await beginUndoStep(
+    `Convert ${todo.length} inspection record(s)`,
+    stations,
+    [
+      ...todo.map(f => path.join(f.path, INSPECTION_RECORD_FILE)),
+      ...needIds.map(id => path.join(REPAIRS_DIR, `${id}_repairs.xlsx`))
+    ]
+  );
+  try {
+    for (const id of needIds) {
+      await writeMissingRepairIds(id);
+      const fresh = new Map((await readInspectionRecords(id)).map(f => [f.path, f.record]));
+      todo.filter(f => f.stationId === id).forEach(f => { f.record = fresh.get(f.path) || f.record; });
+    }
+    for (const folder of todo) {
+      await writeInspectionRecord(folder.path, folder.record);
+    }
+  } catch (err) {
+    abandonUndoStep(step);
+    throw err;
+  }
+  commitUndoStep(step);
+  return { migrated: todo.length, undoLabel: step.label };
+}
+
+/**
+ * IPC handler: get-inspection-records
+ *    → { success, data: [{ name, path, legacy, record, repairs }], conditions, components }
+ *    - repairs: the station's repairs linked by record.repairIds
+ *    - components: the components rated on inspections of the station's asset type
+ */
+ipcMain.handle('get-inspection-records', async (_e, stationId) => {
+  try {
+    await loadStationRepo();
+    const folders = await readInspectionRecords(stationId);
+    const repairs = await readStationRepairs(stationId);
+    const data = folders.map(f => ({
+      ...f,
+      repairs: f.record.repairIds.map(id => repairs.find(r => r.id === id)).filter(Boolean)
+    }));
+    const station = [...stationRepo.stationsByType.values()].flat()
+      .find(st => st.stationId === String(stationId).trim());
+    const components = await inspectionComponentsOf(station && station.category);
+    return { success: true, data, conditions: INSPECTION_CONDITIONS, components };
+  } catch (err) {
+    console.error('get-inspection-records error:', err);
+    return { success: false, message: err.message };
+  }
+});
+
+/**
+ * IPC handler: migrate-inspection-records(stationId?) → { success, message, migrated, undoLabel }
+ */
+ipcMain.handle('migrate-inspection-records', async (_e, stationId) => {
+  try {
+    const res = await migrateInspectionRecords(stationId ? [stationId] : null);
+    return {
+      success: true,
+      message: res.migrated
+        ? `Converted ${res.migrated} inspection record(s).`
+        : 'No legacy inspection folders left.',
+      ...res
+    };
+  } catch (err) {
+    console.error('migrate-inspection-records error:', err);
+    return { success: false, message: err.message };
+  }
+});
+
+/**
+ * IPC handler: get-inspection-components → { success, data: [{ assetType, components }], defaults }
+ *    - components: the asset type's own list ([] when it uses the defaults)
+ */
+ipcMain.handle('get-inspection-components', async () => {
+  try {
+    const configured = await readAssetTypeInspectionComponents();
+    const data = (await readLookupList('AssetTypes')).map(assetType => ({
+      assetType,
+      components: configured.get(assetType.toLowerCase()) || []
+    }));
+    return { success: true, data, defaults: DEFAULT_INSPECTION_COMPONENTS };
+  } catch (err) {
+    console.error('get-inspection-components error:', err);
+    return { success: false, message: err.message };
+  }
+});
+
+/**
+ * IPC handler: set-inspection-components
+ *    - changes: { assetType: 'Component, Component, …' or '' to use the defaults }
+ *    - Writes column C of the AssetTypes sheet in one go; ratings already saved
+ *      under a removed component stay in their records
+ */
+ipcMain.handle('set-inspection-components', async (_e, changes = {}) => {
+  try {
+    const wb = await loadLookupWorkbook();
+    const sheet = wb.getWorksheet('AssetTypes');
+    if (!sheet) return { success: false, message: 'No asset types yet.' };
+    sheet.getCell('C1').value = 'InspectionComponents';
+    const wanted = new Map(Object.entries(changes).map(([k, v]) => [k.toLowerCase(), splitComponentList(v).join(', ')]));
+    sheet.eachRow((row, rn) => {
+      const key = row.getCell(1).text.trim().toLowerCase();
+      if (rn >= 2 && wanted.has(key)) row.getCell(3).value = wanted.get(key) || null;
+    });
+    await writeWorkbookAtomic(wb, LOOKUPS_PATH);
+    return { success: true, message: 'Inspection components saved.' };
+  } catch (err) {
+    console.error('set-inspection-components error:', err);
+    return { success: false, message: err.message };
+  }
+});
+
 /**
  * add-inspection:
  *   stationId, inspectionFolderName,
  *   photoPaths:Array<string>, reportPath:string,
- *   meta: { date, author, comment }
+ *   meta: { date, type, inspectors, weather, condition, componentRatings, comment }
+ *         (the older { name, author } are still understood)
+ *   inspectionRepairs: [{ title, ranking, cost, freq }] added to the station's repairs
+ *   (one undo step) and linked from the record
  */
-ipcMain.handle('add-inspection', async (_evt, stationId, folderName, photoPaths, reportPath, meta, inspectionRepairs) => {
+ipcMain.handle('add-inspection', async (_evt, stationId, folderName, photoPaths, reportPath, meta, inspectionRepairs = []) => {
+  let step;
   try {
-    // 0)
-    const { date, author, comment } = meta;
+    // 0) check the record before anything touches the disk
+    const checked = normaliseInspectionRecord({
+      ...meta,
+      type:       meta.type || meta.name,
+      inspectors: meta.inspectors || meta.author
+    });
+    if (checked.error) return { success: false, message: checked.error };
+    const record = checked.record;
 
     // 1) locate station base folder
-    const entries = await fsPromises.readdir(BASE_STATIONS_PATH, { withFileTypes:true });
+    const entries = await fsPromises.readdir(stationsBasePath(), { withFileTypes:true });
     const match = entries.find(d =>
       d.isDirectory() && d.name.toUpperCase().endsWith(`_${stationId.toUpperCase()}`)
     );
     if (!match) throw new Error('Station folder not found');
-    const stationFolder = path.join(BASE_STATIONS_PATH, match.name);
+    const stationFolder = path.join(stationsBasePath(), match.name);
 
     // 2) make sure the inspection folder exists
     const inspRoot = path.join(stationFolder, folderName);
@@ -1721,41 +6028,267 @@ ipcMain.handle('add-inspection', async (_evt, stationId, folderName, photoPaths,
       );
     }
 
-    // 5) write description.txt
-    const descLines = [
-      'Description:',
-      comment,
-      '',
-      'Inspector:',
-      author
-    ];
-    await fsPromises.writeFile(
-      path.join(inspRoot, 'description.txt'),
-      descLines.join('\n'),
-      'utf8'
-    );
-
-    // 7) persist inspection-specific repairs as JSON
-    for (const rep of inspectionRepairs) {
-      // call your existing “add-station-repair” handler
-      await exports.addStationRepair(
-        stationId,
-        {
+    // 5) add the inspection's repairs to the station and link them
+    let undoLabel;
+    if (inspectionRepairs.length) {
+      const before = await readStationRepairs(stationId);
+      step = await beginUndoStep(`Add repairs of inspection ${folderName} (${stationId})`, [stationId], [
+        path.join(REPAIRS_DIR, `${stationId}_repairs.xlsx`)
+      ]);
+      const written = await writeStationRepairs(stationId, [
+        ...before,
+        ...inspectionRepairs.map(rep => ({
           title:          rep.title,
           ranking:        rep.ranking,
           cost:           rep.cost,
           freq:           rep.freq,
-          inspectionDate: date,
-          inspectionName: name
-        }
-      );
+          inspectionDate: record.date,
+          inspectionName: record.type,
+          id:             ''
+        }))
+      ]);
+      record.repairIds = written.slice(before.length).map(r => r.id);
+      appendAudit(diffRepairsForAudit(stationId, before, written));
+      commitUndoStep(step);
+      undoLabel = step.label;
     }
 
+    // 6) write inspection.json
+    await writeInspectionRecord(inspRoot, record);
 
+    // 7) record the upload in the audit log
+    appendAudit({
+      action: 'upload',
+      stationId,
+      field: `Inspection (${folderName})`,
+      newValue: [
+        ...photoPaths.map(f => path.basename(f)),
+        ...(reportPath ? [path.basename(reportPath)] : [])
+      ].join(', ')
+    });
 
-    return { success: true };
+    // the new folder is now this station's latest inspection (and maybe its latest condition)
+    await stationRepoRefreshInspections();
+
+    return { success: true, record, undoLabel };
   } catch (err) {
     console.error('add-inspection error:', err);
+    abandonUndoStep(step);
+    return { success: false, message: err.message };
+  }
+});
+
+// ─── Construction Records ────────────────────────────────────────────────────
+
+// Sidecar file in every construction / project folder holding its record
+const CONSTRUCTION_RECORD_FILE = 'construction.json';
+
+// New projects get their own folder under this subfolder of the station folder
+const CONSTRUCTION_DIR_NAME = 'Construction History';
+
+const CONSTRUCTION_TYPES = ['New Build', 'Upgrade', 'Relocation', 'Decommission'];
+
+// Record fields as shown in the audit log
+const CONSTRUCTION_FIELD_LABELS = {
+  name: 'Project Name', type: 'Type', contractor: 'Contractor', startDate: 'Start Date',
+  endDate: 'End Date', budget: 'Budget', actualCost: 'Actual Cost', description: 'Description'
+};
+
+/**
+ * Validates one construction record before it is written
+ *    - name and start date are required; type is one of CONSTRUCTION_TYPES
+ *    - the end date (if any) can't be before the start date
+ *    - budget / actual cost are numbers or ''
+ *    - Returns { record } or { error } naming the bad field
+ */
+function normaliseConstructionRecord(raw = {}) {
+  const name = auditValue(raw.name).trim();
+  if (!name) return { error: 'Project name is required' };
+
+  const type = CONSTRUCTION_TYPES.find(t => t.toLowerCase() === auditValue(raw.type).trim().toLowerCase());
+  if (!type) return { error: `Type must be one of: ${CONSTRUCTION_TYPES.join(', ')}` };
+
+  const dates = {};
+  for (const [key, label, required] of [['startDate', 'Start Date', true], ['endDate', 'End Date', false]]) {
+    const res = validateFieldValue({ type: 'date', required }, raw[key] || '');
+    if (res.error) return { error: `${label} ${res.error}` };
+    dates[key] = res.value;
+  }
+  if (dates.endDate && dates.endDate < dates.startDate) {
+    return { error: 'End Date must not be before the Start Date' };
+  }
+
+  const money = {};
+  for (const [key, label] of [['budget', 'Budget'], ['actualCost', 'Actual Cost']]) {
+    const res = validateFieldValue({ type: 'number' }, raw[key] ?? '');
+    if (res.error) return { error: `${label} ${res.error}` };
+    money[key] = res.value;
+  }
+
+  return {
+    record: {
+      version:     1,
+      name,
+      type,
+      contractor:  auditValue(raw.contractor).trim(),
+      ...dates,
+      ...money,
+      description: auditValue(raw.description).trim()
+    }
+  };
+}
+
+/**
+ * Record of a folder from before construction.json existed
+ *    - Start date and name come from the folder name (“2019-07-01_new_shelter”)
+ */
+function legacyConstructionRecord(folderName) {
+  const dm = folderName.match(/^(\d{4}(?:-\d{2}-\d{2})?)(?:[_-]*(.*))?$/);
+  return {
+    version:     1,
+    name:        (dm ? dm[2] || '' : folderName)
+                   .replace(/[_-]+/g, ' ')
+                   .replace(/\b\w/g, c => c.toUpperCase())
+                   .trim(),
+    type:        '',
+    contractor:  '',
+    startDate:   dm ? dm[1] : '',
+    endDate:     '',
+    budget:      '',
+    actualCost:  '',
+    description: ''
+  };
+}
+
+/**
+ * Every construction / project folder of a station, newest first → [{ name, path, legacy, record }]
+ *    - Structured: the folders in “Construction History”, and any folder with a construction.json
+ *    - Legacy: the other folders at the top of the station folder that aren't inspections,
+ *      read from the folder name as before
+ */
+async function readConstructionRecords(stationId) {
+  const stationFolder = await stationFolderOf(stationId);
+  if (!stationFolder) return [];
+
+  const folders = [];
+  const rootDirs = await fsP.readdir(stationFolder, { withFileTypes: true }).catch(() => []);
+  rootDirs.filter(d => d.isDirectory() && d.name !== CONSTRUCTION_DIR_NAME)
+    .forEach(d => folders.push({ name: d.name, path: path.join(stationFolder, d.name), top: true }));
+  const projectDirs = await fsP.readdir(path.join(stationFolder, CONSTRUCTION_DIR_NAME), { withFileTypes: true }).catch(() => []);
+  projectDirs.filter(d => d.isDirectory())
+    .forEach(d => folders.push({ name: d.name, path: path.join(stationFolder, CONSTRUCTION_DIR_NAME, d.name), top: false }));
+
+  const out = [];
+  for (const { top, ...folder } of folders) {
+    let record = null;
+    try {
+      const res = normaliseConstructionRecord(
+        JSON.parse(await fsP.readFile(path.join(folder.path, CONSTRUCTION_RECORD_FILE), 'utf8'))
+      );
+      if (res.error) console.warn(`${folder.path}: ${res.error}`);
+      record = res.record || null;
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`${folder.path}: could not read ${CONSTRUCTION_RECORD_FILE}:`, err.message);
+    }
+    if (record) {
+      out.push({ ...folder, legacy: false, record });
+    } else if (!top || (!INSPECTION_FOLDER_NAME.test(folder.name) &&
+                        !fs.existsSync(path.join(folder.path, INSPECTION_RECORD_FILE)))) {
+      out.push({ ...folder, legacy: true, record: legacyConstructionRecord(folder.name) });
+    }
+  }
+  return out.sort((a, b) =>
+    String(b.record.startDate).localeCompare(String(a.record.startDate)) || b.name.localeCompare(a.name)
+  );
+}
+
+/**
+ * Writes construction.json (temp file + rename, like every other write)
+ */
+async function writeConstructionRecord(folderPath, record) {
+  const file = path.join(folderPath, CONSTRUCTION_RECORD_FILE);
+  const tmpPath = `${file}.${process.pid}.${++tmpWriteCounter}.tmp`;
+  await fsP.writeFile(tmpPath, JSON.stringify(record, null, 2), 'utf8');
+  await fsP.rename(tmpPath, file);
+}
+
+/**
+ * IPC handler: get-construction-records → { success, data: [{ name, path, legacy, record }], types }
+ */
+ipcMain.handle('get-construction-records', async (_e, stationId) => {
+  try {
+    const data = await readConstructionRecords(stationId);
+    return { success: true, data, types: CONSTRUCTION_TYPES };
+  } catch (err) {
+    console.error('get-construction-records error:', err);
+    return { success: false, message: err.message };
+  }
+});
+
+/**
+ * IPC handler: save-construction-record
+ *    - folderPath empty: creates “Construction History/<start date>_<name>” with
+ *      Photos and Documents subfolders
+ *    - folderPath given (one of the station's construction folders): rewrites its record;
+ *      a legacy folder simply gains a construction.json
+ *    - photoPaths / documentPaths are copied into Photos / Documents
+ *    - Returns { success, record, folderPath } or { success: false, message }
+ */
+ipcMain.handle('save-construction-record', async (_e, stationId, raw, { photoPaths = [], documentPaths = [] } = {}, folderPath = '') => {
+  try {
+    const checked = normaliseConstructionRecord(raw);
+    if (checked.error) return { success: false, message: checked.error };
+    const record = checked.record;
+
+    const existing = await readConstructionRecords(stationId);
+    let target;
+    let before = null;
+    if (folderPath) {
+      const found = existing.find(f => path.resolve(f.path) === path.resolve(folderPath));
+      if (!found) return { success: false, message: 'That folder is not a construction folder of this station.' };
+      target = found.path;
+      before = found.legacy ? null : found.record;
+    } else {
+      const stationFolder = await stationFolderOf(stationId);
+      if (!stationFolder) return { success: false, message: 'Station folder not found.' };
+      const folderName = `${record.startDate}_${record.name.replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, '_')}`;
+      target = path.join(stationFolder, CONSTRUCTION_DIR_NAME, folderName);
+      if (fs.existsSync(target)) return { success: false, message: `${folderName} already exists.` };
+    }
+
+    await fsP.mkdir(path.join(target, 'Photos'), { recursive: true });
+    await fsP.mkdir(path.join(target, 'Documents'), { recursive: true });
+    for (const src of photoPaths) {
+      await fsP.copyFile(src, path.join(target, 'Photos', path.basename(src)));
+    }
+    for (const src of documentPaths) {
+      await fsP.copyFile(src, path.join(target, 'Documents', path.basename(src)));
+    }
+    await writeConstructionRecord(target, record);
+
+    const project = `Construction "${record.name}"`;
+    const changes = Object.entries(CONSTRUCTION_FIELD_LABELS)
+      .filter(([key]) => auditValue(before ? before[key] : '') !== auditValue(record[key]))
+      .map(([key, label]) => ({
+        action: before ? 'update' : 'create',
+        stationId,
+        field: `${project} – ${label}`,
+        oldValue: before ? before[key] : '',
+        newValue: record[key]
+      }));
+    if (photoPaths.length || documentPaths.length) {
+      changes.push({
+        action: 'upload',
+        stationId,
+        field: `${project} (${path.relative(stationsBasePath(), target)})`,
+        newValue: [...photoPaths, ...documentPaths].map(f => path.basename(f)).join(', ')
+      });
+    }
+    appendAudit(changes);
+
+    return { success: true, record, folderPath: target };
+  } catch (err) {
+    console.error('save-construction-record error:', err);
     return { success: false, message: err.message };
   }
 });
@@ -1781,7 +6314,8 @@ ipcMain.handle('delete-folder', (event, folderPath) => {
         console.error('rimraf failed:', err);
         resolve({ success: false, message: err.message });
       } else {
-        resolve({ success: true });
+        // an inspection folder may have gone, so re-read the inspection dates
+        resolve(stationRepoRefreshInspections().then(() => ({ success: true })));
       }
     });
   });
@@ -1843,6 +6377,11 @@ app.whenReady().then(() => {
   });
 });
 
+// Throw away this session's undo copies (including stashed station folders)
+app.on('will-quit', () => {
+  clearUndoHistory();
+});
+
 // Quit the app when all windows close
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
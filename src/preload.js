@@ -49,12 +49,71 @@ contextBridge.exposeInMainWorld('electronAPI', {
   addNewAssetType:      (atype) => ipcRenderer.invoke('add-new-asset-type', atype),
   // Create a brand-new station record in the appropriate workbook
   createNewStation:     (stationObj) => ipcRenderer.invoke('create-new-station', stationObj),
+  // Typed “Section - Field” definitions of an asset type (Schema sheet of lookups.xlsx)
+  getAssetTypeSchema:   (atype) => ipcRenderer.invoke('get-asset-type-schema', atype),
+  // “Section - Field” columns of an asset type, with how many stations fill each
+  getAssetTypeColumns:  (atype) => ipcRenderer.invoke('get-asset-type-columns', atype),
+  // Rename / merge / reorder / drop columns: preview the affected stations, then apply
+  previewSchemaMigration: (atype, op) => ipcRenderer.invoke('preview-schema-migration', atype, op),
+  applySchemaMigration:   (atype, op) => ipcRenderer.invoke('apply-schema-migration', atype, op),
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // Data Snapshots (replaces the old “Nuke” button)
+  // ────────────────────────────────────────────────────────────────────────────
+  // Copy the whole data folder into a named snapshot
+  createSnapshot:       (name) => ipcRenderer.invoke('create-snapshot', name),
+  // List saved snapshots, newest first
+  listSnapshots:        () => ipcRenderer.invoke('list-snapshots'),
+  // Compare a snapshot (files + stations) against the current data
+  diffSnapshot:         (id) => ipcRenderer.invoke('diff-snapshot', id),
+  // Replace the current data with a snapshot (current data is archived first)
+  restoreSnapshot:      (id) => ipcRenderer.invoke('restore-snapshot', id),
+  // Permanently remove a snapshot
+  deleteSnapshot:       (id) => ipcRenderer.invoke('delete-snapshot', id),
+  // Archive a snapshot, delete all data files and restart the app
+  deleteAllDataFiles:   () => ipcRenderer.invoke('delete-all-data-files'),
 
   // ────────────────────────────────────────────────────────────────────────────
-  // Data Destruction (“Nuke”) Button
+  // Application Settings (settings.json in the user data folder)
   // ────────────────────────────────────────────────────────────────────────────
-  // Delete all .xlsx data files and restart the app
-  deleteAllDataFiles:   () => ipcRenderer.invoke('delete-all-data-files'),
+  // Current settings (without the password) and their defaults
+  getSettings:          () => ipcRenderer.invoke('get-settings'),
+  // Validate & save changed settings (a new data folder relaunches the app)
+  saveSettings:         (changes) => ipcRenderer.invoke('save-settings', changes),
+  // True if the password unlocks editing / deleting
+  checkEditPassword:    (pwd) => ipcRenderer.invoke('check-edit-password', pwd),
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // Data Doctor (integrity checks)
+  // ────────────────────────────────────────────────────────────────────────────
+  // Scan workbooks, repairs files and station folders → { issues, summary }
+  runDataDoctor:        () => ipcRenderer.invoke('run-data-doctor'),
+  // Apply one fix (open-row | create-folder | link-folder | delete-orphan)
+  fixDataIssue:         (issue, fix, stationId) => ipcRenderer.invoke('fix-data-issue', issue, fix, stationId),
+  // Save the current findings as an .xlsx report
+  exportDataDoctorReport: () => ipcRenderer.invoke('export-data-doctor-report'),
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // Maintenance Plan (budget optimizer)
+  // ────────────────────────────────────────────────────────────────────────────
+  // Fund the highest-priority open repairs year by year → { years, backlog, totals }
+  planMaintenance:      (options) => ipcRenderer.invoke('plan-maintenance', options),
+  // Save that plan as an .xlsx (Summary, Plan, Backlog sheets)
+  exportMaintenancePlan: (options) => ipcRenderer.invoke('export-maintenance-plan', options),
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // Inspection Schedule
+  // ────────────────────────────────────────────────────────────────────────────
+  // Next inspection due of every station (or just one) → rows with a bucket (overdue, due-30, never, …)
+  getInspectionSchedule: (stationId) => ipcRenderer.invoke('get-inspection-schedule', stationId),
+  // Default inspection frequency of each asset type (used when a station has none)
+  getInspectionFrequencies: () => ipcRenderer.invoke('get-inspection-frequencies'),
+  setInspectionFrequencies: (changes) => ipcRenderer.invoke('set-inspection-frequencies', changes),
+  // Components rated on each inspection of an asset type (used to trend their condition)
+  getInspectionComponents: () => ipcRenderer.invoke('get-inspection-components'),
+  setInspectionComponents: (changes) => ipcRenderer.invoke('set-inspection-components', changes),
+  // Save inspection due dates & scheduled repairs of these stations as an .ics calendar
+  exportCalendar:       (stationIds) => ipcRenderer.invoke('export-calendar', stationIds),
 
   // ────────────────────────────────────────────────────────────────────────────
   // Bulk Import Helpers
@@ -77,13 +136,32 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Repair Priority
   createNewRepair:      (stationId, repair) => ipcRenderer.invoke('add-station-repair', stationId, repair),
   getStationRepairs:    (stationId)          => ipcRenderer.invoke('get-station-repairs', stationId),
+  // Every repair of every station (one-row-per-repair Priority View)
+  getAllRepairs:        ()                   => ipcRenderer.invoke('get-all-repairs'),
   deleteStationRepairs: stationId => ipcRenderer.invoke('delete-station-repairs', stationId),
-
-  // List photos & folders in an arbitrary directory
-  listDirectoryContents: (dirPath) => ipcRenderer.invoke('list-directory-contents', dirPath),
-  listDirectoryContentsRecursive: (dirPath) => ipcRenderer.invoke('list-directory-contents-recursive', dirPath),
+  // Save a station's whole repair list in one write
+  replaceStationRepairs: (stationId, repairs) => ipcRenderer.invoke('replace-station-repairs', stationId, repairs),
+  // Change or remove one repair by its ID (status, dates, actual cost, notes, …)
+  updateStationRepair:  (stationId, repairId, changes) => ipcRenderer.invoke('update-station-repair', stationId, repairId, changes),
+  deleteStationRepair:  (stationId, repairId)          => ipcRenderer.invoke('delete-station-repair', stationId, repairId),
+  // Give repairs saved before repairs had IDs their ID (undoable)
+  assignRepairIds:      (stationId)                    => ipcRenderer.invoke('assign-repair-ids', stationId),
+
+  // Change history (audit log) for one station, newest first
+  getStationAudit:      (stationId)          => ipcRenderer.invoke('get-station-audit', stationId),
+
+  // List photos & folders in an arbitrary directory ({ exif: true } adds each JPEG's EXIF)
+  listDirectoryContents: (dirPath, options) => ipcRenderer.invoke('list-directory-contents', dirPath, options),
+  listDirectoryContentsRecursive: (dirPath, options) => ipcRenderer.invoke('list-directory-contents-recursive', dirPath, options),
+  // Capture date, GPS, orientation & camera of one photo, and its distance from the station
+  getPhotoMetadata:      (filePath) => ipcRenderer.invoke('get-photo-metadata', filePath),
+  // Geotagged photos of these stations, for the map's photo layer
+  getPhotoLocations:     (stationIds) => ipcRenderer.invoke('get-photo-locations', stationIds),
 
   
+  // Cached downscaled copy of a photo for the thumbnail grids → { success, thumbnailPath, version }
+  getPhotoThumbnail:      (filePath)           => ipcRenderer.invoke('get-photo-thumbnail', filePath),
+
   // Photo‐upload helpers
   selectPhotoFiles:       ()                   => ipcRenderer.invoke('select-photo-files'),
   addPhotos:              (destFolder, files) => ipcRenderer.invoke('add-photos', destFolder, files),
@@ -95,6 +173,21 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
   deleteStation: (stationId) => ipcRenderer.invoke('delete-station', stationId),
 
+  // Session undo/redo of saved changes → { success, label, stationIds, undoLabel, redoLabel }
+  undoChange:    () => ipcRenderer.invoke('undo-change'),
+  redoChange:    () => ipcRenderer.invoke('redo-change'),
+  getUndoState:  () => ipcRenderer.invoke('get-undo-state'),
+
+  // Structured inspection records of a station (inspection.json, or rebuilt from legacy folders)
+  getInspectionRecords:     (stationId) => ipcRenderer.invoke('get-inspection-records', stationId),
+  // Write inspection.json into the legacy folders of one station (or every station)
+  migrateInspectionRecords: (stationId) => ipcRenderer.invoke('migrate-inspection-records', stationId),
+
+  // Construction / project records of a station (construction.json, or legacy folders)
+  getConstructionRecords:   (stationId) => ipcRenderer.invoke('get-construction-records', stationId),
+  // Create a project folder (or update an existing one) with its record, photos & documents
+  saveConstructionRecord:   (stationId, record, files, folderPath) => ipcRenderer.invoke('save-construction-record', stationId, record, files, folderPath),
+
   // Add a new inspection folder + files
   addInspection: (stationId, folderName, photos, report, meta, inspectionRepairs) => ipcRenderer.invoke('add-inspection', stationId, folderName, photos, report, meta, inspectionRepairs),
   readTextFile: (filePath) => ipcRenderer.invoke('read-text-file', filePath),
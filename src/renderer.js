@@ -14,6 +14,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   const saved = await window.electronAPI.getSavedColors();
   Object.assign(comboColorMap, saved);
 
+  // Load settings (folders, statuses, ranking scale, basemaps)
+  const appSettings = (await window.electronAPI.getSettings()).data;
+
   // ────────────────────────────────────────────────────────────────────────────
   // 1) Leaflet Map Initialization
   // ────────────────────────────────────────────────────────────────────────────
@@ -25,35 +28,20 @@ document.addEventListener('DOMContentLoaded', async () => {
   }).setView([54.5, -119], 5);
 
   // 1) Leaflet Map Initialization (after map = L.map(...))
-  const tileProviders = [
-    {
-      name: 'OSM',
-      url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
-      options: {
-        subdomains: ['a','b','c'],
-        attribution:
-          '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-        noWrap: true
-      }
-    },
-    {
-      name: 'Esri World Imagery',
-      url:
-        'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/' +
-        'MapServer/tile/{z}/{y}/{x}',
-      options: {
-        attribution:
-          'Tiles © Esri — Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community',
-        noWrap: true,
-        // never load tiles north of 90° or south of –90°:
-        bounds: [[-90, -180], [90, 180]],
-        // optional: if you know the service only goes 1–19, you can
-        // tell Leaflet to auto-scale rather than request bogus z=0 tiles:
-        minNativeZoom: 1,
-        maxNativeZoom: 19
-      }
+  //    basemaps come from the tileProviders setting
+  const tileProviders = appSettings.tileProviders.map(tp => ({
+    name: tp.name,
+    url: tp.url,
+    options: {
+      attribution: tp.attribution,
+      noWrap: true,
+      // never load tiles north of 90° or south of –90°:
+      bounds: [[-90, -180], [90, 180]],
+      // services that stop at a given zoom get auto-scaled instead of
+      // being asked for tiles they don't have
+      ...(tp.maxNativeZoom ? { minNativeZoom: 1, maxNativeZoom: tp.maxNativeZoom } : {})
     }
-  ];
+  }));
 
   // start with the first provider…
   let providerIndex = 0;
@@ -105,6 +93,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   const detailSections       = {
     overview:            document.getElementById('overviewSection'),
     inspectionHistory:   document.getElementById('inspectionHistorySection'),
+    history:             document.getElementById('historySection'),
     constructionHistory: document.getElementById('constructionHistorySection'),
     highPriorityRepairs: document.getElementById('highPriorityRepairsSection'),
     documents:           document.getElementById('documentsSection'),
@@ -114,12 +103,27 @@ document.addEventListener('DOMContentLoaded', async () => {
   const repairsViewContainer   = document.getElementById('repairsViewContainer');
   const repairsListBody        = document.getElementById('repairsListBody');
   const repairsSortSelect      = document.getElementById('repairsSortSelect');
+  const repairsListTable       = document.getElementById('repairsListTable');
+  const repairsSortLabel       = document.getElementById('repairsSortLabel');
+  const repairsModeSelect      = document.getElementById('repairsModeSelect');
+  const repairItemsControls    = document.getElementById('repairItemsControls');
+  const repairsGroupSelect     = document.getElementById('repairsGroupSelect');
+  const repairsShowCompleted   = document.getElementById('repairsShowCompleted');
+  const repairItemsTable       = document.getElementById('repairItemsTable');
+  const repairItemsBody        = document.getElementById('repairItemsBody');
+  const repairItemsFoot        = document.getElementById('repairItemsFoot');
   const repairsViewControls    = document.getElementById('repairsViewControls');
 
+  const inspectionsViewContainer = document.getElementById('inspectionsViewContainer');
+  const inspectionsViewControls  = document.getElementById('inspectionsViewControls');
+  const inspectionsListBody      = document.getElementById('inspectionsListBody');
+  const inspectionsBucketSelect  = document.getElementById('inspectionsBucketSelect');
+
 
     // ─── New: dropdowns instead of buttons ─────────────────────────────────────
   const viewModeSelect = document.getElementById('viewModeSelect');
   const mapStyleSelect = document.getElementById('mapStyleSelect');
+  const photoLayerSelect = document.getElementById('photoLayerSelect');
 
 
   // Bulk-import controls
@@ -140,20 +144,30 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Track which station ID we’re editing, so saves can find the right record
   let originalEditingStationId = null;
   let currentStationDetailData = null;    // used by full detail page
+  let currentStationSchema     = [];      // field definitions of that station's asset type
   let isListViewActive         = false;
   let hoverTimeout             = null;
 
   let isRepairsViewActive      = false;
   let previousView             = 'map';               // track where to return
-  let currentRepairsSortOption = 'repairRanking';   // default sort
+  // Priority View sort keys, most significant first: [{ key, dir: 'asc' | 'desc' }]
+  let repairsSortKeys          = [{ key: 'repairRanking', dir: 'asc' }];
+  let repairsViewMode          = 'stations';        // 'stations' | 'repairs' (one row per repair)
+
+  let isInspectionsViewActive  = false;
+  let inspectionScheduleRows   = null;              // last schedule from main (null: fetch again)
+  let inspectionScheduleRequest = 0;                // ignores answers to superseded fetches
 
   let isPriorityMapActive      = false;
+  let priorityMapColorBy       = 'priority';        // 'priority' (ranking) | 'score' | 'condition'
 
   let currentPhotoFolder = null;
   let currentDocumentFolder = null;
   let loadedPhotoGroups  = null;
   let loadedDocumentGroups = null;
   let loadedRootImages  = null;
+  let loadedPhotoItems  = null;      // every image of the station, with its EXIF
+  let photoGroupBy      = 'folder';  // 'folder' | 'date' (capture date)
 
   // Photos stuff
   // ────────────────────────────────────────────────────────────────────────────────────────────────────────
@@ -176,6 +190,88 @@ document.addEventListener('DOMContentLoaded', async () => {
     selectedPhotoGroup = null;
   }
 
+  // CSS transform that turns a thumbnail upright, by EXIF orientation (1 = already upright)
+  const EXIF_ORIENTATION_TRANSFORMS = {
+    2: 'scaleX(-1)',
+    3: 'rotate(180deg)',
+    4: 'scaleY(-1)',
+    5: 'rotate(90deg) scaleY(-1)',
+    6: 'rotate(90deg)',
+    7: 'rotate(90deg) scaleX(-1)',
+    8: 'rotate(270deg)'
+  };
+
+  // Thumbnails ask main for their cached downscaled copy once they scroll into
+  // view; the full-size photo is only loaded by showImageOverlay
+  const thumbObserver = new IntersectionObserver(entries => {
+    entries.filter(e => e.isIntersecting).forEach(async ({ target: img }) => {
+      thumbObserver.unobserve(img);
+      const res = await window.electronAPI.getPhotoThumbnail(img.dataset.photoPath);
+      // a format nativeImage can't read (e.g. some GIFs) falls back to the file itself
+      img.src = res.success
+        ? `file://${res.thumbnailPath}?v=${res.version}`
+        : `file://${img.dataset.photoPath}`;
+      if (res.success) img.style.transform = EXIF_ORIENTATION_TRANSFORMS[res.orientation] || '';
+    });
+  }, { rootMargin: '200px' });
+
+  // <img> for one photo of a thumbnail grid (the caller sizes it)
+  //  - photos taken too far from the station (by their EXIF GPS) are outlined
+  function createPhotoThumb(imgItem) {
+    const thumb = document.createElement('img');
+    thumb.classList.add('photo-thumb');
+    thumb.dataset.photoPath = imgItem.path;
+    thumb.alt   = imgItem.name;
+    thumb.title = imgItem.name;
+    const exif = imgItem.exif;
+    if (exif && exif.dateTaken) thumb.title += ` – ${exif.dateTaken.replace('T', ' ')}`;
+    if (exif && exif.farFromStation) {
+      thumb.classList.add('photo-far');
+      thumb.title += ` – taken ${exif.distanceKm} km from the station`;
+    }
+    thumbObserver.observe(thumb);
+    return thumb;
+  }
+
+  // Photos by capture date (oldest first); photos without one follow, by name
+  function sortByCaptureDate(items) {
+    const taken = i => (i.exif && i.exif.dateTaken) || '';
+    return [...items].sort((a, b) =>
+      (!taken(a) - !taken(b)) || taken(a).localeCompare(taken(b)) || a.name.localeCompare(b.name)
+    );
+  }
+
+  /**
+   * groupPhotos(items) → { groups: { name → items }, rootImages }
+   *  - 'folder': by the first folder under the station folder; images right in
+   *    the station folder are rootImages
+   *  - 'date': by capture day, newest first, then “No capture date”
+   */
+  function groupPhotos(items) {
+    const groups = {};
+    const rootImages = [];
+    const add = (key, f) => (groups[key] = groups[key] || []).push(f);
+    if (photoGroupBy === 'date') {
+      const byDay = {};
+      items.forEach(f => {
+        const day = (f.exif && f.exif.dateTaken.slice(0, 10)) || '';
+        (byDay[day] = byDay[day] || []).push(f);
+      });
+      Object.keys(byDay).filter(Boolean).sort().reverse()
+        .forEach(day => byDay[day].forEach(f => add(day, f)));
+      (byDay[''] || []).forEach(f => add('No capture date', f));
+    } else {
+      items.forEach(f => {
+        const rel   = f.path.slice(currentStationDetailData.stationFolder.length + 1);
+        const parts = rel.split(/[/\\]/);
+        if (parts.length === 1) rootImages.push(f);
+        else add(parts[0], f);
+      });
+    }
+    Object.keys(groups).forEach(k => { groups[k] = sortByCaptureDate(groups[k]); });
+    return { groups, rootImages: sortByCaptureDate(rootImages) };
+  }
+
   // Render the grid of folder cards
   function renderPhotoGroups(groups) {
     const container = detailSections.photos;
@@ -194,7 +290,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       card.style.textAlign = 'center';
       card.style.cursor = 'pointer';
       card.innerHTML = `
-        <div style="font-size:2em;">📁</div>
+        <div style="font-size:2em;">${photoGroupBy === 'date' ? '📅' : '📁'}</div>
         <div style="margin-top:8px; word-break:break-word;">
           ${folderName}
         </div>
@@ -232,81 +328,10 @@ document.addEventListener('DOMContentLoaded', async () => {
     container.appendChild(back);
 
     back.addEventListener('click', async () => {
-      // Reset state
+      // Reset state and re-read every image under the station folder
       currentPhotoFolder = null;
-      clearPhotosSection();
-
-      // Show loading
-      showLoadingMessage('Loading photos…');
-
-      // Re-fetch *all* images under stationFolder
-      const allItems = await window.electronAPI
-        .listDirectoryContentsRecursive(currentStationDetailData.stationFolder);
-
-      // Hide loading
-      hideLoadingMessage();
-
-      // Re-group into top-level folders vs root images
-      
-      const imageFiles = allItems.filter(i =>
-        !i.isDirectory &&
-        /\.(jpe?g|png|gif|bmp)$/i.test(i.name)
-      );
-
-      const newLoadedGroups = {};
-      const rootImages = [];
-      imageFiles.forEach(f => {
-        const rel = f.path.slice(
-          currentStationDetailData.stationFolder.length + 1
-        );
-        const parts = rel.split(/[/\\]/);
-        if (parts.length === 1) {
-          // No slash → file in the root
-          rootImages.push(f);
-        } else {
-          // First segment is the sub-folder
-          const top = parts[0] || '';
-          if (!newLoadedGroups[top]) newLoadedGroups[top] = [];
-          newLoadedGroups[top].push(f);
-        }
-      });
-
-      // Replace the cached groups
-      loadedPhotoGroups = newLoadedGroups;
-
-      // a) Render folder cards
-      renderPhotoGroups(loadedPhotoGroups);
-
-      // b) Render root-level images
-      if (rootImages.length) {
-        const imgGrid = document.createElement('div');
-        imgGrid.style.display    = 'flex';
-        imgGrid.style.flexWrap   = 'wrap';
-        imgGrid.style.gap        = '12px';
-        imgGrid.style.marginTop  = '16px';
-        rootImages.forEach(imgItem => {
-          const thumb = document.createElement('img');
-          thumb.src           = `file://${imgItem.path}`;
-          thumb.alt           = imgItem.name;
-          thumb.title         = imgItem.name;
-          thumb.style.width     = '120px';
-          thumb.style.height    = '120px';
-          thumb.style.objectFit = 'cover';
-          thumb.style.cursor    = 'pointer';
-          thumb.onclick         = () => showImageOverlay(imgItem);
-          imgGrid.appendChild(thumb);
-        });
-        container.appendChild(imgGrid);
-      }
-
-      // c) Re-add the "+ Add Photos" button
-      const addBtn = document.createElement('button');
-      addBtn.id          = 'btnAddPhotos';
-      addBtn.textContent = '+ Add Photos';
-      addBtn.style.display = 'block';
-      addBtn.style.margin  = '12px 0';
-      addBtn.onclick       = showAddPhotosDialog;
-      container.appendChild(addBtn);
+      loadedPhotoGroups = null;
+      await renderPhotosTab();
     });
 
     // 3) Folder title
@@ -320,11 +345,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     grid.style.flexWrap  = 'wrap';
     grid.style.gap       = '12px';
     grid.style.marginTop = '12px';
-    items.forEach(imgItem => {
-      const thumb = document.createElement('img');
-      thumb.src           = `file://${imgItem.path}`;
-      thumb.alt           = imgItem.name;
-      thumb.title         = imgItem.name;
+    sortByCaptureDate(items).forEach(imgItem => {
+      const thumb = createPhotoThumb(imgItem);
       thumb.style.width     = '120px';
       thumb.style.height    = '120px';
       thumb.style.objectFit = 'cover';
@@ -337,10 +359,57 @@ document.addEventListener('DOMContentLoaded', async () => {
 
  // ────────────────────────────────────────────────────────────────────────────────────────────────────────
 
+  // Sort keys behind each “Sort by” preset
+  const REPAIRS_SORT_PRESETS = {
+    repairRanking: [{ key: 'repairRanking', dir: 'asc' }],
+    priorityScore: [{ key: 'priorityScore', dir: 'desc' }],
+    repairCost:    [{ key: 'repairCost',    dir: 'desc' }],
+    frequency:     [{ key: 'frequency',     dir: 'asc' }],
+    location:      [{ key: 'province', dir: 'asc' }, { key: 'longitude', dir: 'asc' }]
+  };
+
   repairsSortSelect.addEventListener('change', e => {
-    currentRepairsSortOption = e.target.value;
+    repairsSortKeys = REPAIRS_SORT_PRESETS[e.target.value].map(k => ({ ...k }));
+    if (isRepairsViewActive) updateRepairsViewDisplay();
+  });
+
+  // “Show”: one row per station (top repair) or one row per repair
+  repairsModeSelect.addEventListener('change', e => {
+    repairsViewMode = e.target.value;
+    const perRepair = repairsViewMode === 'repairs';
+    repairsListTable.classList.toggle('hidden', perRepair);
+    repairItemsTable.classList.toggle('hidden', !perRepair);
+    repairsSortLabel.style.display  = perRepair ? 'none' : '';
+    repairsSortSelect.style.display = perRepair ? 'none' : '';
+    repairItemsControls.style.display = perRepair ? 'flex' : 'none';
     if (isRepairsViewActive) updateRepairsViewDisplay();
   });
+  repairsGroupSelect.addEventListener('change', () => updateRepairsViewDisplay());
+  repairsShowCompleted.addEventListener('change', () => updateRepairsViewDisplay());
+
+  // Column headers: click sorts by that column (again flips the direction),
+  // Shift+click adds it as the next key, or flips it if it is already one
+  repairsListTable.querySelectorAll('th[data-sort-key]').forEach(th => {
+    th.title = 'Click to sort, Shift+click to add as a further sort key';
+    th.addEventListener('click', e => {
+      const key = th.dataset.sortKey;
+      const existing = repairsSortKeys.find(k => k.key === key);
+      const flip = k => ({ key: k.key, dir: k.dir === 'asc' ? 'desc' : 'asc' });
+      if (e.shiftKey) {
+        repairsSortKeys = existing
+          ? repairsSortKeys.map(k => (k === existing ? flip(k) : k))
+          : [...repairsSortKeys, { key, dir: 'asc' }];
+      } else {
+        repairsSortKeys = existing && repairsSortKeys.length === 1
+          ? [flip(existing)]
+          : [{ key, dir: 'asc' }];
+      }
+      repairsSortSelect.value = Object.keys(REPAIRS_SORT_PRESETS).find(preset =>
+        JSON.stringify(REPAIRS_SORT_PRESETS[preset]) === JSON.stringify(repairsSortKeys)
+      ) || 'custom';
+      updateRepairsViewDisplay();
+    });
+  });
 
 
   const PRIORITY_COLORS = {
@@ -352,6 +421,57 @@ document.addEventListener('DOMContentLoaded', async () => {
     '':  'grey'   // none
   };
 
+  // Colour for a repair ranking on the configured 1…rankingScale scale
+  // (stretched onto the five colours above)
+  function priorityColor(ranking) {
+    const r = parseInt(ranking, 10);
+    const max = appSettings.rankingScale;
+    if (isNaN(r) || r < 1 || r > max) return 'grey';
+    return PRIORITY_COLORS[String(1 + Math.round((r - 1) * 4 / (max - 1)))];
+  }
+
+  // Colour for a 0–100 priority score, on the same five colours (80+ is red)
+  function scoreColor(score) {
+    const n = parseFloat(score);
+    if (isNaN(n) || n <= 0) return 'grey';
+    return PRIORITY_COLORS[String(5 - Math.min(4, Math.floor(n / 20)))];
+  }
+
+  // Colour for a 1 (Very Poor) … 5 (Very Good) condition, on the same five colours
+  function conditionColor(condition) {
+    const n = Math.round(parseFloat(condition));
+    return n >= 1 && n <= 5 ? PRIORITY_COLORS[String(n)] : 'grey';
+  }
+
+  // '' (none) followed by 1…rankingScale, for the ranking dropdowns
+  function rankingOptions() {
+    return ['', ...Array.from({ length: appSettings.rankingScale }, (_, i) => i + 1)];
+  }
+
+  // Overall condition ratings 1…5 (same list as INSPECTION_CONDITIONS in main.js)
+  const INSPECTION_CONDITIONS = ['Very Poor', 'Poor', 'Fair', 'Good', 'Very Good'];
+
+  // Lifecycle of a repair (same list as REPAIR_STATUSES in main.js)
+  const REPAIR_STATUSES = ['Open', 'Scheduled', 'In Progress', 'Completed', 'Deferred'];
+
+  // Status / dates / actual cost / notes rows of a repair block, as typed entries
+  function repairLifecycleEntries(prefix, r = {}) {
+    return [
+      { fieldName: 'Status',          fullKey: `${prefix}.status`,        value: r.status || REPAIR_STATUSES[0], readOnlyName: true,
+        def: { type: 'enum', allowedValues: REPAIR_STATUSES } },
+      { fieldName: 'Date Opened',     fullKey: `${prefix}.dateOpened`,    value: r.dateOpened || new Date().toISOString().slice(0, 10),
+        readOnlyName: true, def: { type: 'date', allowedValues: [] } },
+      { fieldName: 'Scheduled Date',  fullKey: `${prefix}.dateScheduled`, value: r.dateScheduled || '', readOnlyName: true,
+        def: { type: 'date', allowedValues: [] } },
+      { fieldName: 'Date Completed',  fullKey: `${prefix}.dateCompleted`, value: r.dateCompleted || '', readOnlyName: true,
+        def: { type: 'date', allowedValues: [] } },
+      { fieldName: 'Actual Cost ($)', fullKey: `${prefix}.actualCost`,    value: r.actualCost ?? '', readOnlyName: true,
+        def: { type: 'number', allowedValues: [] } },
+      { fieldName: 'Notes',           fullKey: `${prefix}.notes`,         value: r.notes || '', readOnlyName: true,
+        def: { type: 'text', allowedValues: [] } }
+    ];
+  }
+
     
   // New stuff yay
   // ─── View‐mode selector ────────────────────────────────────────────────────
@@ -365,35 +485,43 @@ document.addEventListener('DOMContentLoaded', async () => {
     mapContainer.classList.add('hidden');
     listViewContainer.classList.add('hidden');
     repairsViewContainer.classList.add('hidden');
+    inspectionsViewContainer.classList.add('hidden');
     listViewControls.style.display   = 'none';
     repairsViewControls.style.display = 'none';
+    inspectionsViewControls.style.display = 'none';
+
+    isListViewActive        = mode === 'list';
+    isRepairsViewActive     = mode === 'repairs';
+    isInspectionsViewActive = mode === 'inspections';
 
     if (mode === 'map') {
-      isListViewActive    = false;
-      isRepairsViewActive = false;
       mapContainer.classList.remove('hidden');
       updateMapDisplay();
 
     } else if (mode === 'list') {
-      isListViewActive    = true;
-      isRepairsViewActive = false;
       listViewContainer.classList.remove('hidden');
       listViewControls.style.display = 'flex';
       updateListViewDisplay();
 
     } else if (mode === 'repairs') {
-      isListViewActive    = false;
-      isRepairsViewActive = true;
       repairsViewContainer.classList.remove('hidden');
       repairsViewControls.style.display = 'flex';
       updateRepairsViewDisplay();
+
+    } else if (mode === 'inspections') {
+      inspectionsViewContainer.classList.remove('hidden');
+      inspectionsViewControls.style.display = 'flex';
+      updateInspectionsViewDisplay({ refetch: true });
     }
   });
 
+  inspectionsBucketSelect.addEventListener('change', () => updateInspectionsViewDisplay());
+
   // ─── Map‐style selector ────────────────────────────────────────────────────
   mapStyleSelect.addEventListener('change', e => {
-    isPriorityMapActive = (e.target.value === 'priority');
-    if (!isListViewActive && !isRepairsViewActive) {
+    isPriorityMapActive = ['priority', 'score', 'condition'].includes(e.target.value);
+    priorityMapColorBy  = e.target.value;
+    if (!isListViewActive && !isRepairsViewActive && !isInspectionsViewActive) {
       updateMapDisplay();
     }
   });
@@ -427,15 +555,106 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
 
-  // normalize raw status into “Active”, “Inactive”, etc.
-  function normalizeStatus(raw) {
-    if (!raw) return 'Unknown';
-    switch (raw.trim().toLowerCase()) {
-      case 'active':     return 'Active';
-      case 'inactive':   return 'Inactive';
-      case 'mothballed': return 'Mothballed';
-      default:           return 'Unknown';
+  // Escape user text before interpolating it into innerHTML
+  function escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+
+  // ─── Asset-type schema helpers ─────────────────────────────────────────────
+
+  /**
+   * loadAssetTypeSchema(assetType) → [{ section, field, key, type, required, allowedValues, units }]
+   *  - [] when the asset type has no schema (every field stays free text)
+   */
+  async function loadAssetTypeSchema(assetType) {
+    if (!assetType) return [];
+    try {
+      const res = await window.electronAPI.getAssetTypeSchema(assetType);
+      return res.success ? res.data : [];
+    } catch (err) {
+      console.error('Could not load asset-type schema:', err);
+      return [];
+    }
+  }
+
+  /**
+   * createSchemaInput(def, value) → the value control for a typed field
+   *  - number / date / url → matching <input> type; enum / boolean → <select>
+   *  - Units and “required” go in the placeholder and tooltip
+   */
+  function createSchemaInput(def, value) {
+    let text = value instanceof Date
+      ? value.toISOString().slice(0, 10)
+      : (value != null ? String(value) : '');
+
+    let el;
+    if (def.type === 'boolean' || (def.type === 'enum' && def.allowedValues.length)) {
+      el = document.createElement('select');
+      const options = def.type === 'boolean' ? ['Yes', 'No'] : def.allowedValues;
+      if (def.type === 'boolean') {
+        if (/^(true|y|1)$/i.test(text))  text = 'Yes';
+        if (/^(false|n|0)$/i.test(text)) text = 'No';
+      }
+      // keep an out-of-list value visible, so saving reports it instead of dropping it
+      const all = text && !options.includes(text) ? [text, ...options] : options;
+      ['', ...all].forEach(v => {
+        const opt = document.createElement('option');
+        opt.value = v;
+        opt.textContent = v === '' ? '--' : v;
+        el.appendChild(opt);
+      });
+    } else {
+      el = document.createElement('input');
+      el.type = { number: 'number', date: 'date', url: 'url' }[def.type] || 'text';
+      el.placeholder = [def.units, def.required ? 'required' : 'Value'].filter(Boolean).join(', ');
     }
+    el.value = text;
+    el.title = [def.type, def.units, def.required ? 'required' : ''].filter(Boolean).join(' · ');
+    el.dataset.fieldType = def.type;
+    return el;
+  }
+
+  /**
+   * markFieldErrors(rows, keyOf, fieldErrors)
+   *  - Clears old marks on `rows`, then outlines each row named in
+   *    fieldErrors ([{ field, message }]) and shows its message under it
+   *  - keyOf(row) → that row’s “Section - Field” key
+   */
+  function markFieldErrors(rows, keyOf, fieldErrors = []) {
+    rows.forEach(row => {
+      row.classList.remove('field-invalid');
+      row.querySelector('.field-error')?.remove();
+    });
+    (fieldErrors || []).forEach(err => {
+      const row = Array.from(rows)
+        .find(r => keyOf(r).toLowerCase() === err.field.toLowerCase());
+      if (!row) return;
+      row.classList.add('field-invalid');
+      const msg = document.createElement('div');
+      msg.className = 'field-error';
+      msg.textContent = err.message;
+      row.appendChild(msg);
+    });
+  }
+
+
+  // normalize raw status into one of the statusOptions setting (“Active”, “Inactive”, …)
+  function normalizeStatus(raw) {
+    const wanted = String(raw || '').trim().toLowerCase();
+    return appSettings.statusOptions.find(s => s.toLowerCase() === wanted) || 'Unknown';
+  }
+
+  // statusOptions, plus the “Unknown” fallback if the list doesn't have it
+  function statusChoices() {
+    return appSettings.statusOptions.some(s => s.toLowerCase() === 'unknown')
+      ? appSettings.statusOptions
+      : [...appSettings.statusOptions, 'Unknown'];
   }
 
 
@@ -576,6 +795,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   // 4) Load data + initialize filters & map/list
   // ────────────────────────────────────────────────────────────────────────────
   async function loadDataAndInitialize() {
+    inspectionScheduleRows = null;
     try {
       const rawData = await window.electronAPI.getStationData();
       rawData.forEach(st => {
@@ -734,6 +954,48 @@ document.addEventListener('DOMContentLoaded', async () => {
       groupDiv.appendChild(subCont);
       filterPanelElement.appendChild(groupDiv);
     });
+
+    // 3) latest overall condition (1…5, or never rated), across every category
+    const condGroup = document.createElement('div');
+    condGroup.className = 'filter-group condition-filter-group';
+    const condLbl = document.createElement('label');
+    condLbl.style.fontWeight = 'bold';
+    const condAll = document.createElement('input');
+    condAll.type = 'checkbox';
+    condAll.checked = true;
+    condAll.id = 'toggle-condition-filter';
+    condLbl.appendChild(condAll);
+    condLbl.appendChild(document.createTextNode(' Latest Condition '));
+    condGroup.appendChild(condLbl);
+
+    const condSubs = document.createElement('div');
+    condSubs.style.paddingLeft = '20px';
+    [...INSPECTION_CONDITIONS.map((name, i) => [String(i + 1), `${i + 1} – ${name}`]), ['', 'Not Rated']]
+      .forEach(([value, text]) => {
+        const lbl = document.createElement('label');
+        const chk = document.createElement('input');
+        chk.type    = 'checkbox';
+        chk.value   = value;
+        chk.checked = true;
+        chk.style.accentColor = conditionColor(value);
+        chk.onchange = () => {
+          const subs = Array.from(condSubs.querySelectorAll('input[type="checkbox"]'));
+          const all  = subs.every(c => c.checked),
+                none = subs.every(c => !c.checked);
+          condAll.checked       = all;
+          condAll.indeterminate = !all && !none;
+          updateActiveViewDisplay();
+        };
+        lbl.appendChild(chk);
+        lbl.appendChild(document.createTextNode(` ${text}`));
+        condSubs.appendChild(lbl);
+      });
+    condAll.onchange = () => {
+      condSubs.querySelectorAll('input[type="checkbox"]').forEach(cb => cb.checked = condAll.checked);
+      updateActiveViewDisplay();
+    };
+    condGroup.appendChild(condSubs);
+    filterPanelElement.appendChild(condGroup);
   }
 
 
@@ -741,10 +1003,25 @@ document.addEventListener('DOMContentLoaded', async () => {
   // 6) Get filtered station data based on checked filters
   // ────────────────────────────────────────────────────────────────────────────
   function getFilteredStationData() {
+    // Latest Condition boxes: a station passes if its condition (rounded) is ticked
+    const condBoxes = Array.from(
+      filterPanelElement.querySelectorAll('.condition-filter-group input[type="checkbox"]:not(#toggle-condition-filter)')
+    );
+    const stations = getCategoryFilteredStationData();
+    if (condBoxes.every(cb => cb.checked)) return stations;
+    const bands = condBoxes.filter(cb => cb.checked).map(cb => cb.value);
+    return stations.filter(st => {
+      const n = Math.round(parseFloat(st['Latest Condition']));
+      return bands.includes(isNaN(n) ? '' : String(n));
+    });
+  }
+
+  // Stations in the ticked category / province filters
+  function getCategoryFilteredStationData() {
     // 1) find all of the province-sub-filters
     const subCheckboxes = Array.from(
       filterPanelElement.querySelectorAll(
-        'input[type="checkbox"]:not([id^="toggle-all-"])'
+        '.filter-group:not(.condition-filter-group) input[type="checkbox"]:not([id^="toggle-all-"])'
       )
     );
 
@@ -798,13 +1075,18 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (isNaN(lat) || isNaN(lon)) return;
 
       // Choose color by priority or by asset‐type
-      const color = isPriorityMapActive
-        ? (PRIORITY_COLORS[String(st['Repair Ranking'])] || 'grey')
-        : getComboColor(st.category, provinceOf(st));
+      const color = !isPriorityMapActive
+        ? getComboColor(st.category, provinceOf(st))
+        : priorityMapColorBy === 'score'
+          ? scoreColor(st['Priority Score'])
+          : priorityMapColorBy === 'condition'
+            ? conditionColor(st['Latest Condition'])
+            : priorityColor(st['Repair Ranking']);
 
       // Create a marker
       // dim out inactive or mothballed stations
-      const isDimmed = st.Status === 'Inactive' || st.Status === 'Mothballed' || st.Status === 'Unknown';
+      // only the first status (in service) is drawn at full strength
+      const isDimmed = st.Status !== appSettings.statusOptions[0];
 
       const marker = L.marker([lat, lon], {
         icon:    createColoredIcon(color),
@@ -834,6 +1116,156 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (mapContainer && !isListViewActive && !mapContainer.classList.contains('hidden')) {
       map.invalidateSize();
     }
+
+    // the photo layer follows the filters too
+    if (photoLayerSelect.value === 'filtered') refreshPhotoLayer();
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // 7b) Geotagged photo layer (where each photo was taken, from its EXIF GPS)
+  // ────────────────────────────────────────────────────────────────────────────
+  // Photos are drawn one by one from this zoom on; below it they are clustered
+  const PHOTO_CLUSTER_MAX_ZOOM = 16;
+  // Photos closer than this on screen (px) share a cluster
+  const PHOTO_CLUSTER_CELL = 60;
+
+  const photoLayer          = L.layerGroup();
+  const photoLocationCache  = new Map();   // stationId → its geotagged photos (until the layer is turned off)
+  let photoPoints           = [];          // photos currently on the layer
+  let photoLayerStationId   = null;        // station of the “Photos: <station>” choice
+  let photoLayerRequest     = 0;           // ignores answers to superseded refreshes
+
+  photoLayerSelect.addEventListener('change', () => {
+    if (!photoLayerSelect.value) photoLocationCache.clear();
+    refreshPhotoLayer({ fit: true });
+  });
+  map.on('zoomend', () => {
+    if (map.hasLayer(photoLayer)) drawPhotoLayer();
+  });
+
+  /**
+   * refreshPhotoLayer({ fit })
+   *  - Shows the geotagged photos of the filtered stations, or of the station
+   *    picked with “Show on Map” in its Photos tab; hides the layer for “No Photos”
+   *  - Stations already fetched are taken from photoLocationCache
+   *  - fit: zoom the map to the photos
+   */
+  async function refreshPhotoLayer({ fit = false } = {}) {
+    const mode = photoLayerSelect.value;
+    const request = ++photoLayerRequest;
+    if (!mode) {
+      photoPoints = [];
+      photoLayer.clearLayers();
+      map.removeLayer(photoLayer);
+      return;
+    }
+
+    const ids = mode === 'station'
+      ? [photoLayerStationId]
+      : getFilteredStationData().map(st => st.stationId);
+    const missing = ids.filter(id => !photoLocationCache.has(id));
+    if (missing.length) {
+      const res = await window.electronAPI.getPhotoLocations(missing);
+      if (!res.success) {
+        showAlert('❌ ' + res.message, 3000);
+        return;
+      }
+      missing.forEach(id => photoLocationCache.set(id, []));
+      res.data.forEach(p => photoLocationCache.get(p.stationId)?.push(p));
+    }
+    if (request !== photoLayerRequest) return;
+
+    photoPoints = ids.flatMap(id => photoLocationCache.get(id) || []);
+    if (!map.hasLayer(photoLayer)) photoLayer.addTo(map);
+    drawPhotoLayer();
+    if (fit) {
+      if (photoPoints.length) {
+        map.fitBounds(L.latLngBounds(photoPoints.map(p => [p.latitude, p.longitude])),
+          { maxZoom: PHOTO_CLUSTER_MAX_ZOOM, padding: [40, 40] });
+      } else {
+        showAlert('No geotagged photos for these stations.', 2000);
+      }
+    }
+  }
+
+  /**
+   * drawPhotoLayer(): photoPoints as markers, grouped into clusters below PHOTO_CLUSTER_MAX_ZOOM
+   *  - A photo marker opens the photo; a cluster zooms in on its photos
+   *  - Photos taken far from their station (and clusters holding any) are red
+   */
+  function drawPhotoLayer() {
+    photoLayer.clearLayers();
+    const zoom = map.getZoom();
+    const cells = new Map();
+    photoPoints.forEach(p => {
+      let key = p.path;
+      if (zoom < PHOTO_CLUSTER_MAX_ZOOM) {
+        const pt = map.project([p.latitude, p.longitude], zoom);
+        key = `${Math.floor(pt.x / PHOTO_CLUSTER_CELL)}:${Math.floor(pt.y / PHOTO_CLUSTER_CELL)}`;
+      }
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(p);
+    });
+
+    cells.forEach(group => {
+      const far = group.some(p => p.farFromStation);
+      if (group.length === 1) {
+        const p = group[0];
+        const marker = L.marker([p.latitude, p.longitude], {
+          icon: L.divIcon({
+            className: `photo-marker${far ? ' photo-marker-far' : ''}`,
+            html: '📷',
+            iconSize: [22, 22],
+            iconAnchor: [11, 11]
+          })
+        });
+        marker.bindTooltip([
+          `<strong>${escapeHtml(p.name)}</strong> (${escapeHtml(p.stationId)})`,
+          p.dateTaken ? escapeHtml(p.dateTaken.replace('T', ' ')) : '',
+          p.distanceKm !== null ? `${p.distanceKm} km from the station` : ''
+        ].filter(Boolean).join('<br>'));
+        marker.on('click', () => showImageOverlay({ name: p.name, path: p.path }));
+        photoLayer.addLayer(marker);
+        return;
+      }
+
+      const lat = group.reduce((sum, p) => sum + p.latitude, 0) / group.length;
+      const lon = group.reduce((sum, p) => sum + p.longitude, 0) / group.length;
+      const cluster = L.marker([lat, lon], {
+        icon: L.divIcon({
+          className: `photo-cluster${far ? ' photo-marker-far' : ''}`,
+          html: `<span>${group.length}</span>`,
+          iconSize: [32, 32],
+          iconAnchor: [16, 16]
+        })
+      });
+      cluster.bindTooltip(`${group.length} photos` +
+        (far ? ` (${group.filter(p => p.farFromStation).length} far from their station)` : ''));
+      cluster.on('click', () => {
+        map.fitBounds(L.latLngBounds(group.map(p => [p.latitude, p.longitude])),
+          { maxZoom: PHOTO_CLUSTER_MAX_ZOOM, padding: [40, 40] });
+      });
+      photoLayer.addLayer(cluster);
+    });
+  }
+
+  /**
+   * showStationPhotosOnMap(station): back to the map with the photo layer on
+   * for just this station
+   */
+  async function showStationPhotosOnMap(station) {
+    photoLayerStationId = station.stationId;
+    const option = photoLayerSelect.querySelector('option[value="station"]');
+    option.hidden = false;
+    option.textContent = `Photos: ${station.stationName || station.stationId}`;
+    photoLayerSelect.value = 'station';
+
+    closeStationDetailPage();
+    if (viewModeSelect.value !== 'map') {
+      viewModeSelect.value = 'map';
+      viewModeSelect.dispatchEvent(new Event('change'));
+    }
+    await refreshPhotoLayer({ fit: true });
   }
 
 
@@ -915,6 +1347,11 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Update Repairs View
   function updateRepairsViewDisplay() {
+    if (repairsViewMode === 'repairs') {
+      updateRepairItemsDisplay();
+      return;
+    }
+
     // Clear out any existing rows
     repairsListBody.innerHTML = '';
 
@@ -924,42 +1361,24 @@ document.addEventListener('DOMContentLoaded', async () => {
     const arr = filtered.slice();
     
 
-    // 2) Sort based on the current repairs‐view sort option
-    switch (currentRepairsSortOption) {
-      case 'repairRanking':
-        arr.sort((a, b) => {
-          const pa = parseInt(a['Repair Ranking'], 10) || 0;
-          const pb = parseInt(b['Repair Ranking'], 10) || 0;
-          return pa - pb;
-        });
-        break;
-
-      case 'repairCost':
-        // TODO: implement real cost sorting
-        break;
-
-      case 'frequency':
-        // TODO: implement real frequency sorting
-        break;
-
-      case 'location':
-        arr.sort((a, b) => {
-          const ia = provinceIndex(provinceOf(a));
-          const ib = provinceIndex(provinceOf(b));
-          if (ia !== ib) return ia - ib;
-          // same‐province: tie‐break by longitude
-          return (parseFloat(a.longitude) || 0) - (parseFloat(b.longitude) || 0);
-        });
-        break;
-
-      default:
-        break;
-    }
+    // 2) Sort by each key in turn; blanks go last whichever the direction
+    arr.sort((a, b) => {
+      for (const { key, dir } of repairsSortKeys) {
+        const va = repairsSortValue(a, key);
+        const vb = repairsSortValue(b, key);
+        if (va === vb) continue;
+        if (va === null) return 1;
+        if (vb === null) return -1;
+        const cmp = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+        if (cmp) return dir === 'asc' ? cmp : -cmp;
+      }
+      return 0;
+    });
+    updateRepairsSortIndicators();
 
-    // 3) Decide if we need grouping headers
-    const useGrouping =
-      currentRepairsSortOption === 'location' ||
-      currentRepairsSortOption === 'repairRanking';
+    // 3) Group rows by the first key when it is the ranking or the province
+    const groupBy = repairsSortKeys[0]?.key;
+    const useGrouping = groupBy === 'province' || groupBy === 'repairRanking';
 
     let lastGroupKey = null;
 
@@ -967,9 +1386,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     arr.forEach(station => {
       let groupKey = '';
 
-      if (currentRepairsSortOption === 'location') {
+      if (groupBy === 'province') {
         groupKey = provinceOf(station);
-      } else if (currentRepairsSortOption === 'repairRanking') {
+      } else if (groupBy === 'repairRanking') {
         groupKey = station['Repair Ranking'] || 'None';
       }
 
@@ -977,12 +1396,12 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (useGrouping && groupKey !== lastGroupKey) {
         const headerRow = repairsListBody.insertRow();
         headerRow.className =
-          currentRepairsSortOption === 'location'
+          groupBy === 'province'
             ? 'province-group-row'
             : 'repair-ranking-group-row';
 
         const th = document.createElement('th');
-        th.colSpan = 9; // total number of columns in the repairs table
+        th.colSpan = 11; // total number of columns in the repairs table
         th.textContent = groupKey;
         headerRow.appendChild(th);
 
@@ -997,6 +1416,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       // Fill cells in order:
       row.insertCell().textContent = station.stationId   || '';
       row.insertCell().textContent = station.category    || '';
+      row.insertCell().textContent = provinceOf(station);
       row.insertCell().textContent = station.stationName || '';
       row.insertCell().textContent =
         typeof station.latitude === 'number'
@@ -1010,6 +1430,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       row.insertCell().textContent = station['Repair Ranking'] || '';
       row.insertCell().textContent = station['Repair Cost']     || '';
       row.insertCell().textContent = station['Frequency']       || '';
+      row.insertCell().textContent = station['Priority Score'] ?? '';
 
       // Hover to show quick‐view
       row.addEventListener('mouseenter', () => {
@@ -1029,6 +1450,249 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  /**
+   * updateRepairItemsDisplay()
+   *  - “Every Repair” mode of the Priority View: one row per repair of the filtered stations
+   *  - Grouped by station / province / category / ranking, with each group's cost
+   *    subtotal on its header row and the grand total in the footer
+   *  - Highest priority score first within a group; Completed repairs only when ticked
+   */
+  async function updateRepairItemsDisplay() {
+    const res = await window.electronAPI.getAllRepairs();
+    repairItemsBody.innerHTML = '';
+    repairItemsFoot.innerHTML = '';
+    if (!res.success) {
+      showAlert('❌ Could not load repairs: ' + res.message, 3000);
+      return;
+    }
+
+    const stations = new Map(getFilteredStationData().map(s => [s.stationId, s]));
+    const groupBy = repairsGroupSelect.value;
+    const groupOf = {
+      station:  (st)    => `${st.stationName || ''} (${st.stationId})`,
+      province: (st)    => provinceOf(st),
+      category: (st)    => st.category || 'Unknown',
+      ranking:  (_st, r) => (r.ranking ? `Ranking ${r.ranking}` : 'No Ranking')
+    }[groupBy];
+    const items = res.data
+      .filter(r => stations.has(r.stationId))
+      .filter(r => repairsShowCompleted.checked || r.status !== 'Completed')
+      .map(r => {
+        const station = stations.get(r.stationId);
+        return { repair: r, station, group: groupOf ? groupOf(station, r) : '' };
+      });
+
+    // group order: provinces as in the filter panel, rankings 1 → n (none last),
+    // anything else alphabetically; then the highest score first
+    const compareGroups = (a, b) => {
+      if (groupBy === 'province') return provinceIndex(a.group) - provinceIndex(b.group);
+      if (groupBy === 'ranking')  return (a.repair.ranking || Infinity) - (b.repair.ranking || Infinity);
+      return a.group.localeCompare(b.group);
+    };
+    items.sort((a, b) =>
+      compareGroups(a, b) ||
+      (parseFloat(b.repair.score) || 0) - (parseFloat(a.repair.score) || 0) ||
+      (a.repair.ranking || Infinity) - (b.repair.ranking || Infinity)
+    );
+
+    const subtotals = new Map();
+    items.forEach(({ repair, group }) => {
+      const t = subtotals.get(group) || { count: 0, cost: 0 };
+      t.count += 1;
+      t.cost += parseFloat(repair.cost) || 0;
+      subtotals.set(group, t);
+    });
+    const formatCost = n => '$' + n.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+    let lastGroup = null;
+    items.forEach(({ repair, station, group }) => {
+      // group header: name, number of repairs and the cost subtotal
+      if (groupOf && group !== lastGroup) {
+        const t = subtotals.get(group);
+        const headerRow = repairItemsBody.insertRow();
+        headerRow.className = 'repair-ranking-group-row';
+        headerRow.innerHTML = `
+          <th colspan="7">${escapeHtml(group)} (${t.count} repair${t.count === 1 ? '' : 's'})</th>
+          <th>${formatCost(t.cost)}</th>
+          <th colspan="2"></th>`;
+        lastGroup = group;
+      }
+
+      const row = repairItemsBody.insertRow();
+      row.className = 'station-data-row';
+      row.tabIndex = 0;
+      if (repair.status === 'Completed') row.style.opacity = '0.6';
+      [
+        station.stationId,
+        station.stationName || '',
+        provinceOf(station),
+        station.category || '',
+        repair.title || '',
+        repair.status || '',
+        repair.ranking || '',
+        repair.cost ? formatCost(parseFloat(repair.cost) || 0) : '',
+        repair.freq || '',
+        repair.score ?? ''
+      ].forEach(v => { row.insertCell().textContent = v; });
+
+      row.addEventListener('mouseenter', () => {
+        clearTimeout(hoverTimeout);
+        hoverTimeout = setTimeout(() => displayStationDetailsQuickView(station), 150);
+      });
+      row.addEventListener('mouseleave', () => clearTimeout(hoverTimeout));
+      row.addEventListener('click', () => openStationDetailPage(station));
+      row.addEventListener('keydown', e => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          openStationDetailPage(station);
+        }
+      });
+    });
+
+    // grand total of every listed repair
+    const total = items.reduce((sum, { repair }) => sum + (parseFloat(repair.cost) || 0), 0);
+    repairItemsFoot.innerHTML = `
+      <tr>
+        <th colspan="7">Total (${items.length} repair${items.length === 1 ? '' : 's'})</th>
+        <th>${formatCost(total)}</th>
+        <th colspan="2"></th>
+      </tr>`;
+  }
+
+  // Inspection Schedule groups, most urgent first
+  const INSPECTION_BUCKETS = [
+    ['overdue',      'Overdue'],
+    ['due-30',       'Due in 30 Days'],
+    ['due-60',       'Due in 60 Days'],
+    ['due-90',       'Due in 90 Days'],
+    ['never',        'Never Inspected'],
+    ['no-frequency', 'No Inspection Frequency'],
+    ['ok',           'Not Due Yet']
+  ];
+
+  /**
+   * updateInspectionsViewDisplay({ refetch })
+   *  - One row per filtered station, grouped overdue → due in 30 / 60 / 90 days →
+   *    never inspected (→ no frequency → not due yet), soonest due first
+   *  - “Show” narrows the groups; clicking a row opens the station
+   *  - The schedule (which re-reads every station folder) is only fetched again with
+   *    refetch or after a data reload; filter changes re-filter the last one
+   */
+  async function updateInspectionsViewDisplay({ refetch = false } = {}) {
+    if (refetch || !inspectionScheduleRows) {
+      const request = ++inspectionScheduleRequest;
+      const res = await window.electronAPI.getInspectionSchedule();
+      if (request !== inspectionScheduleRequest) return;
+      if (!res.success) {
+        inspectionsListBody.innerHTML = '';
+        showAlert('❌ Could not load the inspection schedule: ' + res.message, 3000);
+        return;
+      }
+      inspectionScheduleRows = res.data;
+    }
+    inspectionsListBody.innerHTML = '';
+
+    const stations = new Map(getFilteredStationData().map(s => [s.stationId, s]));
+    const show = inspectionsBucketSelect.value;
+    const wanted = b =>
+      show === 'all' ||
+      b === show ||
+      (show === 'due' && (b === 'overdue' || b.startsWith('due-')));
+    const order = INSPECTION_BUCKETS.map(([b]) => b);
+    const rows = inspectionScheduleRows
+      .filter(r => stations.has(r.stationId) && wanted(r.bucket))
+      .sort((a, b) =>
+        order.indexOf(a.bucket) - order.indexOf(b.bucket) ||
+        (a.daysUntilDue ?? Infinity) - (b.daysUntilDue ?? Infinity) ||
+        a.stationId.localeCompare(b.stationId)
+      );
+
+    if (!rows.length) {
+      inspectionsListBody.innerHTML = '<tr><td colspan="8">No stations to show.</td></tr>';
+      return;
+    }
+
+    let lastBucket = null;
+    rows.forEach(r => {
+      if (r.bucket !== lastBucket) {
+        const count = rows.filter(x => x.bucket === r.bucket).length;
+        const label = INSPECTION_BUCKETS.find(([b]) => b === r.bucket)[1];
+        const headerRow = inspectionsListBody.insertRow();
+        headerRow.className = 'repair-ranking-group-row';
+        headerRow.innerHTML = `<th colspan="8">${label} (${count} station${count === 1 ? '' : 's'})</th>`;
+        lastBucket = r.bucket;
+      }
+
+      const station = stations.get(r.stationId);
+      const row = inspectionsListBody.insertRow();
+      row.className = 'station-data-row';
+      row.tabIndex = 0;
+      if (r.bucket === 'overdue') row.classList.add('inspection-overdue');
+      [
+        r.stationId,
+        r.stationName || '',
+        r.province,
+        r.category || '',
+        r.lastInspection || '—',
+        r.frequency ? `${r.frequency}${r.frequencySource === 'asset type' ? ' (default)' : ''}` : '',
+        r.nextDue || '',
+        r.daysUntilDue ?? ''
+      ].forEach(v => { row.insertCell().textContent = v; });
+
+      row.addEventListener('mouseenter', () => {
+        clearTimeout(hoverTimeout);
+        hoverTimeout = setTimeout(() => displayStationDetailsQuickView(station), 150);
+      });
+      row.addEventListener('mouseleave', () => clearTimeout(hoverTimeout));
+      row.addEventListener('click', () => openStationDetailPage(station));
+      row.addEventListener('keydown', e => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          openStationDetailPage(station);
+        }
+      });
+    });
+  }
+
+  /**
+   * repairsSortValue(station, key) → comparable value of one Priority View column
+   *  - Numbers for ranking / cost / frequency (in days) / score / coordinates,
+   *    lower-case text otherwise; null when blank
+   */
+  function repairsSortValue(station, key) {
+    const num = v => {
+      const n = parseFloat(v);
+      return isNaN(n) ? null : n;
+    };
+    switch (key) {
+      case 'repairRanking': return parseInt(station['Repair Ranking'], 10) || null;
+      case 'repairCost':    return num(station['Repair Cost']);
+      case 'frequency':     return num(station['Frequency Days']);   // parsed in main
+      case 'priorityScore': return num(station['Priority Score']);
+      case 'latitude':      return num(station.latitude);
+      case 'longitude':     return num(station.longitude);
+      case 'province':      return provinceIndex(provinceOf(station));
+      default: {
+        const text = String(station[key] ?? '').trim().toLowerCase();
+        return text || null;
+      }
+    }
+  }
+
+  // ▲ / ▼ (and the key's position when there are several) on the sorted headers
+  function updateRepairsSortIndicators() {
+    repairsListTable.querySelectorAll('th[data-sort-key]').forEach(th => {
+      th.querySelector('.sort-indicator')?.remove();
+      const idx = repairsSortKeys.findIndex(k => k.key === th.dataset.sortKey);
+      if (idx === -1) return;
+      const mark = document.createElement('span');
+      mark.className = 'sort-indicator';
+      mark.textContent = (repairsSortKeys[idx].dir === 'asc' ? ' ▲' : ' ▼') +
+        (repairsSortKeys.length > 1 ? idx + 1 : '');
+      th.appendChild(mark);
+    });
+  }
+
 
 
 
@@ -1041,6 +1705,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (isRepairsViewActive) {
       updateRepairsViewDisplay();
     }
+    else if (isInspectionsViewActive) {
+      updateInspectionsViewDisplay();
+    }
     else if (isListViewActive) {
       updateListViewDisplay();
     }
@@ -1200,6 +1867,10 @@ document.addEventListener('DOMContentLoaded', async () => {
     addReadOnlyField('Latitude',         station.latitude  || station.Latitude);
     addReadOnlyField('Longitude',        station.longitude || station.Longitude);
     addReadOnlyField('Status',           station.Status);
+    if (station['Latest Condition'] !== '' && station['Latest Condition'] != null) {
+      const c = station['Latest Condition'];
+      addReadOnlyField('Latest Condition', `${c} – ${INSPECTION_CONDITIONS[Math.round(c) - 1]}`);
+    }
 
     detailsPanelContent.appendChild(generalSectionDiv);
 
@@ -1366,20 +2037,29 @@ document.addEventListener('DOMContentLoaded', async () => {
       : 'Delete Section';
 
     removeSecBtn.addEventListener('click', () => {
-      // Remove from the in-memory station
-      const prefix = sectionDiv.dataset.sectionKeyPrefix;
-      Object.keys(currentEditingStation).forEach(k => {
-        if (k.startsWith(prefix)) delete currentEditingStation[k];
-      });
-
-      // Drop the UI block
-      sectionDiv.remove();
+      // Remove from the in-memory station + drop the UI block (undoable until saved)
+      let removed = {};
+      removeElementUndoably(
+        `remove “${sectionDiv.dataset.sectionName}”`,
+        sectionDiv,
+        () => {
+          const prefix = sectionDiv.dataset.sectionKeyPrefix;
+          removed = {};
+          Object.keys(currentEditingStation).forEach(k => {
+            if (k.startsWith(prefix)) {
+              removed[k] = currentEditingStation[k];
+              delete currentEditingStation[k];
+            }
+          });
+        },
+        () => Object.assign(currentEditingStation, removed)
+      );
 
-      showSuccess(
+      showUndoToast(
         sectionName.startsWith('Repair')
           ? 'Repair removed locally. Click “Save Repairs” to persist.'
           : 'Section removed locally. Click “Save Changes” to persist.',
-        3000
+        undoLastChange
       );
     });
     headerDiv.appendChild(removeSecBtn);
@@ -1406,8 +2086,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       const keyInput = document.createElement('input');
       keyInput.type = 'text';
       keyInput.value = entry.fieldName;
-      // if this row is one of our fixed Repair fields, don’t allow renaming it
-      if (entry.readOnlyName) {
+      // fixed Repair fields and schema-defined fields can’t be renamed
+      if (entry.readOnlyName || entry.def) {
         keyInput.disabled = true;
       }
       keyInput.placeholder = 'Field name';
@@ -1429,11 +2109,16 @@ document.addEventListener('DOMContentLoaded', async () => {
         entry.fieldName = newFieldName;
       });
 
-      // Value input
-      const valInput = document.createElement('input');
-      valInput.type = 'text';
-      valInput.value = entry.value;
-      valInput.placeholder = 'Value';
+      // Value input (typed control when the schema defines this field)
+      let valInput;
+      if (entry.def) {
+        valInput = createSchemaInput(entry.def, entry.value);
+      } else {
+        valInput = document.createElement('input');
+        valInput.type = 'text';
+        valInput.value = entry.value;
+        valInput.placeholder = 'Value';
+      }
       valInput.style.flex = '1 1 auto';
       valInput.style.minWidth = '100px';
       valInput.style.marginLeft = '6px';
@@ -1447,8 +2132,13 @@ document.addEventListener('DOMContentLoaded', async () => {
       removeFieldBtn.textContent = '×';
       removeFieldBtn.style.marginLeft = '6px';
       removeFieldBtn.addEventListener('click', () => {
-        delete currentEditingStation[entry.fullKey];
-        rowDiv.remove();
+        const value = currentEditingStation[entry.fullKey];
+        removeElementUndoably(
+          `remove field “${entry.fieldName}”`,
+          rowDiv,
+          () => delete currentEditingStation[entry.fullKey],
+          () => { currentEditingStation[entry.fullKey] = value; }
+        );
       });
 
       rowDiv.appendChild(keyInput);
@@ -1500,10 +2190,17 @@ document.addEventListener('DOMContentLoaded', async () => {
       removeFieldBtn2.textContent = '×';
       removeFieldBtn2.style.marginLeft = '6px';
       removeFieldBtn2.addEventListener('click', () => {
-        rowDiv.remove();
-        if (entry.fullKey) {
-          delete currentEditingStation[entry.fullKey];
-        }
+        const value = currentEditingStation[entry.fullKey];
+        removeElementUndoably(
+          `remove field “${entry.fieldName}”`,
+          rowDiv,
+          () => {
+            if (entry.fullKey) delete currentEditingStation[entry.fullKey];
+          },
+          () => {
+            if (entry.fullKey) currentEditingStation[entry.fullKey] = value;
+          }
+        );
       });
 
       // When user types a field name, register it in memory
@@ -1537,6 +2234,17 @@ document.addEventListener('DOMContentLoaded', async () => {
       rowDiv.appendChild(valInput);
       rowDiv.appendChild(removeFieldBtn2);
       fieldsContainer.appendChild(rowDiv);
+
+      recordLocalEdit('add field', fieldsContainer,
+        () => {
+          rowDiv.remove();
+          if (entry.fullKey) delete currentEditingStation[entry.fullKey];
+        },
+        () => {
+          fieldsContainer.appendChild(rowDiv);
+          if (entry.fullKey) currentEditingStation[entry.fullKey] = entry.value;
+        }
+      );
     });
 
     sectionDiv.appendChild(addFieldBtn);
@@ -1776,6 +2484,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         // ─── 1️⃣1️⃣ Redisplay Overview with updated data ─────────────────────────
         setActiveDetailSection('overview');
+        currentStationSchema = await loadAssetTypeSchema(currentEditingStation.category);
         renderOverviewSection(currentEditingStation);
 
         // ─── 1️⃣2️⃣ Update page title & show “Saved!” ────────────────────────────
@@ -1784,9 +2493,15 @@ document.addEventListener('DOMContentLoaded', async () => {
         saveBtn = document.getElementById('saveChangesBtn');
         msgDiv  = document.getElementById('saveMessage');
         msgDiv.textContent = 'Saved!';
+        showUndoToast(`Station ${currentEditingStation.stationId} saved.`);
       } else {
-        // On API failure
+        // On API failure (schema errors are also shown next to each field)
         msgDiv.textContent = result.message || 'Save failed.';
+        markFieldErrors(
+          document.querySelectorAll('#quickSectionsContainer .quick-field-row'),
+          row => `${row.closest('.quick-section').dataset.sectionName} - ${row.children[0].value.trim()}`,
+          result.fieldErrors
+        );
       }
     } catch (err) {
       console.error('Error saving station:', err);
@@ -1835,8 +2550,7 @@ document.addEventListener('DOMContentLoaded', async () => {
           overview:  stationFromExcel,
           inspectionHistory:   [],
           highPriorityRepairs: [],
-          documents:           [],
-          photos:              []
+          documents:           []
         };
         currentEditingStation = { ...stationFromExcel };
       }
@@ -1847,8 +2561,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         overview:  stationFromExcel,
         inspectionHistory:   [],
         highPriorityRepairs: [],
-        documents:           [],
-        photos:              []
+        documents:           []
       };
       currentEditingStation = { ...stationFromExcel };
     }
@@ -1879,6 +2592,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   async function renderStationDetailPageContent() {
     if (!currentStationDetailData) return;
+    currentStationSchema = await loadAssetTypeSchema(currentEditingStation.category);
     renderOverviewSection(currentEditingStation);
     renderFileListSection(
       detailSections.inspectionHistory,
@@ -1886,6 +2600,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       "No inspection history found."
     );
     await renderRepairsSection(detailSections.highPriorityRepairs, currentStationDetailData.stationId);
+    await renderHistorySection();
     
     loadedDocumentGroups   = null;
     currentDocumentFolder  = null;
@@ -1894,7 +2609,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       currentStationDetailData.stationFolder
     );
 
-    await renderPhotosTab(currentStationDetailData.photos);
+    await renderPhotosTab();
   }
 
   // ────────────────────────────────────────────────────────────────────────────
@@ -1903,24 +2618,135 @@ document.addEventListener('DOMContentLoaded', async () => {
   async function renderRepairsSection(container, stationId) {
     container.innerHTML = '';
 
-    // 1) Fetch the saved repairs from disk
+    // 1) Fetch the saved repairs from disk, and which inspection found each one
     const repairs = await window.electronAPI.getStationRepairs(stationId);
+    const inspectionRes = await window.electronAPI.getInspectionRecords(stationId);
+    const foundIn = new Map();
+    (inspectionRes.success ? inspectionRes.data : []).forEach(ent =>
+      ent.record.repairIds.forEach(id => foundIn.set(id, ent))
+    );
+
+    // 1b) repairs saved before repairs had IDs can only be saved as a whole list
+    const withoutIds = repairs.filter(r => !r.id).length;
+    if (withoutIds) {
+      const note = document.createElement('div');
+      note.classList.add('repair-id-note');
+      note.textContent = `${withoutIds} repair(s) were saved before repairs had IDs. ` +
+        'Their status can\'t be changed, and they can\'t be deleted, one by one until they get one. ';
+      const assignBtn = document.createElement('button');
+      assignBtn.textContent = 'Assign IDs';
+      assignBtn.addEventListener('click', async () => {
+        const res = await window.electronAPI.assignRepairIds(stationId);
+        if (!res.success) {
+          showAlert('❌ Could not assign IDs: ' + res.message, 3000);
+          return;
+        }
+        showUndoToast(res.message);
+        await renderRepairsSection(container, stationId);
+      });
+      note.appendChild(assignBtn);
+      container.appendChild(note);
+    }
 
     // 2) Container for all repair blocks
     const dynContainer = document.createElement('div');
     dynContainer.id = 'repairsSectionsContainer';
     container.appendChild(dynContainer);
 
+    // value control of a lifecycle row (“Status”, “Date Completed”, …) in a repair block
+    const lifecycleInput = (block, label) => Array.from(block.querySelectorAll('.quick-field-row'))
+      .find(row => row.children[0].value.trim() === label)?.children[1];
+
     // 3) Render one quick-section per existing repair
     repairs.forEach((r, idx) => {
       const entries = [
         { fieldName: 'Repair Ranking',   fullKey: `repairs[${idx}].ranking`, value: r.ranking,   readOnlyName: true },
         { fieldName: 'Repair Cost ($)',  fullKey: `repairs[${idx}].cost`,    value: r.cost,      readOnlyName: true },
         { fieldName: 'Frequency',        fullKey: `repairs[${idx}].freq`,    value: r.freq,      readOnlyName: true },
+        ...repairLifecycleEntries(`repairs[${idx}]`, r)
       ];
       const block = createQuickSectionBlock(r.title || '', entries);
+      block.dataset.repairId = r.id || '';
       block.dataset.inspectionDate = r.inspectionDate || '';
       block.dataset.inspectionName = r.inspectionName || '';
+      block.classList.toggle('repair-completed', r.status === 'Completed');
+
+      // priority score of an open repair (see the priority weights setting)
+      if (r.score !== '' && r.score != null) {
+        const scoreDiv = document.createElement('div');
+        scoreDiv.style = 'margin-top:4px; color:#555; font-size:0.9em;';
+        scoreDiv.textContent = `Priority score: ${r.score} / 100`;
+        block.insertBefore(scoreDiv, block.querySelector('.quick-fields-container'));
+      }
+
+      // the inspection that found this repair (clicking it opens that entry)
+      const inspection = foundIn.get(r.id);
+      if (inspection || r.inspectionDate) {
+        const foundDiv = document.createElement('div');
+        foundDiv.classList.add('repair-found-in');
+        foundDiv.textContent = 'Found during inspection: ';
+        const text = inspection
+          ? `${inspection.record.date} – ${inspection.record.type}`
+          : `${r.inspectionDate} – ${r.inspectionName}`;
+        if (inspection) {
+          const link = document.createElement('a');
+          link.href = '#';
+          link.textContent = text;
+          link.addEventListener('click', e => {
+            e.preventDefault();
+            showInspectionEntry(inspection.path);
+          });
+          foundDiv.appendChild(link);
+        } else {
+          foundDiv.appendChild(document.createTextNode(text));
+        }
+        block.insertBefore(foundDiv, block.querySelector('.quick-fields-container'));
+      }
+
+      // a status change is saved straight away (the other fields wait for “Save Repairs”)
+      const statusSel = lifecycleInput(block, 'Status');
+      statusSel.addEventListener('change', async () => {
+        if (!statusSel.value) {
+          statusSel.value = r.status;
+          return;
+        }
+        const res = await window.electronAPI.updateStationRepair(stationId, r.id, { status: statusSel.value });
+        if (!res.success) {
+          showAlert('❌ Could not update repair: ' + res.message, 3000);
+          statusSel.value = r.status;
+          return;
+        }
+        r.status = res.repair.status;
+        lifecycleInput(block, 'Date Completed').value = res.repair.dateCompleted;
+        block.classList.toggle('repair-completed', r.status === 'Completed');
+        showUndoToast(`Repair marked ${r.status}.`);
+        await loadDataAndInitialize();
+        updateActiveViewDisplay();
+      });
+
+      // deleting a saved repair removes just that one repair from disk
+      const oldDeleteBtn = block.querySelector('button');
+      const deleteBtn = document.createElement('button');
+      deleteBtn.textContent = 'Delete Repair';
+      deleteBtn.addEventListener('click', async () => {
+        const res = await window.electronAPI.deleteStationRepair(stationId, r.id);
+        if (!res.success) {
+          showAlert('❌ Could not delete repair: ' + res.message, 3000);
+          return;
+        }
+        block.remove();
+        showUndoToast(`Repair “${r.title}” deleted.`);
+        await loadDataAndInitialize();
+        updateActiveViewDisplay();
+      });
+      oldDeleteBtn.replaceWith(deleteBtn);
+
+      // without an ID, a repair can't be addressed on its own (see “Assign IDs” above)
+      if (!r.id) {
+        statusSel.disabled = true;
+        deleteBtn.disabled = true;
+        deleteBtn.title = statusSel.title = 'This repair has no ID yet. Use “Assign IDs” above.';
+      }
 
       // remove the "+ Add Field" button inside this block
       block.querySelectorAll('button')
@@ -1978,7 +2804,7 @@ document.addEventListener('DOMContentLoaded', async () => {
           const oldInput = row.children[1];
           const select = document.createElement('select');
           // blank option -> "--"
-          ['',1,2,3,4,5].forEach(v => {
+          rankingOptions().forEach(v => {
             const opt = document.createElement('option');
             opt.value = String(v);
             opt.textContent = v === '' ? '--' : String(v);
@@ -2023,7 +2849,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         { fieldName: 'Repair Ranking',   fullKey: `repairs[${idx}].ranking`, value: '', readOnlyName: true },
         { fieldName: 'Repair Cost ($)',  fullKey: `repairs[${idx}].cost`,    value: '', readOnlyName: true },
         { fieldName: 'Frequency',        fullKey: `repairs[${idx}].freq`,    value: '', readOnlyName: true },
-
+        ...repairLifecycleEntries(`repairs[${idx}]`)
       ];
       const block = createQuickSectionBlock('', entries);
 
@@ -2072,7 +2898,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (label === 'Repair Ranking') {
           const oldInput = row.children[1];
           const select = document.createElement('select');
-          ['',1,2,3,4,5].forEach(v => {
+          rankingOptions().forEach(v => {
             const opt = document.createElement('option');
             opt.value = String(v);
             opt.textContent = v === '' ? '--' : String(v);
@@ -2090,6 +2916,10 @@ document.addEventListener('DOMContentLoaded', async () => {
       });
 
       dynContainer.appendChild(block);
+      recordLocalEdit('add repair', dynContainer,
+        () => block.remove(),
+        () => dynContainer.appendChild(block)
+      );
     });
     container.appendChild(addBtn);
 
@@ -2129,7 +2959,7 @@ document.addEventListener('DOMContentLoaded', async () => {
           if (key === 'Repair Ranking') {
             ranking = parseInt(val, 10) || '';
           }
-          if (key.match(/Cost/i)) {
+          if (key === 'Repair Cost ($)' || key === 'Repair Cost') {
             cost = val;
           }
           if (key === 'Frequency') {
@@ -2138,8 +2968,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
 
         // 3a) ranking check
-        if (ranking !== '' && (ranking < 1 || ranking > 5)) {
-          showAlert('Repair Ranking must be between 1 and 5.');
+        if (ranking !== '' && (ranking < 1 || ranking > appSettings.rankingScale)) {
+          showAlert(`Repair Ranking must be between 1 and ${appSettings.rankingScale}.`);
           return;
         }
 
@@ -2159,21 +2989,26 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
       }
 
-      // passed all validation → proceed
-      await window.electronAPI.deleteStationRepairs(stationId);
-
-      // 4) Create new repairs
+      // 4) Collect the repairs, then save the whole list in one write
+      const repairsToSave = [];
       for (let i = 0; i < blocks.length; i++) {
         const block = blocks[i];
         const title = block.dataset.sectionName.trim();
         const rows = block.querySelectorAll('.quick-field-row');
         const rep = {
+          id: block.dataset.repairId || '',
           title,
           ranking: 0,
           cost: 0,
           freq: '',
           inspectionDate: block.dataset.inspectionDate || '',
-          inspectionName: block.dataset.inspectionName || ''
+          inspectionName: block.dataset.inspectionName || '',
+          status:        lifecycleInput(block, 'Status').value,
+          dateOpened:    lifecycleInput(block, 'Date Opened').value,
+          dateScheduled: lifecycleInput(block, 'Scheduled Date').value,
+          dateCompleted: lifecycleInput(block, 'Date Completed').value,
+          actualCost:    lifecycleInput(block, 'Actual Cost ($)').value.trim(),
+          notes:         lifecycleInput(block, 'Notes').value.trim()
         };
 
         for (const row of rows) {
@@ -2201,8 +3036,15 @@ document.addEventListener('DOMContentLoaded', async () => {
           }
         }
 
-        await window.electronAPI.createNewRepair(stationId, rep);
+        repairsToSave.push(rep);
+      }
+
+      const saveRes = await window.electronAPI.replaceStationRepairs(stationId, repairsToSave);
+      if (!saveRes.success) {
+        showAlert('❌ Could not save repairs: ' + saveRes.message, 3000);
+        return;
       }
+      showUndoToast('Repairs saved.');
 
       // 5) Re-render and refresh
       await renderRepairsSection(container, stationId);
@@ -2252,6 +3094,74 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 
 
+  // ────────────────────────────────────────────────────────────────────────────
+  // History Tab: every audited change to this station, newest first
+  // ────────────────────────────────────────────────────────────────────────────
+  async function renderHistorySection() {
+    const container = detailSections.history;
+    const stationId = currentStationDetailData?.stationId;
+    if (!stationId) return;
+
+    const res = await window.electronAPI.getStationAudit(stationId);
+    container.innerHTML = '';
+    if (!res.success) {
+      container.innerHTML = `<p>Could not load history: ${escapeHtml(res.message)}</p>`;
+      return;
+    }
+    if (!res.data.length) {
+      container.innerHTML = '<p>No recorded changes for this station yet.</p>';
+      return;
+    }
+
+    const ACTION_LABELS = {
+      create: 'Created',
+      update: 'Edited',
+      delete: 'Deleted',
+      repair: 'Repair',
+      upload: 'Upload'
+    };
+
+    // Filter box (matches field, user or either value)
+    const filter = document.createElement('input');
+    filter.type = 'text';
+    filter.placeholder = 'Filter by field, user or value…';
+    filter.style = 'width:100%; max-width:360px; padding:6px; margin-bottom:8px;';
+    container.appendChild(filter);
+
+    const table = document.createElement('table');
+    table.className = 'docs-table';
+    table.innerHTML = `
+      <thead>
+        <tr><th>When</th><th>User</th><th>Change</th><th>Field</th><th>Old value</th><th>New value</th></tr>
+      </thead>
+      <tbody></tbody>
+    `;
+    const tbody = table.querySelector('tbody');
+    res.data.forEach(entry => {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td style="white-space:nowrap;">${new Date(entry.timestamp).toLocaleString()}</td>
+        <td>${escapeHtml(entry.user)}</td>
+        <td>${escapeHtml(ACTION_LABELS[entry.action] || entry.action)}</td>
+        <td>${escapeHtml(entry.field)}</td>
+        <td>${escapeHtml(entry.oldValue)}</td>
+        <td>${escapeHtml(entry.newValue)}</td>
+      `;
+      tr.dataset.search = [entry.user, entry.field, entry.oldValue, entry.newValue]
+        .join(' ').toLowerCase();
+      tbody.appendChild(tr);
+    });
+    container.appendChild(table);
+
+    filter.addEventListener('input', () => {
+      const q = filter.value.trim().toLowerCase();
+      tbody.querySelectorAll('tr').forEach(tr => {
+        tr.style.display = !q || tr.dataset.search.includes(q) ? '' : 'none';
+      });
+    });
+  }
+
+
   // ────────────────────────────────────────────────────────────────────────────
   // Overview Tab: full editing UI, exactly like your old quick‐view editing
   // ────────────────────────────────────────────────────────────────────────────
@@ -2286,7 +3196,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     unlockBtn.textContent = '🔒 Unlock Editing';
     unlockBtn.addEventListener('click', async () => {
       const pwd = await showPasswordDialog();
-      if (pwd === '1234') {
+      if (pwd !== null && await window.electronAPI.checkEditPassword(pwd)) {
         generalUnlocked = true;
         unlockBtn.disabled = true;
         generalDiv.querySelectorAll('input[data-key], select[data-key]')
@@ -2321,7 +3231,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         fld = document.createElement('select');
         fld.dataset.key = key;
         fld.disabled = !(alwaysOn || generalUnlocked);
-        ['Active', 'Inactive', 'Mothballed', 'Unknown'].forEach(optVal => {
+        statusChoices().forEach(optVal => {
           const opt = document.createElement('option');
           opt.value = optVal;
           opt.textContent = optVal;
@@ -2333,7 +3243,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         fld = document.createElement('select');
         fld.dataset.key = key;
         fld.disabled = !(alwaysOn || generalUnlocked);
-        ['',1,2,3,4,5].forEach(v => {
+        rankingOptions().forEach(v => {
           const o = document.createElement('option');
           o.value = String(v);
           o.textContent = v === '' ? '--' : String(v);
@@ -2377,6 +3287,16 @@ document.addEventListener('DOMContentLoaded', async () => {
     const sameType = allStationData.filter(s => s.category === stationData.category);
     const sectionsMap = buildSectionsMapFromExcelHeadersAndData(sameType, currentEditingStation);
 
+    // Attach schema definitions, adding typed fields this asset type has no column for yet
+    currentStationSchema.forEach(def => {
+      const secName = Object.keys(sectionsMap)
+        .find(s => s.toLowerCase() === def.section.toLowerCase()) ?? def.section;
+      const entries = sectionsMap[secName] ||= [];
+      const entry = entries.find(e => e.fullKey.toLowerCase() === def.key.toLowerCase());
+      if (entry) entry.def = def;
+      else entries.push({ fieldName: def.field, fullKey: def.key, value: '', def });
+    });
+
     const addSecBtn = document.createElement('button');
     addSecBtn.textContent = '+ Add Section';
     addSecBtn.style.margin = '10px 0';
@@ -2402,6 +3322,10 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
       const block = createQuickSectionBlock(newName, []);
       dynContainer.appendChild(block);
+      recordLocalEdit(`add section “${newName}”`, dynContainer,
+        () => block.remove(),
+        () => dynContainer.appendChild(block)
+      );
     });
 
     // ────────────────
@@ -2426,7 +3350,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     deleteBtn.onclick = async () => {
       // prompt for admin password
       const pwd = await showPasswordDialog();
-      if (pwd === '1234') {
+      if (pwd !== null && await window.electronAPI.checkEditPassword(pwd)) {
         // final confirmation
         if (!confirm(`Really delete station ${stationData.stationName} (${stationData.stationId}) and all its data?`)) {
           return;
@@ -2434,7 +3358,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         // call backend
         const res = await window.electronAPI.deleteStation(stationData.stationId);
         if (res.success) {
-          showSuccess('Station deleted.', 2000);
+          showUndoToast(`Station ${stationData.stationId} deleted.`);
           closeStationDetailPage();
           await loadDataAndInitialize();
         } else {
@@ -2501,42 +3425,63 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (!currentPhotoFolder) {
         if (!loadedPhotoGroups) {
           const allItems = await window.electronAPI.listDirectoryContentsRecursive(
-            currentStationDetailData.stationFolder
+            currentStationDetailData.stationFolder, { exif: true }
           );
 
-          // filter to images
-          const imageFiles = allItems.filter(i =>
+          // filter to images, then group by folder or capture date
+          loadedPhotoItems = allItems.filter(i =>
             !i.isDirectory && /\.(jpe?g|png|gif|bmp)$/i.test(i.name)
           );
-
-          // group by first folder vs root
-          loadedPhotoGroups = {};
-          loadedRootImages  = [];
-          imageFiles.forEach(f => {
-            const rel   = f.path.slice(currentStationDetailData.stationFolder.length + 1);
-            const parts = rel.split(/[/\\]/);
-            if (parts.length === 1) {
-              loadedRootImages.push(f);
-            } else {
-              const top = parts[0];
-              loadedPhotoGroups[top] = loadedPhotoGroups[top] || [];
-              loadedPhotoGroups[top].push(f);
-            }
-          });
+          ({ groups: loadedPhotoGroups, rootImages: loadedRootImages } = groupPhotos(loadedPhotoItems));
         }
 
-        // a) Render folder cards
+        // a) Render folder (or capture-day) cards
         renderPhotoGroups(loadedPhotoGroups);
 
+        // Group-by picker and the photos taken away from the station, above the cards
+        const toolbar = document.createElement('div');
+        toolbar.classList.add('photo-toolbar');
+        toolbar.innerHTML = `
+          <label>Group by:
+            <select>
+              <option value="folder">Folder</option>
+              <option value="date">Capture Date</option>
+            </select>
+          </label>`;
+        const mapBtn = document.createElement('button');
+        mapBtn.textContent = '📍 Show on Map';
+        mapBtn.title = 'Show where these photos were taken (from their GPS position)';
+        mapBtn.style.marginLeft = '12px';
+        const station = currentStationDetailData;
+        mapBtn.onclick = () => showStationPhotosOnMap({
+          stationId:   station.stationId,
+          stationName: station.overview && station.overview['Site Name']
+        });
+        toolbar.firstElementChild.after(mapBtn);
+
+        const groupSelect = toolbar.querySelector('select');
+        groupSelect.value = photoGroupBy;
+        groupSelect.onchange = () => {
+          photoGroupBy = groupSelect.value;
+          ({ groups: loadedPhotoGroups, rootImages: loadedRootImages } = groupPhotos(loadedPhotoItems));
+          renderPhotosTab();
+        };
+        const far = loadedPhotoItems.filter(i => i.exif && i.exif.farFromStation);
+        if (far.length) {
+          const note = document.createElement('div');
+          note.classList.add('photo-gps-note');
+          note.textContent = `⚠ ${far.length} photo(s) were taken away from the station's coordinates ` +
+            `(outlined in red): ${far.slice(0, 5).map(i => i.name).join(', ')}${far.length > 5 ? ', …' : ''}`;
+          toolbar.appendChild(note);
+        }
+        container.prepend(toolbar);
+
         // b) Render root-level images
         if (loadedRootImages.length) {
           const imgGrid = document.createElement('div');
           imgGrid.style = 'display:flex; flex-wrap:wrap; gap:12px; margin-top:16px;';
           loadedRootImages.forEach(imgItem => {
-            const thumb = document.createElement('img');
-            thumb.src           = `file://${imgItem.path}`;
-            thumb.alt           = imgItem.name;
-            thumb.title         = imgItem.name;
+            const thumb = createPhotoThumb(imgItem);
             thumb.style = 'width:120px; height:120px; object-fit:cover; cursor:pointer;';
             thumb.onclick = () => showImageOverlay(imgItem);
             imgGrid.appendChild(thumb);
@@ -2558,12 +3503,12 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
 
       // ── Inside a folder ────────────────────────────────────────
-      const allItems = await window.electronAPI.listDirectoryContentsRecursive(currentPhotoFolder);
+      const allItems = await window.electronAPI.listDirectoryContentsRecursive(currentPhotoFolder, { exif: true });
 
-      // Only images in this folder
-      const images = allItems.filter(i =>
+      // Only images in this folder, by capture date
+      const images = sortByCaptureDate(allItems.filter(i =>
         !i.isDirectory && /\.(jpe?g|png|gif|bmp)$/i.test(i.name)
-      );
+      ));
 
       if (images.length === 0) {
         container.innerHTML += '<p>No images in this folder.</p>';
@@ -2571,10 +3516,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         const grid = document.createElement('div');
         grid.style = 'display:flex; flex-wrap:wrap; gap:12px;';
         images.forEach(imgItem => {
-          const thumb = document.createElement('img');
-          thumb.src           = `file://${imgItem.path}`;
-          thumb.alt           = imgItem.name;
-          thumb.title         = imgItem.name;
+          const thumb = createPhotoThumb(imgItem);
           thumb.style = 'width:120px; height:120px; object-fit:cover; cursor:pointer;';
           thumb.onclick = () => showImageOverlay(imgItem);
           grid.appendChild(thumb);
@@ -2591,21 +3533,45 @@ document.addEventListener('DOMContentLoaded', async () => {
   /** 
    * Simple full-screen overlay to show one image.
    * Click anywhere to close.
+   *  - The full-size file, turned upright by its EXIF orientation
+   *  - Below it: capture date, camera, GPS position and its distance from the station
    */
   function showImageOverlay(imgItem) {
     const overlay = document.createElement('div');
     overlay.style = `
       position:fixed; top:0; left:0; right:0; bottom:0;
-      background:rgba(0,0,0,0.8); display:flex;
+      background:rgba(0,0,0,0.8); display:flex; flex-direction:column;
       align-items:center; justify-content:center;
       z-index:10000;
     `;
     const img = document.createElement('img');
     img.src = `file://${imgItem.path}`;
+    img.style.imageOrientation = 'from-image';
     img.style.maxWidth = '90%';
-    img.style.maxHeight = '90%';
+    img.style.maxHeight = '85%';
     overlay.appendChild(img);
 
+    const caption = document.createElement('div');
+    caption.classList.add('photo-meta');
+    caption.textContent = imgItem.name;
+    overlay.appendChild(caption);
+    window.electronAPI.getPhotoMetadata(imgItem.path).then(res => {
+      const meta = res.success && res.data;
+      if (!meta) return;
+      const parts = [imgItem.name];
+      if (meta.dateTaken) parts.push(`📅 ${meta.dateTaken.replace('T', ' ')}`);
+      if (meta.camera) parts.push(`📷 ${meta.camera}`);
+      if (meta.latitude !== null) {
+        parts.push(`📍 ${meta.latitude.toFixed(5)}, ${meta.longitude.toFixed(5)}` +
+          (meta.distanceKm !== null ? ` (${meta.distanceKm} km from the station)` : ''));
+      }
+      caption.textContent = parts.join(' · ');
+      if (meta.farFromStation) {
+        caption.classList.add('photo-meta-far');
+        caption.textContent += ` – more than ${res.toleranceKm} km away: check this photo belongs to this station`;
+      }
+    });
+
     // ─── Keyboard handling ───────────────────────────────────────────────
     function imageKeyHandler(e) {
       if (e.key === 'Escape') {
@@ -2641,6 +3607,9 @@ document.addEventListener('DOMContentLoaded', async () => {
           case 'inspectionHistory':
             await renderInspectionHistorySection();
             break;
+          case 'history':
+            await renderHistorySection();
+            break;
           case 'constructionHistory':
             await renderConstructionHistorySection();
             break;
@@ -2871,7 +3840,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 
   // Save General Info → basic validation and then show Repair Info inputs
-  btnSaveGeneralInfo.addEventListener('click', () => {
+  btnSaveGeneralInfo.addEventListener('click', async () => {
     const stnId = inputStationId.value.trim();
     if (!stnId) {
       showAlert('Station ID cannot be empty.');
@@ -2909,6 +3878,20 @@ document.addEventListener('DOMContentLoaded', async () => {
     // reveal the final Save button
     btnCreateStation.style.display = 'inline-block';
     createStationMessage.textContent = '';
+
+    // pre-fill the sections & typed fields this asset type's schema defines
+    const schema = await loadAssetTypeSchema(selectAssetType.value);
+    const bySection = new Map();
+    schema.forEach(def => {
+      if (!bySection.has(def.section)) bySection.set(def.section, []);
+      bySection.get(def.section).push(def);
+    });
+    bySection.forEach((defs, secName) => {
+      modalExtraSectionsContainer.insertBefore(
+        createSectionElement(secName, defs),
+        btnAddSectionModal
+      );
+    });
   });
 
   // Save a new location if typed, preserving asset type selection
@@ -2962,7 +3945,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Dynamically create a new section element for modal
   let sectionCounter = 0;
-  function createSectionElement(sectionName = '') {
+  function createSectionElement(sectionName = '', fieldDefs = []) {
     const container = document.createElement('div');
     container.classList.add('section-container');
     container.dataset.sectionId = `section-${sectionCounter++}`;
@@ -3005,11 +3988,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     fieldsWrapper.style.overflowX = 'hidden';
     container.appendChild(fieldsWrapper);
 
-    // “+ Add Field” button for this section
-    const addFieldBtn = document.createElement('button');
-    addFieldBtn.textContent = '+ Add Field';
-    addFieldBtn.style.marginTop = '8px';
-    addFieldBtn.addEventListener('click', () => {
+    // One field row; schema-defined fields get a fixed name and a typed control
+    function addFieldRow(def = null) {
       const fieldRow = document.createElement('div');
       fieldRow.classList.add('field-row');
       fieldRow.style.display = 'flex';
@@ -3022,10 +4002,19 @@ document.addEventListener('DOMContentLoaded', async () => {
       keyInput.placeholder = 'Field name';
       keyInput.style.flex = '1 1 auto';
       keyInput.style.minWidth = '100px';
+      if (def) {
+        keyInput.value = def.field;
+        keyInput.disabled = true;
+      }
 
-      const valueInput = document.createElement('input');
-      valueInput.type = 'text';
-      valueInput.placeholder = 'Value';
+      let valueInput;
+      if (def) {
+        valueInput = createSchemaInput(def, '');
+      } else {
+        valueInput = document.createElement('input');
+        valueInput.type = 'text';
+        valueInput.placeholder = 'Value';
+      }
       valueInput.style.flex = '1 1 auto';
       valueInput.style.minWidth = '100px';
       valueInput.style.marginLeft = '8px';
@@ -3042,7 +4031,14 @@ document.addEventListener('DOMContentLoaded', async () => {
       fieldRow.appendChild(valueInput);
       fieldRow.appendChild(removeFieldBtn);
       fieldsWrapper.appendChild(fieldRow);
-    });
+    }
+    fieldDefs.forEach(def => addFieldRow(def));
+
+    // “+ Add Field” button for this section
+    const addFieldBtn = document.createElement('button');
+    addFieldBtn.textContent = '+ Add Field';
+    addFieldBtn.style.marginTop = '8px';
+    addFieldBtn.addEventListener('click', () => addFieldRow());
 
     container.appendChild(addFieldBtn);
     return container;
@@ -3103,7 +4099,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       const sel = document.createElement('select');
       sel.style.flex        = '1';
       sel.style.marginLeft  = '8px';
-      ['',1,2,3,4,5].forEach(v => {
+      rankingOptions().forEach(v => {
         const opt = document.createElement('option');
         opt.value       = String(v);
         opt.textContent = v === '' ? '--' : String(v);
@@ -3281,6 +4277,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     try {
       // 1) Persist the new station row
       const res = await window.electronAPI.createNewStation(stationObject);
+      markFieldErrors(
+        modalExtraSectionsContainer.querySelectorAll('.section-container:not(.repair) .field-row'),
+        row => `${row.closest('.section-container').querySelector('.section-title-input').value.trim()} - ${row.children[0].value.trim()}`,
+        res.fieldErrors
+      );
       if (!res.success) {
         createStationMessage.textContent = `Error: ${res.message}`;
         return;
@@ -3371,163 +4372,1409 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 
 
-  // ─── Triple-click “nuke” button ─────────────────────────────────
-  let destroyClicks = 0, destroyTimer = null;
-  const btnNuke = document.getElementById('btnDestroyData');
-  btnNuke.addEventListener('click', () => {
-    destroyClicks++;
-    if (destroyClicks === 1) {
-      // start/reset 0.5s window
-      destroyTimer = setTimeout(() => destroyClicks = 0, 500);
-    }
-    if (destroyClicks >= 3) {
-      clearTimeout(destroyTimer);
-      destroyClicks = 0;
-      if (confirm('⚠️ Really delete ALL .xlsx files in data/?')) {
-        window.electronAPI.deleteAllDataFiles()
-          .then(res => {
-            if (res.success) {
-              showAlert('✅ All .xlsx files deleted.');
-              loadDataAndInitialize();
-            }
-            else showAlert('❌ Error: ' + res.message);
-          });
-      }
-    }
-  });
+  // ─── Undo / Redo ───────────────────────────────────────────────────────────
+  // Unsaved edits on the station page (sections/fields added or removed) are
+  // undone here first; saved changes are undone by the main process, which
+  // keeps a copy of every file a save, delete or repair change touched.
+  const localUndoStack = [];
+  const localRedoStack = [];
+  let undoBusy = false;
+  let undoToastTimer = null;
 
+  /**
+   * recordLocalEdit(label, anchor, undo, redo)
+   *  - anchor: an element that stays on the page while the edit can still be
+   *    undone; once the page is re-rendered the edit is silently dropped
+   */
+  function recordLocalEdit(label, anchor, undo, redo) {
+    localUndoStack.push({ label, anchor, undo, redo });
+    localRedoStack.length = 0;
+  }
 
-  // 1️⃣  Pick an Excel file
-  btnChooseExcel.addEventListener('click', async () => {
-    const res = await window.electronAPI.chooseExcelFile();
-    if (!res.canceled && res.filePath) {
-      // 1) store the path & update UI
-      importFilePath = res.filePath;
-      chosenExcelName.textContent = res.filePath.split(/[\\/]/).pop();
-      importSummary.textContent = '';
-      
-      // 2) ask main for sheet names
-      const sheetsRes = await window.electronAPI.getExcelSheetNames(importFilePath);
-      if (sheetsRes.success) {
-        // 3) populate the checkbox list
-        sheetCheckboxContainer.innerHTML = '';
-        sheetsRes.sheets.forEach(name => {
-          const lbl = document.createElement('label');
-          lbl.style.display = 'block';
-          lbl.style.marginBottom = '4px';
-          
-          const cb = document.createElement('input');
-          cb.type  = 'checkbox';
-          cb.value = name;
-          cb.style.marginRight = '6px';
-          lbl.appendChild(cb);
-          
-          lbl.appendChild(document.createTextNode(name));
-          sheetCheckboxContainer.appendChild(lbl);
-        });
-        
-        // 4) show the container & enable import
-        sheetSelectContainer.style.display = 'block';
-        btnImportSheets.disabled = false;
-      } else {
-        showAlert('Could not read workbook: ' + sheetsRes.message);
+  /**
+   * Removes `el` from the page as an undoable local edit
+   *  - drop() removes its data from currentEditingStation, restore() puts it back
+   */
+  function removeElementUndoably(label, el, drop, restore) {
+    const parent = el.parentNode;
+    const next   = el.nextSibling;
+    drop();
+    el.remove();
+    recordLocalEdit(label, parent,
+      () => {
+        parent.insertBefore(el, next && next.parentNode === parent ? next : null);
+        restore();
+      },
+      () => {
+        drop();
+        el.remove();
       }
-    }
-  });
+    );
+  }
 
-  // 2️⃣  Import selected sheet
-  btnImportSheets.addEventListener('click', async () => {
-    if (!importFilePath) return;
+  function popLiveEdit(stack) {
+    while (stack.length) {
+      const edit = stack.pop();
+      if (edit.anchor.isConnected) return edit;
+    }
+    return null;
+  }
 
-    // 1) collect all checked sheet names
-    const checked = Array.from(
-      sheetCheckboxContainer.querySelectorAll('input[type="checkbox"]:checked')
-    ).map(cb => cb.value);
+  /**
+   * After a saved change is undone/redone: reload the map & lists, then
+   * re-open the station page if it shows a station the change touched
+   * (or close it if that station no longer exists)
+   */
+  async function refreshAfterUndo(stationIds) {
+    await loadDataAndInitialize();
+    await loadLookups();
+    await loadExistingStationIDs();
 
-    if (checked.length === 0) {
-      importSummary.style.color = '#cc0000';
-      importSummary.textContent = '❌ Please select at least one worksheet.';
-      return;
+    if (!currentStationDetailData) return;
+    const openId  = String(originalEditingStationId ?? '').trim();
+    const station = allStationData.find(s => String(s.stationId).trim() === openId);
+    if (!station) {
+      closeStationDetailPage();
+    } else if (stationIds.includes(openId)) {
+      await openStationDetailPage(station);
     }
+  }
 
-    btnImportSheets.disabled = true;
-    importSummary.style.color = '';
-    importSummary.textContent = 'Importing…';
+  /**
+   * Undo the latest saved change (skipping unsaved page edits)
+   */
+  async function undoSavedChange() {
+    if (undoBusy) return;
+    undoBusy = true;
+    hideUndoToast();
+    try {
+      const res = await window.electronAPI.undoChange();
+      if (!res.success) {
+        showAlert(res.message, 1500);
+        return;
+      }
+      await refreshAfterUndo(res.stationIds);
+      showSuccess(`Undone: ${res.label}`, 2000);
+    } finally {
+      undoBusy = false;
+    }
+  }
 
-    // 2) import each sheet in turn
-    let totalImported = 0;
-    const allDuplicates = [];
-    const allErrors = [];
+  async function undoLastChange() {
+    const edit = popLiveEdit(localUndoStack);
+    if (!edit) return undoSavedChange();
+    hideUndoToast();
+    edit.undo();
+    localRedoStack.push(edit);
+    showSuccess(`Undone: ${edit.label}`, 1500);
+  }
 
-    for (const sheetName of checked) {
-      try {
-        const res = await window.electronAPI.importStationsFromExcel(importFilePath, sheetName);
-        if (res.success) {
-          totalImported += res.imported || 0;
-          if (res.duplicates?.length) allDuplicates.push(...res.duplicates);
-          if (res.errors?.length)     allErrors.push(...res.errors);
-        } else {
-          allErrors.push({ sheet: sheetName, message: res.message });
-        }
-      } catch (err) {
-        allErrors.push({ sheet: sheetName, message: err.message });
+  async function redoLastChange() {
+    const edit = popLiveEdit(localRedoStack);
+    if (edit) {
+      edit.redo();
+      localUndoStack.push(edit);
+      showSuccess(`Redone: ${edit.label}`, 1500);
+      return;
+    }
+    if (undoBusy) return;
+    undoBusy = true;
+    hideUndoToast();
+    try {
+      const res = await window.electronAPI.redoChange();
+      if (!res.success) {
+        showAlert(res.message, 1500);
+        return;
       }
+      await refreshAfterUndo(res.stationIds);
+      showSuccess(`Redone: ${res.label}`, 2000);
+    } finally {
+      undoBusy = false;
     }
+  }
 
-    // 3) build & show summary
-    const parts = [`✅ Imported ${totalImported} station(s).`];
-    if (allDuplicates.length) parts.push(`⚠️ ${allDuplicates.length} duplicate ID(s) skipped.`);
-    if (allErrors.length)     parts.push(`❌ ${allErrors.length} error(s).`);
+  /**
+   * showUndoToast(message, onUndo)
+   *  - Bottom-centre toast with an “Undo” button, shown right after a
+   *    destructive change; hides itself after 8 seconds
+   */
+  function showUndoToast(message, onUndo = undoSavedChange) {
+    const toast = document.getElementById('undoToast');
+    document.getElementById('undoToastMessage').textContent = message;
+    document.getElementById('undoToastButton').onclick = () => {
+      hideUndoToast();
+      onUndo();
+    };
+    toast.classList.remove('hidden');
+    clearTimeout(undoToastTimer);
+    undoToastTimer = setTimeout(hideUndoToast, 8000);
+  }
 
-    importSummary.style.color = allErrors.length ? '#cc0000' : '#007700';
-    importSummary.textContent = parts.join(' ');
+  function hideUndoToast() {
+    clearTimeout(undoToastTimer);
+    document.getElementById('undoToast').classList.add('hidden');
+  }
 
-    showSuccess('Imported successfully!', 2000);
+  // Ctrl+Z → undo, Ctrl+Shift+Z / Ctrl+Y → redo (⌘ on macOS).
+  // Text boxes keep their own typing undo.
+  document.addEventListener('keydown', e => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    const t = e.target;
+    if (t.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(t.tagName)) return;
+
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) redoLastChange();
+    else undoLastChange();
+  });
 
-    // 4) refresh UI & close modal
-    await loadDataAndInitialize();
-    await updateLocationDropdown();
-    closeModal();
-    await loadLookups();
-    await loadExistingStationIDs();
 
-    btnImportSheets.disabled = false;
-  });
 
+  // ─── Data Snapshots dialog (replaces the triple-click “nuke”) ─────────────
+  document.getElementById('btnSnapshots')
+    .addEventListener('click', () => showSnapshotsDialog());
 
   /**
-   * Shows a modal to choose:
-   *  • which folder (existing/new/root) to add into,
-   *  • then pick files,
-   *  • then copy via electronAPI.addPhotos().
+   * showSnapshotsDialog()
+   *  - Take a named snapshot of data/, list existing ones
+   *  - Compare any snapshot against the current data, restore or delete it
+   *  - “Reset to Empty…” archives a snapshot before wiping the data files
    */
-  async function showAddPhotosDialog() {
-
+  async function showSnapshotsDialog() {
     // 1) Overlay
     const overlay = document.createElement('div');
+    overlay.tabIndex = -1;
     overlay.style = `
-      position:fixed; top:0; left:0; right:0; bottom:0;
-      background:rgba(0,0,0,0.5); display:flex;
-      align-items:center; justify-content:center; z-index:10000;
+      position: fixed;
+      top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.6);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 10000;
     `;
     document.body.appendChild(overlay);
+    overlay.focus();
 
-    // 2) Dialog
+    // 2) Dialog box
     const box = document.createElement('div');
-    box.style = 'background:white; padding:20px; border-radius:6px; width:320px;';
+    box.style = `
+      background: #fff;
+      padding: 32px;
+      border-radius: 8px;
+      width: 760px;
+      max-width: 90%;
+      max-height: 85vh;
+      overflow: auto;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+      font-size: 1rem;
+      line-height: 1.4;
+    `;
     box.innerHTML = `
-      <h3 style="margin-top:0;">Select Destination</h3>
-      <div>
-        <label><input type="radio" name="dest" value="existing" checked> Existing folder</label><br>
-        <select id="existingFolderSelect" style="width:100%; margin:6px 0;"></select>
-      </div>
-      <div>
-        <label><input type="radio" name="dest" value="new"> New folder</label><br>
-        <input type="text" id="newFolderName" placeholder="Folder name"
-              style="width:100%; margin:6px 0;" disabled>
+      <h2 style="margin-top:0; font-size:1.5rem;">Data Snapshots</h2>
+      <div style="display:flex; gap:8px; margin-bottom:16px;">
+        <input type="text" id="snapName" placeholder="e.g. Before spring import"
+               style="flex:1; padding:6px; font-size:1rem;"/>
+        <button type="button" id="snapCreate" class="btn-primary">Take Snapshot</button>
       </div>
-      <div>
-        <label><input type="radio" name="dest" value="root"> Station root</label>
+      <table class="docs-table">
+        <thead>
+          <tr><th>Name</th><th>Taken</th><th>Stations</th><th></th></tr>
+        </thead>
+        <tbody id="snapList"></tbody>
+      </table>
+      <div id="snapDiff" style="margin-top:16px;"></div>
+      <div class="button-row" style="justify-content:space-between;">
+        <button type="button" id="snapReset" class="btn-secondary"
+                style="background:#e74c3c; color:#fff;">Reset to Empty…</button>
+        <button type="button" id="snapClose" class="btn-secondary">Close</button>
+      </div>
+    `;
+    overlay.appendChild(box);
+
+    const listBody = box.querySelector('#snapList');
+    const diffBox  = box.querySelector('#snapDiff');
+    const close    = () => overlay.remove();
+
+    // 3) (Re)load the snapshot table
+    async function refreshList() {
+      const res = await window.electronAPI.listSnapshots();
+      listBody.innerHTML = '';
+      if (!res.success) {
+        showAlert('Could not list snapshots: ' + res.message, 3000);
+        return;
+      }
+      if (!res.data.length) {
+        listBody.innerHTML = `<tr><td colspan="4"><em>No snapshots yet.</em></td></tr>`;
+        return;
+      }
+      res.data.forEach(snap => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+          <td>${escapeHtml(snap.name)}</td>
+          <td>${new Date(snap.createdAt).toLocaleString()}</td>
+          <td>${snap.stationCount}</td>
+          <td style="white-space:nowrap;">
+            <button type="button" data-act="diff">Compare</button>
+            <button type="button" data-act="restore">Restore</button>
+            <button type="button" data-act="delete">Delete</button>
+          </td>
+        `;
+        tr.querySelector('[data-act="diff"]').onclick    = () => showDiff(snap);
+        tr.querySelector('[data-act="restore"]').onclick = () => restore(snap);
+        tr.querySelector('[data-act="delete"]').onclick  = () => remove(snap);
+        listBody.appendChild(tr);
+      });
+    }
+
+    // 4) Compare a snapshot against the current data
+    async function showDiff(snap) {
+      diffBox.innerHTML = '<em>Comparing…</em>';
+      const res = await window.electronAPI.diffSnapshot(snap.id);
+      if (!res.success) {
+        diffBox.innerHTML = '';
+        showAlert('Could not compare: ' + res.message, 3000);
+        return;
+      }
+      const { files, stations } = res;
+      const stationLabel = st =>
+        `${escapeHtml(st.stationId)} – ${escapeHtml(st.stationName)} (${escapeHtml(st.category)})`;
+      const listOf = items => items.length
+        ? `<ul style="margin:4px 0 8px;">${items.map(i => `<li>${i}</li>`).join('')}</ul>`
+        : '<div style="margin:4px 0 8px; color:#777;">None</div>';
+
+      let html = `
+        <h3 style="margin:0 0 8px;">Changes since “${escapeHtml(snap.name)}”</h3>
+        <p style="margin:0 0 8px;">
+          Files: ${files.added.length} added, ${files.removed.length} removed, ${files.changed.length} changed ·
+          Stations: ${stations.added.length} added, ${stations.removed.length} removed, ${stations.changed.length} changed
+        </p>
+        <strong>Stations added since the snapshot</strong>
+        ${listOf(stations.added.map(stationLabel))}
+        <strong>Stations removed since the snapshot</strong>
+        ${listOf(stations.removed.map(stationLabel))}
+        <strong>Stations changed</strong>
+      `;
+      if (!stations.changed.length) {
+        html += listOf([]);
+      } else {
+        stations.changed.forEach(st => {
+          html += `
+            <div style="margin:6px 0 2px;">${stationLabel(st)}</div>
+            <table class="docs-table" style="margin-top:0;">
+              <thead><tr><th>Field</th><th>Snapshot</th><th>Current</th></tr></thead>
+              <tbody>
+                ${st.fields.map(f => `
+                  <tr>
+                    <td>${escapeHtml(f.field)}</td>
+                    <td>${escapeHtml(f.before)}</td>
+                    <td>${escapeHtml(f.after)}</td>
+                  </tr>`).join('')}
+              </tbody>
+            </table>
+          `;
+        });
+      }
+      html += `
+        <strong>Files</strong>
+        ${listOf([
+          ...files.added.map(f => `+ ${escapeHtml(f)}`),
+          ...files.removed.map(f => `− ${escapeHtml(f)}`),
+          ...files.changed.map(f => `~ ${escapeHtml(f)}`)
+        ])}
+      `;
+      diffBox.innerHTML = html;
+    }
+
+    // 5) Restore (main archives the current data first)
+    async function restore(snap) {
+      if (!confirm(`Restore “${snap.name}”?\n\nThe current data will be saved as a snapshot first.`)) return;
+      showLoadingMessage('Restoring snapshot…');
+      const res = await window.electronAPI.restoreSnapshot(snap.id);
+      hideLoadingMessage();
+      if (!res.success) {
+        showAlert('❌ Restore failed: ' + res.message, 3000);
+        return;
+      }
+      close();
+      if (!stationDetailPage.classList.contains('hidden')) closeStationDetailPage();
+      await loadLookups();
+      await loadExistingStationIDs();
+      await loadDataAndInitialize();
+      showSuccess(`Restored “${snap.name}”.`, 2000);
+    }
+
+    // 6) Delete a snapshot
+    async function remove(snap) {
+      if (!confirm(`Permanently delete snapshot “${snap.name}”?`)) return;
+      const res = await window.electronAPI.deleteSnapshot(snap.id);
+      if (!res.success) showAlert('❌ ' + res.message, 3000);
+      diffBox.innerHTML = '';
+      await refreshList();
+    }
+
+    // 7) Take a snapshot on demand
+    box.querySelector('#snapCreate').onclick = async () => {
+      const name = box.querySelector('#snapName').value.trim();
+      showLoadingMessage('Taking snapshot…');
+      const res = await window.electronAPI.createSnapshot(name);
+      hideLoadingMessage();
+      if (!res.success) {
+        showAlert('❌ ' + res.message, 3000);
+        return;
+      }
+      box.querySelector('#snapName').value = '';
+      showSuccess('Snapshot saved.', 1500);
+      await refreshList();
+    };
+
+    // 8) Reset to empty (archives a snapshot, then restarts the app)
+    box.querySelector('#snapReset').onclick = async () => {
+      if (!confirm('⚠️ Delete ALL data files in data/?\n\nA snapshot is saved first, so this can be undone from this dialog.')) return;
+      showLoadingMessage('Archiving and resetting…');
+      const res = await window.electronAPI.deleteAllDataFiles();
+      hideLoadingMessage();
+      if (res && !res.success) showAlert('❌ Error: ' + res.message, 3000);
+    };
+
+    box.querySelector('#snapClose').onclick = close;
+    overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+    overlay.addEventListener('keydown', e => { if (e.key === 'Escape') close(); });
+
+    await refreshList();
+  }
+
+  // ─── Manage Fields dialog (rename / merge / reorder / drop columns) ───────
+  document.getElementById('btnManageFields')
+    .addEventListener('click', () => showManageFieldsDialog());
+
+  /**
+   * showManageFieldsDialog()
+   *  - Lists the “Section - Field” columns of one asset type with how many
+   *    stations fill each of them
+   *  - Every change (rename section/field, merge, reorder, drop) is previewed
+   *    station by station before it is applied to all province sheets
+   */
+  async function showManageFieldsDialog() {
+    // 1) Overlay
+    const overlay = document.createElement('div');
+    overlay.tabIndex = -1;
+    overlay.style = `
+      position: fixed;
+      top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.6);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 10000;
+    `;
+    document.body.appendChild(overlay);
+    overlay.focus();
+
+    // 2) Dialog box
+    const box = document.createElement('div');
+    box.style = `
+      background: #fff;
+      padding: 32px;
+      border-radius: 8px;
+      width: 820px;
+      max-width: 90%;
+      max-height: 85vh;
+      overflow: auto;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+      font-size: 1rem;
+      line-height: 1.4;
+    `;
+    box.innerHTML = `
+      <h2 style="margin-top:0; font-size:1.5rem;">Manage Fields</h2>
+      <div style="display:flex; gap:8px; align-items:center; margin-bottom:16px;">
+        <label for="mfAssetType">Asset type:</label>
+        <select id="mfAssetType" style="padding:6px; font-size:1rem;"></select>
+        <button type="button" id="mfSaveOrder" class="btn-primary" style="display:none;">Preview New Order</button>
+      </div>
+      <table class="docs-table">
+        <thead>
+          <tr><th>Section</th><th>Field</th><th>Stations</th><th></th></tr>
+        </thead>
+        <tbody id="mfList"></tbody>
+      </table>
+      <div id="mfForm" style="margin-top:16px;"></div>
+      <div id="mfPreview" style="margin-top:16px;"></div>
+      <div class="button-row">
+        <button type="button" id="mfClose" class="btn-secondary">Close</button>
+      </div>
+    `;
+    overlay.appendChild(box);
+
+    const atSelect    = box.querySelector('#mfAssetType');
+    const listBody    = box.querySelector('#mfList');
+    const formBox     = box.querySelector('#mfForm');
+    const previewBox  = box.querySelector('#mfPreview');
+    const saveOrderBt = box.querySelector('#mfSaveOrder');
+    const close       = () => overlay.remove();
+
+    let columns = [];       // [{ key, section, field, filled }] as saved
+    let order   = [];       // keys in the order shown (↑/↓ edit this)
+
+    allAssetTypes.forEach(at => {
+      const opt = document.createElement('option');
+      opt.value = at;
+      opt.textContent = at;
+      atSelect.appendChild(opt);
+    });
+    if (currentStationDetailData && allAssetTypes.includes(currentStationDetailData.category)) {
+      atSelect.value = currentStationDetailData.category;
+    }
+
+    // 3) (Re)load the columns of the selected asset type
+    async function refreshList() {
+      formBox.innerHTML = '';
+      previewBox.innerHTML = '';
+      const res = await window.electronAPI.getAssetTypeColumns(atSelect.value);
+      if (!res.success) {
+        showAlert('Could not read fields: ' + res.message, 3000);
+        columns = [];
+      } else {
+        columns = res.data;
+      }
+      order = columns.map(c => c.key);
+      renderList();
+    }
+
+    function renderList() {
+      listBody.innerHTML = '';
+      const orderChanged = order.some((k, i) => k !== columns[i].key);
+      saveOrderBt.style.display = orderChanged ? '' : 'none';
+      if (!order.length) {
+        listBody.innerHTML = `<tr><td colspan="4"><em>No fields yet.</em></td></tr>`;
+        return;
+      }
+      order.forEach((key, i) => {
+        const col = columns.find(c => c.key === key);
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+          <td style="white-space:nowrap;">
+            ${escapeHtml(col.section)}
+            <button type="button" data-act="rename-section" title="Rename this section">✎</button>
+          </td>
+          <td>${escapeHtml(col.field)}</td>
+          <td>${col.filled}</td>
+          <td style="white-space:nowrap;">
+            <button type="button" data-act="up" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+            <button type="button" data-act="down" title="Move down" ${i === order.length - 1 ? 'disabled' : ''}>↓</button>
+            <button type="button" data-act="rename-field">Rename</button>
+            <button type="button" data-act="merge" ${columns.length < 2 ? 'disabled' : ''}>Merge…</button>
+            <button type="button" data-act="drop">Drop</button>
+          </td>
+        `;
+        tr.querySelector('[data-act="up"]').onclick   = () => move(i, -1);
+        tr.querySelector('[data-act="down"]').onclick = () => move(i, 1);
+        tr.querySelector('[data-act="rename-section"]').onclick = () => showRenameForm(col, 'section');
+        tr.querySelector('[data-act="rename-field"]').onclick   = () => showRenameForm(col, 'field');
+        tr.querySelector('[data-act="merge"]').onclick = () => showMergeForm(col);
+        tr.querySelector('[data-act="drop"]').onclick  = () => preview({ type: 'drop', field: col.key },
+          `Drop “${col.key}” and every value in it`);
+        listBody.appendChild(tr);
+      });
+    }
+
+    function move(i, delta) {
+      [order[i], order[i + delta]] = [order[i + delta], order[i]];
+      formBox.innerHTML = '';
+      previewBox.innerHTML = '';
+      renderList();
+    }
+
+    // 4) Rename a section or a field
+    function showRenameForm(col, what) {
+      previewBox.innerHTML = '';
+      const current = what === 'section' ? col.section : col.field;
+      formBox.innerHTML = `
+        <strong>Rename ${what} “${escapeHtml(current)}”</strong>
+        <div style="display:flex; gap:8px; margin-top:6px;">
+          <input type="text" id="mfNewName" style="flex:1; padding:6px; font-size:1rem;"/>
+          <button type="button" id="mfPreviewRename" class="btn-primary">Preview</button>
+        </div>
+      `;
+      const input = formBox.querySelector('#mfNewName');
+      input.value = current;
+      input.focus();
+      input.select();
+      formBox.querySelector('#mfPreviewRename').onclick = () => {
+        const name = input.value.trim();
+        if (what === 'section') {
+          preview({ type: 'rename-section', from: col.section, to: name },
+            `Rename section “${col.section}” to “${name}”`);
+        } else {
+          preview({ type: 'rename-field', from: col.key, to: `${col.section} - ${name}` },
+            `Rename “${col.key}” to “${col.section} - ${name}”`);
+        }
+      };
+    }
+
+    // 5) Merge this field into another one
+    function showMergeForm(col) {
+      previewBox.innerHTML = '';
+      formBox.innerHTML = `
+        <strong>Merge “${escapeHtml(col.key)}” into…</strong>
+        <div style="display:flex; gap:8px; margin-top:6px; flex-wrap:wrap;">
+          <select id="mfMergeInto" style="flex:1; padding:6px; font-size:1rem;">
+            ${columns.filter(c => c.key !== col.key)
+              .map(c => `<option value="${escapeHtml(c.key)}">${escapeHtml(c.key)}</option>`).join('')}
+          </select>
+          <select id="mfMergePolicy" style="padding:6px; font-size:1rem;" title="When a station has a value in both fields">
+            <option value="keep-target">Keep the target's value</option>
+            <option value="keep-source">Use this field's value</option>
+            <option value="concatenate">Keep both (“target; this”)</option>
+          </select>
+          <button type="button" id="mfPreviewMerge" class="btn-primary">Preview</button>
+        </div>
+      `;
+      formBox.querySelector('#mfPreviewMerge').onclick = () => {
+        const into = formBox.querySelector('#mfMergeInto').value;
+        preview({ type: 'merge', from: col.key, into, policy: formBox.querySelector('#mfMergePolicy').value },
+          `Merge “${col.key}” into “${into}”`);
+      };
+    }
+
+    saveOrderBt.onclick = () => {
+      formBox.innerHTML = '';
+      preview({ type: 'reorder', order: [...order] }, 'Save the new field order');
+    };
+
+    // 6) Preview an op: affected stations with their old → new values
+    async function preview(op, title) {
+      previewBox.innerHTML = '<em>Working out the changes…</em>';
+      const res = await window.electronAPI.previewSchemaMigration(atSelect.value, op);
+      if (!res.success) {
+        previewBox.innerHTML = '';
+        showAlert('❌ ' + res.message, 3000);
+        return;
+      }
+      const rows = res.affected.flatMap(st => st.changes.map((c, i) => `
+        <tr>
+          ${i === 0 ? `<td rowspan="${st.changes.length}">${escapeHtml(st.stationId)} – ${escapeHtml(st.stationName)}</td>
+                       <td rowspan="${st.changes.length}">${escapeHtml(st.province)}</td>` : ''}
+          <td>${escapeHtml(c.field)}</td>
+          <td>${escapeHtml(c.oldValue)}</td>
+          <td>${escapeHtml(c.newValue)}</td>
+        </tr>`)).join('');
+
+      previewBox.innerHTML = `
+        <h3 style="margin:0 0 8px;">${escapeHtml(title)}</h3>
+        <p style="margin:0 0 8px;">
+          ${res.affected.length} station(s) change · ${res.sheets} province sheet(s) rewritten
+        </p>
+        <div style="margin:0 0 8px; color:#555;">
+          Fields afterwards: ${res.headersAfter.map(escapeHtml).join(', ') || '<em>none</em>'}
+        </div>
+        ${res.affected.length ? `
+          <table class="docs-table" style="margin-top:0;">
+            <thead><tr><th>Station</th><th>Province</th><th>Field</th><th>Now</th><th>After</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>` : ''}
+        <div class="button-row">
+          <button type="button" id="mfCancel" class="btn-secondary">Cancel</button>
+          <button type="button" id="mfApply" class="btn-primary">Apply</button>
+        </div>
+      `;
+      previewBox.querySelector('#mfCancel').onclick = () => { previewBox.innerHTML = ''; };
+      previewBox.querySelector('#mfApply').onclick  = () => apply(op);
+    }
+
+    // 7) Apply it (one undo step) and reload everything that shows station fields
+    async function apply(op) {
+      showLoadingMessage('Updating workbooks…');
+      const res = await window.electronAPI.applySchemaMigration(atSelect.value, op);
+      hideLoadingMessage();
+      if (!res.success) {
+        showAlert('❌ ' + res.message, 3000);
+        return;
+      }
+      await refreshList();
+      await refreshAfterUndo(res.stationIds);
+      showUndoToast(res.message, () => undoSavedChange().then(refreshList));
+    }
+
+    atSelect.onchange = refreshList;
+    box.querySelector('#mfClose').onclick = close;
+    overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+    overlay.addEventListener('keydown', e => { if (e.key === 'Escape') close(); });
+
+    await refreshList();
+  }
+
+  // ─── Settings dialog ─────────────────────────────────────────────────────
+  document.getElementById('btnSettings')
+    .addEventListener('click', () => showSettingsDialog());
+
+  /**
+   * showSettingsDialog()
+   *  - Edits the per-user settings (folders, statuses, ranking scale, basemaps,
+   *    edit password); main validates everything before saving
+   *  - The page reloads afterwards so every view picks up the new values
+   *    (a new data folder relaunches the whole app)
+   */
+  async function showSettingsDialog() {
+    const res = await window.electronAPI.getSettings();
+    const current = res.data;
+
+    // Basemaps are edited one per line: Name | URL | Attribution | Max zoom
+    const providersToText = list => list
+      .map(tp => [tp.name, tp.url, tp.attribution, tp.maxNativeZoom ?? '']
+        .join(' | ').replace(/( \| )+$/, ''))
+      .join('\n');
+    const textToProviders = text => text.split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => {
+        const [name, url, attribution, maxNativeZoom] = line.split('|').map(p => p.trim());
+        return { name, url, attribution, maxNativeZoom };
+      });
+
+    // Priority weights are edited one per line: Factor = weight
+    // (any other name is a numeric “Section - Field”)
+    const WEIGHT_LABELS = {
+      ranking:       'Repair Ranking',
+      cost:          'Repair Cost',
+      frequency:     'Frequency',
+      status:        'In Service',
+      inspectionAge: 'Days Since Inspection',
+      condition:     'Poor Condition'
+    };
+    const weightsToText = w => [
+      ...Object.entries(WEIGHT_LABELS).map(([factor, label]) => `${label} = ${w[factor]}`),
+      ...Object.entries(w.fields || {}).map(([key, n]) => `${key} = ${n}`)
+    ].join('\n');
+    const textToWeights = text => {
+      const w = { ranking: 0, cost: 0, frequency: 0, status: 0, inspectionAge: 0, condition: 0, fields: {} };
+      text.split('\n').forEach(line => {
+        const at = line.lastIndexOf('=');
+        if (at === -1) return;
+        const name = line.slice(0, at).trim();
+        const weight = line.slice(at + 1).trim();
+        const factor = Object.keys(WEIGHT_LABELS)
+          .find(f => WEIGHT_LABELS[f].toLowerCase() === name.toLowerCase());
+        if (factor) w[factor] = weight;
+        else if (name) w.fields[name] = weight;
+      });
+      return w;
+    };
+
+    // 1) Overlay
+    const overlay = document.createElement('div');
+    overlay.tabIndex = -1;
+    overlay.style = `
+      position: fixed;
+      top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.6);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 10000;
+    `;
+    document.body.appendChild(overlay);
+    overlay.focus();
+
+    // 2) Dialog box
+    const box = document.createElement('div');
+    box.style = `
+      background: #fff;
+      padding: 32px;
+      border-radius: 8px;
+      width: 760px;
+      max-width: 90%;
+      max-height: 85vh;
+      overflow: auto;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+      font-size: 1rem;
+      line-height: 1.4;
+    `;
+    box.innerHTML = `
+      <h2 style="margin-top:0; font-size:1.5rem;">Settings</h2>
+      <p style="margin:0 0 12px; color:#555; font-size:0.9rem;">
+        Saved for your account in ${escapeHtml(current.settingsPath)}
+      </p>
+      <div class="settings-row" data-key="dataDir">
+        <label for="setDataDir">Data folder</label>
+        <input type="text" id="setDataDir"/>
+      </div>
+      <div class="settings-row" data-key="stationsPath">
+        <label for="setStationsPath">Stations folder</label>
+        <input type="text" id="setStationsPath"/>
+      </div>
+      <div class="settings-row" data-key="statusOptions">
+        <label for="setStatuses">Statuses (one per line, in-service first)</label>
+        <textarea id="setStatuses" rows="4"></textarea>
+      </div>
+      <div class="settings-row" data-key="rankingScale">
+        <label for="setRankingScale">Repair rankings run from 1 to</label>
+        <input type="number" id="setRankingScale" min="2" max="10" step="1"/>
+      </div>
+      <div class="settings-row" data-key="tileProviders">
+        <label for="setTileProviders">Basemaps (Name | Tile URL | Attribution | Max zoom)</label>
+        <textarea id="setTileProviders" rows="4" style="font-family:monospace; font-size:0.85rem;"></textarea>
+      </div>
+      <div class="settings-row" data-key="boundaryTolerance">
+        <label for="setBoundaryTolerance">Province boundary simplification (degrees, 0 = full detail)</label>
+        <input type="number" id="setBoundaryTolerance" min="0" max="0.5" step="0.001"/>
+      </div>
+      <div class="settings-row" data-key="priorityWeights">
+        <label for="setPriorityWeights">Priority score weights (Factor = weight; add numeric fields as “Section - Field = weight”)</label>
+        <textarea id="setPriorityWeights" rows="6" style="font-family:monospace; font-size:0.85rem;"></textarea>
+      </div>
+      <h3 style="margin:16px 0 4px;">Edit password</h3>
+      <div class="settings-row" data-key="currentPassword">
+        <label for="setCurrentPassword">Current password</label>
+        <input type="password" id="setCurrentPassword"/>
+      </div>
+      <div class="settings-row" data-key="newPassword">
+        <label for="setNewPassword">New password (leave blank to keep it)</label>
+        <input type="password" id="setNewPassword"/>
+      </div>
+      <div class="button-row" style="justify-content:space-between;">
+        <button type="button" id="setDefaults" class="btn-secondary">Restore Defaults</button>
+        <span>
+          <button type="button" id="setCancel" class="btn-secondary">Cancel</button>
+          <button type="button" id="setSave" class="btn-primary">Save</button>
+        </span>
+      </div>
+    `;
+    overlay.appendChild(box);
+
+    const $ = sel => box.querySelector(sel);
+    const close = () => overlay.remove();
+
+    function fill(values) {
+      $('#setDataDir').value       = values.dataDir;
+      $('#setStationsPath').value  = values.stationsPath;
+      $('#setStatuses').value      = values.statusOptions.join('\n');
+      $('#setRankingScale').value  = values.rankingScale;
+      $('#setTileProviders').value = providersToText(values.tileProviders);
+      $('#setBoundaryTolerance').value = values.boundaryTolerance;
+      $('#setPriorityWeights').value   = weightsToText(values.priorityWeights);
+    }
+    fill(current);
+
+    $('#setDefaults').onclick = () => fill(res.defaults);
+    $('#setCancel').onclick   = close;
+    overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+    overlay.addEventListener('keydown', e => { if (e.key === 'Escape') close(); });
+
+    // 3) Save: main validates every value and reports per-field errors
+    $('#setSave').onclick = async () => {
+      const changes = {
+        dataDir:       $('#setDataDir').value.trim(),
+        stationsPath:  $('#setStationsPath').value.trim(),
+        statusOptions: $('#setStatuses').value.split('\n'),
+        rankingScale:  $('#setRankingScale').value,
+        tileProviders: textToProviders($('#setTileProviders').value),
+        boundaryTolerance: $('#setBoundaryTolerance').value,
+        priorityWeights:   textToWeights($('#setPriorityWeights').value)
+      };
+      const newPassword = $('#setNewPassword').value;
+      if (newPassword) {
+        changes.newPassword = newPassword;
+        changes.currentPassword = $('#setCurrentPassword').value;
+      }
+      if (changes.dataDir !== current.dataDir &&
+          !confirm('Changing the data folder restarts the app. Continue?')) {
+        return;
+      }
+
+      const out = await window.electronAPI.saveSettings(changes);
+      const rows = box.querySelectorAll('.settings-row');
+      markFieldErrors(rows, r => r.dataset.key, (out.fieldErrors || []).map(err => ({
+        field: err.field,
+        message: `${box.querySelector(`.settings-row[data-key="${err.field}"] label`).textContent} ${err.message}.`
+      })));
+      if (!out.success) {
+        if (!out.fieldErrors) showAlert('❌ ' + out.message, 3000);
+        return;
+      }
+      close();
+      showSuccess('Settings saved.', 1000);
+      setTimeout(() => location.reload(), 1000);
+    };
+  }
+
+  // ─── Data Doctor dialog (integrity checks) ───────────────────────────────
+  document.getElementById('btnDataDoctor')
+    .addEventListener('click', () => showDataDoctorDialog());
+
+  /**
+   * showDataDoctorDialog()
+   *  - Runs the integrity checks and lists every issue by severity
+   *  - Each issue offers its one-click fixes; the list is re-checked after a fix
+   *  - “Export Report…” saves the findings as an .xlsx
+   */
+  async function showDataDoctorDialog() {
+    const SEVERITY_COLORS = { error: '#e74c3c', warning: '#e67e22', info: '#3498db' };
+    const FIX_LABELS = {
+      'open-row':      'Open Row',
+      'create-folder': 'Create Folder',
+      'link-folder':   'Link to Station…',
+      'delete-orphan': 'Delete File',
+      'migrate-inspections': 'Convert Records',
+      'assign-repair-ids': 'Assign IDs'
+    };
+
+    // 1) Overlay
+    const overlay = document.createElement('div');
+    overlay.tabIndex = -1;
+    overlay.style = `
+      position: fixed;
+      top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.6);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 10000;
+    `;
+    document.body.appendChild(overlay);
+    overlay.focus();
+
+    // 2) Dialog box
+    const box = document.createElement('div');
+    box.style = `
+      background: #fff;
+      padding: 32px;
+      border-radius: 8px;
+      width: 900px;
+      max-width: 90%;
+      max-height: 85vh;
+      overflow: auto;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+      font-size: 1rem;
+      line-height: 1.4;
+    `;
+    box.innerHTML = `
+      <h2 style="margin-top:0; font-size:1.5rem;">Check Data</h2>
+      <p id="docSummary" style="margin:0 0 8px;"><em>Checking…</em></p>
+      <table class="docs-table">
+        <thead>
+          <tr><th>Severity</th><th>Problem</th><th></th></tr>
+        </thead>
+        <tbody id="docList"></tbody>
+      </table>
+      <div class="button-row" style="justify-content:space-between;">
+        <span>
+          <button type="button" id="docRerun" class="btn-secondary">Check Again</button>
+          <button type="button" id="docExport" class="btn-secondary">Export Report…</button>
+        </span>
+        <button type="button" id="docClose" class="btn-secondary">Close</button>
+      </div>
+    `;
+    overlay.appendChild(box);
+
+    const listBody = box.querySelector('#docList');
+    const summary  = box.querySelector('#docSummary');
+    const close    = () => overlay.remove();
+    let issues = [];
+
+    // 3) Run the checks and (re)build the table
+    async function refresh() {
+      summary.innerHTML = '<em>Checking…</em>';
+      const res = await window.electronAPI.runDataDoctor();
+      listBody.innerHTML = '';
+      if (!res.success) {
+        summary.textContent = '';
+        showAlert('❌ ' + res.message, 3000);
+        return;
+      }
+      issues = res.issues;
+      const { error, warning, info } = res.summary;
+      summary.textContent = issues.length
+        ? `${error} error(s), ${warning} warning(s), ${info} note(s).`
+        : 'No problems found.';
+
+      issues.forEach(issue => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+          <td style="color:${SEVERITY_COLORS[issue.severity]}; font-weight:600; text-transform:capitalize;">
+            ${issue.severity}
+          </td>
+          <td>${escapeHtml(issue.message)}</td>
+          <td style="white-space:nowrap;"></td>
+        `;
+        const actions = tr.lastElementChild;
+        issue.fixes.forEach(fix => {
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.textContent = FIX_LABELS[fix];
+          btn.onclick = () => fix === 'link-folder'
+            ? showLinkForm(issue, tr)
+            : applyFix(issue, fix);
+          actions.appendChild(btn);
+        });
+        listBody.appendChild(tr);
+      });
+    }
+
+    // 4) Apply one fix, then re-check
+    async function applyFix(issue, fix, stationId) {
+      if (fix === 'delete-orphan' && !confirm(`Delete ${issue.path}?`)) return;
+      const res = await window.electronAPI.fixDataIssue(issue, fix, stationId);
+      if (!res.success) {
+        showAlert('❌ ' + res.message, 3000);
+        return;
+      }
+      if (res.undoLabel) showUndoToast(res.message, () => undoSavedChange().then(refresh));
+      else showSuccess(res.message, 2000);
+      if (fix !== 'open-row') await refresh();
+    }
+
+    // 5) Link an orphan folder to a station that has none
+    function showLinkForm(issue, tr) {
+      const candidates = issues.filter(i => i.check === 'missing-folder');
+      if (!candidates.length) {
+        showAlert('Every station already has a folder.', 2000);
+        return;
+      }
+      const actions = tr.lastElementChild;
+      actions.innerHTML = `
+        <select style="max-width:220px;">
+          ${candidates.map(i => `<option value="${escapeHtml(i.stationId)}">${escapeHtml(i.stationId)} → ${escapeHtml(i.path.split(/[\\/]/).pop())}</option>`).join('')}
+        </select>
+        <button type="button">Link</button>
+      `;
+      actions.querySelector('button').onclick = () =>
+        applyFix(issue, 'link-folder', actions.querySelector('select').value);
+    }
+
+    box.querySelector('#docRerun').onclick = refresh;
+    box.querySelector('#docExport').onclick = async () => {
+      const res = await window.electronAPI.exportDataDoctorReport();
+      if (res.success) showSuccess(res.message, 2000);
+      else if (res.message !== 'Cancelled.') showAlert('❌ ' + res.message, 3000);
+    };
+    box.querySelector('#docClose').onclick = close;
+    overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+    overlay.addEventListener('keydown', e => { if (e.key === 'Escape') close(); });
+
+    await refresh();
+  }
+
+  // ─── Maintenance plan dialog (budget optimizer) ──────────────────────────
+  document.getElementById('btnMaintenancePlan')
+    .addEventListener('click', () => showMaintenancePlanDialog());
+
+  /**
+   * showMaintenancePlanDialog()
+   *  - Annual budget, number of years, first year and optional per-province /
+   *    per-category yearly caps
+   *  - “Build Plan” funds the highest-priority open repairs year by year and
+   *    lists them per year, followed by the backlog left at the end
+   *  - “Export…” saves the same plan as an .xlsx
+   */
+  async function showMaintenancePlanDialog() {
+    const provinces  = [...new Set(allStationData.map(provinceOf))].sort((a, b) => provinceIndex(a) - provinceIndex(b));
+    const categories = [...new Set(allStationData.map(categoryOf))].sort();
+    const formatCost = n => '$' + n.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+    // 1) Overlay
+    const overlay = document.createElement('div');
+    overlay.tabIndex = -1;
+    overlay.style = `
+      position: fixed;
+      top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.6);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 10000;
+    `;
+    document.body.appendChild(overlay);
+    overlay.focus();
+
+    // 2) Dialog box
+    const capInputs = (kind, names) => names.map(name => `
+      <label style="display:inline-flex; align-items:center; gap:4px; margin:0 12px 6px 0;">
+        ${escapeHtml(name)}
+        <input type="number" min="0" step="any" data-cap="${kind}" data-name="${escapeHtml(name)}"
+               placeholder="no cap" style="width:110px;"/>
+      </label>`).join('');
+    const box = document.createElement('div');
+    box.style = `
+      background: #fff;
+      padding: 32px;
+      border-radius: 8px;
+      width: 900px;
+      max-width: 90%;
+      max-height: 85vh;
+      overflow: auto;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+      font-size: 1rem;
+      line-height: 1.4;
+    `;
+    box.innerHTML = `
+      <h2 style="margin-top:0; font-size:1.5rem;">Maintenance Plan</h2>
+      <p style="margin:0 0 12px; color:#555; font-size:0.9rem;">
+        Funds the open repairs with the highest total priority score each year;
+        whatever doesn't fit carries over to the next year.
+      </p>
+      <div style="display:flex; gap:16px; flex-wrap:wrap; margin-bottom:10px;">
+        <label>Annual budget ($)<br/><input type="number" id="planBudget" min="0" step="any" style="width:140px;"/></label>
+        <label>Years<br/><input type="number" id="planYears" min="1" max="30" step="1" value="5" style="width:70px;"/></label>
+        <label>First year<br/><input type="number" id="planStartYear" step="1" value="${new Date().getFullYear()}" style="width:90px;"/></label>
+      </div>
+      <details style="margin-bottom:10px;">
+        <summary>Yearly caps per province / category (optional)</summary>
+        <div style="margin-top:8px;"><strong>Provinces</strong><br/>${capInputs('province', provinces)}</div>
+        <div style="margin-top:8px;"><strong>Categories</strong><br/>${capInputs('category', categories)}</div>
+      </details>
+      <div id="planResult"></div>
+      <div class="button-row" style="justify-content:space-between;">
+        <span>
+          <button type="button" id="planBuild" class="btn-primary">Build Plan</button>
+          <button type="button" id="planExport" class="btn-secondary">Export…</button>
+        </span>
+        <button type="button" id="planClose" class="btn-secondary">Close</button>
+      </div>
+    `;
+    overlay.appendChild(box);
+
+    const $ = sel => box.querySelector(sel);
+    const close = () => overlay.remove();
+
+    const readOptions = () => {
+      const caps = { province: {}, category: {} };
+      box.querySelectorAll('input[data-cap]').forEach(inp => {
+        if (inp.value.trim() !== '') caps[inp.dataset.cap][inp.dataset.name] = inp.value.trim();
+      });
+      return {
+        annualBudget: $('#planBudget').value,
+        years:        $('#planYears').value,
+        startYear:    $('#planStartYear').value,
+        provinceCaps: caps.province,
+        categoryCaps: caps.category
+      };
+    };
+
+    const repairRows = (items, withNote) => items.map(it => `
+      <tr>
+        <td>${escapeHtml(it.stationId)}</td>
+        <td>${escapeHtml(it.stationName || '')}</td>
+        <td>${escapeHtml(it.province)}</td>
+        <td>${escapeHtml(it.title)}</td>
+        <td>${it.ranking || ''}</td>
+        <td>${it.score}</td>
+        <td>${formatCost(it.cost)}</td>
+        ${withNote ? `<td>${escapeHtml(it.note)}</td>` : ''}
+      </tr>`).join('');
+    const tableHead = withNote => `
+      <tr><th>Station ID</th><th>Station</th><th>Province</th><th>Repair</th>
+          <th>Ranking</th><th>Score</th><th>Cost</th>${withNote ? '<th></th>' : ''}</tr>`;
+
+    // 3) Build the plan and show it year by year
+    $('#planBuild').onclick = async () => {
+      const res = await window.electronAPI.planMaintenance(readOptions());
+      if (!res.success) {
+        showAlert('❌ ' + res.message, 3000);
+        return;
+      }
+      const plan = res.data;
+      $('#planResult').innerHTML = `
+        <p><strong>${plan.totals.funded}</strong> repair(s) funded for ${formatCost(plan.totals.spent)};
+           <strong>${plan.totals.backlog}</strong> left in the backlog (${formatCost(plan.totals.backlogCost)}).</p>
+        ${plan.years.map(y => `
+          <h3 style="margin:14px 0 4px;">${y.year} – ${formatCost(y.spent)} of ${formatCost(y.budget)}</h3>
+          ${y.items.length
+            ? `<table class="docs-table"><thead>${tableHead(false)}</thead><tbody>${repairRows(y.items, false)}</tbody></table>`
+            : '<p style="margin:0; color:#555;"><em>Nothing left that fits.</em></p>'}
+        `).join('')}
+        <h3 style="margin:14px 0 4px;">Backlog after ${plan.years[plan.years.length - 1].year}</h3>
+        ${plan.backlog.length
+          ? `<table class="docs-table"><thead>${tableHead(true)}</thead><tbody>${repairRows(plan.backlog, true)}</tbody></table>`
+          : '<p style="margin:0; color:#555;"><em>Every open repair is funded.</em></p>'}
+      `;
+    };
+
+    $('#planExport').onclick = async () => {
+      const res = await window.electronAPI.exportMaintenancePlan(readOptions());
+      if (res.success) showSuccess(res.message, 2000);
+      else if (res.message !== 'Cancelled.') showAlert('❌ ' + res.message, 3000);
+    };
+    $('#planClose').onclick = close;
+    overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+    overlay.addEventListener('keydown', e => { if (e.key === 'Escape') close(); });
+    $('#planBudget').focus();
+  }
+
+
+  // ─── Calendar export (.ics) of the filtered stations ─────────────────────
+  document.getElementById('btnExportCalendar').addEventListener('click', async () => {
+    const stationIds = getFilteredStationData().map(s => s.stationId);
+    const res = await window.electronAPI.exportCalendar(stationIds);
+    if (res.success) showSuccess(res.message, 3000);
+    else if (res.message !== 'Cancelled.') showAlert('❌ ' + res.message, 3000);
+  });
+
+  // ─── Inspection defaults (per asset type) ────────────────────────────────
+  document.getElementById('btnInspectionFrequencies')
+    .addEventListener('click', () => showInspectionDefaultsDialog());
+
+  /**
+   * showInspectionDefaultsDialog()
+   *  - One “every N years / months / weeks / days” box per asset type, used for
+   *    stations without their own “… Inspection Frequency” field
+   *  - Next to it, the comma-separated components rated on each inspection
+   *    (blank = the default list)
+   */
+  async function showInspectionDefaultsDialog() {
+    const [res, compRes] = await Promise.all([
+      window.electronAPI.getInspectionFrequencies(),
+      window.electronAPI.getInspectionComponents()
+    ]);
+    if (!res.success || !compRes.success) {
+      showAlert('❌ ' + (res.success ? compRes.message : res.message), 3000);
+      return;
+    }
+    const componentsOf = new Map(compRes.data.map(d => [d.assetType, d.components.join(', ')]));
+
+    // 1) Overlay
+    const overlay = document.createElement('div');
+    overlay.tabIndex = -1;
+    overlay.style = `
+      position: fixed;
+      top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.6);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 10000;
+    `;
+    document.body.appendChild(overlay);
+    overlay.focus();
+
+    // 2) Dialog box
+    const box = document.createElement('div');
+    box.style = `
+      background: #fff;
+      padding: 32px;
+      border-radius: 8px;
+      width: 720px;
+      max-width: 90%;
+      max-height: 85vh;
+      overflow: auto;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+      font-size: 1rem;
+      line-height: 1.4;
+    `;
+    box.innerHTML = `
+      <h2 style="margin-top:0; font-size:1.5rem;">Inspection Defaults</h2>
+      <p style="margin:0 0 12px; color:#555; font-size:0.9rem;">
+        The frequency is used for stations that don't have their own, e.g. “5 years” or “6 months”.
+        Each inspection rates the listed components from 1 (Very Poor) to 5 (Very Good);
+        leave the list blank for ${escapeHtml(compRes.defaults.join(', '))}.
+      </p>
+      ${res.data.length ? res.data.map(({ assetType, frequency }) => `
+        <div class="freq-row" data-asset-type="${escapeHtml(assetType)}" style="margin-bottom:8px;">
+          <div style="display:flex; align-items:center; gap:8px;">
+            <span style="width:140px;">${escapeHtml(assetType)}</span>
+            <input type="text" class="freq-input" value="${escapeHtml(frequency)}" placeholder="none"
+                   title="Inspection frequency" style="width:110px;"/>
+            <input type="text" class="components-input" value="${escapeHtml(componentsOf.get(assetType) || '')}"
+                   placeholder="${escapeHtml(compRes.defaults.join(', '))}" title="Components rated on each inspection" style="flex:1;"/>
+          </div>
+        </div>`).join('') : '<p><em>No asset types yet.</em></p>'}
+      <div class="button-row">
+        <button type="button" id="freqCancel" class="btn-secondary">Cancel</button>
+        <button type="button" id="freqSave" class="btn-primary">Save</button>
+      </div>
+    `;
+    overlay.appendChild(box);
+
+    const rows = box.querySelectorAll('.freq-row');
+    const close = () => overlay.remove();
+
+    // 3) Save the changed ones (frequencies first: they're the ones that can be invalid)
+    box.querySelector('#freqSave').onclick = async () => {
+      const changes = {};
+      const componentChanges = {};
+      const before = new Map(res.data.map(d => [d.assetType, d.frequency]));
+      rows.forEach(row => {
+        const type = row.dataset.assetType;
+        const value = row.querySelector('.freq-input').value.trim();
+        if (value !== before.get(type)) changes[type] = value;
+        const components = row.querySelector('.components-input').value.trim();
+        if (components !== (componentsOf.get(type) || '')) componentChanges[type] = components;
+      });
+      if (!Object.keys(changes).length && !Object.keys(componentChanges).length) return close();
+
+      if (Object.keys(changes).length) {
+        const saved = await window.electronAPI.setInspectionFrequencies(changes);
+        markFieldErrors(rows, r => r.dataset.assetType, saved.fieldErrors);
+        if (!saved.success) {
+          showAlert('❌ ' + saved.message, 3000);
+          return;
+        }
+      }
+      if (Object.keys(componentChanges).length) {
+        const saved = await window.electronAPI.setInspectionComponents(componentChanges);
+        if (!saved.success) {
+          showAlert('❌ ' + saved.message, 3000);
+          return;
+        }
+      }
+      showSuccess('Inspection defaults saved.', 2000);
+      close();
+      if (isInspectionsViewActive) updateInspectionsViewDisplay({ refetch: true });
+    };
+    box.querySelector('#freqCancel').onclick = close;
+    overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+    overlay.addEventListener('keydown', e => { if (e.key === 'Escape') close(); });
+  }
+
+  // 1️⃣  Pick an Excel file
+  btnChooseExcel.addEventListener('click', async () => {
+    const res = await window.electronAPI.chooseExcelFile();
+    if (!res.canceled && res.filePath) {
+      // 1) store the path & update UI
+      importFilePath = res.filePath;
+      chosenExcelName.textContent = res.filePath.split(/[\\/]/).pop();
+      importSummary.textContent = '';
+      
+      // 2) ask main for sheet names
+      const sheetsRes = await window.electronAPI.getExcelSheetNames(importFilePath);
+      if (sheetsRes.success) {
+        // 3) populate the checkbox list
+        sheetCheckboxContainer.innerHTML = '';
+        sheetsRes.sheets.forEach(name => {
+          const lbl = document.createElement('label');
+          lbl.style.display = 'block';
+          lbl.style.marginBottom = '4px';
+          
+          const cb = document.createElement('input');
+          cb.type  = 'checkbox';
+          cb.value = name;
+          cb.style.marginRight = '6px';
+          lbl.appendChild(cb);
+          
+          lbl.appendChild(document.createTextNode(name));
+          sheetCheckboxContainer.appendChild(lbl);
+        });
+        
+        // 4) show the container & enable import
+        sheetSelectContainer.style.display = 'block';
+        btnImportSheets.disabled = false;
+      } else {
+        showAlert('Could not read workbook: ' + sheetsRes.message);
+      }
+    }
+  });
+
+  // 2️⃣  Import selected sheet
+  btnImportSheets.addEventListener('click', async () => {
+    if (!importFilePath) return;
+
+    // 1) collect all checked sheet names
+    const checked = Array.from(
+      sheetCheckboxContainer.querySelectorAll('input[type="checkbox"]:checked')
+    ).map(cb => cb.value);
+
+    if (checked.length === 0) {
+      importSummary.style.color = '#cc0000';
+      importSummary.textContent = '❌ Please select at least one worksheet.';
+      return;
+    }
+
+    btnImportSheets.disabled = true;
+    importSummary.style.color = '';
+    importSummary.textContent = 'Importing…';
+
+    // 2) import each sheet in turn
+    let totalImported = 0;
+    const allDuplicates = [];
+    const allErrors = [];
+
+    for (const sheetName of checked) {
+      try {
+        const res = await window.electronAPI.importStationsFromExcel(importFilePath, sheetName);
+        totalImported += res.imported || 0;
+        if (res.duplicates?.length) allDuplicates.push(...res.duplicates);
+        if (res.errors?.length) {
+          allErrors.push(...res.errors.map(e => ({ sheet: sheetName, ...e })));
+        } else if (!res.success) {
+          allErrors.push({ sheet: sheetName, message: res.message });
+        }
+      } catch (err) {
+        allErrors.push({ sheet: sheetName, message: err.message });
+      }
+    }
+
+    // 3) build & show summary
+    const parts = [`✅ Imported ${totalImported} station(s).`];
+    if (allDuplicates.length) parts.push(`⚠️ ${allDuplicates.length} duplicate ID(s) skipped.`);
+    if (allErrors.length)     parts.push(`❌ ${allErrors.length} error(s).`);
+
+    importSummary.style.color = allErrors.length ? '#cc0000' : '#007700';
+    importSummary.textContent = parts.join(' ');
+
+    // one line per rejected row, e.g. “Cableway BC, row 7 (08NM116): Depth must be a number”
+    if (allErrors.length) {
+      const ul = document.createElement('ul');
+      ul.style.margin = '6px 0 0';
+      ul.style.paddingLeft = '18px';
+      allErrors.forEach(e => {
+        const where = e.row ? `${e.sheet}, row ${e.row}${e.stationId ? ` (${e.stationId})` : ''}` : e.sheet;
+        const problems = e.fieldErrors?.length
+          ? e.fieldErrors.map(f => f.message).join('; ')
+          : e.message;
+        const li = document.createElement('li');
+        li.textContent = `${where}: ${problems}`;
+        ul.appendChild(li);
+      });
+      importSummary.appendChild(ul);
+    }
+
+    if (totalImported) showSuccess('Imported successfully!', 2000);
+
+    // 4) refresh UI; the modal stays open while there are errors to read
+    await loadDataAndInitialize();
+    await updateLocationDropdown();
+    if (!allErrors.length) closeModal();
+    await loadLookups();
+    await loadExistingStationIDs();
+
+    btnImportSheets.disabled = false;
+  });
+
+
+  /**
+   * Shows a modal to choose:
+   *  • which folder (existing/new/root) to add into,
+   *  • then pick files,
+   *  • then copy via electronAPI.addPhotos().
+   */
+  async function showAddPhotosDialog() {
+
+    // 1) Overlay
+    const overlay = document.createElement('div');
+    overlay.style = `
+      position:fixed; top:0; left:0; right:0; bottom:0;
+      background:rgba(0,0,0,0.5); display:flex;
+      align-items:center; justify-content:center; z-index:10000;
+    `;
+    document.body.appendChild(overlay);
+
+    // 2) Dialog
+    const box = document.createElement('div');
+    box.style = 'background:white; padding:20px; border-radius:6px; width:320px;';
+    box.innerHTML = `
+      <h3 style="margin-top:0;">Select Destination</h3>
+      <div>
+        <label><input type="radio" name="dest" value="existing" checked> Existing folder</label><br>
+        <select id="existingFolderSelect" style="width:100%; margin:6px 0;"></select>
+      </div>
+      <div>
+        <label><input type="radio" name="dest" value="new"> New folder</label><br>
+        <input type="text" id="newFolderName" placeholder="Folder name"
+              style="width:100%; margin:6px 0;" disabled>
+      </div>
+      <div>
+        <label><input type="radio" name="dest" value="root"> Station root</label>
       </div>
       <div style="text-align:right; margin-top:12px;">
         <button id="cancelAddPhotos">Cancel</button>
@@ -3607,6 +5854,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         showSuccess('Photos saved!', 1500);
         // clear cache & re-render photos tab in-place:
         loadedPhotoGroups = null;
+        photoLocationCache.delete(currentStationDetailData.stationId);
         // programmatically switch to photos tab:
         document.querySelector('.detail-nav-btn[data-section="photos"]').click();
       }
@@ -3987,6 +6235,33 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
 
+  /**
+   * showInspectionEntry(inspectionPath) / showRepairInRepairsTab(repairId)
+   *  - Switch tabs, then scroll to and briefly highlight the inspection / repair
+   */
+  async function showInspectionEntry(inspectionPath) {
+    setActiveDetailSection('inspectionHistory');
+    await renderInspectionHistorySection();
+    const entry = Array.from(detailSections.inspectionHistory.querySelectorAll('.inspection-entry'))
+      .find(el => el.dataset.inspectionPath === inspectionPath);
+    flashDetailElement(entry);
+  }
+
+  async function showRepairInRepairsTab(repairId) {
+    setActiveDetailSection('highPriorityRepairs');
+    await renderRepairsSection(detailSections.highPriorityRepairs, currentStationDetailData.stationId);
+    const block = Array.from(detailSections.highPriorityRepairs.querySelectorAll('.quick-section'))
+      .find(el => el.dataset.repairId === repairId);
+    flashDetailElement(block);
+  }
+
+  function flashDetailElement(el) {
+    if (!el) return;
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    el.classList.add('detail-highlight');
+    setTimeout(() => el.classList.remove('detail-highlight'), 2000);
+  }
+
   // ────────────────────────────────────────────────────────────────────────────
   // Renders the Inspection History tab as a timeline with up to 5 thumbnails,
   // sorted with the newest inspection first, and a “Next Inspection Due” header.
@@ -3995,86 +6270,21 @@ document.addEventListener('DOMContentLoaded', async () => {
     const container = detailSections.inspectionHistory;
     container.innerHTML = '';
 
-    // 1) Gather the inspection folders
-    const root = currentStationDetailData.stationFolder;
-    let rawEntries = [];
-    try {
-      rawEntries = await window.electronAPI.listDirectoryContents(root);
-    } catch (e) {
-      console.error('…could not list:', e);
-    }
-    const entries = rawEntries.filter(e =>
-      e.isDirectory && /\d{4}/.test(e.name)
-    );
+    // 1) Gather the inspection records (inspection.json, or rebuilt from legacy folders), newest first
+    const stationId = currentStationDetailData.stationId;
+    const recordsRes = await window.electronAPI.getInspectionRecords(stationId);
+    const entries = recordsRes.success ? recordsRes.data : [];
+    if (!recordsRes.success) console.error('…could not read inspections:', recordsRes.message);
     if (entries.length === 0) {
       container.innerHTML = '<p>No inspection history found.</p>';
       return;
     }
 
+    // 2) Next due date comes from main (station frequency, else its asset type's default)
     let nextDate = 'TBD';
-
-
-    // first look for the “Frequency” key (used by Repairs),
-    // then fall back to “Inspection Frequency”
-    // figure out which key actually holds the frequency
-    const freqKey = Object
-      .keys(currentStationDetailData.overview)
-      .find(k => /inspection frequency$/i.test(k));
-
-    // grab & trim it (or fall back to empty string)
-    const freqRaw = freqKey
-      ? String(currentStationDetailData.overview[freqKey]).trim()
-      : '';
-
-
-    // Parse “5years”, “5 Years”, “5 year”, etc.
-    const freqMatch = freqRaw.match(
-      /(\d+)\s*(year|years|month|months|week|weeks|day|days)/i
-    );
-
-
-    if (freqMatch) {
-      // sort descending, pick the latest inspection folder
-      entries.sort((a, b) => {
-        const dateFromName = nm => {
-          const m = nm.match(/^(\d{4}(?:-\d{2}-\d{2})?)/);
-          return m ? new Date(m[1]).getTime() : 0;
-        };
-        return dateFromName(b.name) - dateFromName(a.name);
-      });
-
-      const lastDateMatch = entries[0].name.match(
-        /^(\d{4}(?:-\d{2}-\d{2})?)/
-      );
-
-
-      if (lastDateMatch) {
-        const d = new Date(lastDateMatch[1]);
-        const n = parseInt(freqMatch[1], 10);
-        const unit = freqMatch[2].toLowerCase();
-        
-
-        switch (unit) {
-          case 'day':
-          case 'days':
-            d.setDate(d.getDate() + n);
-            break;
-          case 'week':
-          case 'weeks':
-            d.setDate(d.getDate() + 7 * n);
-            break;
-          case 'month':
-          case 'months':
-            d.setMonth(d.getMonth() + n);
-            break;
-          case 'year':
-          case 'years':
-            d.setFullYear(d.getFullYear() + n);
-            break;
-        }
-        nextDate = d.toISOString().slice(0, 10);
-      }
-    }
+    const schedule = await window.electronAPI.getInspectionSchedule(stationId);
+    const due = schedule.success && schedule.data[0];
+    if (due && due.nextDue) nextDate = due.nextDue;
 
     // 3) Render the “Next Inspection Due” bar
     const dueDiv = document.createElement('div');
@@ -4083,6 +6293,9 @@ document.addEventListener('DOMContentLoaded', async () => {
       <h4>
         <span class="next-date">${nextDate}</span> –
         <em>Next Inspection Due</em>
+        ${due && due.frequencySource === 'asset type'
+          ? `<small>(every ${escapeHtml(due.frequency)}, ${escapeHtml(currentStationDetailData.category || 'asset type')} default)</small>`
+          : ''}
       </h4>
     `;
     // ←–– re-add the “Add Inspection” button
@@ -4090,67 +6303,89 @@ document.addEventListener('DOMContentLoaded', async () => {
     addBtn.textContent = '＋ Add Inspection';
     addBtn.style.marginLeft = '12px';
     addBtn.addEventListener('click', () =>
-      showAddInspectionDialog(currentStationDetailData.stationId)
+      showAddInspectionDialog(currentStationDetailData.stationId, recordsRes.components)
     );
     dueDiv.appendChild(addBtn);
     container.appendChild(dueDiv);
 
-    // 5) Resort descending by full YYYY-MM-DD if present
-    entries.sort((a,b) => {
-      const t = nm => {
-        const m = nm.match(/^(\d{4}-\d{2}-\d{2})/);
-        const raw = m ? m[1] : (nm.match(/^(\d{4})/)||[])[1];
-        const d = new Date(raw);
-        return isNaN(d) ? 0 : d.getTime();
-      };
-      return t(b.name)-t(a.name);
-    });
+    // 4) Folders from before inspection.json: offer to convert them
+    const legacyCount = entries.filter(e => e.legacy).length;
+    if (legacyCount) {
+      const note = document.createElement('div');
+      note.classList.add('inspection-legacy-note');
+      note.textContent = `${legacyCount} inspection(s) are only described by their folder name and description.txt. `;
+      const convertBtn = document.createElement('button');
+      convertBtn.textContent = 'Convert to Structured Records';
+      convertBtn.addEventListener('click', async () => {
+        const res = await window.electronAPI.migrateInspectionRecords(stationId);
+        if (!res.success) {
+          showAlert('❌ ' + res.message, 3000);
+          return;
+        }
+        if (res.undoLabel) showUndoToast(res.message);
+        else showSuccess(res.message, 2000);
+        await renderInspectionHistorySection();
+      });
+      note.appendChild(convertBtn);
+      container.appendChild(note);
+    }
+
+    // 5) Condition trend of each rated component (oldest → newest)
+    const trends = renderConditionTrends(entries, recordsRes.components, recordsRes.conditions);
+    if (trends) container.appendChild(trends);
 
     // 6) Process each inspection folder
     for (const ent of entries) {
-
-      // parse date & title
-      const dm = ent.name.match(/^(\d{4}(?:-\d{2}-\d{2})?)(?:[_-]*(.*))?$/);
-      const datePart = dm[1];
-      const rawTitle = dm[2] || '';
-      const actionPart = rawTitle
-        .replace(/[_-]+/g,' ')
-        .split(/\s+/)
-        .filter(Boolean) 
-        .map(w=> w[0].toUpperCase()+w.slice(1).toLowerCase())
-        .join(' ') || 'Inspection';
-
-      // read & parse the description.txt
-      let descriptionText = '';
-      let inspectorName   = '';
-      try {
-        const txt = await window.electronAPI.readTextFile(`${ent.path}/description.txt`);
-        let section = null;
-        for (let line of txt.split(/\r?\n/)) {
-          line = line.trim();
-          if (/^Description:/i.test(line)) { section='desc'; continue; }
-          if (/^Inspector:/i.test(line))   { section='insp'; continue; }
-          if (section==='desc' && line)    descriptionText += (descriptionText?'\n':'')+line;
-          if (section==='insp' && line)    inspectorName   = line;
-        }
-      } catch (e) {
-        console.warn('[Inspection] could not read description.txt:', e);
-      }
+      const { record } = ent;
 
       // build the entry DIV
       const entryDiv = document.createElement('div');
       entryDiv.classList.add('inspection-entry');
+      entryDiv.dataset.inspectionPath = ent.path;
 
       // header line with “by …”
       const h4 = document.createElement('h4');
-      h4.textContent = `${datePart} – ${actionPart}` +
-        (inspectorName ? ` by ${inspectorName}` : '');
+      h4.textContent = `${record.date} – ${record.type}` +
+        (record.inspectors.length ? ` by ${record.inspectors.join(', ')}` : '');
+      if (ent.legacy) {
+        const tag = document.createElement('small');
+        tag.classList.add('inspection-legacy-tag');
+        tag.textContent = 'legacy';
+        tag.title = 'Read from the folder name and description.txt';
+        h4.appendChild(tag);
+      }
+      if (ent.invalid) {
+        const tag = document.createElement('small');
+        tag.classList.add('inspection-legacy-tag', 'inspection-invalid-tag');
+        tag.textContent = 'unreadable record';
+        tag.title = `${ent.invalid} – shown from the folder name until inspection.json is fixed`;
+        h4.appendChild(tag);
+      }
       entryDiv.appendChild(h4);
 
-      // description paragraph
-      if (descriptionText) {
+      // condition & weather
+      const facts = [
+        record.condition ? `Condition: ${record.condition} – ${recordsRes.conditions[record.condition - 1]}` : '',
+        record.weather ? `Weather: ${record.weather}` : ''
+      ].filter(Boolean);
+      if (facts.length) {
+        const factsDiv = document.createElement('div');
+        factsDiv.classList.add('inspection-facts');
+        factsDiv.textContent = facts.join(' · ');
+        entryDiv.appendChild(factsDiv);
+      }
+      const ratings = Object.entries(record.componentRatings || {});
+      if (ratings.length) {
+        const ratingsDiv = document.createElement('div');
+        ratingsDiv.classList.add('inspection-facts');
+        ratingsDiv.textContent = ratings.map(([name, n]) => `${name}: ${n}`).join(' · ');
+        entryDiv.appendChild(ratingsDiv);
+      }
+
+      // comment paragraph
+      if (record.comment) {
         const p = document.createElement('p');
-        p.textContent = descriptionText;
+        p.textContent = record.comment;
         entryDiv.appendChild(p);
       }
 
@@ -4167,9 +6402,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         .filter(f=>!f.isDirectory && /\.(jpe?g|png|gif|bmp)$/i.test(f.name))
         .slice(0,5);
       imgs.forEach(imgItem => {
-        const img = document.createElement('img');
-        img.src   = `file://${imgItem.path}`;
-        img.title = imgItem.name;
+        const img = createPhotoThumb(imgItem);
         img.style.cursor = 'pointer';
         img.addEventListener('click', () => {
           showImageOverlay(imgItem);
@@ -4187,7 +6420,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         more.addEventListener('click', async () => {
           currentPhotoFolder = ent.path;
           setActiveDetailSection('photos');
-          await renderPhotosTab(currentStationDetailData.photos);
+          await renderPhotosTab();
         });
 
         thumbRow.appendChild(more);
@@ -4195,25 +6428,26 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       entryDiv.appendChild(thumbRow);
 
-      // ─── INJECT inspection‐specific repairs via Excel ──────────────────
-      const allReps = await window.electronAPI.getStationRepairs(currentStationDetailData.stationId);
-      // filter those whose Inspection Date & Name match this folder
-      const inspReps = allReps.filter(r =>
-        r.inspectionDate === datePart &&
-        r.inspectionName === actionPart
-      );
+      // ─── Repairs linked to this inspection ───────────────────────────
+      const inspReps = ent.repairs;
       if (inspReps.length) {
         const repDiv = document.createElement('div');
         repDiv.classList.add('inspection-repairs');
         inspReps.forEach(r => {
-          const label = document.createElement('span');
+          const label = document.createElement('a');
+          label.href = '#';
           label.classList.add('repair-label');
           label.textContent = `${r.title}: `;
+          label.title = 'Show this repair in High Priority Repairs';
+          label.addEventListener('click', e => {
+            e.preventDefault();
+            showRepairInRepairsTab(r.id);
+          });
           repDiv.appendChild(label);
 
           const pill = document.createElement('div');
           pill.classList.add('repair-pill');
-          const color = PRIORITY_COLORS[String(r.ranking)] || 'grey';
+          const color = priorityColor(r.ranking);
           pill.style.backgroundColor = color;
           // use black text on lighter backgrounds (orange & yellow), otherwise white
           pill.style.color = (color === 'orange' || color === 'yellow') ? 'black' : 'white';
@@ -4221,7 +6455,8 @@ document.addEventListener('DOMContentLoaded', async () => {
           pill.innerHTML = `
             Priority: ${r.ranking}
             &nbsp; Cost: $${r.cost}
-            &nbsp; Frequency: ${r.freq}
+            &nbsp; Frequency: ${escapeHtml(r.freq)}
+            &nbsp; Status: ${escapeHtml(r.status)}
           `;
           repDiv.appendChild(pill);
           repDiv.appendChild(document.createElement('br'));
@@ -4356,11 +6591,89 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
   
 
+
+  /**
+   * renderConditionTrends(entries, components, conditions) → element, or null if nothing is rated
+   *  - One small chart per component (configured ones first, then any others
+   *    found in older records), plus “Overall”
+   *  - Overall is the record's own condition, else the mean of its component ratings
+   */
+  function renderConditionTrends(entries, components = [], conditions = INSPECTION_CONDITIONS) {
+    const dayOf = date => Date.parse(/^\d{4}$/.test(date) ? `${date}-01-01` : date);
+    const rated = entries
+      .map(e => e.record)
+      .filter(r => !isNaN(dayOf(r.date)))
+      .sort((a, b) => dayOf(a.date) - dayOf(b.date));
+
+    const series = new Map([['Overall', []]]);
+    components.forEach(name => series.set(name, []));
+    for (const r of rated) {
+      const ratings = Object.entries(r.componentRatings || {});
+      const overall = r.condition ||
+        (ratings.length ? ratings.reduce((sum, [, n]) => sum + n, 0) / ratings.length : null);
+      if (overall) series.get('Overall').push({ date: r.date, rating: overall });
+      ratings.forEach(([name, n]) => {
+        const key = [...series.keys()].find(k => k.toLowerCase() === name.toLowerCase()) || name;
+        if (!series.has(key)) series.set(key, []);
+        series.get(key).push({ date: r.date, rating: n });
+      });
+    }
+    const charts = [...series].filter(([, points]) => points.length);
+    if (!charts.length) return null;
+
+    const wrap = document.createElement('div');
+    wrap.classList.add('condition-trends');
+    wrap.innerHTML = `<h4>Condition Trends</h4>`;
+    const grid = document.createElement('div');
+    grid.classList.add('condition-trend-grid');
+    charts.forEach(([name, points]) => grid.appendChild(conditionTrendChart(name, points, conditions)));
+    wrap.appendChild(grid);
+    return wrap;
+  }
+
+  // One component's ratings over time as a small SVG line chart (1 at the bottom, 5 at the top)
+  function conditionTrendChart(name, points, conditions) {
+    const W = 240, H = 120, left = 20, right = 10, top = 10, bottom = 20;
+    const dayOf = date => Date.parse(/^\d{4}$/.test(date) ? `${date}-01-01` : date);
+    const first = dayOf(points[0].date);
+    const span = dayOf(points[points.length - 1].date) - first;
+    const x = date => span ? left + (dayOf(date) - first) / span * (W - left - right) : (W + left - right) / 2;
+    const y = rating => top + (5 - rating) / 4 * (H - top - bottom);
+    const latest = points[points.length - 1].rating;
+
+    const svg = `
+      <svg viewBox="0 0 ${W} ${H}" width="${W}" height="${H}" role="img"
+           aria-label="${escapeHtml(name)} condition over time">
+        ${[1, 2, 3, 4, 5].map(n => `
+          <line x1="${left}" x2="${W - right}" y1="${y(n)}" y2="${y(n)}" class="trend-grid"/>
+          <text x="${left - 6}" y="${y(n) + 4}" text-anchor="end" class="trend-label">${n}</text>`).join('')}
+        <polyline points="${points.map(p => `${x(p.date)},${y(p.rating)}`).join(' ')}" class="trend-line"/>
+        ${points.map(p => `
+          <circle cx="${x(p.date)}" cy="${y(p.rating)}" r="4" fill="${conditionColor(p.rating)}">
+            <title>${escapeHtml(p.date)}: ${Math.round(p.rating * 10) / 10} – ${escapeHtml(conditions[Math.round(p.rating) - 1] || '')}</title>
+          </circle>`).join('')}
+        <text x="${left}" y="${H - 4}" class="trend-label">${escapeHtml(points[0].date.slice(0, 4))}</text>
+        ${span ? `<text x="${W - right}" y="${H - 4}" text-anchor="end" class="trend-label">${escapeHtml(points[points.length - 1].date.slice(0, 4))}</text>` : ''}
+      </svg>`;
+
+    const card = document.createElement('div');
+    card.classList.add('condition-trend');
+    card.innerHTML = `
+      <div class="condition-trend-title">
+        ${escapeHtml(name)}
+        <span style="color:${conditionColor(latest)};">●</span>
+        <small>${Math.round(latest * 10) / 10} – ${escapeHtml(conditions[Math.round(latest) - 1] || '')}</small>
+      </div>
+      ${svg}`;
+    return card;
+  }
+
   /**
-   * showAddInspectionDialog(stationId)
-   * Opens a modal to add date/name/author/comment + select photos + PDF.
+   * showAddInspectionDialog(stationId, components)
+   * Opens a modal to add date/type/inspectors/weather/condition/comment + select photos + PDF.
+   *  - components: rated 1…5 each (the station's asset type list, from getInspectionRecords)
    */
-  async function showAddInspectionDialog(stationId) {
+  async function showAddInspectionDialog(stationId, components = []) {
     // 1) Overlay
     const overlay = document.createElement('div');
     overlay.tabIndex = -1;
@@ -4383,6 +6696,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       padding: 32px;
       border-radius: 8px;
       width: 480px;
+      max-height: 90vh;
+      overflow: auto;
       box-shadow: 0 4px 12px rgba(0,0,0,0.2);
       font-size: 1rem;
       line-height: 1.4;
@@ -4391,21 +6706,49 @@ document.addEventListener('DOMContentLoaded', async () => {
       <h2 style="margin-top:0; font-size:1.5rem;">Add Inspection</h2>
       <div style="margin-bottom:16px;">
         <label style="display:block; margin-bottom:8px;">
-          Year:
-          <input type="number" id="inspDate"
+          Date:
+          <input type="date" id="inspDate" value="${new Date().toISOString().slice(0, 10)}"
                 style="width:100%; margin-top:4px; padding:6px; font-size:1rem;"/>
         </label>
         <label style="display:block; margin-bottom:12px;">
-          Site Name:
+          Inspection Type:
           <input type="text" id="inspName"
                 placeholder="e.g. Cableway Engineering Inspection"
                 style="width:100%; margin-top:4px; padding:6px; font-size:1rem;"/>
         </label>
         <label style="display:block; margin-bottom:12px;">
-          Inspector Name:
+          Inspector(s):
           <input type="text" id="inspAuthor"
+                placeholder="separate names with commas"
                 style="width:100%; margin-top:4px; padding:6px; font-size:1rem;"/>
         </label>
+        <div style="display:flex; gap:12px; margin-bottom:12px;">
+          <label style="flex:1;">
+            Weather:
+            <input type="text" id="inspWeather"
+                  style="width:100%; margin-top:4px; padding:6px; font-size:1rem;"/>
+          </label>
+          <label style="flex:1;">
+            Overall Condition:
+            <select id="inspCondition" style="width:100%; margin-top:4px; padding:6px; font-size:1rem;">
+              <option value="">--</option>
+              ${INSPECTION_CONDITIONS.map((c, i) => `<option value="${i + 1}">${i + 1} – ${c}</option>`).join('')}
+            </select>
+          </label>
+        </div>
+        ${components.length ? `
+          <fieldset id="inspComponents" style="margin:0 0 12px; padding:8px 12px;">
+            <legend>Component Condition</legend>
+            ${components.map(c => `
+              <label class="component-rating-row" data-component="${escapeHtml(c)}"
+                     style="display:flex; align-items:center; gap:8px; margin-bottom:4px;">
+                <span style="flex:1;">${escapeHtml(c)}</span>
+                <select style="width:160px; padding:4px;">
+                  <option value="">--</option>
+                  ${INSPECTION_CONDITIONS.map((name, i) => `<option value="${i + 1}">${i + 1} – ${name}</option>`).join('')}
+                </select>
+              </label>`).join('')}
+          </fieldset>` : ''}
         <label style="display:block; margin-bottom:12px;">
           Comment:
           <textarea id="inspComment" rows="4"
@@ -4486,8 +6829,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         const sel = document.createElement('select');
         // copy inline styles safely
         sel.style.cssText = oldInp.style.cssText;
-          ['','1','2','3','4','5'].forEach(v=>{
-            const o=document.createElement('option'); o.value=v; o.textContent=v||'--';
+          rankingOptions().forEach(v=>{
+            const o=document.createElement('option'); o.value=String(v); o.textContent=String(v)||'--';
             sel.appendChild(o);
           });
           sel.addEventListener('change',()=>oldInp.value=sel.value);
@@ -4601,91 +6944,66 @@ document.addEventListener('DOMContentLoaded', async () => {
     box.querySelector('#saveInsp').addEventListener('click', async () => {
       const date    = box.querySelector('#inspDate').value;
       const name    = box.querySelector('#inspName').value.trim();
-      const author  = box.querySelector('#inspAuthor').value.trim();
       const comment = box.querySelector('#inspComment').value.trim();
       if (!date || !name) {
-        showAlert('Date and Name are required.', 2000);
+        showAlert('Date and Inspection Type are required.', 2000);
         return;
       }
 
       const folderName = `${date}_${name.replace(/\s+/g, '_')}`;
       const reportPath = reportPaths[0] || '';
-      const meta = { date, name, author, comment };
+      const meta = {
+        date,
+        type:       name,
+        inspectors: box.querySelector('#inspAuthor').value.split(',').map(n => n.trim()).filter(Boolean),
+        weather:    box.querySelector('#inspWeather').value.trim(),
+        condition:  box.querySelector('#inspCondition').value,
+        componentRatings: Object.fromEntries(
+          Array.from(box.querySelectorAll('.component-rating-row'))
+            .map(row => [row.dataset.component, row.querySelector('select').value])
+            .filter(([, rating]) => rating)
+        ),
+        comment
+      };
 
-      // ─── VALIDATE inspection‑specific repairs ───────────────────────────
+      // ─── VALIDATE & COLLECT inspection‑specific repairs ─────────────────
+      // rows: 0 ranking <select>, 1 cost (second <input>), 2 frequency number + unit <select>
+      inspectionRepairs = [];
       const repairBlocks = box.querySelectorAll('.inspection-repair-block');
       for (const [i, block] of Array.from(repairBlocks).entries()) {
-        // 1) Name cannot be blank
         const title = (block.dataset.sectionName || '').trim() || `Repair ${i+1}`;
-        if (!title) {
-          showAlert(`Inspection Repair #${i+1}: name cannot be blank.`);
-          return;
-        }
+        const rows  = block.querySelectorAll('.quick-field-row');
 
-        // 2) Ranking must be 1–5 or blank
-        const rankSelect = block.querySelector('select');
-        const rank = rankSelect ? parseInt(rankSelect.value, 10) : NaN;
-        if (!isNaN(rank) && (rank < 1 || rank > 5)) {
-          showAlert(`Inspection Repair #${i+1}: ranking must be between 1 and 5.`);
+        const rank = parseInt(rows[0].querySelector('select').value, 10);
+        if (!isNaN(rank) && (rank < 1 || rank > appSettings.rankingScale)) {
+          showAlert(`Inspection Repair #${i+1}: ranking must be between 1 and ${appSettings.rankingScale}.`);
           return;
         }
 
-        // 3) Cost must be a valid number
-        const costInput = block.querySelector('input[type="number"]');
-        const costRaw   = costInput ? costInput.value.trim() : '';
+        const costRaw = rows[1].querySelectorAll('input')[1].value.trim();
         if (!costRaw || isNaN(parseFloat(costRaw))) {
           showAlert(`Inspection Repair #${i+1}: cost must be a valid number.`);
           return;
         }
 
-        // 4) Frequency’s number part must be numeric
-        const freqInput = block.querySelector('input[type="number"]');
-        const freqNum   = freqInput ? parseInt(freqInput.value, 10) : NaN;
-        if (!freqNum || isNaN(freqNum)) {
+        const numVal  = rows[2].querySelector('input[type="number"]').value.trim();
+        const unitVal = rows[2].querySelector('select').value;
+        if (numVal && isNaN(parseInt(numVal, 10))) {
           showAlert(`Inspection Repair #${i+1}: frequency must start with a valid number.`);
           return;
         }
+
+        inspectionRepairs.push({
+          title,
+          ranking: rank || 0,
+          cost:    parseFloat(costRaw),
+          freq:    numVal ? `${numVal} ${unitVal}` : ''
+        });
       }
       // ────────────────────────────────────────────────────────────────────
-     
-      // collect all “inspectionRepairs” blocks into a simple array
-      box.querySelectorAll('.inspection-repair-block').forEach((block, i) => {
-        const sectionTitle = block.dataset.sectionName || `Repair ${i+1}`;
-        const rows = block.querySelectorAll('.quick-field-row');
-        // 1) Ranking is in row 0, rendered as a <select>
-        const selRank = rows[0].querySelector('select');
-
-        // 2) Cost is in row 1, the *second* <input> (the first is the label)
-        const costRow  = rows[1];
-        const costInp  = costRow.querySelectorAll('input')[1];
-        const costRaw  = costInp.value.trim();
-        if (!costRaw || isNaN(parseFloat(costRaw))) {
-          showAlert(`Repair #${i+1}: cost must be a valid number.`);
-          throw new Error('abort save due to invalid cost');
-        }
-
-        // 3) Frequency is in row 2: number input + unit <select>
-        const freqRow = rows[2];
-        const numInp  = freqRow.querySelector('input[type="number"]');
-        const unitSel = freqRow.querySelector('select');
-        const numVal  = numInp.value.trim();
-       if (!numVal || isNaN(parseInt(numVal,10))) {
-          showAlert(`Repair #${i+1}: frequency must be a valid number.`);
-          throw new Error('abort save due to invalid frequency');
-       }
-
-      inspectionRepairs.push({
-        title:   sectionTitle,
-        ranking: parseInt(selRank.value, 10) || 0,
-        cost:    parseFloat(costRaw),
-        freq:    `${numVal} ${unitSel.value}`
-      });
 
-      });
-
-
-
-      await window.electronAPI.addInspection(
+      // main writes inspection.json and adds (and links) the inspection's repairs
+      const res = await window.electronAPI.addInspection(
         stationId,
         folderName,
         photoPaths,
@@ -4693,25 +7011,18 @@ document.addEventListener('DOMContentLoaded', async () => {
         meta,
         inspectionRepairs
       );
-
-
-      for (const rep of inspectionRepairs) {
-        await window.electronAPI.createNewRepair(stationId, {
-          title:           rep.title,
-          ranking:         rep.ranking,
-          cost:            rep.cost,
-          freq:            rep.freq,
-          inspectionDate:  date,  // from `const date = …`
-          inspectionName:  name   // from `const name = …`
-        });
+      if (!res.success) {
+        showAlert('❌ Could not save inspection: ' + res.message, 3000);
+        return;
       }
-
+      if (res.undoLabel) showUndoToast('Inspection repairs added.');
 
       // Refresh the “High Priority Repairs” tab so the additions show up immediately
       await renderRepairsSection(
         detailSections.highPriorityRepairs,
         stationId
       );
+      await loadDataAndInitialize();
       updateActiveViewDisplay();
 
       overlay.removeEventListener('keydown', inspKeyHandler);
@@ -4730,62 +7041,69 @@ document.addEventListener('DOMContentLoaded', async () => {
   async function renderConstructionHistorySection() {
     const container = detailSections.constructionHistory;
     container.innerHTML = '';
+    const stationId = currentStationDetailData.stationId;
 
-    // ─── + Add Construction button (no-op for now) ───────────────────────────────
+    // ─── + Add Construction button ───────────────────────────────────────────────
     const addConstructionBtn = document.createElement('button');
     addConstructionBtn.textContent = '＋ Add Construction';
     addConstructionBtn.style.marginBottom = '12px';
-    // (you can wire up a handler here later)
+    addConstructionBtn.addEventListener('click', () => showConstructionDialog(stationId));
     container.appendChild(addConstructionBtn);
 
-    // 1) Read the station root folders
-    const root = currentStationDetailData.stationFolder;
-    let rawEntries = [];
-    try {
-      rawEntries = await window.electronAPI.listDirectoryContents(root);
-    } catch (e) {
-      console.error('[Construction] could not list directory:', e);
-    }
-
-    // 2) Filter OUT anything named like an inspection folder
-    const entries = rawEntries.filter(e =>
-      e.isDirectory && !/inspection|assessment/i.test(e.name)
-    );
+    // 1) Read the construction records (construction.json, or legacy folders read from their name)
+    const res = await window.electronAPI.getConstructionRecords(stationId);
+    if (!res.success) console.error('[Construction] could not read records:', res.message);
+    const entries = res.success ? res.data : [];
 
     if (entries.length === 0) {
-      container.innerHTML = '<p>No construction history found.</p>';
+      const none = document.createElement('p');
+      none.textContent = 'No construction history found.';
+      container.appendChild(none);
       return;
     }
 
-    // 3) Sort descending by any leading YYYY or YYYY-MM-DD
-    entries.sort((a, b) => {
-      const parseDate = name => {
-        const m = name.match(/^(\d{4}(?:-\d{2}-\d{2})?)/);
-        return m ? new Date(m[1]).getTime() : 0;
-      };
-      return parseDate(b.name) - parseDate(a.name);
-    });
+    const formatCost = v => (v === '' || v == null) ? '' : '$' + Number(v).toLocaleString(undefined, { maximumFractionDigits: 2 });
 
-    // 4) Render each “construction” entry, mirroring your inspection UI
+    // 2) Render each “construction” entry (newest first), mirroring the inspection UI
     for (const ent of entries) {
-      // parse date & title from folder name
-      const dm = ent.name.match(/^(\d{4}(?:-\d{2}-\d{2})?)(?:[_-]*(.*))?$/);
-      // fallback to the folder name if it doesn’t start with YYYY
-      const datePart = dm ? dm[1] : ent.name;
-      const rawTitle = dm && dm[2] ? dm[2] : '';
-      const titleText = rawTitle
-        .replace(/[_-]+/g, ' ')
-        .replace(/\b\w/g, c => c.toUpperCase())
-        .trim() || ' ';
-
+      const { record } = ent;
       const entryDiv = document.createElement('div');
       entryDiv.classList.add('inspection-entry'); // reuse CSS
 
-      // Header
+      // Header: dates – name, plus the project type
       const h4 = document.createElement('h4');
-      h4.textContent = `${datePart} – ${titleText}`;
+      h4.textContent = `${record.startDate || ent.name}${record.endDate ? ` → ${record.endDate}` : ''} – ${record.name || ' '}`;
+      if (record.type) {
+        const tag = document.createElement('small');
+        tag.classList.add('construction-type-tag');
+        tag.textContent = record.type;
+        h4.appendChild(tag);
+      }
       entryDiv.appendChild(h4);
 
+      // Contractor, budget and actual cost
+      const facts = [
+        record.contractor ? `Contractor: ${record.contractor}` : '',
+        record.budget !== '' ? `Budget: ${formatCost(record.budget)}` : '',
+        record.actualCost !== '' ? `Actual: ${formatCost(record.actualCost)}` : ''
+      ].filter(Boolean);
+      if (facts.length) {
+        const factsDiv = document.createElement('div');
+        factsDiv.classList.add('inspection-facts');
+        factsDiv.textContent = facts.join(' · ');
+        if (record.budget !== '' && record.actualCost !== '' && Number(record.actualCost) > Number(record.budget)) {
+          factsDiv.classList.add('construction-over-budget');
+          factsDiv.title = 'Actual cost is over budget';
+        }
+        entryDiv.appendChild(factsDiv);
+      }
+
+      if (record.description) {
+        const p = document.createElement('p');
+        p.textContent = record.description;
+        entryDiv.appendChild(p);
+      }
+
       // Thumbnails (up to 5), same as inspection
       const thumbRow = document.createElement('div');
       thumbRow.classList.add('inspection-thumbs');
@@ -4801,9 +7119,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         .slice(0, 5);
 
       imgs.forEach(imgItem => {
-        const img = document.createElement('img');
-        img.src   = `file://${imgItem.path}`;
-        img.title = imgItem.name;
+        const img = createPhotoThumb(imgItem);
         img.style.cursor = 'pointer';
         img.addEventListener('click', () => {
           showImageOverlay(imgItem);
@@ -4833,24 +7149,33 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       entryDiv.appendChild(thumbRow);
 
-      // PDF links
-      let docs = [];
-      try {
-        docs = await window.electronAPI.listDirectoryContents(ent.path);
-      } catch (err) {
-        console.warn('[Construction] could not list docs:', err);
-      }
-      docs
-        .filter(f => !f.isDirectory && f.name.toLowerCase().endsWith('.pdf'))
+      // Document links: any PDF, and every file in the Documents subfolder
+      // (PDFs open in a new window, anything else in its default app)
+      allFiles
+        .filter(f => !f.isDirectory &&
+          (f.name.toLowerCase().endsWith('.pdf') || /[\\/]Documents[\\/]/.test(f.path)))
         .forEach(p => {
           const a = document.createElement('a');
           a.href = `file://${p.path}`;
           a.textContent = p.name;
           a.target = '_blank';
           a.style.display = 'block';
+          if (!p.name.toLowerCase().endsWith('.pdf')) {
+            a.addEventListener('click', e => {
+              e.preventDefault();
+              window.electronAPI.openFile(p.path);
+            });
+          }
           entryDiv.appendChild(a);
         });
 
+      // ─── Edit (a legacy folder gains a construction.json) ─────────────────────
+      const editBtn = document.createElement('button');
+      editBtn.textContent = 'Edit Construction';
+      editBtn.style.marginRight = '6px';
+      editBtn.addEventListener('click', () => showConstructionDialog(stationId, ent));
+      entryDiv.appendChild(editBtn);
+
       // ─── Delete Construction button ───────────────────────────────────────────
       const deleteBtn = document.createElement('button');
       deleteBtn.textContent = 'Delete Construction';
@@ -4873,6 +7198,154 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  /**
+   * showConstructionDialog(stationId, entry?)
+   * Opens a modal to add (or edit) a construction / project record:
+   * name, type, contractor, start/end dates, budget, actual cost, description,
+   * plus photos and documents to copy into the project folder.
+   */
+  async function showConstructionDialog(stationId, entry = null) {
+    const typesRes = await window.electronAPI.getConstructionRecords(stationId);
+    const types = typesRes.success ? typesRes.types : [];
+    const rec = entry ? entry.record : {};
+    const field = 'width:100%; margin-top:4px; padding:6px; font-size:1rem;';
+
+    // 1) Overlay
+    const overlay = document.createElement('div');
+    overlay.tabIndex = -1;
+    overlay.style = `
+      position: fixed;
+      top: 0; left: 0; right: 0; bottom: 0;
+      background: rgba(0,0,0,0.6);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 10000;
+    `;
+    document.body.appendChild(overlay);
+    overlay.focus();
+
+    // 2) Dialog box
+    const box = document.createElement('div');
+    box.style = `
+      background: #fff;
+      padding: 32px;
+      border-radius: 8px;
+      width: 520px;
+      max-height: 85vh;
+      overflow: auto;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+      font-size: 1rem;
+      line-height: 1.4;
+    `;
+    box.innerHTML = `
+      <h2 style="margin-top:0; font-size:1.5rem;">${entry ? 'Edit' : 'Add'} Construction</h2>
+      <label style="display:block; margin-bottom:12px;">
+        Project Name:
+        <input type="text" id="conName" value="${escapeHtml(rec.name || '')}" style="${field}"/>
+      </label>
+      <label style="display:block; margin-bottom:12px;">
+        Type:
+        <select id="conType" style="${field}">
+          <option value="">--</option>
+          ${types.map(t => `<option value="${escapeHtml(t)}" ${t === rec.type ? 'selected' : ''}>${escapeHtml(t)}</option>`).join('')}
+        </select>
+      </label>
+      <label style="display:block; margin-bottom:12px;">
+        Contractor:
+        <input type="text" id="conContractor" value="${escapeHtml(rec.contractor || '')}" style="${field}"/>
+      </label>
+      <div style="display:flex; gap:12px; margin-bottom:12px;">
+        <label style="flex:1;">Start Date:<input type="date" id="conStart" value="${escapeHtml(rec.startDate || '')}" style="${field}"/></label>
+        <label style="flex:1;">End Date:<input type="date" id="conEnd" value="${escapeHtml(rec.endDate || '')}" style="${field}"/></label>
+      </div>
+      <div style="display:flex; gap:12px; margin-bottom:12px;">
+        <label style="flex:1;">Budget ($):<input type="number" step="any" min="0" id="conBudget" value="${escapeHtml(rec.budget ?? '')}" style="${field}"/></label>
+        <label style="flex:1;">Actual Cost ($):<input type="number" step="any" min="0" id="conActual" value="${escapeHtml(rec.actualCost ?? '')}" style="${field}"/></label>
+      </div>
+      <label style="display:block; margin-bottom:12px;">
+        Description:
+        <textarea id="conDescription" rows="4" style="${field} resize:vertical;">${escapeHtml(rec.description || '')}</textarea>
+      </label>
+      <div style="margin-bottom:8px;">
+        <button type="button" id="conPickPhotos" style="padding:8px 12px; font-size:1rem;">Add Photos…</button>
+        <div id="conPhotoList" style="margin-top:8px;"></div>
+      </div>
+      <div style="margin-bottom:8px;">
+        <button type="button" id="conPickDocs" style="padding:8px 12px; font-size:1rem;">Add Documents…</button>
+        <div id="conDocList" style="margin-top:8px;"></div>
+      </div>
+      <div class="button-row">
+        <button type="button" id="conCancel" class="btn-secondary">Cancel</button>
+        <button type="button" id="conSave" class="btn-primary">Save Construction</button>
+      </div>
+    `;
+    overlay.appendChild(box);
+
+    const $ = sel => box.querySelector(sel);
+    const close = () => overlay.remove();
+    let photoPaths = [];
+    let documentPaths = [];
+
+    // 3) Chosen files, each removable
+    function renderPicked(listDiv, paths, setPaths) {
+      listDiv.innerHTML = '';
+      paths.forEach(p => {
+        const item = document.createElement('span');
+        item.style = 'display:inline-block; margin:4px 6px 4px 0; padding:4px 8px; background:#f0f0f0; border-radius:4px; font-size:0.95rem;';
+        item.textContent = p.split(/[/\\]/).pop();
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = '×';
+        btn.style = 'margin-left:6px; background:none; border:none; font-weight:bold; cursor:pointer;';
+        btn.onclick = () => {
+          const rest = paths.filter(x => x !== p);
+          setPaths(rest);
+          renderPicked(listDiv, rest, setPaths);
+        };
+        item.appendChild(btn);
+        listDiv.appendChild(item);
+      });
+    }
+    $('#conPickPhotos').onclick = async () => {
+      const files = await window.electronAPI.selectPhotoFiles();
+      photoPaths = [...new Set([...photoPaths, ...files])];
+      renderPicked($('#conPhotoList'), photoPaths, p => { photoPaths = p; });
+    };
+    $('#conPickDocs').onclick = async () => {
+      const files = await window.electronAPI.selectDocumentFiles();
+      documentPaths = [...new Set([...documentPaths, ...files])];
+      renderPicked($('#conDocList'), documentPaths, p => { documentPaths = p; });
+    };
+
+    // 4) Save (main validates and reports the first bad field)
+    $('#conSave').onclick = async () => {
+      const record = {
+        name:        $('#conName').value.trim(),
+        type:        $('#conType').value,
+        contractor:  $('#conContractor').value.trim(),
+        startDate:   $('#conStart').value,
+        endDate:     $('#conEnd').value,
+        budget:      $('#conBudget').value.trim(),
+        actualCost:  $('#conActual').value.trim(),
+        description: $('#conDescription').value.trim()
+      };
+      const res = await window.electronAPI.saveConstructionRecord(
+        stationId, record, { photoPaths, documentPaths }, entry ? entry.path : ''
+      );
+      if (!res.success) {
+        showAlert('❌ ' + res.message, 3000);
+        return;
+      }
+      showSuccess(entry ? 'Construction updated.' : 'Construction added.', 2000);
+      close();
+      await renderConstructionHistorySection();
+    };
+    $('#conCancel').onclick = close;
+    overlay.addEventListener('keydown', e => { if (e.key === 'Escape') close(); });
+    $('#conName').focus();
+  }
+
 
 
 